@@ -1,11 +1,14 @@
 -- Fragile News Source (FNS) Database Schema
 -- This schema stores news articles and their Keisha AI analysis results
+-- Reference copy of the full current schema. Databases are created and upgraded by the
+-- migrations in database/migrations (npm run migrate). Keep this file in step with them.
 
 -- News Articles Table
 CREATE TABLE IF NOT EXISTS fns_articles (
     id VARCHAR(50) PRIMARY KEY,
     title TEXT NOT NULL,
     url TEXT NOT NULL UNIQUE,
+    source_domain VARCHAR(255),
     content TEXT,
     summary TEXT,
     keyword VARCHAR(100),
@@ -14,6 +17,46 @@ CREATE TABLE IF NOT EXISTS fns_articles (
     date DATE,
     source_file VARCHAR(100),
     featured_image TEXT,
+    
+    -- Structured page metadata (JSON-LD, OpenGraph, Twitter cards)
+    canonical_url TEXT,
+    authors JSON,
+    published_at DATETIME,
+    modified_at DATETIME,
+    section VARCHAR(100),
+    keywords JSON,
+    publisher_name VARCHAR(255),
+    publisher_logo TEXT,
+    
+    -- Hybrid pipeline: seed -> fetched -> extracted -> analyzed
+    pipeline_state ENUM('seed', 'fetched', 'extracted', 'analyzed') DEFAULT 'seed',
+    source_type VARCHAR(30),
+    source_trust DECIMAL(3,2),
+    original_url TEXT,
+    newsletter_analysis TEXT,
+    newsletter_severity DECIMAL(5,2),
+    full_content LONGTEXT,
+    content_fetched BOOLEAN DEFAULT FALSE,
+    content_status VARCHAR(20),
+    content_status_reasons JSON,
+    word_count INT DEFAULT 0,
+    extraction_rule VARCHAR(100),
+    fetch_attempts INT DEFAULT 0,
+    fetch_error TEXT,
+    fetched_at DATETIME,
+    
+    -- Near-duplicate story clustering: the feed shows only each cluster's primary
+    cluster_id VARCHAR(50),
+    is_cluster_primary BOOLEAN DEFAULT TRUE,
+    cluster_size INT DEFAULT 1,
+    
+    -- Composite rank score (0-100) without the freshness decay, which queries apply: the
+    -- time-independent part, what freshness adds at rank_decay_from, and the per-factor breakdown
+    rank_base DECIMAL(5,2),
+    rank_freshness DECIMAL(5,2),
+    rank_decay_from DATETIME,
+    rank_factors JSON,
+    
     imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     analysis_status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
@@ -23,7 +66,14 @@ CREATE TABLE IF NOT EXISTS fns_articles (
     INDEX idx_keyword (keyword),
     INDEX idx_severity (severity_score),
     INDEX idx_analysis_status (analysis_status),
-    INDEX idx_imported_at (imported_at)
+    INDEX idx_imported_at (imported_at),
+    INDEX idx_cluster (cluster_id),
+    INDEX idx_pipeline_state (pipeline_state),
+    INDEX idx_source_domain (source_domain),
+    
+    -- Full-text search (title alone carries the title boost)
+    FULLTEXT INDEX ft_title (title),
+    FULLTEXT INDEX ft_search (title, summary, content, full_content)
 );
 
 -- Article Images Table (for multiple images per article)
@@ -35,6 +85,7 @@ CREATE TABLE IF NOT EXISTS fns_article_images (
     is_featured BOOLEAN DEFAULT FALSE,
     width INT,
     height INT,
+    source VARCHAR(20) DEFAULT 'page', -- json-ld, opengraph, twitter or page
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
     FOREIGN KEY (article_id) REFERENCES fns_articles(id) ON DELETE CASCADE,
@@ -46,12 +97,17 @@ CREATE TABLE IF NOT EXISTS fns_article_images (
 CREATE TABLE IF NOT EXISTS fns_keisha_analysis (
     id INT AUTO_INCREMENT PRIMARY KEY,
     article_id VARCHAR(50) NOT NULL,
+    provider VARCHAR(50) DEFAULT 'keisha-microfrag', -- keisha-microfrag, keisha-bias, local
+    schema_version INT DEFAULT 1, -- canonical result schema (AnalysisResultSchema)
+    lexicon_version INT, -- fns_lexicon_versions.version the provider used (NULL for Keisha)
     
     -- Original Keisha analysis fields
     bias_score DECIMAL(5,2),
+    sentiment DECIMAL(4,3),
     fragility_indicators JSON,
     euphemisms_detected JSON,
     systemic_patterns JSON,
+    detected_terms JSON, -- [{ term, category, rationale, start, end }]
     
     -- Keisha's translation/analysis text
     keisha_translation TEXT,
@@ -68,7 +124,7 @@ CREATE TABLE IF NOT EXISTS fns_keisha_analysis (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     FOREIGN KEY (article_id) REFERENCES fns_articles(id) ON DELETE CASCADE,
-    INDEX idx_article_id (article_id),
+    UNIQUE KEY uq_article_id (article_id), -- one analysis per article, replaced on re-analysis
     INDEX idx_bias_score (bias_score),
     INDEX idx_analyzed_at (analyzed_at)
 );
@@ -78,6 +134,8 @@ CREATE TABLE IF NOT EXISTS fns_categories (
     id INT AUTO_INCREMENT PRIMARY KEY,
     name VARCHAR(100) NOT NULL UNIQUE,
     description TEXT,
+    synonyms JSON, -- Other phrases that mean this category
+    match_patterns JSON, -- Regular expressions that also match it
     color_code VARCHAR(7), -- Hex color for UI
     severity_weight DECIMAL(3,2) DEFAULT 1.00,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -112,6 +170,80 @@ CREATE TABLE IF NOT EXISTS fns_user_interactions (
     INDEX idx_created_at (created_at)
 );
 
+-- Daily Threat Snapshots Table (one row per article date)
+CREATE TABLE IF NOT EXISTS fns_threat_snapshots (
+    snapshot_date DATE PRIMARY KEY,
+    threat_level VARCHAR(20) NOT NULL,
+    total_articles INT DEFAULT 0,
+    average_severity DECIMAL(5,2),
+    max_severity DECIMAL(5,2),
+    min_severity DECIMAL(5,2),
+    newsletter_severity DECIMAL(5,2), -- the newsletter's own overall severity meter
+    keyword_counts JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Durable job queue: leased to one worker at a time, retried with backoff, dead after max_attempts
+CREATE TABLE IF NOT EXISTS fns_jobs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    type VARCHAR(50) NOT NULL, -- e.g. analyze_article
+    job_key VARCHAR(100),
+    active_key VARCHAR(100), -- job_key while queued or running, NULL otherwise: one live job per type and key
+    payload JSON,
+    status ENUM('queued', 'running', 'completed', 'dead') DEFAULT 'queued',
+    attempts INT DEFAULT 0,
+    max_attempts INT DEFAULT 5,
+    run_at DATETIME NOT NULL, -- UTC; not claimed before this (backoff)
+    locked_by VARCHAR(100),
+    locked_until DATETIME, -- UTC lease end; expired leases are swept back to queued
+    last_error TEXT,
+    completed_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_jobs_due (status, run_at),
+    INDEX idx_jobs_key (type, job_key, status),
+    UNIQUE KEY uq_jobs_active (type, active_key)
+);
+
+-- Job worker heartbeats (id = hostname:pid, matching fns_jobs.locked_by)
+CREATE TABLE IF NOT EXISTS fns_workers (
+    id VARCHAR(100) PRIMARY KEY,
+    hostname VARCHAR(255),
+    pid INT,
+    status ENUM('running', 'draining', 'stopped') DEFAULT 'running',
+    started_at DATETIME NOT NULL, -- UTC
+    last_heartbeat DATETIME NOT NULL, -- UTC
+    jobs_processed INT DEFAULT 0,
+    jobs_failed INT DEFAULT 0,
+    current_jobs INT DEFAULT 0, -- jobs leased to the worker at the last heartbeat
+    
+    INDEX idx_workers_heartbeat (last_heartbeat)
+);
+
+-- Bias lexicon versions: every edit or import publishes a new version (0 is the built-in lexicon)
+CREATE TABLE IF NOT EXISTS fns_lexicon_versions (
+    version INT PRIMARY KEY,
+    source VARCHAR(20) DEFAULT 'edit', -- edit or import
+    note VARCHAR(255),
+    entry_count INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Bias lexicon entries, copied in full into each version
+CREATE TABLE IF NOT EXISTS fns_lexicon_entries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    version INT NOT NULL,
+    term VARCHAR(100) NOT NULL,
+    category VARCHAR(30) NOT NULL, -- euphemism, coded_language, dehumanizing, systemic_pattern, fragility, negative, positive
+    weight DECIMAL(4,2) DEFAULT 1.00,
+    rationale TEXT,
+    examples JSON,
+    
+    UNIQUE KEY uq_lexicon_term (version, term)
+);
+
 -- System Configuration Table
 CREATE TABLE IF NOT EXISTS fns_config (
     key_name VARCHAR(100) PRIMARY KEY,
@@ -120,15 +252,30 @@ CREATE TABLE IF NOT EXISTS fns_config (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- Newsletter Sources Table (where stories are imported from)
+CREATE TABLE IF NOT EXISTS fns_sources (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    base_url TEXT NOT NULL,
+    file_pattern VARCHAR(255) NOT NULL DEFAULT '', -- {date} = YYYYMMDD, {iso} = YYYY-MM-DD, {yyyy}/{mm}/{dd}, empty for feeds
+    parser_type VARCHAR(30) DEFAULT 'auto', -- auto, text, markdown, json, full_articles, rss
+    trust_weight DECIMAL(3,2) DEFAULT 1.00,
+    enabled BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_enabled (enabled)
+);
+
 -- Insert default categories based on your newsletter keywords
-INSERT INTO fns_categories (name, description, color_code, severity_weight) VALUES
-('systemic racism', 'Articles about institutional and systemic racism', '#FF4444', 1.2),
-('white supremacy', 'Direct white supremacy content and analysis', '#FF0000', 1.5),
-('MAGA', 'MAGA movement and related political content', '#FF6666', 1.1),
-('anti-racism', 'Anti-racism efforts and resistance movements', '#00AA00', 0.8),
-('christian nationalism', 'Christian nationalism and religious extremism', '#FF8800', 1.3),
-('great replacement theory', 'Great replacement theory and related conspiracies', '#CC0000', 1.4),
-('racism', 'General racism and discriminatory content', '#FF7777', 1.0)
+INSERT INTO fns_categories (name, description, synonyms, color_code, severity_weight) VALUES
+('systemic racism', 'Articles about institutional and systemic racism', '["institutional racism", "structural racism"]', '#FF4444', 1.2),
+('white supremacy', 'Direct white supremacy content and analysis', '["white supremacist", "white supremacists", "white nationalism", "white nationalist", "neo-nazi", "neo-nazis"]', '#FF0000', 1.5),
+('MAGA', 'MAGA movement and related political content', '["make america great again"]', '#FF6666', 1.1),
+('anti-racism', 'Anti-racism efforts and resistance movements', '["antiracism", "anti-racist", "antiracist"]', '#00AA00', 0.8),
+('christian nationalism', 'Christian nationalism and religious extremism', '["christian nationalist", "christian nationalists"]', '#FF8800', 1.3),
+('great replacement theory', 'Great replacement theory and related conspiracies', '["great replacement", "replacement theory"]', '#CC0000', 1.4),
+('racism', 'General racism and discriminatory content', '["racist", "racists", "racial discrimination", "hate crime", "hate crimes"]', '#FF7777', 1.0)
 ON DUPLICATE KEY UPDATE description = VALUES(description);
 
 -- Insert default configuration
@@ -140,6 +287,12 @@ INSERT INTO fns_config (key_name, key_value, description) VALUES
 ('auto_analysis_enabled', 'true', 'Whether to automatically analyze imported articles')
 ON DUPLICATE KEY UPDATE key_value = VALUES(key_value);
 
+-- Insert default newsletter sources
+INSERT INTO fns_sources (id, name, base_url, file_pattern, parser_type, trust_weight, enabled) VALUES
+('sows_critical', 'soWSnewsletter critical newsletter', 'https://raw.githubusercontent.com/djangamane/soWSnewsletter/main/docs', 'critical_newsletter_{date}.txt', 'auto', 1.00, TRUE),
+('sows_full_articles', 'soWSnewsletter full articles', 'https://raw.githubusercontent.com/djangamane/soWSnewsletter/main', 'full_articles_{date}.json', 'full_articles', 1.00, TRUE)
+ON DUPLICATE KEY UPDATE name = VALUES(name);
+
 -- Views for common queries
 
 -- Latest analyzed articles with Keisha analysis
@@ -0,0 +1,16 @@
+/**
+ * Initial FNS schema: articles, images, Keisha analysis, categories, interactions, config and views
+ */
+module.exports = {
+  async up(db) {
+    await db.executeFile('001_initial_schema.sql');
+  },
+
+  async down(db) {
+    await db.query('DROP VIEW IF EXISTS fns_daily_stats, fns_pending_analysis, fns_latest_analyzed');
+    await db.query(`
+      DROP TABLE IF EXISTS fns_config, fns_user_interactions, fns_article_categories,
+        fns_categories, fns_keisha_analysis, fns_article_images, fns_articles
+    `);
+  }
+};
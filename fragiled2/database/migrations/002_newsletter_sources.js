@@ -0,0 +1,33 @@
+/**
+ * Newsletter source registry, seeded with the soWSnewsletter critical newsletter and full articles
+ */
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS fns_sources (
+        id VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        base_url TEXT NOT NULL,
+        file_pattern VARCHAR(255) NOT NULL DEFAULT '',
+        parser_type VARCHAR(30) DEFAULT 'auto',
+        trust_weight DECIMAL(3,2) DEFAULT 1.00,
+        enabled BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        INDEX idx_enabled (enabled)
+      )
+    `);
+
+    await db.query(`
+      INSERT INTO fns_sources (id, name, base_url, file_pattern, parser_type, trust_weight, enabled) VALUES
+      ('sows_critical', 'soWSnewsletter critical newsletter', 'https://raw.githubusercontent.com/djangamane/soWSnewsletter/main/docs', 'critical_newsletter_{date}.txt', 'auto', 1.00, TRUE),
+      ('sows_full_articles', 'soWSnewsletter full articles', 'https://raw.githubusercontent.com/djangamane/soWSnewsletter/main', 'full_articles_{date}.json', 'full_articles', 1.00, TRUE)
+      ON DUPLICATE KEY UPDATE name = VALUES(name)
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS fns_sources');
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Structured page metadata (JSON-LD, OpenGraph, Twitter cards) on articles, and where each image came from
+ */
+const COLUMNS = [
+  ['canonical_url', 'TEXT AFTER featured_image'],
+  ['authors', 'JSON AFTER canonical_url'],
+  ['published_at', 'DATETIME AFTER authors'],
+  ['modified_at', 'DATETIME AFTER published_at'],
+  ['section', 'VARCHAR(100) AFTER modified_at'],
+  ['keywords', 'JSON AFTER section'],
+  ['publisher_name', 'VARCHAR(255) AFTER keywords'],
+  ['publisher_logo', 'TEXT AFTER publisher_name']
+];
+
+module.exports = {
+  async up(db) {
+    for (const [column, definition] of COLUMNS) {
+      await db.addColumn('fns_articles', column, definition);
+    }
+    await db.addColumn('fns_article_images', 'source', "VARCHAR(20) DEFAULT 'page' AFTER height");
+  },
+
+  async down(db) {
+    await db.dropColumn('fns_article_images', 'source');
+    for (const [column] of [...COLUMNS].reverse()) {
+      await db.dropColumn('fns_articles', column);
+    }
+  }
+};
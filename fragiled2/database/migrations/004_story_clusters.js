@@ -0,0 +1,18 @@
+/**
+ * Near-duplicate story clusters: the feed shows only each cluster's primary
+ */
+module.exports = {
+  async up(db) {
+    await db.addColumn('fns_articles', 'cluster_id', 'VARCHAR(50) AFTER publisher_logo');
+    await db.addColumn('fns_articles', 'is_cluster_primary', 'BOOLEAN DEFAULT TRUE AFTER cluster_id');
+    await db.addColumn('fns_articles', 'cluster_size', 'INT DEFAULT 1 AFTER is_cluster_primary');
+    await db.addIndex('fns_articles', 'idx_cluster', 'cluster_id');
+  },
+
+  async down(db) {
+    await db.dropIndex('fns_articles', 'idx_cluster');
+    await db.dropColumn('fns_articles', 'cluster_size');
+    await db.dropColumn('fns_articles', 'is_cluster_primary');
+    await db.dropColumn('fns_articles', 'cluster_id');
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * Hybrid pipeline state (seed -> fetched -> extracted -> analyzed) and fetched page content
+ * Archive articles that already carry text start out extracted
+ */
+const COLUMNS = [
+  ['pipeline_state', "ENUM('seed', 'fetched', 'extracted', 'analyzed') DEFAULT 'seed' AFTER publisher_logo"],
+  ['source_type', 'VARCHAR(30) AFTER pipeline_state'],
+  ['original_url', 'TEXT AFTER source_type'],
+  ['newsletter_analysis', 'TEXT AFTER original_url'],
+  ['full_content', 'LONGTEXT AFTER newsletter_analysis'],
+  ['content_fetched', 'BOOLEAN DEFAULT FALSE AFTER full_content'],
+  ['content_status', 'VARCHAR(20) AFTER content_fetched'],
+  ['content_status_reasons', 'JSON AFTER content_status'],
+  ['word_count', 'INT DEFAULT 0 AFTER content_status_reasons'],
+  ['extraction_rule', 'VARCHAR(100) AFTER word_count'],
+  ['fetch_attempts', 'INT DEFAULT 0 AFTER extraction_rule'],
+  ['fetch_error', 'TEXT AFTER fetch_attempts'],
+  ['fetched_at', 'DATETIME AFTER fetch_error']
+];
+
+module.exports = {
+  async up(db) {
+    const existed = await db.columnExists('fns_articles', 'pipeline_state');
+
+    for (const [column, definition] of COLUMNS) {
+      await db.addColumn('fns_articles', column, definition);
+    }
+    await db.addIndex('fns_articles', 'idx_pipeline_state', 'pipeline_state');
+
+    if (!existed) {
+      await db.query(`
+        UPDATE fns_articles
+        SET pipeline_state = CASE
+          WHEN analysis_status = 'completed' THEN 'analyzed'
+          WHEN source_file LIKE 'full_articles_%' AND COALESCE(content, '') <> '' THEN 'extracted'
+          ELSE 'seed'
+        END,
+        content_fetched = (source_file LIKE 'full_articles_%' AND COALESCE(content, '') <> '')
+      `);
+    }
+  },
+
+  async down(db) {
+    await db.dropIndex('fns_articles', 'idx_pipeline_state');
+    for (const [column] of [...COLUMNS].reverse()) {
+      await db.dropColumn('fns_articles', column);
+    }
+  }
+};
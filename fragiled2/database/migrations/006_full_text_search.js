@@ -0,0 +1,58 @@
+/**
+ * Full-text search over article title, summary and text
+ * MySQL uses FULLTEXT indexes; SQLite keeps an FTS5 table in step with fns_articles through triggers
+ */
+const FTS_COLUMNS = 'title, summary, content, full_content';
+
+module.exports = {
+  async up(db) {
+    if (db.dialect === 'sqlite') {
+      await db.query(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS fns_articles_fts
+        USING fts5(article_id UNINDEXED, ${FTS_COLUMNS})
+      `);
+
+      await db.query(`
+        CREATE TRIGGER IF NOT EXISTS fns_articles_fts_insert AFTER INSERT ON fns_articles BEGIN
+          INSERT INTO fns_articles_fts (article_id, ${FTS_COLUMNS})
+          VALUES (new.id, new.title, new.summary, new.content, new.full_content);
+        END
+      `);
+      await db.query(`
+        CREATE TRIGGER IF NOT EXISTS fns_articles_fts_update AFTER UPDATE OF ${FTS_COLUMNS} ON fns_articles BEGIN
+          DELETE FROM fns_articles_fts WHERE article_id = old.id;
+          INSERT INTO fns_articles_fts (article_id, ${FTS_COLUMNS})
+          VALUES (new.id, new.title, new.summary, new.content, new.full_content);
+        END
+      `);
+      await db.query(`
+        CREATE TRIGGER IF NOT EXISTS fns_articles_fts_delete AFTER DELETE ON fns_articles BEGIN
+          DELETE FROM fns_articles_fts WHERE article_id = old.id;
+        END
+      `);
+
+      await db.query('DELETE FROM fns_articles_fts');
+      await db.query(`
+        INSERT INTO fns_articles_fts (article_id, ${FTS_COLUMNS})
+        SELECT id, ${FTS_COLUMNS} FROM fns_articles
+      `);
+      return;
+    }
+
+    await db.addIndex('fns_articles', 'ft_title', 'title', 'FULLTEXT');
+    await db.addIndex('fns_articles', 'ft_search', FTS_COLUMNS, 'FULLTEXT');
+  },
+
+  async down(db) {
+    if (db.dialect === 'sqlite') {
+      await db.query('DROP TRIGGER IF EXISTS fns_articles_fts_delete');
+      await db.query('DROP TRIGGER IF EXISTS fns_articles_fts_update');
+      await db.query('DROP TRIGGER IF EXISTS fns_articles_fts_insert');
+      await db.query('DROP TABLE IF EXISTS fns_articles_fts');
+      return;
+    }
+
+    await db.dropIndex('fns_articles', 'ft_search');
+    await db.dropIndex('fns_articles', 'ft_title');
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Publisher domain of each article (www. stripped), for filtering the feed by source
+ */
+function sourceDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '') || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  async up(db) {
+    await db.addColumn('fns_articles', 'source_domain', 'VARCHAR(255) AFTER url');
+    await db.addIndex('fns_articles', 'idx_source_domain', 'source_domain');
+
+    const [rows] = await db.query('SELECT id, url FROM fns_articles WHERE source_domain IS NULL');
+    for (const row of rows) {
+      const domain = sourceDomain(row.url);
+      if (domain) {
+        await db.query('UPDATE fns_articles SET source_domain = ? WHERE id = ?', [domain, row.id]);
+      }
+    }
+  },
+
+  async down(db) {
+    await db.dropIndex('fns_articles', 'idx_source_domain');
+    await db.dropColumn('fns_articles', 'source_domain');
+  }
+};
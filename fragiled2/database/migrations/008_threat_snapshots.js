@@ -0,0 +1,74 @@
+/**
+ * Daily threat-level snapshots, and the newsletter's overall severity meter on each article
+ * Existing article dates are snapshotted from what is already stored (their meter values are unknown).
+ */
+module.exports = {
+  async up(db) {
+    await db.addColumn('fns_articles', 'newsletter_severity', 'DECIMAL(5,2) AFTER newsletter_analysis');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS fns_threat_snapshots (
+        snapshot_date DATE PRIMARY KEY,
+        threat_level VARCHAR(20) NOT NULL,
+        total_articles INT DEFAULT 0,
+        average_severity DECIMAL(5,2),
+        max_severity DECIMAL(5,2),
+        min_severity DECIMAL(5,2),
+        newsletter_severity DECIMAL(5,2),
+        keyword_counts JSON,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    const [existing] = await db.query('SELECT COUNT(*) AS count FROM fns_threat_snapshots');
+    if (Number(existing[0].count) > 0) {
+      return;
+    }
+
+    await db.query(`
+      INSERT INTO fns_threat_snapshots (
+        snapshot_date, threat_level, total_articles, average_severity, max_severity, min_severity
+      )
+      SELECT
+        date,
+        CASE
+          WHEN AVG(severity_score) >= 80 THEN 'CRITICAL'
+          WHEN AVG(severity_score) >= 70 THEN 'HIGH'
+          WHEN AVG(severity_score) >= 60 THEN 'MODERATE'
+          ELSE 'LOW'
+        END,
+        COUNT(*), ROUND(AVG(severity_score), 2), MAX(severity_score), MIN(severity_score)
+      FROM fns_articles
+      WHERE is_cluster_primary = TRUE AND date IS NOT NULL
+      GROUP BY date
+    `);
+
+    const [rows] = await db.query(`
+      SELECT date, keyword, COUNT(*) AS count
+      FROM fns_articles
+      WHERE is_cluster_primary = TRUE AND date IS NOT NULL AND keyword IS NOT NULL
+      GROUP BY date, keyword
+    `);
+
+    const keywords = new Map();
+    rows.forEach(row => {
+      const key = row.date instanceof Date ? row.date.getTime() : row.date;
+      const entry = keywords.get(key) || { date: row.date, counts: {} };
+      entry.counts[row.keyword] = Number(row.count);
+      keywords.set(key, entry);
+    });
+
+    for (const { date, counts } of keywords.values()) {
+      await db.query('UPDATE fns_threat_snapshots SET keyword_counts = ? WHERE snapshot_date = ?', [
+        JSON.stringify(counts),
+        date
+      ]);
+    }
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS fns_threat_snapshots');
+    await db.dropColumn('fns_articles', 'newsletter_severity');
+  }
+};
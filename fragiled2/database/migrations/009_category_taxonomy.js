@@ -0,0 +1,32 @@
+// Synonyms for the seeded categories, as first shipped with the taxonomy
+const DEFAULT_SYNONYMS = {
+  'white supremacy': ['white supremacist', 'white supremacists', 'white nationalism', 'white nationalist', 'neo-nazi', 'neo-nazis'],
+  'great replacement theory': ['great replacement', 'replacement theory'],
+  'christian nationalism': ['christian nationalist', 'christian nationalists'],
+  'systemic racism': ['institutional racism', 'structural racism'],
+  'MAGA': ['make america great again'],
+  'racism': ['racist', 'racists', 'racial discrimination', 'hate crime', 'hate crimes'],
+  'anti-racism': ['antiracism', 'anti-racist', 'antiracist']
+};
+
+/**
+ * Synonyms and match patterns on each category, used to classify articles into several categories
+ */
+module.exports = {
+  async up(db) {
+    await db.addColumn('fns_categories', 'synonyms', 'JSON AFTER description');
+    await db.addColumn('fns_categories', 'match_patterns', 'JSON AFTER synonyms');
+
+    for (const [name, synonyms] of Object.entries(DEFAULT_SYNONYMS)) {
+      await db.query('UPDATE fns_categories SET synonyms = ? WHERE name = ? AND synonyms IS NULL', [
+        JSON.stringify(synonyms),
+        name
+      ]);
+    }
+  },
+
+  async down(db) {
+    await db.dropColumn('fns_categories', 'match_patterns');
+    await db.dropColumn('fns_categories', 'synonyms');
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Composite rank score on each article, stored without the freshness decay, which queries apply
+ * at read time: rank_base (the factors that do not change with time), rank_freshness (what
+ * freshness adds at publication), rank_decay_from (the publication time it decays from) and
+ * the per-factor breakdown, plus the source's trust weight
+ * Existing articles are ranked the next time their date range is reclustered.
+ */
+module.exports = {
+  async up(db) {
+    await db.addColumn('fns_articles', 'source_trust', 'DECIMAL(3,2) AFTER source_type');
+    await db.addColumn('fns_articles', 'rank_base', 'DECIMAL(5,2) AFTER cluster_size');
+    await db.addColumn('fns_articles', 'rank_freshness', 'DECIMAL(5,2) AFTER rank_base');
+    await db.addColumn('fns_articles', 'rank_decay_from', 'DATETIME AFTER rank_freshness');
+    await db.addColumn('fns_articles', 'rank_factors', 'JSON AFTER rank_decay_from');
+  },
+
+  async down(db) {
+    await db.dropColumn('fns_articles', 'rank_factors');
+    await db.dropColumn('fns_articles', 'rank_decay_from');
+    await db.dropColumn('fns_articles', 'rank_freshness');
+    await db.dropColumn('fns_articles', 'rank_base');
+    await db.dropColumn('fns_articles', 'source_trust');
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Durable job queue (analysis jobs first), replacing the in-memory analysis queue
+ * active_key holds job_key while a job is queued or running, so uq_jobs_active allows one live job
+ * per type and key (NULLs never collide)
+ */
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS fns_jobs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        job_key VARCHAR(100),
+        active_key VARCHAR(100),
+        payload JSON,
+        status ENUM('queued', 'running', 'completed', 'dead') DEFAULT 'queued',
+        attempts INT DEFAULT 0,
+        max_attempts INT DEFAULT 5,
+        run_at DATETIME NOT NULL,
+        locked_by VARCHAR(100),
+        locked_until DATETIME,
+        last_error TEXT,
+        completed_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+        INDEX idx_jobs_due (status, run_at),
+        INDEX idx_jobs_key (type, job_key, status),
+        UNIQUE KEY uq_jobs_active (type, active_key)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS fns_jobs');
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Heartbeats of standalone job workers
+ */
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS fns_workers (
+        id VARCHAR(100) PRIMARY KEY,
+        hostname VARCHAR(255),
+        pid INT,
+        status ENUM('running', 'draining', 'stopped') DEFAULT 'running',
+        started_at DATETIME NOT NULL,
+        last_heartbeat DATETIME NOT NULL,
+        jobs_processed INT DEFAULT 0,
+        jobs_failed INT DEFAULT 0,
+        current_jobs INT DEFAULT 0,
+
+        INDEX idx_workers_heartbeat (last_heartbeat)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS fns_workers');
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * Canonical analysis result fields: which provider produced it, the result schema version,
+ * the analysis sentiment and every detected term with its category and offsets
+ * Existing rows came from the microfrag API with schema version 1.
+ *
+ * Installs created from an older fns_schema.sql may hold several analyses per article; all but
+ * each article's most recent are removed and article_id becomes unique, as 001 creates it, so
+ * storing an analysis replaces the previous one. down leaves the unique key in place.
+ */
+module.exports = {
+  async up(db) {
+    await db.addColumn('fns_keisha_analysis', 'provider', 'VARCHAR(50) DEFAULT \'keisha-microfrag\' AFTER article_id');
+    await db.addColumn('fns_keisha_analysis', 'schema_version', 'INT DEFAULT 1 AFTER provider');
+    await db.addColumn('fns_keisha_analysis', 'sentiment', 'DECIMAL(4,3) AFTER bias_score');
+    await db.addColumn('fns_keisha_analysis', 'detected_terms', 'JSON AFTER systemic_patterns');
+
+    if (!await db.indexExists('fns_keisha_analysis', 'uq_article_id')) {
+      await db.query(`
+        DELETE FROM fns_keisha_analysis
+        WHERE id NOT IN (
+          SELECT id FROM (SELECT MAX(id) AS id FROM fns_keisha_analysis GROUP BY article_id) latest
+        )
+      `);
+      await db.addIndex('fns_keisha_analysis', 'uq_article_id', 'article_id', 'UNIQUE');
+      await db.dropIndex('fns_keisha_analysis', 'idx_article_id');
+    }
+  },
+
+  async down(db) {
+    await db.dropColumn('fns_keisha_analysis', 'detected_terms');
+    await db.dropColumn('fns_keisha_analysis', 'sentiment');
+    await db.dropColumn('fns_keisha_analysis', 'schema_version');
+    await db.dropColumn('fns_keisha_analysis', 'provider');
+  }
+};
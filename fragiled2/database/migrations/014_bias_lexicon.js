@@ -0,0 +1,39 @@
+/**
+ * Versioned bias lexicon (a version's entries never change once published), and the lexicon
+ * version each stored analysis used
+ */
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS fns_lexicon_versions (
+        version INT PRIMARY KEY,
+        source VARCHAR(20) DEFAULT 'edit',
+        note VARCHAR(255),
+        entry_count INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS fns_lexicon_entries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        version INT NOT NULL,
+        term VARCHAR(100) NOT NULL,
+        category VARCHAR(30) NOT NULL,
+        weight DECIMAL(4,2) DEFAULT 1.00,
+        rationale TEXT,
+        examples JSON,
+
+        UNIQUE KEY uq_lexicon_term (version, term)
+      )
+    `);
+
+    await db.addColumn('fns_keisha_analysis', 'lexicon_version', 'INT AFTER schema_version');
+  },
+
+  async down(db) {
+    await db.dropColumn('fns_keisha_analysis', 'lexicon_version');
+    await db.query('DROP TABLE IF EXISTS fns_lexicon_entries');
+    await db.query('DROP TABLE IF EXISTS fns_lexicon_versions');
+  }
+};
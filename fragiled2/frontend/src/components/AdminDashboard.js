@@ -10,6 +10,7 @@ import apiService from '../services/api';
 const AdminDashboard = () => {
   const [stats, setStats] = useState(null);
   const [dailySummary, setDailySummary] = useState(null);
+  const [threatHistory, setThreatHistory] = useState([]);
   const [systemStatus, setSystemStatus] = useState(null);
   const [loading, setLoading] = useState(true);
 
@@ -25,15 +26,17 @@ const AdminDashboard = () => {
     try {
       setLoading(true);
       
-      const [statsResponse, summaryResponse, statusResponse] = await Promise.all([
+      const [statsResponse, summaryResponse, statusResponse, historyResponse] = await Promise.all([
         apiService.getEnhancementStats(),
         apiService.getDailySummary(),
-        apiService.getDataSourceStatus()
+        apiService.getDataSourceStatus(),
+        apiService.getThreatHistory({ days: 30 }).catch(() => null)
       ]);
       
       setStats(statsResponse.data);
       setDailySummary(summaryResponse.data);
       setSystemStatus(statusResponse.data);
+      setThreatHistory(historyResponse?.data?.points || []);
       
     } catch (error) {
       console.error('Error loading admin data:', error);
@@ -68,6 +71,7 @@ const AdminDashboard = () => {
         <ThreatLevelDashboard 
           summary={dailySummary}
           stats={stats}
+          history={threatHistory}
           onAnalyzeClick={() => {}} // Remove trigger functionality
         />
       )}
@@ -1,18 +1,25 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import styled from 'styled-components';
 import { motion, AnimatePresence } from 'framer-motion';
+import { useInView } from 'react-intersection-observer';
 import NewsCard from './NewsCard';
 import LoadingMatrix from './LoadingMatrix';
 import apiService from '../services/api';
 
 /**
  * Clean NewsFeed Component - Professional news site style
- * Focus on top stories with images, no admin stats
+ * Focus on top stories with images, no admin stats.
+ * More News scrolls infinitely through the stored feed using its page cursor.
  */
 const NewsFeed = () => {
   const [articles, setArticles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [moreArticles, setMoreArticles] = useState([]);
+  const [hasMore, setHasMore] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const nextCursor = useRef(null);
+  const { ref: loadMoreRef, inView } = useInView({ rootMargin: '400px' });
 
   // Load articles on component mount
   useEffect(() => {
@@ -67,6 +74,43 @@ const NewsFeed = () => {
     }
   };
 
+  // Fetch the next feed page whenever the end of the list scrolls into view
+  useEffect(() => {
+    if (inView && hasMore && !loadingMore && !loading) {
+      loadMoreArticles();
+    }
+  }, [inView, hasMore, loadingMore, loading]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const loadMoreArticles = async () => {
+    try {
+      setLoadingMore(true);
+
+      const response = await apiService.getNewsFeed({
+        limit: 20,
+        cursor: nextCursor.current
+      });
+
+      const page = apiService.formatArticles(response.data.map(article => ({
+        ...article,
+        images: article.featured_image ? [article.featured_image] : []
+      })));
+
+      setMoreArticles(prev => {
+        const seen = new Set(prev.map(article => article.id));
+        return [...prev, ...page.filter(article => !seen.has(article.id))];
+      });
+
+      nextCursor.current = response.pagination.nextCursor;
+      setHasMore(!!response.pagination.nextCursor);
+
+    } catch (err) {
+      console.error('Error loading more articles:', err);
+      setHasMore(false);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   if (loading && articles.length === 0) {
     return <LoadingMatrix message="Loading latest news..." />;
   }
@@ -76,9 +120,12 @@ const NewsFeed = () => {
     article.images && article.images.length > 0
   ).slice(0, 6);
 
-  const otherStories = articles.filter(article =>
-    !topStories.includes(article)
-  );
+  // Feed pages continue after the hybrid stories, skipping any already shown
+  const shownIds = new Set(articles.map(article => article.id));
+  const otherStories = [
+    ...articles.filter(article => !topStories.includes(article)),
+    ...moreArticles.filter(article => !shownIds.has(article.id))
+  ];
 
   return (
     <NewsFeedContainer>
@@ -134,6 +181,14 @@ const NewsFeed = () => {
         </OtherStoriesSection>
       )}
 
+      {/* Infinite scroll sentinel */}
+      {articles.length > 0 && (
+        <LoadMoreSentinel ref={loadMoreRef}>
+          {loadingMore && <LoadingText>Loading more stories...</LoadingText>}
+          {!hasMore && moreArticles.length > 0 && <EndOfFeed>You're all caught up</EndOfFeed>}
+        </LoadMoreSentinel>
+      )}
+
       {/* No Articles Message */}
       {articles.length === 0 && !loading && (
         <NoArticlesMessage>
@@ -250,6 +305,20 @@ const OtherStoriesGrid = styled.div`
   }
 `;
 
+const LoadMoreSentinel = styled.div`
+  min-height: 40px;
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  margin-bottom: 32px;
+`;
+
+const EndOfFeed = styled.div`
+  color: ${props => props.theme.colors.matrixDim};
+  font-size: 14px;
+  font-family: 'Courier New', monospace;
+`;
+
 const NoArticlesMessage = styled.div`
   text-align: center;
   padding: 60px 20px;
@@ -2,11 +2,21 @@ import React from 'react';
 import styled from 'styled-components';
 import { motion } from 'framer-motion';
 
+// Trend lines drawn from the daily threat snapshots
+const TREND_SERIES = [
+  { key: 'average_severity', label: 'Average', color: '#00ff00' },
+  { key: 'max_severity', label: 'Max', color: '#ff6600' },
+  { key: 'newsletter_severity', label: 'Newsletter meter', color: '#00ffff' }
+];
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+
 /**
  * Threat Level Dashboard Component
- * Shows overall threat assessment and system status
+ * Shows overall threat assessment, its trend over the stored daily snapshots and system status
  */
-const ThreatLevelDashboard = ({ summary, stats, onAnalyzeClick }) => {
+const ThreatLevelDashboard = ({ summary, stats, history = [], onAnalyzeClick }) => {
   const getThreatColor = (level) => {
     switch (level) {
       case 'CRITICAL': return '#ff0000';
@@ -27,6 +37,25 @@ const ThreatLevelDashboard = ({ summary, stats, onAnalyzeClick }) => {
     }
   };
 
+  // Severity is 0-100; points are spread evenly across the chart
+  const toX = (index) => history.length > 1 ? (index / (history.length - 1)) * CHART_WIDTH : CHART_WIDTH / 2;
+  const toY = (value) => CHART_HEIGHT - (Math.min(Math.max(value, 0), 100) / 100) * CHART_HEIGHT;
+
+  // Days without a value (e.g. no newsletter meter) break the line
+  const trendPath = (key) => history
+    .map((point, index) => point[key] === null || point[key] === undefined ? null : `${toX(index)},${toY(point[key])}`)
+    .reduce((segments, coordinate) => {
+      if (coordinate === null) {
+        segments.push([]);
+      } else {
+        segments[segments.length - 1].push(coordinate);
+      }
+      return segments;
+    }, [[]])
+    .filter(segment => segment.length > 0)
+    .map(segment => `M${segment.join(' L')}`)
+    .join(' ');
+
   return (
     <DashboardContainer
       as={motion.div}
@@ -58,6 +87,46 @@ const ThreatLevelDashboard = ({ summary, stats, onAnalyzeClick }) => {
         </ThreatMeter>
       </ThreatLevelSection>
 
+      {/* Threat Trend */}
+      {history.length > 0 && (
+        <TrendSection>
+          <SectionTitle>📈 Threat Trend ({history[0].date} – {history[history.length - 1].date})</SectionTitle>
+          <TrendChart viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+            {[60, 70, 80].map(level => (
+              <TrendGridLine key={level} x1="0" x2={CHART_WIDTH} y1={toY(level)} y2={toY(level)} />
+            ))}
+            {TREND_SERIES.map(series => (
+              <path
+                key={series.key}
+                d={trendPath(series.key)}
+                fill="none"
+                stroke={series.color}
+                strokeWidth="2"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+            {history.map((point, index) => (
+              <circle
+                key={point.date}
+                cx={toX(index)}
+                cy={toY(point.average_severity || 0)}
+                r="3"
+                fill={getThreatColor(point.threat_level)}
+              >
+                <title>{`${point.date}: ${point.threat_level}, ${point.total_articles} articles`}</title>
+              </circle>
+            ))}
+          </TrendChart>
+          <TrendLegend>
+            {TREND_SERIES.map(series => (
+              <TrendLegendItem key={series.key} $color={series.color}>
+                {series.label}
+              </TrendLegendItem>
+            ))}
+          </TrendLegend>
+        </TrendSection>
+      )}
+
       {/* System Status */}
       <SystemStatusSection>
         <StatusGrid>
@@ -245,6 +314,46 @@ const MeterLabel = styled.div`
   font-weight: bold;
 `;
 
+const TrendSection = styled.div`
+  margin-bottom: 24px;
+  padding: 16px;
+  background: rgba(0, 0, 0, 0.5);
+  border-radius: 8px;
+  border: 1px solid rgba(0, 255, 0, 0.3);
+`;
+
+const TrendChart = styled.svg`
+  width: 100%;
+  height: ${CHART_HEIGHT}px;
+  overflow: visible;
+`;
+
+const TrendGridLine = styled.line`
+  stroke: rgba(0, 255, 0, 0.15);
+  stroke-dasharray: 4 4;
+`;
+
+const TrendLegend = styled.div`
+  display: flex;
+  gap: 16px;
+  margin-top: 8px;
+  font-size: 12px;
+`;
+
+const TrendLegendItem = styled.span`
+  color: ${props => props.$color};
+
+  &::before {
+    content: '';
+    display: inline-block;
+    width: 12px;
+    height: 2px;
+    margin-right: 6px;
+    vertical-align: middle;
+    background: ${props => props.$color};
+  }
+`;
+
 const SystemStatusSection = styled.div`
   margin-bottom: 24px;
 `;
@@ -93,6 +93,32 @@ class FNSApiService {
     return response.data;
   }
 
+  /**
+   * Get a page of the stored news feed, newest first
+   * Pass the previous response's pagination.nextCursor as cursor for the next page
+   */
+  async getNewsFeed(options = {}) {
+    const {
+      limit = 20,
+      cursor = null,
+      minSeverity = 0,
+      count = false
+    } = options;
+
+    const params = new URLSearchParams({
+      limit: limit.toString(),
+      minSeverity: minSeverity.toString(),
+      count: count.toString(),
+      facets: 'false'
+    });
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+
+    const response = await this.api.get(`/api/fns/news/feed?${params}`);
+    return response.data;
+  }
+
   /**
    * Get articles ready for Keisha analysis
    */
@@ -138,6 +164,29 @@ class FNSApiService {
     return response.data;
   }
 
+  /**
+   * Get daily threat-level snapshots as a time series
+   * Pass from/to (YYYY-MM-DD) or days back from today; interval is day, week or month
+   */
+  async getThreatHistory(options = {}) {
+    const {
+      from = null,
+      to = null,
+      days = 30,
+      interval = 'day'
+    } = options;
+
+    const params = new URLSearchParams({
+      days: days.toString(),
+      interval
+    });
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+
+    const response = await this.api.get(`/api/fns/news/threat/history?${params}`);
+    return response.data;
+  }
+
   /**
    * Trigger hybrid Keisha analysis
    */
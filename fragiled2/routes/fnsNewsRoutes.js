@@ -2,10 +2,12 @@ const express = require('express');
 const router = express.Router();
 const FNSNewsService = require('../services/fnsNewsService');
 const HybridNewsService = require('../services/hybridNewsService');
+const EnhancedDataService = require('../services/enhancedDataService');
 
 // Initialize news services
 const newsService = new FNSNewsService();
 const hybridService = new HybridNewsService();
+const dataService = new EnhancedDataService({ newsService, hybridService });
 
 // Lightweight in-memory cache and inflight dedup for hybrid endpoint
 const HYBRID_CACHE_TTL_MS = 60 * 1000; // 60s micro-cache
@@ -30,10 +32,50 @@ function setCached(key, data) {
   hybridCache.set(key, { data, expiresAt: Date.now() + HYBRID_CACHE_TTL_MS });
 }
 
+const DEFAULT_CARD_IMAGE = 'https://images.unsplash.com/photo-1504711434969-e33886168f5c?auto=format&fit=crop&w=800&q=80';
+
+/**
+ * Shape an enhanced article as a hybrid feed card; fields override the defaults
+ */
+function toHybridCard(article, fields = {}) {
+  const articleImages = article.images || [];
+  const featuredImage = articleImages.length > 0 ? (articleImages[0].url || articleImages[0]) :
+    (article.featured_image || DEFAULT_CARD_IMAGE);
+
+  return {
+    id: article.id || `hybrid-${Date.now()}-${Math.random()}`,
+    title: article.title,
+    url: article.url,
+    content: article.full_content || article.content || article.summary,
+    summary: article.summary,
+    keyword: article.keyword,
+    severity_score: article.severity_score,
+    sentiment: article.sentiment || 0,
+    date: article.date,
+    images: articleImages,
+    hasImages: articleImages.length > 0,
+    featured_image: featuredImage,
+    keisha_analysis: article.keisha_analysis || article.newsletter_analysis || '',
+    bias_score: article.severity_score,
+    content_fetched: !!article.full_content,
+    cluster_id: article.cluster_id || null,
+    cluster_size: article.cluster_size || 1,
+    related_articles: article.related_articles || [],
+    rank_score: article.rank_score ?? null,
+    rank_factors: article.rank_factors || null,
+    displayDate: article.date || new Date().toISOString().split('T')[0],
+    ...fields
+  };
+}
+
 
 /**
  * @route GET /api/fns/news/feed
- * @desc Get news feed with optional filtering
+ * @desc Get news feed with filtering, sort orders and facet counts.
+ *       categories and sourceDomain take comma-separated lists; categoryMode=all requires every category.
+ *       sort is recency (default), severity, bias, trending or rank (composite rank_score, with rank_factors);
+ *       q filters with the /search syntax.
+ *       Page with cursor=pagination.nextCursor (by keyset); count=false skips the total.
  * @access Public
  */
 router.get('/feed', async (req, res) => {
@@ -41,19 +83,55 @@ router.get('/feed', async (req, res) => {
     const {
       limit = 20,
       offset = 0,
+      cursor,
+      count = 'true',
       category,
+      categories,
+      categoryMode = 'any',
       minSeverity = 0,
+      maxSeverity,
+      fromDate,
+      toDate,
+      sourceDomain,
+      minBias,
+      maxBias,
+      contentFetched,
+      hasImages,
+      q,
+      sort = 'recency',
       analysisStatus,
-      includeAnalysis = 'true'
+      includeAnalysis = 'true',
+      collapse = 'true',
+      facets = 'true'
     } = req.query;
 
+    const list = value => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+    const number = value => (value !== undefined && value !== '' ? parseFloat(value) : null);
+    const flag = value => (value === 'true' ? true : value === 'false' ? false : null);
+
     const options = {
       limit: parseInt(limit),
       offset: parseInt(offset),
+      cursor,
+      includeTotal: count !== 'false',
       category,
+      categories: list(categories),
+      categoryMode,
       minSeverity: parseFloat(minSeverity),
+      maxSeverity: number(maxSeverity),
+      fromDate,
+      toDate,
+      sourceDomains: list(sourceDomain),
+      minBias: number(minBias),
+      maxBias: number(maxBias),
+      contentFetched: flag(contentFetched),
+      hasImages: flag(hasImages),
+      query: q,
+      sort,
       analysisStatus,
-      includeAnalysis: includeAnalysis === 'true'
+      includeAnalysis: includeAnalysis === 'true',
+      collapseClusters: collapse !== 'false',
+      includeFacets: facets !== 'false'
     };
 
     const result = await newsService.getNewsFeed(options);
@@ -61,10 +139,19 @@ router.get('/feed', async (req, res) => {
     res.json({
       success: true,
       data: result.articles,
-      pagination: result.pagination
+      pagination: result.pagination,
+      facets: result.facets || null
     });
 
   } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid feed filters',
+        details: error.validationErrors
+      });
+    }
+
     console.error('Error getting news feed:', error);
     res.status(500).json({
       success: false,
@@ -108,16 +195,17 @@ router.get('/article/:id', async (req, res) => {
 
 /**
  * @route POST /api/fns/news/import
- * @desc Import articles from newsletter system
+ * @desc Import articles from newsletter system (unchanged files are skipped unless force is set)
  * @access Admin (add auth middleware later)
  */
 router.post('/import', async (req, res) => {
   try {
-    const { includeImages = false, batchSize = 50 } = req.body;
+    const { includeImages = false, batchSize = 50, force = false } = req.body;
 
     const result = await newsService.importArticles({
       includeImages,
-      batchSize
+      batchSize,
+      force
     });
 
     res.json({
@@ -136,6 +224,63 @@ router.post('/import', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/fns/news/pipeline
+ * @desc Get article counts per pipeline state (seed, fetched, extracted, analyzed) and content status
+ * @access Public
+ */
+router.get('/pipeline', async (req, res) => {
+  try {
+    const stats = await dataService.pipeline.getStats();
+
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Error getting pipeline stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pipeline statistics',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/fns/news/pipeline/run
+ * @desc Store new seeds and fetch stored seeds (analysis runs in the scheduled pipeline)
+ * @access Admin (add auth middleware later)
+ */
+router.post('/pipeline/run', async (req, res) => {
+  try {
+    const { limit = 20, minSeverity = 70, daysBack = 3, offline = false } = req.body;
+
+    const report = await dataService.pipeline.run({
+      limit: parseInt(limit),
+      minSeverity: parseFloat(minSeverity),
+      daysBack: parseInt(daysBack),
+      offline: offline === true ? true : undefined,
+      analyze: false
+    });
+
+    res.json({
+      success: true,
+      message: 'Pipeline run complete',
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error running pipeline:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run pipeline',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route GET /api/fns/news/pending-analysis
  * @desc Get articles pending Keisha analysis
@@ -223,24 +368,24 @@ router.get('/stats', async (req, res) => {
 
 /**
  * @route GET /api/fns/news/categories
- * @desc Get all news categories
+ * @desc Get all news categories with their synonyms, match patterns, severity weight and article count
  * @access Public
  */
 router.get('/categories', async (req, res) => {
   try {
-    const [categories] = await newsService.pool.execute(`
-      SELECT
-        c.id, c.name, c.description, c.color_code,
-        COUNT(ac.article_id) as article_count
-      FROM fns_categories c
-      LEFT JOIN fns_article_categories ac ON c.id = ac.category_id
-      GROUP BY c.id, c.name, c.description, c.color_code
-      ORDER BY article_count DESC, c.name ASC
+    const categories = await newsService.taxonomy.getCategories({ useCache: false });
+    const [counts] = await newsService.pool.execute(`
+      SELECT category_id, COUNT(*) as article_count
+      FROM fns_article_categories
+      GROUP BY category_id
     `);
+    const articleCounts = new Map(counts.map(row => [row.category_id, Number(row.article_count)]));
 
     res.json({
       success: true,
       data: categories
+        .map(category => ({ ...category, article_count: articleCounts.get(category.id) || 0 }))
+        .sort((a, b) => b.article_count - a.article_count || a.name.localeCompare(b.name))
     });
 
   } catch (error) {
@@ -253,9 +398,215 @@ router.get('/categories', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/fns/news/categories/reclassify
+ * @desc Classify stored articles again with the current categories (run after editing the taxonomy)
+ *       Body: fromDate/toDate (YYYY-MM-DD) to limit the run to a date range
+ * @access Admin
+ */
+router.post('/categories/reclassify', async (req, res) => {
+  try {
+    const { fromDate = null, toDate = null } = req.body;
+
+    const report = await newsService.reclassifyArticles({ fromDate, toDate });
+
+    res.json({
+      success: true,
+      message: 'Articles reclassified',
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error reclassifying articles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reclassify articles',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/fns/news/categories/:id
+ * @desc Get one category
+ * @access Public
+ */
+router.get('/categories/:id', async (req, res) => {
+  try {
+    const category = await newsService.taxonomy.getCategory(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: category
+    });
+
+  } catch (error) {
+    console.error('Error getting category:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch category',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Create (no id) or update a category, mapping validation errors to 400
+ */
+async function saveCategory(req, res, id = null) {
+  try {
+    const category = await newsService.taxonomy.saveCategory({ ...req.body, id });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+
+    res.status(id === null ? 201 : 200).json({
+      success: true,
+      message: 'Category saved; run POST /categories/reclassify to update article categories',
+      data: category
+    });
+
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid category',
+        details: error.validationErrors
+      });
+    }
+
+    console.error('Error saving category:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save category',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * @route POST /api/fns/news/categories
+ * @desc Create a category (name, description, synonyms, match_patterns, color_code, severity_weight)
+ * @access Admin
+ */
+router.post('/categories', (req, res) => saveCategory(req, res));
+
+/**
+ * @route PUT /api/fns/news/categories/:id
+ * @desc Update a category (name, description, synonyms, match_patterns, color_code, severity_weight)
+ * @access Admin
+ */
+router.put('/categories/:id', (req, res) => saveCategory(req, res, req.params.id));
+
+/**
+ * @route DELETE /api/fns/news/categories/:id
+ * @desc Delete a category and its article mappings
+ * @access Admin
+ */
+router.delete('/categories/:id', async (req, res) => {
+  try {
+    const deleted = await newsService.taxonomy.deleteCategory(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Category deleted; run POST /categories/reclassify to update article keywords'
+    });
+
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete category',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/fns/news/sources
+ * @desc Get registered newsletter sources
+ * @access Public
+ */
+router.get('/sources', async (req, res) => {
+  try {
+    const sources = await hybridService.criticalParser.sourceRegistry.getSources({ useCache: false });
+
+    res.json({
+      success: true,
+      data: sources
+    });
+
+  } catch (error) {
+    console.error('Error getting sources:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sources',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/fns/news/sources/:id
+ * @desc Create or update a newsletter source (base URL, file pattern, parser type, trust weight, enabled)
+ * @access Admin
+ */
+router.put('/sources/:id', async (req, res) => {
+  try {
+    const source = await hybridService.criticalParser.sourceRegistry.saveSource({
+      ...req.body,
+      id: req.params.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Source saved',
+      data: source
+    });
+
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid source',
+        details: error.validationErrors
+      });
+    }
+
+    console.error('Error saving source:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save source',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route GET /api/fns/news/search
- * @desc Search articles by title or content
+ * @desc Full-text search ranked by relevance, with highlighted snippets and facet counts.
+ *       q supports "exact phrases", -excluded words and OR; filter by category, minSeverity,
+ *       keyword, severity band or date, and sort by relevance (default) or date.
+ *       Relevance pages by offset (pagination.pagedBy is 'offset'), so articles imported between
+ *       requests can repeat or skip results; sort=date pages by keyset.
  * @access Public
  */
 router.get('/search', async (req, res) => {
@@ -264,8 +615,15 @@ router.get('/search', async (req, res) => {
       q: query,
       limit = 20,
       offset = 0,
+      cursor,
+      count = 'true',
       category,
-      minSeverity = 0
+      minSeverity = 0,
+      keyword,
+      severity,
+      date,
+      sort = 'relevance',
+      facets = 'true'
     } = req.query;
 
     if (!query || query.trim().length < 2) {
@@ -275,96 +633,44 @@ router.get('/search', async (req, res) => {
       });
     }
 
-    let searchQuery = `
-      SELECT
-        a.id, a.title, a.url, a.summary, a.keyword,
-        a.severity_score, a.date, a.featured_image,
-        a.analysis_status,
-        k.keisha_summary, k.bias_score
-      FROM fns_articles a
-      LEFT JOIN fns_keisha_analysis k ON a.id = k.article_id
-      WHERE (
-        a.title LIKE ? OR
-        a.content LIKE ? OR
-        a.summary LIKE ?
-      )
-    `;
-
-    const searchTerm = `%${query}%`;
-    const params = [searchTerm, searchTerm, searchTerm];
-
-    if (category) {
-      searchQuery += `
-        AND a.id IN (
-          SELECT ac.article_id
-          FROM fns_article_categories ac
-          JOIN fns_categories c ON ac.category_id = c.id
-          WHERE c.name = ?
-        )
-      `;
-      params.push(category);
-    }
-
-    if (minSeverity > 0) {
-      searchQuery += ' AND a.severity_score >= ?';
-      params.push(minSeverity);
-    }
-
-    searchQuery += `
-      ORDER BY a.date DESC
-      LIMIT ? OFFSET ?
-    `;
-
-    params.push(parseInt(limit), parseInt(offset));
-
-    const [articles] = await newsService.pool.execute(searchQuery, params);
-
-    // Get total count
-    let countQuery = `
-      SELECT COUNT(*) as total
-      FROM fns_articles a
-      WHERE (
-        a.title LIKE ? OR
-        a.content LIKE ? OR
-        a.summary LIKE ?
-      )
-    `;
-
-    const countParams = [searchTerm, searchTerm, searchTerm];
-
-    if (category) {
-      countQuery += `
-        AND a.id IN (
-          SELECT ac.article_id
-          FROM fns_article_categories ac
-          JOIN fns_categories c ON ac.category_id = c.id
-          WHERE c.name = ?
-        )
-      `;
-      countParams.push(category);
-    }
-
-    if (minSeverity > 0) {
-      countQuery += ' AND a.severity_score >= ?';
-      countParams.push(minSeverity);
-    }
-
-    const [countResult] = await newsService.pool.execute(countQuery, countParams);
-    const total = countResult[0].total;
+    const result = await newsService.searchService.search(query, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      cursor,
+      includeTotal: count !== 'false',
+      category,
+      minSeverity: parseFloat(minSeverity),
+      keyword,
+      severity,
+      date,
+      sort,
+      includeFacets: facets !== 'false'
+    });
 
     res.json({
       success: true,
-      data: articles,
+      data: result.articles,
       pagination: {
-        total,
+        total: result.total,
         limit: parseInt(limit),
-        offset: parseInt(offset),
-        hasMore: parseInt(offset) + parseInt(limit) < total
+        offset: cursor ? null : parseInt(offset),
+        hasMore: result.hasMore,
+        nextCursor: result.nextCursor,
+        pagedBy: result.pagedBy
       },
+      facets: result.facets,
       query
     });
 
   } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search query',
+        details: error.validationErrors
+      });
+    }
+
     console.error('Error searching articles:', error);
     res.status(500).json({
       success: false,
@@ -400,7 +706,7 @@ router.post('/initialize', async (req, res) => {
 
 /**
  * @route GET /api/fns/data/hybrid
- * @desc Get live articles with Keisha analysis and images
+ * @desc Get stored hybrid articles with Keisha analysis and images, or the precomputed snapshot while the database is empty
  * @access Public
  */
 router.get('/data/hybrid', async (req, res) => {
@@ -408,12 +714,10 @@ router.get('/data/hybrid', async (req, res) => {
     const {
       limit = 20,
       minSeverity = 70,
-      useLiveData = 'true',
-      daysBack = '1',
       topOnly = 'false'
     } = req.query;
 
-    const key = JSON.stringify({ limit, minSeverity, daysBack, topOnly });
+    const key = JSON.stringify({ limit, minSeverity, topOnly });
 
     // Micro-cache
     const cached = getCached(key);
@@ -429,44 +733,47 @@ router.get('/data/hybrid', async (req, res) => {
       return res.json(dedup);
     }
 
-    console.log(`🎯 Hybrid request: limit=${limit}, minSeverity=${minSeverity}, daysBack=${daysBack}, topOnly=${topOnly}`);
+    console.log(`🎯 Hybrid request: limit=${limit}, minSeverity=${minSeverity}, topOnly=${topOnly}`);
 
+    const cardLimit = topOnly === 'true' ? 6 : parseInt(limit);
 
-    console.log(`🎯 Getting live articles with Keisha analysis: limit=${limit}, minSeverity=${minSeverity}`);
+    // 1) Articles stored by the pipeline
+    try {
+      const stored = await dataService.getStoredArticles({
+        limit: cardLimit,
+        minSeverity: parseFloat(minSeverity)
+      });
 
-    // 1) Precomputed snapshots first
+      if (stored.length > 0) {
+        const cards = stored.map(article => toHybridCard(article, {
+          bias_score: article.bias_score ?? article.severity_score,
+          source_type: 'database',
+          analysis_status: article.analysis_status,
+          pipeline_state: article.pipeline_state,
+          imported_at: article.imported_at
+        }));
+        const payload = { success: true, data: cards, count: cards.length, source: 'database', timestamp: new Date().toISOString() };
+        setCached(key, payload);
+        res.set('Cache-Control', 'public, max-age=60, stale-while-revalidate=300');
+        return res.json(payload);
+      }
+    } catch (e) {
+      console.warn('Article database not available:', e.message);
+    }
+
+    // 2) Precomputed snapshots
     try {
       const fileName = topOnly === 'true' ? 'top_6.json' : 'rest.json';
       const url = `${PRECOMPUTED_BASE_URL}/${fileName}`;
       const resp = await axios.get(url, { timeout: 8000 });
       if (Array.isArray(resp.data) && resp.data.length > 0) {
-        const mapped = resp.data.map(article => {
-          const articleImages = article.images || [];
-          const featuredImage = articleImages.length > 0 ? (articleImages[0].url || articleImages[0]) :
-            'https://images.unsplash.com/photo-1504711434969-e33886168f5c?auto=format&fit=crop&w=800&q=80';
-          return {
-            id: article.id || `hybrid-${Date.now()}-${Math.random()}`,
-            title: article.title,
-            url: article.url,
-            content: article.full_content || article.content || article.summary,
-            summary: article.summary,
-            keyword: article.keyword,
-            severity_score: article.severity_score,
-            sentiment: article.sentiment || 0,
-            date: article.date,
-            images: articleImages,
-            hasImages: articleImages.length > 0,
-            featured_image: featuredImage,
-            keisha_analysis: article.keisha_analysis || article.newsletter_analysis || '',
-            bias_score: article.severity_score,
-            source_type: 'precomputed',
-            content_fetched: !!article.full_content,
-            analysis_status: article.analysis_status || 'enhanced',
-            displayDate: article.date || new Date().toISOString().split('T')[0],
-            imported_at: article.enhanced_at || new Date().toISOString()
-          };
-        });
-        const limited = topOnly === 'true' ? mapped.slice(0, 6) : mapped.slice(0, parseInt(limit));
+        // Older snapshots were written before clustering; collapsing is a no-op on clustered ones
+        const mapped = hybridService.clusterer.collapse(resp.data).map(article => toHybridCard(article, {
+          source_type: 'precomputed',
+          analysis_status: article.analysis_status || 'enhanced',
+          imported_at: article.enhanced_at || new Date().toISOString()
+        }));
+        const limited = mapped.slice(0, cardLimit);
         const payload = { success: true, data: limited, count: limited.length, source: 'precomputed', timestamp: new Date().toISOString() };
         setCached(key, payload);
         res.set('Cache-Control', 'public, max-age=60, stale-while-revalidate=300');
@@ -476,90 +783,8 @@ router.get('/data/hybrid', async (req, res) => {
       console.warn('Precomputed not available:', e.message);
     }
 
-    // 2) Live compute guarded by options
-    if (useLiveData === 'true') {
-      try {
-        const hybridArticles = await hybridService.getEnhancedArticles({
-          limit: parseInt(limit),
-          minSeverity: parseFloat(minSeverity),
-          daysBack: parseInt(daysBack),
-          includeImages: true,
-          allowPartial: true
-        });
-
-        const liveArticles = (topOnly === 'true' ? hybridArticles.slice(0, 6) : hybridArticles)
-          .map(article => {
-            const articleImages = article.images || [];
-            const featuredImage = articleImages.length > 0 ? articleImages[0].url :
-              'https://images.unsplash.com/photo-1504711434969-e33886168f5c?auto=format&fit=crop&w=800&q=80';
-            return {
-              id: article.id || `hybrid-${Date.now()}-${Math.random()}`,
-              title: article.title,
-              url: article.url,
-              content: article.full_content || article.content || article.summary,
-              summary: article.summary,
-              keyword: article.keyword,
-              severity_score: article.severity_score,
-              sentiment: article.sentiment || 0,
-              date: article.date,
-              images: articleImages,
-              hasImages: articleImages.length > 0,
-              featured_image: featuredImage,
-              keisha_analysis: article.keisha_analysis || `Hybrid analysis: ${article.keyword} patterns detected with ${article.severity_score}% severity score.`,
-              bias_score: article.severity_score,
-              source_type: 'hybrid_enhanced',
-              content_fetched: !!article.full_content,
-              analysis_status: 'enhanced',
-              displayDate: article.date || new Date().toISOString().split('T')[0],
-              imported_at: new Date().toISOString()
-            };
-          });
-
-        const payload = {
-          success: true,
-          data: topOnly === 'true' ? liveArticles.slice(0, 6) : liveArticles.slice(0, parseInt(limit)),
-          count: topOnly === 'true' ? Math.min(6, liveArticles.length) : Math.min(parseInt(limit), liveArticles.length),
-          source: 'hybrid_enhanced_live',
-          timestamp: new Date().toISOString()
-        };
-        setCached(key, payload);
-        res.set('Cache-Control', 'public, max-age=60, stale-while-revalidate=300');
-        return res.json(payload);
-      } catch (hybridError) {
-        console.error('❌ Failed to get hybrid data live:', hybridError.message);
-      }
-    }
-
-    // 3) Fallback: cached newsletter seeds only
-    const criticalParser = hybridService.criticalParser;
-    const rawArticles = await criticalParser.getLatestCriticalArticles({
-      limit: parseInt(limit) * 2,
-      minSeverity: parseFloat(minSeverity),
-      daysBack: parseInt(daysBack)
-    });
-
-    const filteredArticles = rawArticles
-      .filter(article => article.severity_score >= parseFloat(minSeverity))
-      .slice(0, topOnly === 'true' ? 6 : parseInt(limit))
-      .map(article => ({
-        ...article,
-        id: article.id || `article-${Date.now()}-${Math.random()}`,
-        images: article.images || [],
-        hasImages: article.images && article.images.length > 0,
-        ready_for_keisha: true,
-        content_fetched: !!article.full_content,
-        source_type: 'cached_newsletter',
-        displayDate: article.date || new Date().toISOString().split('T')[0]
-      }));
-
-    const payload = {
-      success: true,
-      data: filteredArticles,
-      count: filteredArticles.length,
-      source: 'cached_fallback',
-      timestamp: new Date().toISOString()
-    };
-    setCached(key, payload);
+    // 3) Nothing stored yet: the worker fills the database, requests never run the pipeline
+    const payload = { success: true, data: [], count: 0, source: 'database', timestamp: new Date().toISOString() };
     res.set('Cache-Control', 'public, max-age=60, stale-while-revalidate=300');
     return res.json(payload);
 
@@ -602,6 +827,50 @@ router.get('/data/status', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/fns/news/threat/history
+ * @desc Get daily threat-level snapshots as a time series: threat level, average/max/min severity,
+ *       keyword counts and the newsletter severity meter. Range is from..to (YYYY-MM-DD),
+ *       defaulting to the last `days` (30) days; interval is day, week or month.
+ * @access Public
+ */
+router.get('/threat/history', async (req, res) => {
+  try {
+    const { from, to, days = 30, interval = 'day' } = req.query;
+
+    const toDate = to || new Date().toISOString().split('T')[0];
+    let fromDate = from;
+    if (!fromDate) {
+      const start = new Date(`${toDate}T00:00:00Z`);
+      start.setUTCDate(start.getUTCDate() - (parseInt(days) || 30) + 1);
+      fromDate = Number.isNaN(start.getTime()) ? null : start.toISOString().split('T')[0];
+    }
+
+    const series = await newsService.threatHistory.getSeries({ fromDate, toDate, interval });
+
+    res.json({
+      success: true,
+      data: series
+    });
+
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid threat history range',
+        details: error.validationErrors
+      });
+    }
+
+    console.error('Error getting threat history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch threat history',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route GET /api/fns/data/summary
  * @desc Get daily summary/threat assessment
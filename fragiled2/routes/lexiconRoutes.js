@@ -0,0 +1,220 @@
+const express = require('express');
+const router = express.Router();
+const BiasLexicon = require('../services/biasLexicon');
+
+// Initialize the bias lexicon store
+const lexicon = new BiasLexicon();
+
+// CSV imports arrive as text
+router.use(express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }));
+
+/**
+ * Parse a version parameter: null when absent, NaN when invalid
+ */
+function parseVersion(value) {
+  if (value === undefined || value === null || value === '' || value === 'latest') return null;
+  return /^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN;
+}
+
+/**
+ * Send the result of a lexicon change, mapping validation errors to 400
+ */
+async function publishChange(res, change, notFound = 'Lexicon entry not found') {
+  try {
+    const published = await change();
+
+    if (!published) {
+      return res.status(404).json({
+        success: false,
+        error: notFound
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Published bias lexicon version ${published.version}`,
+      data: published
+    });
+
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid lexicon',
+        details: error.validationErrors
+      });
+    }
+
+    console.error('Error changing bias lexicon:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change bias lexicon',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * @route GET /api/fns/lexicon
+ * @desc Get the latest bias lexicon, or an earlier one with ?version= (0 is the built-in lexicon)
+ * @access Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const version = parseVersion(req.query.version);
+    if (Number.isNaN(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be a version number'
+      });
+    }
+
+    const current = await lexicon.getLexicon({ version, useCache: false });
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lexicon version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...current,
+        categories: BiasLexicon.LEXICON_CATEGORIES
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting bias lexicon:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bias lexicon',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/fns/lexicon/versions
+ * @desc List published lexicon versions, newest first
+ * @access Public
+ */
+router.get('/versions', async (req, res) => {
+  try {
+    const versions = await lexicon.getVersions(Math.min(parseInt(req.query.limit) || 50, 200));
+
+    res.json({
+      success: true,
+      data: versions
+    });
+
+  } catch (error) {
+    console.error('Error listing lexicon versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list lexicon versions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/fns/lexicon/export
+ * @desc Export a lexicon version as JSON or CSV
+ *       Query: format (json or csv), version (latest by default)
+ * @access Admin
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    const version = parseVersion(req.query.version);
+
+    if (!['json', 'csv'].includes(format) || Number.isNaN(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be json or csv, and version a version number'
+      });
+    }
+
+    const current = await lexicon.getLexicon({ version, useCache: false });
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lexicon version not found'
+      });
+    }
+
+    const fileName = `fns_lexicon_v${current.version}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      return res.type('text/csv').send(lexicon.export(current, 'csv'));
+    }
+    res.json(lexicon.export(current, 'json'));
+
+  } catch (error) {
+    console.error('Error exporting bias lexicon:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export bias lexicon',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/fns/lexicon/import
+ * @desc Import entries as a new version: a JSON body { entries } or text/csv with a header row
+ *       Query or body: mode (replace or merge), note
+ * @access Admin
+ */
+router.post('/import', (req, res) => publishChange(res, () => {
+  const isCsv = typeof req.body === 'string';
+  const options = {
+    mode: req.query.mode || (!isCsv && req.body.mode) || 'replace',
+    note: req.query.note || (!isCsv && req.body.note) || null
+  };
+
+  let entries = isCsv ? lexicon.parseCsv(req.body) : req.body.entries;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    const error = new Error('Invalid lexicon import');
+    error.validationErrors = ['send a JSON body with a non-empty entries list, or CSV text with at least one row'];
+    throw error;
+  }
+
+  return lexicon.importEntries(entries, options);
+}));
+
+/**
+ * @route POST /api/fns/lexicon/terms
+ * @desc Add an entry (term, category, weight, rationale, examples) as a new version; body note describes the change
+ * @access Admin
+ */
+router.post('/terms', (req, res) => {
+  const { note = null, ...entry } = req.body;
+  return publishChange(res, () => lexicon.saveEntry(entry, { note }));
+});
+
+/**
+ * @route PUT /api/fns/lexicon/terms/:term
+ * @desc Change an entry (term, category, weight, rationale, examples) as a new version
+ * @access Admin
+ */
+router.put('/terms/:term', (req, res) => {
+  const { note = null, ...entry } = req.body;
+  return publishChange(res, () => lexicon.saveEntry(entry, { term: req.params.term, note }));
+});
+
+/**
+ * @route DELETE /api/fns/lexicon/terms/:term
+ * @desc Remove an entry as a new version
+ * @access Admin
+ */
+router.delete('/terms/:term', (req, res) =>
+  publishChange(res, () => lexicon.deleteEntry(req.params.term, { note: req.query.note || null }))
+);
+
+module.exports = router;
@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+
+/**
+ * Historical Backfill Script for FNS
+ * Imports a date range from the newsletter archive into MySQL, one day at a time
+ * - Each day covers the full_articles sources and the critical newsletter sources; newsletter
+ *   stories are stored as pipeline seeds for the worker to fetch and analyze
+ * - Completed days are recorded in a checkpoint file so an interrupted run resumes where it stopped
+ * - --dry-run fetches and parses files but writes nothing
+ * - --enhance fetches each article's full page (and each new seed's), --analyze queues the range for Keisha analysis
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const FNSNewsService = require('../services/fnsNewsService');
+const HybridNewsService = require('../services/hybridNewsService');
+const ArticlePipeline = require('../services/articlePipeline');
+
+const DEFAULT_CHECKPOINT_PATH = process.env.BACKFILL_CHECKPOINT_PATH ||
+  path.join(__dirname, '../data/state/backfill_checkpoint.json');
+
+function getArg(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : null;
+}
+
+function parseDay(value, name) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+    throw new Error(`${name} must be a date in YYYY-MM-DD format, got "${value}"`);
+  }
+  return value;
+}
+
+function parseOptions(argv) {
+  const args = argv.slice(2);
+  const today = new Date().toISOString().split('T')[0];
+
+  const to = parseDay(getArg(args, '--to') || today, '--to');
+  let from = getArg(args, '--from');
+
+  if (!from) {
+    const days = parseInt(getArg(args, '--days') || '30', 10);
+    const start = new Date(`${to}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - (days - 1));
+    from = start.toISOString().split('T')[0];
+  }
+  parseDay(from, '--from');
+
+  if (from > to) {
+    throw new Error(`--from (${from}) is after --to (${to})`);
+  }
+
+  return {
+    from,
+    to,
+    dryRun: args.includes('--dry-run'),
+    enhance: args.includes('--enhance'),
+    analyze: args.includes('--analyze'),
+    restart: args.includes('--restart'),
+    checkpointPath: getArg(args, '--checkpoint') || DEFAULT_CHECKPOINT_PATH,
+    analyzeBatch: parseInt(getArg(args, '--analyze-batch') || '25', 10)
+  };
+}
+
+/**
+ * Days in a range, newest first so recent history is usable soonest
+ */
+function listDays(from, to) {
+  const days = [];
+  const date = new Date(`${to}T00:00:00Z`);
+
+  while (date.toISOString().split('T')[0] >= from) {
+    days.push(date.toISOString().split('T')[0]);
+    date.setUTCDate(date.getUTCDate() - 1);
+  }
+
+  return days;
+}
+
+async function loadCheckpoint(checkpointPath) {
+  try {
+    const content = await fs.readFile(checkpointPath, 'utf8');
+    return { days: {}, ...JSON.parse(content) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Could not read checkpoint ${checkpointPath}:`, error.message);
+    }
+    return { days: {} };
+  }
+}
+
+async function saveCheckpoint(checkpointPath, checkpoint) {
+  const tmpPath = `${checkpointPath}.tmp`;
+  await fs.mkdir(path.dirname(checkpointPath), { recursive: true });
+  await fs.writeFile(tmpPath, JSON.stringify({
+    version: 1,
+    updated_at: new Date().toISOString(),
+    ...checkpoint
+  }, null, 2));
+  await fs.rename(tmpPath, checkpointPath);
+}
+
+/**
+ * Fetch full pages for a day's articles and store what was found
+ */
+async function enhanceDay(hybridService, newsService, articles) {
+  const enhanced = await Promise.all(
+    articles.map(article => hybridService.enhanceSeed(article, { includeImages: true }))
+  );
+
+  // Keep the archive's id and URL so the stored row is updated rather than duplicated
+  const fetched = enhanced
+    .map((article, index) => ({ ...article, id: articles[index].id, url: articles[index].url }))
+    .filter(article => article.content_fetched);
+
+  const stored = await newsService.storeArticles(fetched);
+
+  try {
+    await hybridService.cache.save();
+  } catch (cacheError) {
+    console.warn('Could not save article cache:', cacheError.message);
+  }
+
+  return { enhanced: fetched.length, failed: stored.failed };
+}
+
+/**
+ * Fetch and extract a day's newsletter seeds that are still waiting in the seed state
+ */
+async function enhanceSeeds(pipeline, seeds) {
+  const pending = await pipeline.newsService.getArticlesInState('seed', {
+    ids: seeds.map(seed => seed.id),
+    limit: seeds.length,
+    maxFetchAttempts: pipeline.maxFetchAttempts
+  });
+
+  const states = await Promise.all(pending.map(seed => pipeline.enhanceSeed(seed)));
+  return states.filter(state => state === 'extracted').length;
+}
+
+/**
+ * Queue the range's pending articles for Keisha analysis and wait for the queue to drain
+ */
+async function analyzeRange(newsService, options) {
+  const KeishaAnalysisIntegration = require('../services/keishaAnalysisIntegration');
+  const keishaIntegration = new KeishaAnalysisIntegration();
+
+  try {
+    const connectionTest = keishaIntegration.usesKeisha()
+      ? await keishaIntegration.testKeishaConnection()
+      : { connected: true };
+    if (!connectionTest.connected) {
+      console.warn(`⚠️ Keisha AI unreachable (${connectionTest.error}), skipping analysis`);
+      console.warn('   Run later with: npm run analyze:pending');
+      return { analyzed: 0, skipped: true };
+    }
+
+    let analyzed = 0;
+    for (;;) {
+      const articles = await newsService.getArticlesPendingAnalysis(options.analyzeBatch, {
+        fromDate: options.from,
+        toDate: options.to
+      });
+      if (articles.length === 0) break;
+
+      // Queueing marks the batch 'processing', so a failing article is never picked up twice;
+      // failed jobs wait out their backoff in the queue and the worker cron retries them
+      await keishaIntegration.queueArticlesForAnalysis(articles);
+      await keishaIntegration.processAnalysisQueue();
+
+      analyzed += articles.length;
+      console.log(`   🤖 Analyzed ${analyzed} articles so far`);
+    }
+
+    return { analyzed, skipped: false };
+  } finally {
+    await keishaIntegration.pool.end();
+  }
+}
+
+function formatDayReport(day, report) {
+  const files = report.files;
+  const parts = [
+    `files ${files.new} new, ${files.changed} changed, ${files.skipped} unchanged, ${files.missing} missing, ${files.failed} failed`,
+    `${report.stories} stories, ${report.seeds} newsletter seeds`
+  ];
+
+  if (report.dry_run) {
+    parts.push('dry run, nothing stored');
+  } else {
+    parts.push(`${report.imported} new, ${report.updated} updated, ${report.store_failed} failed`);
+    parts.push(`seeds ${report.seeds_imported} new, ${report.seeds_existing} stored before`);
+  }
+
+  if (report.enhanced !== undefined) {
+    parts.push(`${report.enhanced}/${report.stories + report.seeds} enhanced`);
+  }
+
+  const icon = report.status === 'done' ? '✅' : '⚠️';
+  return `${icon} ${day}  ${parts.join(' | ')}`;
+}
+
+async function backfill() {
+  let options;
+  try {
+    options = parseOptions(process.argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log('🗄️  Starting FNS Historical Backfill...\n');
+  console.log('⚙️  Backfill Configuration:');
+  console.log(`   - Range: ${options.from} to ${options.to}`);
+  console.log(`   - Dry Run: ${options.dryRun ? 'Yes' : 'No'}`);
+  console.log(`   - Enhance Articles: ${options.enhance ? 'Yes' : 'No'}`);
+  console.log(`   - Keisha Analysis: ${options.analyze ? 'Yes' : 'No'}`);
+  console.log(`   - Checkpoint: ${options.dryRun ? 'not used in dry run' : options.checkpointPath}\n`);
+
+  const newsService = new FNSNewsService();
+  const newsImporter = newsService.newsImporter;
+  const hybridService = new HybridNewsService();
+  const criticalParser = hybridService.criticalParser;
+  const pipeline = new ArticlePipeline({ newsService, hybridService });
+  const enhance = options.enhance && !options.dryRun;
+
+  try {
+    const checkpoint = options.restart ? { days: {} } : await loadCheckpoint(options.checkpointPath);
+    const sources = await newsImporter.sourceRegistry.getEnabledSources('full_articles');
+    const newsletterSources = await criticalParser.sourceRegistry.getEnabledSources('newsletter');
+    console.log(`📚 Sources: ${sources.map(source => source.id).join(', ')}`);
+    console.log(`📰 Newsletter sources: ${newsletterSources.map(source => source.id).join(', ')}\n`);
+
+    await criticalParser.loadTaxonomy();
+    await criticalParser.loadLexicon();
+
+    const days = listDays(options.from, options.to);
+    const totals = { days: 0, resumed: 0, incomplete: 0, stories: 0, seeds: 0, imported: 0, seedsImported: 0, updated: 0, failed: 0, enhanced: 0 };
+    const startTime = Date.now();
+
+    for (const day of days) {
+      if (checkpoint.days[day] && checkpoint.days[day].status === 'done') {
+        totals.resumed++;
+        console.log(`⏭️ ${day}  already backfilled (${checkpoint.days[day].completed_at}), skipping`);
+        continue;
+      }
+
+      // Unchanged files still return their stories so every row is stored again
+      const date = new Date(`${day}T00:00:00Z`);
+      const { articles, files } = await newsImporter.importDay(date, { sources });
+      const newsletters = await criticalParser.importNewsletterDay(date, { sources: newsletterSources });
+      const seeds = hybridService.clusterer.collapse(newsletters.articles);
+      const summary = newsImporter.ledger.summarize([...files, ...newsletters.files]);
+
+      const report = {
+        files: { new: summary.new, changed: summary.changed, skipped: summary.skipped, missing: summary.missing, failed: summary.failed },
+        stories: articles.length,
+        seeds: seeds.length,
+        dry_run: options.dryRun
+      };
+
+      let storedIds = [];
+      let storedSeedIds = [];
+      if (!options.dryRun) {
+        const stored = await newsService.storeArticles(articles);
+        storedIds = stored.storedIds;
+        Object.assign(report, { imported: stored.imported, updated: stored.updated, store_failed: stored.failed });
+
+        // Newsletter stories are only blurbs: they are stored as seeds and never overwrite a stored article
+        const storedSeeds = await pipeline.storeSeeds(seeds);
+        storedSeedIds = storedSeeds.storedIds;
+        Object.assign(report, { seeds_imported: storedSeeds.imported, seeds_existing: storedSeeds.existing });
+        report.store_failed += storedSeeds.failed;
+
+        if (enhance) {
+          const enhancement = articles.length > 0
+            ? await enhanceDay(hybridService, newsService, articles)
+            : { enhanced: 0 };
+          report.enhanced = enhancement.enhanced + await enhanceSeeds(pipeline, seeds);
+        }
+      }
+
+      // A day with a failed file or row is retried on the next run
+      report.status = summary.failed === 0 && !report.store_failed ? 'done' : 'incomplete';
+      report.completed_at = new Date().toISOString();
+
+      if (!options.dryRun) {
+        // Files are recorded in the ledger only when all their stories were stored
+        await newsImporter.commitFiles(storedIds);
+        await criticalParser.commitFiles(storedSeedIds);
+
+        checkpoint.days[day] = report;
+        await saveCheckpoint(options.checkpointPath, checkpoint);
+      } else {
+        // Nothing was stored, so no file is recorded
+        newsImporter.ledger.heldFiles.clear();
+        criticalParser.ledger.heldFiles.clear();
+      }
+
+      totals.days++;
+      totals.incomplete += report.status === 'done' ? 0 : 1;
+      totals.stories += report.stories;
+      totals.seeds += report.seeds;
+      totals.imported += report.imported || 0;
+      totals.updated += report.updated || 0;
+      totals.seedsImported += report.seeds_imported || 0;
+      totals.failed += report.store_failed || 0;
+      totals.enhanced += report.enhanced || 0;
+
+      console.log(formatDayReport(day, report));
+    }
+
+    if (!options.dryRun && totals.imported + totals.updated + totals.seedsImported > 0) {
+      console.log('\n🧩 Reclustering stories in range...');
+      await newsService.updateClusters({ fromDate: options.from, toDate: options.to });
+    }
+
+    let analysis = null;
+    if (options.analyze && !options.dryRun) {
+      console.log('\n🤖 Running Keisha analysis on pending articles in range...');
+      analysis = await analyzeRange(newsService, options);
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    console.log(`\n${options.dryRun ? '🧪 Dry run' : '✅ Backfill'} completed in ${duration} seconds`);
+    console.log('📊 Results:');
+    console.log(`   - Days Processed: ${totals.days} (${totals.resumed} resumed from checkpoint, ${totals.incomplete} incomplete)`);
+    console.log(`   - Stories Found: ${totals.stories}`);
+    console.log(`   - Newsletter Seeds Found: ${totals.seeds}`);
+    if (!options.dryRun) {
+      console.log(`   - New Articles: ${totals.imported}`);
+      console.log(`   - Updated Articles: ${totals.updated}`);
+      console.log(`   - New Seeds: ${totals.seedsImported}`);
+      console.log(`   - Failed Articles: ${totals.failed}`);
+    }
+    if (enhance) {
+      console.log(`   - Enhanced Articles: ${totals.enhanced}`);
+    }
+    if (analysis) {
+      console.log(`   - Analyzed Articles: ${analysis.skipped ? 'skipped' : analysis.analyzed}`);
+    }
+    if (options.dryRun && (options.enhance || options.analyze)) {
+      console.log('   - Enhancement and analysis are skipped in a dry run');
+    }
+
+    if (totals.incomplete > 0) {
+      console.log('\n🔁 Some days were incomplete; run the same command again to retry them');
+    }
+
+  } catch (error) {
+    console.error('❌ Backfill failed:', error.message);
+    console.error('\nTroubleshooting:');
+    console.error('1. Verify database connection and that the schema is up to date');
+    console.error('2. Check network access to the newsletter archive');
+    console.error('3. Re-run the same command to resume from the checkpoint');
+    process.exitCode = 1;
+  } finally {
+    await newsService.pool.end();
+    await newsImporter.sourceRegistry.close();
+    await criticalParser.sourceRegistry.close();
+    await criticalParser.taxonomy.close();
+    await criticalParser.lexicon.close();
+  }
+}
+
+// Show help
+function showHelp() {
+  console.log('FNS Historical Backfill Script\n');
+  console.log('Usage: npm run backfill -- [options]\n');
+  console.log('Options:');
+  console.log('  --from YYYY-MM-DD  First day to import');
+  console.log('  --to YYYY-MM-DD    Last day to import (default: today)');
+  console.log('  --days N           Import the N days ending at --to when --from is not given (default: 30)');
+  console.log('  --dry-run          Fetch and parse files without storing anything');
+  console.log('  --enhance          Fetch full article and seed pages after storing each day');
+  console.log('  --analyze          Run Keisha analysis on pending articles in the range afterwards');
+  console.log('  --analyze-batch N  Articles claimed per analysis batch (default: 25)');
+  console.log('  --checkpoint PATH  Checkpoint file (default: data/state/backfill_checkpoint.json)');
+  console.log('  --restart          Ignore the checkpoint and import every day again');
+  console.log('  --help             Show this help message\n');
+  console.log('Examples:');
+  console.log('  npm run backfill -- --from 2025-01-01 --to 2025-01-31 --dry-run');
+  console.log('  npm run backfill -- --days 90 --enhance --analyze');
+}
+
+// Handle command line arguments
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+  showHelp();
+  process.exit(0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  backfill();
+}
+
+module.exports = backfill;
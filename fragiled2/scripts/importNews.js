@@ -18,6 +18,7 @@ async function importNews() {
     const args = process.argv.slice(2);
     const options = {
       includeImages: args.includes('--images'),
+      force: args.includes('--force'),
       batchSize: 100
     };
     
@@ -30,6 +31,7 @@ async function importNews() {
     console.log('⚙️  Import Configuration:');
     console.log(`   - Batch Size: ${options.batchSize}`);
     console.log(`   - Include Images: ${options.includeImages ? 'Yes' : 'No'}`);
+    console.log(`   - Re-import Unchanged Files: ${options.force ? 'Yes' : 'No'}`);
     console.log(`   - Source: ${process.env.LOCAL_NEWS_PATH || '../news_project'}\n`);
     
     // Start import
@@ -46,6 +48,9 @@ async function importNews() {
     console.log(`   - New Articles: ${result.imported}`);
     console.log(`   - Updated Articles: ${result.updated}`);
     console.log(`   - Total Processed: ${result.total}`);
+    if (result.files) {
+      console.log(`   - Files: ${result.files.new} new, ${result.files.changed} changed, ${result.files.skipped} skipped, ${result.files.missing} missing`);
+    }
     
     // Get updated statistics
     console.log('\n📈 Updated Database Statistics:');
@@ -78,6 +83,7 @@ function showHelp() {
   console.log('Usage: npm run import:news [options]\n');
   console.log('Options:');
   console.log('  --images           Include image extraction (slower)');
+  console.log('  --force            Re-import files the import ledger marks as unchanged');
   console.log('  --batch-size N     Set batch size (default: 100)');
   console.log('  --help             Show this help message\n');
   console.log('Examples:');
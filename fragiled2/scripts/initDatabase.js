@@ -20,21 +20,17 @@ async function initializeDatabase() {
     console.log('✅ Database connection successful\n');
     
     // Initialize schema
-    console.log('🏗️  Creating database schema...');
+    console.log('🏗️  Applying schema migrations...');
     await newsService.initializeDatabase();
-    console.log('✅ Database schema created successfully\n');
+    console.log('✅ Database schema is up to date\n');
     
     // Verify tables were created
     console.log('🔍 Verifying table creation...');
-    const [tables] = await newsService.pool.execute(`
-      SELECT TABLE_NAME 
-      FROM INFORMATION_SCHEMA.TABLES 
-      WHERE TABLE_SCHEMA = ? AND TABLE_NAME LIKE 'fns_%'
-    `, [process.env.DB_NAME || 'fns_database']);
+    const tables = await newsService.pool.listTables('fns_');
     
     console.log('📋 Created tables:');
     tables.forEach(table => {
-      console.log(`   - ${table.TABLE_NAME}`);
+      console.log(`   - ${table}`);
     });
     
     // Get initial statistics
@@ -54,7 +50,7 @@ async function initializeDatabase() {
     console.error('❌ Database initialization failed:', error.message);
     console.error('\nTroubleshooting:');
     console.error('1. Check your database connection settings in .env');
-    console.error('2. Ensure MySQL/MariaDB is running');
+    console.error('2. Ensure MySQL/MariaDB is running (or set DB_CLIENT=sqlite)');
     console.error('3. Verify database user has CREATE privileges');
     process.exit(1);
   } finally {
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Migration Script for FNS
+ * Shows, applies, reverts and creates migrations in database/migrations
+ */
+
+require('dotenv').config();
+const FNSNewsService = require('../services/fnsNewsService');
+const SchemaMigrator = require('../services/schemaMigrator');
+
+// Options followed by a value
+const VALUE_OPTIONS = ['--to', '--steps'];
+
+function getArg(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : null;
+}
+
+/**
+ * Arguments that are not options or option values: the command, then a migration name
+ */
+function getPositionals(args) {
+  return args.filter((arg, index) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[index - 1]));
+}
+
+async function showStatus(migrator) {
+  const status = await migrator.status();
+
+  console.log('📋 Migrations:');
+  status.migrations.forEach(row => {
+    const when = row.applied_at ? ` (${new Date(row.applied_at).toISOString()})` : '';
+    console.log(`   ${row.applied ? '✅' : '⏳'} ${row.version}_${row.name}${when}`);
+  });
+  status.missing.forEach(row => {
+    console.log(`   ❓ ${row.version}_${row.name} (applied, but no migration file)`);
+  });
+
+  console.log(`\n📊 Current version: ${status.current || 'none'}, ${status.pending.length} pending`);
+}
+
+async function migrate() {
+  const args = process.argv.slice(2);
+  const positionals = getPositionals(args);
+  const command = positionals[0] || 'up';
+  const to = getArg(args, '--to');
+  const steps = getArg(args, '--steps');
+
+  // Creating a migration only touches the filesystem
+  if (command === 'create') {
+    const name = positionals.slice(1).join(' ');
+    try {
+      const migration = await new SchemaMigrator(null).create(name);
+      console.log(`✅ Created ${migration.file}`);
+    } catch (error) {
+      console.error('❌ Could not create migration:', error.message);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const newsService = new FNSNewsService();
+  const migrator = newsService.migrator;
+
+  try {
+    if (command === 'status') {
+      await showStatus(migrator);
+    } else if (command === 'up') {
+      console.log('🗄️  Applying migrations...\n');
+      const applied = await migrator.up({
+        to,
+        steps: steps !== null ? parseInt(steps, 10) : null
+      });
+      console.log(applied.length > 0 ? `\n✅ Applied ${applied.length} migration(s)` : '✨ Schema is up to date');
+    } else if (command === 'down') {
+      console.log('🗄️  Reverting migrations...\n');
+      const reverted = await migrator.down({
+        to,
+        ...(steps !== null ? { steps: parseInt(steps, 10) } : {})
+      });
+      console.log(reverted.length > 0 ? `\n✅ Reverted ${reverted.length} migration(s)` : '✨ Nothing to revert');
+    } else {
+      console.error(`❌ Unknown command: ${command}\n`);
+      showHelp();
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error('\nTroubleshooting:');
+    console.error('1. Check your database connection settings in .env');
+    console.error('2. Verify the database user has ALTER and CREATE privileges');
+    console.error('3. Run: npm run migrate -- status');
+    process.exitCode = 1;
+  } finally {
+    await newsService.pool.end();
+  }
+}
+
+// Show help
+function showHelp() {
+  console.log('FNS Schema Migration Script\n');
+  console.log('Usage: npm run migrate -- [command] [options]\n');
+  console.log('Commands:');
+  console.log('  status             List migrations and whether each is applied');
+  console.log('  up                 Apply pending migrations (default)');
+  console.log('  down               Revert the most recent migration');
+  console.log('  create NAME        Create an empty migration file with the next version\n');
+  console.log('Options:');
+  console.log('  --to VERSION       up: stop after VERSION, down: revert everything after VERSION');
+  console.log('  --steps N          Apply or revert at most N migrations');
+  console.log('  --help             Show this help message\n');
+  console.log('Examples:');
+  console.log('  npm run migrate');
+  console.log('  npm run migrate -- status');
+  console.log('  npm run migrate -- --to 005');
+  console.log('  npm run migrate -- down --steps 2');
+  console.log('  npm run migrate -- create add article language');
+}
+
+// Handle command line arguments
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+  showHelp();
+  process.exit(0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  migrate();
+}
+
+migrate.getPositionals = getPositionals;
+
+module.exports = migrate;
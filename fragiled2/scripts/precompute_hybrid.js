@@ -4,6 +4,8 @@
  * Precompute hybrid-enhanced JSON snapshots for FNS
  * - Generates top_6.json and rest.json for fast CDN delivery
  * - Intended to be run by GitHub Actions hourly or on-demand
+ * - Reads the articles the pipeline stored, ordered by their stored rank scores with the
+ *   freshness decay applied as of now (see RANK_WEIGHT_* in .env.example)
  */
 
 const fs = require('fs');
@@ -14,25 +16,25 @@ async function main() {
   const outDir = outDirArgIndex !== -1 ? process.argv[outDirArgIndex + 1] : path.join('fragiled2', 'precomputed');
 
   // Lazy require to avoid side effects when not needed
-  const HybridNewsService = require('../services/hybridNewsService');
-  const hybridService = new HybridNewsService();
+  const FNSNewsService = require('../services/fnsNewsService');
+  const EnhancedDataService = require('../services/enhancedDataService');
+  const newsService = new FNSNewsService();
+  const dataService = new EnhancedDataService({ newsService });
 
   const limit = parseInt(process.env.PRECOMPUTE_LIMIT || '24', 10);
   const minSeverity = parseFloat(process.env.PRECOMPUTE_MIN_SEVERITY || '70');
   const daysBack = parseInt(process.env.PRECOMPUTE_DAYS_BACK || '1', 10);
+  const fromDate = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
   console.log(`🧮 Precomputing hybrid data (limit=${limit}, minSeverity=${minSeverity}, daysBack=${daysBack})...`);
 
-  const enhanced = await hybridService.getEnhancedArticles({
-    limit,
-    minSeverity,
-    daysBack,
-    includeImages: true,
-    allowPartial: true,
-  });
-
-  // Sort by severity desc just to be safe
-  const sorted = [...enhanced].sort((a, b) => (b.severity_score || 0) - (a.severity_score || 0));
+  // Ranked by severity, category weight, bias, freshness, corroboration and source trust
+  let sorted;
+  try {
+    sorted = await dataService.getStoredArticles({ limit, minSeverity, fromDate, sort: 'rank' });
+  } finally {
+    await newsService.pool.end();
+  }
   const top6 = sorted.slice(0, 6);
   const rest = sorted.slice(6);
 
@@ -43,6 +45,7 @@ async function main() {
     restCount: rest.length,
     minSeverity,
     daysBack,
+    rankWeights: newsService.ranker.weights,
   };
 
   fs.mkdirSync(outDir, { recursive: true });
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Reclassification Script for FNS
+ * Maps stored articles to categories again with the current taxonomy (run after editing categories)
+ */
+
+require('dotenv').config();
+const FNSNewsService = require('../services/fnsNewsService');
+
+function getArg(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : null;
+}
+
+async function reclassify() {
+  const args = process.argv.slice(2);
+  const fromDate = getArg(args, '--from');
+  const toDate = getArg(args, '--to');
+  const batchSize = parseInt(getArg(args, '--batch') || '200', 10);
+
+  const newsService = new FNSNewsService();
+
+  try {
+    console.log(`🏷️  Reclassifying articles${fromDate ? ` from ${fromDate} to ${toDate || 'today'}` : ''}...\n`);
+    const report = await newsService.reclassifyArticles({ fromDate, toDate, batchSize });
+
+    console.log('\n📊 Results:');
+    console.log(`   Articles: ${report.articles}`);
+    console.log(`   Categorized: ${report.categorized}`);
+    console.log(`   Category mappings: ${report.mappings}`);
+    console.log(`   Keywords changed: ${report.keywords_changed}`);
+  } catch (error) {
+    console.error('❌ Reclassification failed:', error.message);
+    console.error('\nTroubleshooting:');
+    console.error('1. Check your database connection settings in .env');
+    console.error('2. Run: npm run migrate');
+    process.exitCode = 1;
+  } finally {
+    await newsService.pool.end();
+  }
+}
+
+// Show help
+function showHelp() {
+  console.log('FNS Reclassification Script\n');
+  console.log('Usage: npm run reclassify -- [options]\n');
+  console.log('Options:');
+  console.log('  --from YYYY-MM-DD  Only articles dated on or after this day');
+  console.log('  --to YYYY-MM-DD    Only articles dated on or before this day (default: today, with --from)');
+  console.log('  --batch N          Articles per transaction (default: 200)');
+  console.log('  --help             Show this help message\n');
+  console.log('Examples:');
+  console.log('  npm run reclassify');
+  console.log('  npm run reclassify -- --from 2024-01-01 --to 2024-01-31');
+}
+
+// Handle command line arguments
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+  showHelp();
+  process.exit(0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  reclassify();
+}
+
+module.exports = reclassify;
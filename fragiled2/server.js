@@ -1,16 +1,18 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const cron = require('node-cron');
 require('dotenv').config();
 
 // Import services
 const FNSNewsService = require('./services/fnsNewsService');
 const KeishaAnalysisIntegration = require('./services/keishaAnalysisIntegration');
 const EnhancedDataService = require('./services/enhancedDataService');
+const JobQueue = require('./services/jobQueue');
+const JobWorker = require('./services/jobWorker');
 
 // Import routes
 const fnsNewsRoutes = require('./routes/fnsNewsRoutes');
+const lexiconRoutes = require('./routes/lexiconRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -18,7 +20,11 @@ const PORT = process.env.PORT || 3002;
 // Initialize services
 const newsService = new FNSNewsService();
 const keishaIntegration = new KeishaAnalysisIntegration();
-const enhancedDataService = new EnhancedDataService();
+const enhancedDataService = new EnhancedDataService({ newsService, keishaIntegration });
+
+// Schedules and job processing run in worker.js; API_RUN_SCHEDULERS=true runs a worker in this process
+const runSchedulers = process.env.API_RUN_SCHEDULERS === 'true';
+let worker = null;
 
 // Middleware
 app.use(cors({
@@ -47,6 +53,7 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/fns/news', fnsNewsRoutes);
+app.use('/api/fns/lexicon', lexiconRoutes);
 
 // Enhanced data service endpoints
 app.get('/api/fns/data/status', async (req, res) => {
@@ -68,10 +75,11 @@ app.get('/api/fns/data/status', async (req, res) => {
 app.get('/api/fns/data/critical', async (req, res) => {
   try {
     const { limit = 20, minSeverity = 70 } = req.query;
+    // Stored newsletter stories, including seeds the worker has not fetched yet
     const articles = await enhancedDataService.getArticles({
-      source: 'critical',
       limit: parseInt(limit),
-      minSeverity: parseFloat(minSeverity)
+      minSeverity: parseFloat(minSeverity),
+      enhanceContent: false
     });
 
     res.json({
@@ -113,7 +121,6 @@ app.get('/api/fns/data/hybrid', async (req, res) => {
     const { limit = 10, minSeverity = 75, enhanceContent = 'true' } = req.query;
 
     const articles = await enhancedDataService.getArticles({
-      source: 'hybrid',
       limit: parseInt(limit),
       minSeverity: parseFloat(minSeverity),
       enhanceContent: enhanceContent === 'true'
@@ -184,7 +191,7 @@ app.get('/api/fns/data/enhancement-stats', async (req, res) => {
 // Keisha integration endpoints
 app.get('/api/fns/keisha/status', async (req, res) => {
   try {
-    const queueStatus = keishaIntegration.getQueueStatus();
+    const queueStatus = await keishaIntegration.getQueueStatus();
     const connectionTest = await keishaIntegration.testKeishaConnection();
     
     res.json({
@@ -222,6 +229,128 @@ app.post('/api/fns/keisha/analyze-pending', async (req, res) => {
   }
 });
 
+// Analysis jobs (dead letters by default)
+app.get('/api/fns/keisha/jobs', async (req, res) => {
+  try {
+    const { status = 'dead', limit = 50 } = req.query;
+
+    if (!JobQueue.JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${JobQueue.JOB_STATUSES.join(', ')}`
+      });
+    }
+
+    const jobs = await keishaIntegration.listAnalysisJobs({ status, limit: Math.min(parseInt(limit) || 50, 200) });
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list analysis jobs',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/fns/keisha/jobs/:id/retry', async (req, res) => {
+  try {
+    const job = await keishaIntegration.retryAnalysisJob(parseInt(req.params.id));
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'No dead-lettered analysis job with that id'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Analysis job queued again',
+      data: job
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry analysis job',
+      message: error.message
+    });
+  }
+});
+
+// Run several analysis providers over one stored article, without storing the results
+app.get('/api/fns/keisha/compare/:articleId', async (req, res) => {
+  try {
+    const providers = req.query.providers
+      ? String(req.query.providers).split(',').map(name => name.trim()).filter(Boolean)
+      : ['keisha-microfrag', 'local'];
+    const unknown = providers.filter(name => !keishaIntegration.providers.names().includes(name));
+
+    if (providers.length === 0 || unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `providers must be a comma-separated list of: ${keishaIntegration.providers.names().join(', ')}`
+      });
+    }
+
+    // An earlier lexicon version reproduces a stored local result
+    const { lexiconVersion } = req.query;
+    if (lexiconVersion !== undefined && !/^\d+$/.test(String(lexiconVersion))) {
+      return res.status(400).json({
+        success: false,
+        error: 'lexiconVersion must be a version number'
+      });
+    }
+
+    const comparison = await keishaIntegration.compareProviders(req.params.articleId, providers, {
+      lexiconVersion: lexiconVersion === undefined ? null : parseInt(lexiconVersion, 10)
+    });
+
+    if (!comparison) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: comparison
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare analysis providers',
+      message: error.message
+    });
+  }
+});
+
+// Job workers and their last heartbeat
+app.get('/api/fns/workers', async (req, res) => {
+  try {
+    const heartbeatSeconds = parseInt(process.env.WORKER_HEARTBEAT_SECONDS || '30', 10);
+    const workers = await keishaIntegration.jobs.getWorkers({ staleSeconds: heartbeatSeconds * 3 });
+
+    res.json({
+      success: true,
+      data: {
+        alive: workers.filter(w => w.alive).length,
+        workers
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get job workers',
+      message: error.message
+    });
+  }
+});
+
 // NEW: Hybrid Keisha analysis endpoint
 app.post('/api/fns/keisha/analyze-hybrid', async (req, res) => {
   try {
@@ -296,98 +425,39 @@ app.use('*', (req, res) => {
   });
 });
 
-// Automated tasks
-function setupAutomatedTasks() {
-  console.log('Setting up automated tasks...');
-  
-  // HYBRID import twice daily (6 AM and 6 PM)
-  cron.schedule('0 6,18 * * *', async () => {
-    console.log('🎯 Starting automated HYBRID enhancement...');
-    try {
-      // Get hybrid enhanced articles (critical seeds + full content)
-      const hybridArticles = await enhancedDataService.getArticles({
-        source: 'hybrid',
-        limit: 20,
-        minSeverity: 75,
-        enhanceContent: true
-      });
-
-      if (hybridArticles.length > 0) {
-        console.log(`✅ Enhanced ${hybridArticles.length} hybrid articles`);
-
-        // Save enhanced articles to local storage as backup (if database available)
-        try {
-          await newsService.saveArticlesToLocal(hybridArticles);
-        } catch (saveError) {
-          console.warn('Could not save to database, but hybrid articles are available:', saveError.message);
-        }
-
-        // Queue articles with full content for REAL Keisha analysis
-        const keishaReadyArticles = hybridArticles.filter(a => a.ready_for_keisha);
-        if (keishaReadyArticles.length > 0) {
-          console.log(`🧠 Queuing ${keishaReadyArticles.length} articles for REAL Keisha analysis...`);
-          const analysisResult = await keishaIntegration.analyzePendingArticles(keishaReadyArticles.length);
-          console.log('Articles queued for Keisha analysis:', analysisResult);
-        }
-
-      } else {
-        console.log('⚠️ No hybrid articles found, falling back to critical seeds only');
-
-        // Fallback to critical seeds without enhancement
-        const criticalSeeds = await enhancedDataService.getArticles({
-          source: 'critical',
-          limit: 50,
-          minSeverity: 70,
-          enhanceContent: false
-        });
-        console.log(`Fallback: ${criticalSeeds.length} critical seeds imported`);
-      }
-
-    } catch (error) {
-      console.error('Automated hybrid import failed:', error);
-    }
-  });
-  
-  // Process analysis queue every 30 minutes
-  cron.schedule('*/30 * * * *', async () => {
-    try {
-      const queueStatus = keishaIntegration.getQueueStatus();
-      if (queueStatus.queue_length > 0 && !queueStatus.is_processing) {
-        console.log('Processing analysis queue...');
-        await keishaIntegration.processAnalysisQueue();
-      }
-    } catch (error) {
-      console.error('Queue processing failed:', error);
-    }
-  });
-  
-  // Analyze pending articles every hour
-  cron.schedule('0 * * * *', async () => {
-    try {
-      await keishaIntegration.analyzePendingArticles(20);
-    } catch (error) {
-      console.error('Pending analysis failed:', error);
-    }
-  });
-  
-  console.log('Automated tasks configured:');
-  console.log('- News import: 6 AM and 6 PM daily');
-  console.log('- Queue processing: Every 30 minutes');
-  console.log('- Pending analysis: Every hour');
-}
-
 // Initialize application
 async function initializeApp() {
   try {
     console.log('Initializing FNS News Service...');
 
     // Test database connection (optional for hybrid mode)
+    let databaseAvailable = true;
     try {
       await newsService.pool.execute('SELECT 1');
       console.log('✓ Database connection established');
     } catch (dbError) {
       console.warn('⚠ Database connection failed:', dbError.message);
       console.warn('  Database features will be limited, but hybrid mode will work');
+      databaseAvailable = false;
+    }
+
+    // Refuse to run against a schema that is behind the code
+    if (databaseAvailable) {
+      try {
+        await newsService.migrator.assertCurrent();
+        console.log('✓ Database schema is up to date');
+      } catch (schemaError) {
+        if (schemaError.code !== 'SCHEMA_BEHIND') throw schemaError;
+
+        if (process.env.MIGRATE_ON_START !== 'true') {
+          console.error(`✗ ${schemaError.message}`);
+          console.error('  Set MIGRATE_ON_START=true to apply migrations at startup');
+          process.exit(1);
+        }
+
+        const applied = await newsService.migrator.up();
+        console.log(`✓ Applied ${applied.length} pending migration(s)`);
+      }
     }
 
     // Test Keisha connection
@@ -403,8 +473,13 @@ async function initializeApp() {
       console.warn('⚠ Keisha connection test failed:', keishaError.message);
     }
 
-    // Setup automated tasks
-    setupAutomatedTasks();
+    // Schedules and job processing
+    if (runSchedulers) {
+      worker = new JobWorker({ keishaIntegration, pipeline: enhancedDataService.pipeline });
+      await worker.start();
+    } else {
+      console.log('⏸ Schedulers off in the API server; run npm run worker for imports and analysis');
+    }
 
     console.log('✓ FNS News Service initialized successfully');
     console.log('🎯 HYBRID MODE: Critical newsletters + full articles ready!');
@@ -417,7 +492,7 @@ async function initializeApp() {
 }
 
 // Start server
-app.listen(PORT, async () => {
+const server = app.listen(PORT, async () => {
   console.log(`\n🚀 FNS News Service running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
@@ -432,15 +507,18 @@ app.listen(PORT, async () => {
   console.log('   Real-time bias detection and translation\n');
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  process.exit(0);
-});
+// Graceful shutdown: stop taking requests and let an in-process worker drain its jobs
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down gracefully...`);
+  server.close();
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully...');
+  if (worker) {
+    await worker.stop();
+  }
   process.exit(0);
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app;
@@ -0,0 +1,95 @@
+const KeishaClient = require('./keishaClient');
+const LocalBiasAnalyzer = require('./localBiasAnalyzer');
+
+/**
+ * Analysis Providers for FNS
+ * Every way FNS can analyze content, by name: the two Keisha contracts and the offline local
+ * analyzer. Each returns a canonical result, so callers pick a provider (and a fallback) by
+ * configuration, and compare() runs several over the same text to measure their agreement.
+ */
+class AnalysisProviders {
+  constructor(options = {}) {
+    this.client = options.client || new KeishaClient();
+    this.local = options.local || new LocalBiasAnalyzer({ schema: this.client.schema });
+
+    this.providers = {
+      'keisha-microfrag': content => this.client.analyze(content, { contract: 'microfrag' }),
+      'keisha-bias': content => this.client.analyze(content, { contract: 'bias' }),
+      local: (content, options) => this.local.analyze(content, options)
+    };
+  }
+
+  /**
+   * Names of the available providers
+   */
+  names() {
+    return Object.keys(this.providers);
+  }
+
+  /**
+   * Analyze content with one provider; when it fails and a fallback provider is given, use that
+   * lexiconVersion runs the local provider with an earlier lexicon version
+   */
+  async analyze(content, options = {}) {
+    const { provider = 'keisha-microfrag', fallback = null, lexiconVersion = null } = options;
+    const run = this.providers[provider];
+    if (!run) {
+      throw new Error(`Unknown analysis provider: ${provider} (expected one of: ${this.names().join(', ')})`);
+    }
+
+    try {
+      return await run(content, { lexiconVersion });
+    } catch (error) {
+      if (!fallback || fallback === provider) {
+        throw error;
+      }
+      console.warn(`${provider} analysis failed (${error.message}), using ${fallback}`);
+      return await this.analyze(content, { provider: fallback, lexiconVersion });
+    }
+  }
+
+  /**
+   * Run several providers over the same content
+   * Returns { results: { provider: { result } | { error } }, comparison } where comparison sets
+   * the first two successful results side by side (null when fewer than two succeeded)
+   */
+  async compare(content, providers = ['keisha-microfrag', 'local'], options = {}) {
+    const { lexiconVersion = null } = options;
+    providers = [...new Set(providers)];
+    const results = {};
+    for (const provider of providers) {
+      try {
+        results[provider] = { result: await this.analyze(content, { provider, lexiconVersion }) };
+      } catch (error) {
+        results[provider] = { error: error.message };
+      }
+    }
+
+    const succeeded = providers.filter(provider => results[provider].result);
+    if (succeeded.length < 2) {
+      return { results, comparison: null };
+    }
+
+    const [first, second] = succeeded;
+    const a = results[first].result;
+    const b = results[second].result;
+    const termsOf = result => new Set(result.detected_terms.map(term => term.term.toLowerCase()));
+    const aTerms = termsOf(a);
+    const bTerms = termsOf(b);
+
+    return {
+      results,
+      comparison: {
+        providers: [first, second],
+        bias_score_delta: Math.round((b.bias_score - a.bias_score) * 100) / 100,
+        shared_terms: [...aTerms].filter(term => bTerms.has(term)),
+        only: {
+          [first]: [...aTerms].filter(term => !bTerms.has(term)),
+          [second]: [...bTerms].filter(term => !aTerms.has(term))
+        }
+      }
+    };
+  }
+}
+
+module.exports = AnalysisProviders;
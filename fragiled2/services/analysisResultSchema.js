@@ -0,0 +1,164 @@
+// Version of the canonical result shape; stored with every analysis
+const SCHEMA_VERSION = 1;
+
+// Kinds of detected term
+const TERM_CATEGORIES = ['euphemism', 'coded_language', 'dehumanizing', 'systemic_pattern', 'agency_erasure', 'fragility'];
+
+const TEXT_FIELDS = ['keisha_translation', 'keisha_summary', 'critical_analysis'];
+const LIST_FIELDS = ['fragility_indicators', 'euphemisms_detected', 'systemic_patterns'];
+
+/**
+ * Analysis Result Schema for FNS
+ * The one shape every analysis takes, whichever upstream produced it, so results are stored and
+ * rendered the same way. Adapters map upstream fields onto it; create() fills derived fields and
+ * rejects results that do not validate.
+ */
+class AnalysisResultSchema {
+  /**
+   * Build a canonical result from adapter fields
+   * Term lists left out are derived from detected_terms; offsets are null when unknown.
+   * Throws an error with validationErrors (code INVALID_ANALYSIS) when the result is invalid
+   */
+  create(fields) {
+    const number = value => (value === null || value === undefined || value === '' ? null : Number(value));
+    const list = value => (Array.isArray(value) ? value.filter(item => item !== null && item !== undefined).map(String) : []);
+    const offset = value => (value === null || value === undefined ? null : Number(value));
+
+    const terms = (Array.isArray(fields.detected_terms) ? fields.detected_terms : []).map(term => ({
+      term: String(term.term || ''),
+      category: TERM_CATEGORIES.includes(term.category) ? term.category : 'fragility',
+      rationale: term.rationale ? String(term.rationale) : '',
+      start: offset(term.start),
+      end: offset(term.end)
+    }));
+    const named = categories => terms.filter(term => categories.includes(term.category)).map(term => term.term);
+
+    const derived = {
+      fragility_indicators: terms.map(term => term.term),
+      euphemisms_detected: named(['euphemism', 'coded_language']),
+      systemic_patterns: named(['systemic_pattern'])
+    };
+
+    const result = {
+      schema_version: SCHEMA_VERSION,
+      provider: String(fields.provider || 'unknown'),
+      analysis_version: String(fields.analysis_version || '1.0'),
+      // Bias lexicon version the provider used; null for providers with their own (Keisha)
+      lexicon_version: number(fields.lexicon_version),
+      bias_score: number(fields.bias_score),
+      confidence_score: number(fields.confidence_score ?? 0.8),
+      sentiment: number(fields.sentiment ?? 0),
+      detected_terms: terms,
+      processing_time_ms: Math.round(number(fields.processing_time_ms) || 0)
+    };
+    LIST_FIELDS.forEach(field => {
+      result[field] = Array.isArray(fields[field]) ? list(fields[field]) : derived[field];
+    });
+    TEXT_FIELDS.forEach(field => {
+      result[field] = fields[field] ? String(fields[field]) : '';
+    });
+
+    const errors = this.validate(result);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid analysis result from ${result.provider}: ${errors.join('; ')}`);
+      error.code = 'INVALID_ANALYSIS';
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Check a canonical result, returning a list of problems
+   */
+  validate(result) {
+    const errors = [];
+    const between = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+    if (result.schema_version !== SCHEMA_VERSION) {
+      errors.push(`schema_version must be ${SCHEMA_VERSION}`);
+    }
+    if ((result.lexicon_version ?? null) !== null && !(Number.isInteger(result.lexicon_version) && result.lexicon_version >= 0)) {
+      errors.push('lexicon_version must be null or a version number');
+    }
+    if (!between(result.bias_score, 0, 100)) {
+      errors.push('bias_score must be a number from 0 to 100');
+    }
+    if (!between(result.confidence_score, 0, 1)) {
+      errors.push('confidence_score must be a number from 0 to 1');
+    }
+    if (!between(result.sentiment, -1, 1)) {
+      errors.push('sentiment must be a number from -1 to 1');
+    }
+    LIST_FIELDS.forEach(field => {
+      if (!Array.isArray(result[field]) || result[field].some(item => typeof item !== 'string')) {
+        errors.push(`${field} must be a list of strings`);
+      }
+    });
+    (result.detected_terms || []).forEach((term, index) => {
+      if (!term.term) {
+        errors.push(`detected_terms[${index}] has no term`);
+      }
+      if (!TERM_CATEGORIES.includes(term.category)) {
+        errors.push(`detected_terms[${index}].category must be one of: ${TERM_CATEGORIES.join(', ')}`);
+      }
+      if ((term.start === null) !== (term.end === null) ||
+        (term.start !== null && !(Number.isInteger(term.start) && Number.isInteger(term.end) && term.start >= 0 && term.start < term.end))) {
+        errors.push(`detected_terms[${index}] offsets must both be null or 0 <= start < end`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Canonical result from a fns_keisha_analysis row; rows joined with fns_articles select the
+   * analysis sentiment as analysis_sentiment. Returns null when the row has no analysis
+   */
+  fromRow(row) {
+    if (!row || row.bias_score === null || row.bias_score === undefined) {
+      return null;
+    }
+
+    const json = value => {
+      if (typeof value !== 'string') return value;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return null;
+      }
+    };
+
+    return {
+      schema_version: Number(row.schema_version) || SCHEMA_VERSION,
+      provider: row.provider || 'keisha-microfrag',
+      analysis_version: row.analysis_version || '1.0',
+      lexicon_version: row.lexicon_version === null || row.lexicon_version === undefined ? null : Number(row.lexicon_version),
+      bias_score: parseFloat(row.bias_score),
+      confidence_score: row.confidence_score === null || row.confidence_score === undefined ? null : parseFloat(row.confidence_score),
+      sentiment: parseFloat('analysis_sentiment' in row ? row.analysis_sentiment : row.sentiment) || 0,
+      fragility_indicators: json(row.fragility_indicators) || [],
+      euphemisms_detected: json(row.euphemisms_detected) || [],
+      systemic_patterns: json(row.systemic_patterns) || [],
+      detected_terms: json(row.detected_terms) || [],
+      keisha_translation: row.keisha_translation || '',
+      keisha_summary: row.keisha_summary || '',
+      critical_analysis: row.critical_analysis || '',
+      processing_time_ms: Number(row.processing_time_ms) || 0
+    };
+  }
+
+  /**
+   * Text to show for a result: Keisha's translation, else the summary, else the critical analysis
+   */
+  displayText(result) {
+    if (!result) return '';
+    return result.keisha_translation || result.keisha_summary || result.critical_analysis || '';
+  }
+}
+
+AnalysisResultSchema.SCHEMA_VERSION = SCHEMA_VERSION;
+AnalysisResultSchema.TERM_CATEGORIES = TERM_CATEGORIES;
+
+module.exports = AnalysisResultSchema;
@@ -0,0 +1,255 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Indexes loaded per cache directory, shared so several services in one process never overwrite each other
+const loadedIndexes = new Map();
+
+/**
+ * Article Cache for FNS
+ * Content-addressed local cache for fetched article pages. Each page's raw HTML, extracted text,
+ * image metadata and classification are stored once per content hash (blobs/ab/abcdef....json);
+ * index.json maps canonical URLs (and the URLs that led to them) to the current blob,
+ * validators and expiry, so repeat enhancements can revalidate instead of re-downloading.
+ */
+class ArticleCache {
+  constructor(options = {}) {
+    this.cacheDir = options.cacheDir ||
+      process.env.ARTICLE_CACHE_DIR ||
+      path.join(__dirname, '../data/state/article_cache');
+
+    // Full articles rarely change; walls and stubs are worth retrying sooner
+    this.ttlMs = options.ttlMs ??
+      parseInt(process.env.ARTICLE_CACHE_TTL_HOURS || '168', 10) * 60 * 60 * 1000;
+    this.partialTtlMs = options.partialTtlMs ?? 12 * 60 * 60 * 1000;
+
+    // Entries this long past expiry are dropped, along with blobs nothing points to
+    this.retentionMs = options.retentionMs ?? 30 * 24 * 60 * 60 * 1000;
+
+    this.index = null;
+  }
+
+  /**
+   * Load the cache index from disk
+   */
+  async load() {
+    if (this.index) {
+      return this.index;
+    }
+
+    if (!loadedIndexes.has(this.cacheDir)) {
+      let index = { urls: {}, entries: {} };
+      try {
+        const content = await fs.readFile(path.join(this.cacheDir, 'index.json'), 'utf8');
+        const parsed = JSON.parse(content);
+        index = { urls: parsed.urls || {}, entries: parsed.entries || {} };
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`Could not read article cache index in ${this.cacheDir}:`, error.message);
+        }
+      }
+
+      // Another instance may have finished loading while we were reading
+      if (!loadedIndexes.has(this.cacheDir)) {
+        loadedIndexes.set(this.cacheDir, index);
+      }
+    }
+
+    this.index = loadedIndexes.get(this.cacheDir);
+    return this.index;
+  }
+
+  /**
+   * Write the cache index to disk, pruning expired entries first
+   */
+  async save() {
+    if (!this.index) {
+      return;
+    }
+
+    await this.prune();
+
+    const indexPath = path.join(this.cacheDir, 'index.json');
+    await this.writeAtomic(indexPath, JSON.stringify({
+      version: 1,
+      updated_at: new Date().toISOString(),
+      urls: this.index.urls,
+      entries: this.index.entries
+    }, null, 2));
+  }
+
+  /**
+   * Write a file via a temporary file so readers never see half of it
+   */
+  async writeAtomic(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpPath, data);
+    await fs.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Normalize a URL into a cache key
+   */
+  urlKey(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'ref'].forEach(param =>
+        parsed.searchParams.delete(param)
+      );
+      const host = parsed.host.toLowerCase().replace(/^www\./, '');
+      return `${host}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+    } catch (error) {
+      return String(url || '').trim().toLowerCase();
+    }
+  }
+
+  /**
+   * Hash raw page content
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(String(content)).digest('hex');
+  }
+
+  /**
+   * Path of the blob for a content hash
+   */
+  blobPath(hash) {
+    return path.join(this.cacheDir, 'blobs', hash.slice(0, 2), `${hash}.json`);
+  }
+
+  /**
+   * Look up a URL
+   * Resolves to { entry, blob, fresh } or null on a miss
+   */
+  async get(url) {
+    const index = await this.load();
+    const key = index.urls[this.urlKey(url)];
+    const entry = key ? index.entries[key] : null;
+
+    if (!entry) {
+      return null;
+    }
+
+    try {
+      const blob = JSON.parse(await fs.readFile(this.blobPath(entry.content_hash), 'utf8'));
+      return { entry, blob, fresh: new Date(entry.expires_at).getTime() > Date.now() };
+    } catch (error) {
+      // Blob went missing; treat as a miss
+      return null;
+    }
+  }
+
+  /**
+   * Work out when an entry expires
+   */
+  expiryFor(contentStatus) {
+    const ttl = contentStatus === 'full_text' ? this.ttlMs : this.partialTtlMs;
+    return new Date(Date.now() + ttl).toISOString();
+  }
+
+  /**
+   * Store a fetched page
+   * page: { html, content, images, metadata, extraction, contentStatus, statusReasons, wordCount, etag, lastModified }
+   */
+  async put(url, page) {
+    const index = await this.load();
+    const contentHash = this.hashContent(page.html);
+    const canonicalUrl = page.metadata?.canonicalUrl || url;
+    const key = this.urlKey(canonicalUrl);
+    const now = new Date().toISOString();
+
+    await this.writeAtomic(this.blobPath(contentHash), JSON.stringify({
+      content_hash: contentHash,
+      html: page.html,
+      content: page.content,
+      images: page.images || [],
+      metadata: page.metadata || {},
+      extraction: page.extraction || null,
+      content_status: page.contentStatus,
+      status_reasons: page.statusReasons || [],
+      word_count: page.wordCount || 0,
+      stored_at: now
+    }));
+
+    const previous = index.entries[key];
+    index.entries[key] = {
+      canonical_url: canonicalUrl,
+      content_hash: contentHash,
+      etag: page.etag || null,
+      last_modified: page.lastModified || null,
+      content_status: page.contentStatus,
+      first_fetched_at: previous?.first_fetched_at || now,
+      fetched_at: now,
+      checked_at: now,
+      expires_at: this.expiryFor(page.contentStatus)
+    };
+
+    index.urls[this.urlKey(url)] = key;
+    index.urls[key] = key;
+
+    return index.entries[key];
+  }
+
+  /**
+   * Mark an entry as still current after a 304 or an identical download
+   */
+  async touch(url, validators = {}) {
+    const index = await this.load();
+    const key = index.urls[this.urlKey(url)];
+    const entry = key ? index.entries[key] : null;
+
+    if (!entry) {
+      return null;
+    }
+
+    Object.assign(entry, {
+      etag: validators.etag || entry.etag,
+      last_modified: validators.lastModified || entry.last_modified,
+      checked_at: new Date().toISOString(),
+      expires_at: this.expiryFor(entry.content_status)
+    });
+
+    return entry;
+  }
+
+  /**
+   * Drop long-expired entries, URL aliases pointing at them and blobs nothing references
+   */
+  async prune() {
+    const cutoff = Date.now() - this.retentionMs;
+
+    Object.entries(this.index.entries).forEach(([key, entry]) => {
+      if (new Date(entry.expires_at).getTime() < cutoff) {
+        delete this.index.entries[key];
+      }
+    });
+    Object.entries(this.index.urls).forEach(([alias, key]) => {
+      if (!this.index.entries[key]) {
+        delete this.index.urls[alias];
+      }
+    });
+
+    const referenced = new Set(Object.values(this.index.entries).map(entry => entry.content_hash));
+    const blobsDir = path.join(this.cacheDir, 'blobs');
+
+    let shards = [];
+    try {
+      shards = await fs.readdir(blobsDir);
+    } catch (error) {
+      return;
+    }
+
+    for (const shard of shards) {
+      const files = await fs.readdir(path.join(blobsDir, shard)).catch(() => []);
+      for (const file of files) {
+        if (file.endsWith('.json') && !referenced.has(file.slice(0, -5))) {
+          await fs.unlink(path.join(blobsDir, shard, file)).catch(() => {});
+        }
+      }
+    }
+  }
+}
+
+module.exports = ArticleCache;
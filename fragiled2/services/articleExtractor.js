@@ -0,0 +1,560 @@
+const cheerio = require('cheerio');
+const fs = require('fs');
+const path = require('path');
+
+// Selectors tried when a site has no rule and readability scoring finds nothing usable
+const GENERIC_SELECTORS = [
+  'article',
+  '.article-content',
+  '.post-content',
+  '.entry-content',
+  '.content',
+  'main',
+  '.story-body',
+  '.article-body',
+  '[role="main"]'
+];
+
+// Class/id hints used by readability scoring
+const POSITIVE_HINTS = /article|body|content|entry|main|post|story|text|blog/i;
+const NEGATIVE_HINTS = /comment|footer|footnote|masthead|menu|meta|nav|promo|related|share|sidebar|social|sponsor|subscribe|newsletter|cookie|consent|widget|outbrain|taboola/i;
+
+const MIN_CONTENT_LENGTH = 200; // Minimum content threshold
+
+// schema.org types treated as the article node in JSON-LD, most specific first
+const JSON_LD_ARTICLE_TYPES = [
+  'NewsArticle',
+  'ReportageNewsArticle',
+  'AnalysisNewsArticle',
+  'OpinionNewsArticle',
+  'Article',
+  'BlogPosting'
+];
+
+/**
+ * Article Extractor for FNS
+ * Pulls article text out of fetched pages using per-domain rules from config/extraction_rules.json,
+ * falling back to readability-style scoring for sites without a rule.
+ * Every result records which rule produced it.
+ */
+class ArticleExtractor {
+  constructor(options = {}) {
+    this.rulesPath = options.rulesPath ||
+      process.env.EXTRACTION_RULES_PATH ||
+      path.join(__dirname, '../config/extraction_rules.json');
+
+    this.rules = options.rules || this.loadRules();
+  }
+
+  /**
+   * Load extraction rules, falling back to no site rules if the file is unreadable
+   */
+  loadRules() {
+    try {
+      const rules = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+      return {
+        defaults: rules.defaults || {},
+        sites: rules.sites || {}
+      };
+    } catch (error) {
+      console.warn(`Could not load extraction rules ${this.rulesPath}:`, error.message);
+      return { defaults: {}, sites: {} };
+    }
+  }
+
+  /**
+   * Find the site rule for a URL; subdomains match their parent domain's rule
+   */
+  getSiteRule(url) {
+    let host;
+    try {
+      host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+      return null;
+    }
+
+    const parts = host.split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+      const domain = parts.slice(i).join('.');
+      if (this.rules.sites[domain]) {
+        return { domain, ...this.rules.sites[domain] };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the hostname used for per-site reporting
+   */
+  getDomain(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Normalize whitespace in extracted text
+   */
+  cleanText(text) {
+    return (text || '').replace(/[ \t\u00a0]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  }
+
+  /**
+   * Get an element's text, paragraph by paragraph when it has paragraphs
+   */
+  elementText($, element) {
+    const paragraphs = $(element)
+      .find('p, h2, h3, blockquote, li')
+      .filter((i, el) => $(el).parents('p, blockquote, li').length === 0)
+      .map((i, el) => this.cleanText($(el).text()))
+      .get()
+      .filter(Boolean);
+
+    if (paragraphs.length >= 2) {
+      return paragraphs.join('\n\n');
+    }
+
+    return this.cleanText($(element).text());
+  }
+
+  /**
+   * Read the first non-empty value for a list of selectors
+   * A selector ending in @attr reads that attribute instead of the text
+   */
+  selectValue($, selectors = []) {
+    for (const entry of selectors) {
+      const [selector, attribute] = entry.split('@');
+      const element = $(selector).first();
+      if (element.length === 0) continue;
+
+      const value = this.cleanText(attribute ? element.attr(attribute) : element.text());
+      if (value) {
+        return value;
+      }
+    }
+
+    return '';
+  }
+
+  /**
+   * Share of an element's text that sits inside links
+   */
+  linkDensity($, element) {
+    const textLength = $(element).text().length;
+    if (textLength === 0) return 1;
+
+    const linkLength = $(element).find('a').map((i, a) => $(a).text()).get().join('').length;
+    return linkLength / textLength;
+  }
+
+  /**
+   * Weight an element by its class and id hints
+   */
+  classWeight(element) {
+    const hints = `${element.attribs?.class || ''} ${element.attribs?.id || ''}`;
+    let weight = 0;
+    if (POSITIVE_HINTS.test(hints)) weight += 25;
+    if (NEGATIVE_HINTS.test(hints)) weight -= 25;
+    return weight;
+  }
+
+  /**
+   * Readability-style scoring: paragraphs vote for their parent and grandparent containers,
+   * candidates are boosted or penalized by class hints and discounted by link density
+   */
+  scoreCandidates($) {
+    const scores = new Map();
+
+    const addScore = (element, points) => {
+      if (!element || element.type !== 'tag' || ['html', 'body'].includes(element.name)) return;
+      if (!scores.has(element)) {
+        scores.set(element, this.classWeight(element));
+      }
+      scores.set(element, scores.get(element) + points);
+    };
+
+    $('p').each((i, paragraph) => {
+      const text = this.cleanText($(paragraph).text());
+      if (text.length < 25) return;
+
+      const points = 1 + (text.match(/,/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+      const parent = paragraph.parent;
+      addScore(parent, points);
+      addScore(parent?.parent, points / 2);
+    });
+
+    let best = null;
+    for (const [element, score] of scores) {
+      const finalScore = score * (1 - this.linkDensity($, element));
+      if (!best || finalScore > best.score) {
+        best = { element, score: Math.round(finalScore * 10) / 10 };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Describe an element as a short selector for reporting
+   */
+  describeElement(element) {
+    const id = element.attribs?.id ? `#${element.attribs.id}` : '';
+    const className = (element.attribs?.class || '').trim().split(/\s+/).filter(Boolean)[0];
+    return `${element.name}${id}${className ? `.${className}` : ''}`;
+  }
+
+  /**
+   * Extract images, converting relative URLs to absolute
+   */
+  extractImages($, url) {
+    const images = [];
+
+    $('img').each((i, img) => {
+      const src = $(img).attr('src');
+      const alt = $(img).attr('alt') || '';
+
+      if (src && !src.includes('data:') && !src.includes('logo') && !src.includes('icon')) {
+        let fullSrc = src;
+        try {
+          fullSrc = new URL(src, url).href;
+        } catch (error) {
+          // Keep the src as given
+        }
+
+        images.push({
+          url: fullSrc,
+          alt: alt,
+          caption: alt
+        });
+      }
+    });
+
+    return images.slice(0, 5); // Limit to 5 images
+  }
+
+  /**
+   * Parse schema.org JSON-LD blocks into a flat list of nodes
+   */
+  parseJsonLd($) {
+    const nodes = [];
+
+    const collect = value => {
+      if (Array.isArray(value)) {
+        value.forEach(collect);
+      } else if (value && typeof value === 'object') {
+        nodes.push(value);
+        if (value['@graph']) collect(value['@graph']);
+      }
+    };
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+      const raw = $(el).contents().text().replace(/^\s*<!\[CDATA\[|\]\]>\s*$/g, '').trim();
+      if (!raw) return;
+
+      try {
+        collect(JSON.parse(raw));
+      } catch (error) {
+        // Outlets regularly ship broken JSON-LD; the other sources still apply
+      }
+    });
+
+    return nodes;
+  }
+
+  /**
+   * Find the article node among JSON-LD nodes
+   */
+  findArticleNode(nodes) {
+    const typeOf = node => [].concat(node['@type'] || []);
+
+    for (const type of JSON_LD_ARTICLE_TYPES) {
+      const node = nodes.find(candidate => typeOf(candidate).includes(type));
+      if (node) return node;
+    }
+
+    return null;
+  }
+
+  /**
+   * Collect meta tags with a prefix (og:, article:, twitter:) into a map
+   * Repeated tags such as article:tag become arrays
+   */
+  collectMetaTags($, prefix) {
+    const tags = {};
+
+    $(`meta[property^="${prefix}"], meta[name^="${prefix}"]`).each((i, el) => {
+      const key = ($(el).attr('property') || $(el).attr('name')).slice(prefix.length);
+      const value = this.cleanText($(el).attr('content'));
+      if (!key || !value) return;
+
+      if (tags[key] === undefined) {
+        tags[key] = value;
+      } else {
+        tags[key] = [].concat(tags[key], value);
+      }
+    });
+
+    return tags;
+  }
+
+  /**
+   * Get the first value of a tag that may repeat
+   */
+  firstValue(value) {
+    return Array.isArray(value) ? value[0] : value;
+  }
+
+  /**
+   * Normalize authors from JSON-LD, meta tags or bylines into a list of names
+   */
+  normalizeAuthors(value) {
+    const names = [];
+
+    [].concat(value || []).forEach(author => {
+      if (!author) return;
+
+      if (typeof author === 'object') {
+        if (author.name) names.push(...this.normalizeAuthors(author.name));
+        return;
+      }
+
+      // Profile URLs (article:author) are not names
+      if (/^https?:\/\//i.test(author)) return;
+
+      String(author)
+        .replace(/^\s*by\s+/i, '')
+        .split(/\s*(?:,|\band\b|&)\s*/i)
+        .map(name => this.cleanText(name))
+        .filter(name => name && name.length < 100)
+        .forEach(name => names.push(name));
+    });
+
+    return [...new Set(names)];
+  }
+
+  /**
+   * Normalize JSON-LD keywords, article:tag or meta keywords into a list
+   */
+  normalizeKeywords(value) {
+    const keywords = [].concat(value || [])
+      .flatMap(keyword => (typeof keyword === 'string' ? keyword.split(',') : []))
+      .map(keyword => keyword.trim())
+      .filter(Boolean);
+
+    return [...new Set(keywords)];
+  }
+
+  /**
+   * Normalize a JSON-LD image (URL, ImageObject or list) into { url, width, height }
+   */
+  normalizeImage(value, url) {
+    const image = Array.isArray(value) ? value[0] : value;
+    if (!image) return null;
+
+    const src = typeof image === 'string' ? image : (image.url || image.contentUrl);
+    if (!src) return null;
+
+    let absolute = src;
+    try {
+      absolute = new URL(src, url).href;
+    } catch (error) {
+      // Keep the src as given
+    }
+
+    return {
+      url: absolute,
+      width: parseInt(image.width, 10) || null,
+      height: parseInt(image.height, 10) || null,
+      alt: image.caption || image.name || ''
+    };
+  }
+
+  /**
+   * Extract article metadata from JSON-LD, OpenGraph, Twitter cards and the page itself
+   * JSON-LD wins over OpenGraph, which wins over Twitter cards and page markup
+   */
+  extractMetadata($, url, siteRule, fallbackTitle = '') {
+    const defaults = this.rules.defaults;
+    const jsonLd = this.findArticleNode(this.parseJsonLd($)) || {};
+    const og = this.collectMetaTags($, 'og:');
+    const article = this.collectMetaTags($, 'article:');
+    const twitter = this.collectMetaTags($, 'twitter:');
+    const publisher = typeof jsonLd.publisher === 'object' ? this.firstValue(jsonLd.publisher) || {} : {};
+
+    const authors = this.normalizeAuthors(jsonLd.author);
+    if (authors.length === 0) {
+      authors.push(...this.normalizeAuthors(article.author));
+    }
+    if (authors.length === 0) {
+      authors.push(...this.normalizeAuthors(
+        this.selectValue($, siteRule?.author || []) ||
+        $('meta[name="author"]').attr('content') ||
+        this.selectValue($, defaults.author || ['.author', '[rel="author"]'])
+      ));
+    }
+
+    let leadImage = this.normalizeImage(jsonLd.image, url);
+    if (leadImage) leadImage.source = 'json-ld';
+    const ogImage = this.firstValue(og.image) || this.firstValue(og['image:url']) || this.firstValue(og['image:secure_url']);
+    if (!leadImage && ogImage) {
+      leadImage = this.normalizeImage({
+        url: ogImage,
+        width: this.firstValue(og['image:width']),
+        height: this.firstValue(og['image:height']),
+        caption: this.firstValue(og['image:alt'])
+      }, url);
+      leadImage.source = 'opengraph';
+    }
+    const twitterImage = this.firstValue(twitter.image) || this.firstValue(twitter['image:src']);
+    if (!leadImage && twitterImage) {
+      leadImage = this.normalizeImage({ url: twitterImage, caption: this.firstValue(twitter['image:alt']) }, url);
+      leadImage.source = 'twitter';
+    }
+
+    const logo = publisher.logo;
+    const canonicalHref = $('link[rel="canonical"]').attr('href') || og.url ||
+      (typeof jsonLd.mainEntityOfPage === 'string' ? jsonLd.mainEntityOfPage : jsonLd.mainEntityOfPage?.['@id']) ||
+      jsonLd.url || '';
+
+    let canonicalUrl = '';
+    try {
+      canonicalUrl = canonicalHref ? new URL(canonicalHref, url).href : '';
+    } catch (error) {
+      canonicalUrl = '';
+    }
+
+    const structuredSources = [];
+    if (Object.keys(jsonLd).length > 0) structuredSources.push('json-ld');
+    if (Object.keys(og).length > 0 || Object.keys(article).length > 0) structuredSources.push('opengraph');
+    if (Object.keys(twitter).length > 0) structuredSources.push('twitter');
+
+    return {
+      title: this.cleanText(jsonLd.headline) || og.title || twitter.title || $('title').text() || fallbackTitle,
+      description: this.cleanText(jsonLd.description) || og.description || twitter.description ||
+                   $('meta[name="description"]').attr('content') || '',
+      canonicalUrl,
+      authors,
+      author: authors.join(', '),
+      publishDate: jsonLd.datePublished ||
+                   this.firstValue(article.published_time) ||
+                   this.selectValue($, siteRule?.date || []) ||
+                   this.selectValue($, defaults.date || ['time@datetime']),
+      modifiedDate: jsonLd.dateModified ||
+                    this.firstValue(article.modified_time) ||
+                    this.firstValue(og.updated_time) || '',
+      section: this.cleanText(this.firstValue(jsonLd.articleSection)) || this.firstValue(article.section) || '',
+      keywords: this.normalizeKeywords(jsonLd.keywords).length > 0
+        ? this.normalizeKeywords(jsonLd.keywords)
+        : this.normalizeKeywords(article.tag || $('meta[name="keywords"]').attr('content')),
+      siteName: og.site_name || publisher.name || '',
+      publisher: {
+        name: publisher.name || og.site_name || '',
+        logo: this.normalizeImage(logo, url)
+      },
+      leadImage,
+      accessibleForFree: jsonLd.isAccessibleForFree === undefined
+        ? null
+        : String(jsonLd.isAccessibleForFree).toLowerCase() !== 'false',
+      twitterSite: twitter.site || '',
+      structuredSources,
+      opengraph: og,
+      articleTags: article,
+      twitter
+    };
+  }
+
+  /**
+   * Put the lead image first in the image list, without duplicating it
+   */
+  mergeLeadImage(leadImage, images) {
+    if (!leadImage) {
+      return images;
+    }
+
+    const rest = images.filter(image => image.url !== leadImage.url);
+    const lead = { ...leadImage, caption: leadImage.alt, is_lead: true };
+    return [lead, ...rest].slice(0, 5);
+  }
+
+  /**
+   * Extract article content, images and metadata from a page
+   */
+  extract(html, url, fallbackTitle = '') {
+    const $ = cheerio.load(html);
+    const siteRule = this.getSiteRule(url);
+    const defaults = this.rules.defaults;
+
+    // Metadata before stripping, since bylines and JSON-LD often live in headers and scripts
+    const metadata = this.extractMetadata($, url, siteRule, fallbackTitle);
+
+    const strip = [...(defaults.strip || ['script', 'style', 'nav', 'header', 'footer']), ...(siteRule?.strip || [])];
+    $(strip.join(', ')).remove();
+
+    let content = '';
+    let extraction = null;
+
+    // 1. Site rule
+    if (siteRule) {
+      for (const selector of siteRule.content || []) {
+        const element = $(selector).first();
+        if (element.length === 0) continue;
+
+        content = this.elementText($, element);
+        if (content.length > MIN_CONTENT_LENGTH) {
+          extraction = { rule: `site:${siteRule.domain}`, selector };
+          break;
+        }
+      }
+    }
+
+    // 2. Readability scoring
+    if (!extraction) {
+      const best = this.scoreCandidates($);
+      if (best) {
+        content = this.elementText($, best.element);
+        if (content.length > MIN_CONTENT_LENGTH) {
+          extraction = { rule: 'readability', selector: this.describeElement(best.element), score: best.score };
+        }
+      }
+    }
+
+    // 3. Generic selectors
+    if (!extraction) {
+      for (const selector of GENERIC_SELECTORS) {
+        const element = $(selector).first();
+        if (element.length === 0) continue;
+
+        content = this.elementText($, element);
+        if (content.length > MIN_CONTENT_LENGTH) {
+          extraction = { rule: 'generic', selector };
+          break;
+        }
+      }
+    }
+
+    // 4. All paragraph text
+    if (!extraction) {
+      content = $('p').map((i, el) => this.cleanText($(el).text())).get().filter(Boolean).join('\n');
+      extraction = { rule: 'paragraphs', selector: 'p' };
+    }
+
+    return {
+      content,
+      images: this.mergeLeadImage(metadata.leadImage, this.extractImages($, url)),
+      metadata,
+      extraction: {
+        domain: this.getDomain(url),
+        site_rule: siteRule ? siteRule.domain : null,
+        ...extraction,
+        content_length: content.length
+      }
+    };
+  }
+}
+
+ArticleExtractor.GENERIC_SELECTORS = GENERIC_SELECTORS;
+
+module.exports = ArticleExtractor;
@@ -0,0 +1,311 @@
+const FNSNewsService = require('./fnsNewsService');
+const HybridNewsService = require('./hybridNewsService');
+const JobQueue = require('./jobQueue');
+
+// States an article moves through, in order; each is stored in fns_articles.pipeline_state
+const PIPELINE_STATES = ['seed', 'fetched', 'extracted', 'analyzed'];
+
+// fns_jobs type for fetching and extracting one seed; the job key is the article id
+const ENHANCE_JOB = 'enhance_article';
+
+/**
+ * Article Pipeline for FNS
+ * Durable hybrid pipeline backed by fns_articles: newsletter and feed seeds are stored first,
+ * then fetched and extracted, then analyzed by Keisha. Each step picks up articles by their
+ * stored state, so a restart continues where the last run stopped instead of starting over.
+ */
+class ArticlePipeline {
+  constructor(options = {}) {
+    this.newsService = options.newsService || new FNSNewsService();
+    this.hybridService = options.hybridService || new HybridNewsService();
+    this.keishaIntegration = options.keishaIntegration || null;
+    this.jobs = options.jobs || new JobQueue(this.newsService.pool);
+
+    // Seeds whose fetch failed this many times stay seeds and are no longer retried
+    this.maxFetchAttempts = options.maxFetchAttempts ??
+      parseInt(process.env.PIPELINE_MAX_FETCH_ATTEMPTS || '3', 10);
+    // Enhancement jobs run at once; the fetch scheduler still spaces requests per host
+    this.enhanceConcurrency = options.enhanceConcurrency ?? 5;
+
+    this.currentRun = null;
+  }
+
+  /**
+   * Store new seeds from newsletters and feeds
+   */
+  async ingestSeeds(options = {}) {
+    const { daysBack = 3, includeFeeds = true } = options;
+
+    const seeds = await this.hybridService.getSeeds({ daysBack, includeFeeds });
+
+    const { storedIds, ...counts } = await this.storeSeeds(seeds);
+    await this.hybridService.criticalParser.commitFiles(storedIds);
+    console.log(`🌱 Seeds: ${counts.imported} new, ${counts.existing} already stored, ${counts.failed} failed`);
+
+    return { seeds: seeds.length, ...counts };
+  }
+
+  /**
+   * Store seeds under their real URL so later fetches and duplicate checks use it
+   */
+  async storeSeeds(seeds) {
+    const resolved = seeds.map(seed => {
+      const url = this.hybridService.extractRealUrl(seed.url);
+      return url === seed.url ? seed : { ...seed, url, original_newsletter_url: seed.url };
+    });
+
+    return await this.newsService.storeSeeds(resolved);
+  }
+
+  /**
+   * Fetch and extract stored seeds, most severe first
+   */
+  async fetchSeeds(options = {}) {
+    const { limit = 20, minSeverity = 0, offline = this.hybridService.offline } = options;
+
+    const seeds = await this.newsService.getArticlesInState('seed', {
+      limit,
+      minSeverity,
+      maxFetchAttempts: this.maxFetchAttempts
+    });
+
+    const counts = { attempted: seeds.length, seed: 0, fetched: 0, extracted: 0, failed: 0 };
+
+    // Seeds run concurrently; the fetch scheduler enforces per-host spacing and concurrency
+    await Promise.all(seeds.map(async seed => {
+      try {
+        counts[await this.enhanceSeed(seed, offline)]++;
+      } catch (error) {
+        counts.failed++;
+        console.error(`Error recording fetch for ${seed.id}:`, error.message);
+      }
+    }));
+
+    try {
+      await this.hybridService.cache.save();
+    } catch (cacheError) {
+      console.warn('Could not save article cache:', cacheError.message);
+    }
+
+    console.log(`📥 Fetched ${counts.attempted} seeds: ${counts.extracted} extracted, ${counts.fetched} without full text, ${counts.seed} to retry`);
+    return counts;
+  }
+
+  /**
+   * Fetch and extract one seed and store the result; returns its new pipeline state
+   */
+  async enhanceSeed(seed, offline = this.hybridService.offline) {
+    const result = await this.hybridService.enhanceSeed(seed, { includeImages: true, offline });
+    return await this.newsService.recordFetchResult(seed.id, result);
+  }
+
+  /**
+   * Queue stored seeds, most severe first, as enhancement jobs for a worker to fetch
+   * With analyze, each seed that is extracted is queued for Keisha analysis next
+   */
+  async queueSeeds(options = {}) {
+    const { limit = 20, minSeverity = 0, analyze = true } = options;
+
+    const seeds = await this.newsService.getArticlesInState('seed', {
+      limit,
+      minSeverity,
+      maxFetchAttempts: this.maxFetchAttempts
+    });
+
+    let queued = 0;
+    for (const seed of seeds) {
+      if (await this.jobs.enqueue(ENHANCE_JOB, { article_id: seed.id, analyze }, { key: seed.id }) !== null) {
+        queued++;
+      }
+    }
+
+    console.log(`📥 Queued ${queued} of ${seeds.length} seeds for enhancement`);
+    return { attempted: seeds.length, queued };
+  }
+
+  /**
+   * Run due enhancement jobs until none are left, maxJobs have run or shouldStop(), then recluster
+   * Returns counts of processed, completed, retried, dead and lost jobs
+   */
+  async processEnhanceQueue(options = {}) {
+    const { maxJobs = Infinity, shouldStop = () => false, offline = this.hybridService.offline } = options;
+    const counts = { processed: 0, completed: 0, retried: 0, dead: 0, lost: 0 };
+
+    while (counts.processed < maxJobs && !shouldStop()) {
+      const batch = await this.jobs.claim({
+        types: [ENHANCE_JOB],
+        limit: Math.min(this.enhanceConcurrency, maxJobs - counts.processed)
+      });
+      if (batch.length === 0) break;
+
+      const outcomes = await Promise.all(batch.map(job => this.runEnhanceJob(job, offline)));
+      outcomes.forEach(outcome => {
+        counts.processed++;
+        counts[outcome]++;
+      });
+    }
+
+    if (counts.processed > 0) {
+      try {
+        await this.hybridService.cache.save();
+      } catch (cacheError) {
+        console.warn('Could not save article cache:', cacheError.message);
+      }
+
+      try {
+        await this.newsService.updateClusters({ daysBack: 7 });
+      } catch (error) {
+        console.error('Error updating story clusters:', error.message);
+      }
+
+      console.log(`📥 Enhancement jobs: ${counts.completed} completed, ${counts.retried} to retry, ${counts.dead} dead-lettered${counts.lost ? `, ${counts.lost} lost their lease` : ''}`);
+    }
+    return counts;
+  }
+
+  /**
+   * Run one claimed enhancement job; returns 'completed', 'retried', 'dead' or 'lost'
+   * (the lease expired meanwhile and the job runs again)
+   * A seed that was already fetched (or deleted) completes without a fetch.
+   */
+  async runEnhanceJob(job, offline) {
+    const { article_id: articleId, analyze = true } = job.payload;
+
+    try {
+      const [seed] = await this.newsService.getArticlesInState('seed', { ids: [articleId] });
+
+      if (seed) {
+        const state = await this.enhanceSeed(seed, offline);
+        if (state === 'extracted' && analyze && this.keishaIntegration) {
+          await this.keishaIntegration.queueArticlesForAnalysis([seed]);
+        }
+      }
+
+      if (!(await this.jobs.complete(job))) {
+        console.warn(`Lease on enhancement job ${job.id} expired before it completed; the job runs again`);
+        return 'lost';
+      }
+      return 'completed';
+
+    } catch (error) {
+      try {
+        const outcome = await this.jobs.fail(job, error);
+        if (outcome.status === 'lost') {
+          console.warn(`Lease on enhancement job ${job.id} expired before it failed; the job runs again`);
+          return 'lost';
+        }
+        console.warn(`Enhancement of ${articleId} failed: ${error.message}${outcome.run_at ? `, retrying at ${outcome.run_at}` : ', dead-lettered'}`);
+        return outcome.status === 'dead' ? 'dead' : 'retried';
+      } catch (queueError) {
+        // The lease runs out and the sweeper queues the job again
+        console.error(`Error recording failed enhancement job ${job.id}:`, queueError.message);
+        return 'retried';
+      }
+    }
+  }
+
+  /**
+   * Queue extracted articles for Keisha analysis; the analysis job queue runs them
+   */
+  async queueExtracted(options = {}) {
+    const { limit = 10, minSeverity = 0 } = options;
+
+    if (!this.keishaIntegration) {
+      return { attempted: 0, queued: 0, skipped: true };
+    }
+
+    const articles = await this.newsService.getArticlesInState('extracted', { limit, minSeverity });
+    const { queued } = await this.keishaIntegration.queueArticlesForAnalysis(articles);
+
+    console.log(`🧠 Queued ${queued} of ${articles.length} extracted articles for analysis`);
+    return { attempted: articles.length, queued, skipped: false };
+  }
+
+  /**
+   * Run every step once
+   * Overlapping calls share the run already in progress
+   */
+  async run(options = {}) {
+    if (this.currentRun) {
+      return this.currentRun;
+    }
+
+    this.currentRun = this.runSteps(options).finally(() => {
+      this.currentRun = null;
+    });
+
+    return this.currentRun;
+  }
+
+  /**
+   * Seed, fetch (or queue enhancement jobs), queue for analysis and recluster
+   */
+  async runSteps(options = {}) {
+    const {
+      limit = 20,
+      minSeverity = 70,
+      daysBack = 3,
+      includeFeeds = true,
+      analyze = true,
+      analyzeLimit = 10,
+      enqueue = false,
+      offline
+    } = options;
+
+    const startedAt = new Date().toISOString();
+    console.log('🏭 Starting article pipeline run...');
+
+    const released = await this.newsService.releaseStalledAnalysis();
+    if (released > 0) {
+      console.log(`♻️ Returned ${released} stalled articles to the analysis queue`);
+    }
+
+    let seeds = null;
+    try {
+      seeds = await this.ingestSeeds({ daysBack, includeFeeds });
+    } catch (error) {
+      // Stored seeds from earlier runs can still be fetched and analyzed
+      console.warn('Seed ingestion failed, continuing with stored articles:', error.message);
+      seeds = { error: error.message };
+    }
+
+    // enqueue leaves fetching to workers running the enhancement jobs
+    const fetched = enqueue ? null : await this.fetchSeeds({ limit, minSeverity, offline });
+    const enhance = enqueue ? await this.queueSeeds({ limit, minSeverity, analyze }) : null;
+    const queued = analyze ? await this.queueExtracted({ limit: analyzeLimit, minSeverity }) : null;
+
+    let clusters = null;
+    if ((fetched && fetched.attempted > 0) || (seeds && seeds.imported > 0)) {
+      try {
+        clusters = await this.newsService.updateClusters({ daysBack: Math.max(daysBack, 7) });
+      } catch (error) {
+        console.error('Error updating story clusters:', error.message);
+      }
+    }
+
+    const report = {
+      started_at: startedAt,
+      completed_at: new Date().toISOString(),
+      seeds,
+      fetched,
+      enhance,
+      queued,
+      clusters
+    };
+
+    console.log('✅ Article pipeline run complete');
+    return report;
+  }
+
+  /**
+   * Article counts per pipeline state and content status
+   */
+  async getStats() {
+    return await this.newsService.getPipelineStats();
+  }
+}
+
+ArticlePipeline.PIPELINE_STATES = PIPELINE_STATES;
+ArticlePipeline.ENHANCE_JOB = ENHANCE_JOB;
+
+module.exports = ArticlePipeline;
@@ -0,0 +1,253 @@
+// Ranking factors, each scaled to 0-1, and their default weights (override with RANK_WEIGHT_<FACTOR>)
+const FACTORS = {
+  severity: 0.35, // newsletter severity_score / 100
+  category: 0.15, // severity_weight of the article's keyword category, w / (w + 1)
+  bias: 0.2, // Keisha bias_score / 100
+  freshness: 0.15, // halves every RANK_HALF_LIFE_HOURS since publication (or the article date)
+  corroboration: 0.1, // 0 for one source, 0.5 for two, 0.75 for three, ...
+  trust: 0.05 // trust_weight of the source the article came from
+};
+
+/**
+ * Article Ranker for FNS
+ * Combines the ranking factors into one rank_score (0-100) with a per-factor breakdown.
+ * Factors an article has no data for (no analysis yet, unknown source) are left out and the
+ * remaining weights scaled up, so unanalyzed articles are not pushed down for lack of a bias score.
+ * Scores are stored on fns_articles when articles are clustered and analyzed, without the decay:
+ * rank_base holds the factors that do not change with time and rank_freshness what freshness adds
+ * at publication (rank_decay_from). rankScoreSql() decays it to the time of each query.
+ */
+class ArticleRanker {
+  constructor(pool = null, options = {}) {
+    this.pool = pool;
+
+    this.weights = {};
+    Object.entries(FACTORS).forEach(([factor, weight]) => {
+      const configured = parseFloat(process.env[`RANK_WEIGHT_${factor.toUpperCase()}`]);
+      this.weights[factor] = options.weights?.[factor] ?? (Number.isNaN(configured) ? weight : configured);
+    });
+    this.halfLifeHours = options.halfLifeHours ?? parseFloat(process.env.RANK_HALF_LIFE_HOURS || '48');
+  }
+
+  /**
+   * Factor values (0-1, or null when unknown) for an article
+   * Reads severity_score, category_weight, bias_score, published_at or date, cluster_size or sources
+   * and trust_weight.
+   */
+  factorValues(article, now = new Date()) {
+    const clamp = value => Math.max(0, Math.min(1, value));
+    const number = value => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+    const severity = number(article.severity_score);
+    const categoryWeight = number(article.category_weight);
+    const bias = number(article.bias_score);
+    const trust = number(article.trust_weight);
+
+    const published = this.toDate(article.published_at) || this.toDate(article.date);
+    const freshness = published ? this.decay(published, now) : null;
+
+    const sourceIds = new Set((article.sources || []).map(source => source.source_id));
+    const sources = Math.max(parseInt(article.cluster_size, 10) || 1, sourceIds.size);
+
+    return {
+      severity: severity === null ? null : clamp(severity / 100),
+      category: categoryWeight === null ? null : clamp(categoryWeight / (categoryWeight + 1)),
+      bias: bias === null ? null : clamp(bias / 100),
+      freshness,
+      corroboration: 1 - Math.pow(0.5, sources - 1),
+      trust: trust === null ? null : clamp(trust)
+    };
+  }
+
+  /**
+   * Score an article: { rank_score, rank_factors: { factor: { value, weight, contribution } } }
+   * Contributions add up to rank_score; weight is the factor's share after leaving out unknown factors.
+   */
+  score(article, now = new Date()) {
+    const values = this.factorValues(article, now);
+    const round = value => Math.round(value * 100) / 100;
+
+    const known = Object.keys(FACTORS).filter(factor => values[factor] !== null && this.weights[factor] > 0);
+    const totalWeight = known.reduce((sum, factor) => sum + this.weights[factor], 0);
+
+    const factors = {};
+    let rankScore = 0;
+    Object.keys(FACTORS).forEach(factor => {
+      const value = values[factor];
+      const weight = known.includes(factor) ? this.weights[factor] / totalWeight : 0;
+      const contribution = value === null ? 0 : 100 * weight * value;
+      rankScore += contribution;
+
+      factors[factor] = {
+        value: value === null ? null : round(value),
+        weight: round(weight),
+        contribution: round(contribution)
+      };
+    });
+
+    return { rank_score: round(rankScore), rank_factors: factors };
+  }
+
+  /**
+   * Freshness (0-1) of something published at published: halves every halfLifeHours
+   */
+  decay(published, now = new Date()) {
+    const ageHours = Math.max(0, (now.getTime() - published.getTime()) / 3600000);
+    return Math.pow(0.5, ageHours / this.halfLifeHours);
+  }
+
+  /**
+   * The time-independent scores stored for an article:
+   * { rank_base, rank_freshness, rank_decay_from, rank_factors }, with rank_factors as of publication
+   */
+  storedScore(article, now = new Date()) {
+    const published = this.toDate(article.published_at) || this.toDate(article.date);
+    const decayFrom = published ? new Date(Math.min(published.getTime(), now.getTime())) : null;
+
+    const { rank_score: rankScore, rank_factors: factors } = this.score(article, decayFrom || now);
+    const freshness = factors.freshness.contribution;
+
+    return {
+      rank_base: Math.round((rankScore - freshness) * 100) / 100,
+      rank_freshness: freshness,
+      rank_decay_from: decayFrom,
+      rank_factors: factors
+    };
+  }
+
+  /**
+   * SQL for the rank_score of stored articles (aliased alias) now, or at the Date asOf;
+   * NULL for unranked articles
+   */
+  rankScoreSql(alias = 'a', asOf = null) {
+    const hours = this.pool.hoursSince(`${alias}.rank_decay_from`, asOf);
+    return `(${alias}.rank_base + COALESCE(${alias}.rank_freshness * POWER(0.5, ${hours} / ${Number(this.halfLifeHours)}), 0))`;
+  }
+
+  /**
+   * { rank_score, rank_factors } of a stored row read with rankScoreSql() AS rank_score:
+   * the score rounded, and the freshness factor given the value and contribution left after the decay
+   */
+  currentScore(row) {
+    const round = value => Math.round(value * 100) / 100;
+    const factors = row.rank_factors || null;
+    if (row.rank_score === null || row.rank_score === undefined) {
+      return { rank_score: null, rank_factors: factors };
+    }
+
+    const rankScore = parseFloat(row.rank_score);
+    if (!factors || !factors.freshness) {
+      return { rank_score: round(rankScore), rank_factors: factors };
+    }
+
+    const atPublication = parseFloat(row.rank_freshness) || 0;
+    const contribution = Math.max(0, rankScore - (parseFloat(row.rank_base) || 0));
+
+    return {
+      rank_score: round(rankScore),
+      rank_factors: {
+        ...factors,
+        freshness: {
+          ...factors.freshness,
+          value: factors.freshness.value === null ? null : round(atPublication > 0 ? contribution / atPublication : 0),
+          contribution: round(contribution)
+        }
+      }
+    };
+  }
+
+  /**
+   * Rank articles in memory, highest rank_score first
+   * categories are CategoryTaxonomy categories, used to look up each keyword's severity_weight
+   */
+  rankArticles(articles, categories = [], now = new Date()) {
+    const weights = new Map(categories.map(category => [category.name.toLowerCase(), category.severity_weight]));
+
+    return articles
+      .map(article => ({
+        ...article,
+        ...this.score({
+          ...article,
+          category_weight: article.category_weight ?? weights.get(String(article.keyword || '').toLowerCase())
+        }, now)
+      }))
+      .sort((a, b) => b.rank_score - a.rank_score || (b.severity_score || 0) - (a.severity_score || 0));
+  }
+
+  /**
+   * Recompute and store rank scores: for ids, fromDate..toDate, the last daysBack days or every article
+   * Scores only change when an article's data does, since the decay is applied at query time
+   * Returns the number of articles ranked
+   */
+  async updateScores(options = {}) {
+    const { ids = null, daysBack = null, fromDate = null, toDate = null, batchSize = 500 } = options;
+
+    let range = { condition: '', params: [] };
+    if (ids) {
+      if (ids.length === 0) return 0;
+      range = { condition: `AND a.id IN (${ids.map(() => '?').join(',')})`, params: ids };
+    } else if (fromDate) {
+      range = { condition: 'AND a.date BETWEEN ? AND ?', params: [fromDate, toDate || new Date().toISOString().split('T')[0]] };
+    } else if (daysBack !== null) {
+      range = { condition: `AND a.date >= ${this.pool.daysAgo()}`, params: [daysBack] };
+    }
+
+    const now = new Date();
+    let ranked = 0;
+    let lastId = '';
+
+    for (;;) {
+      const [rows] = await this.pool.execute(`
+        SELECT
+          a.id, a.severity_score, a.published_at, a.date, a.cluster_size,
+          a.source_trust AS trust_weight, c.severity_weight AS category_weight,
+          (SELECT MAX(k.bias_score) FROM fns_keisha_analysis k WHERE k.article_id = a.id) AS bias_score
+        FROM fns_articles a
+        LEFT JOIN fns_categories c ON LOWER(c.name) = LOWER(a.keyword)
+        WHERE a.id > ? ${range.condition}
+        ORDER BY a.id ASC
+        LIMIT ${parseInt(batchSize, 10) || 500}
+      `, [lastId, ...range.params]);
+
+      if (rows.length === 0) break;
+      lastId = rows[rows.length - 1].id;
+
+      for (const row of rows) {
+        const stored = this.storedScore(row, now);
+        await this.pool.execute(
+          'UPDATE fns_articles SET rank_base = ?, rank_freshness = ?, rank_decay_from = ?, rank_factors = ? WHERE id = ?',
+          [stored.rank_base, stored.rank_freshness, stored.rank_decay_from, JSON.stringify(stored.rank_factors), row.id]
+        );
+      }
+      ranked += rows.length;
+    }
+
+    return ranked;
+  }
+
+  /**
+   * Date for a DATE/DATETIME value or ISO string, or null
+   * Plain YYYY-MM-DD dates count from noon UTC, since the time of day is unknown;
+   * DATETIME text from SQLite is UTC, as metadataColumns stores it.
+   */
+  toDate(value) {
+    if (!value) return null;
+
+    let date = value;
+    if (!(value instanceof Date)) {
+      const text = String(value);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        date = new Date(`${text}T12:00:00Z`);
+      } else if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text)) {
+        date = new Date(`${text.replace(' ', 'T')}Z`);
+      } else {
+        date = new Date(text);
+      }
+    }
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+}
+
+ArticleRanker.FACTORS = FACTORS;
+
+module.exports = ArticleRanker;
@@ -0,0 +1,442 @@
+const { createStorage } = require('./storage');
+
+// Kinds of lexicon entry: bias term categories (as in detected_terms) and sentiment words,
+// whose weight is the sentiment change per mention
+const BIAS_CATEGORIES = ['euphemism', 'coded_language', 'dehumanizing', 'systemic_pattern', 'fragility'];
+const SENTIMENT_CATEGORIES = ['negative', 'positive'];
+const LEXICON_CATEGORIES = [...BIAS_CATEGORIES, ...SENTIMENT_CATEGORIES];
+
+const CSV_COLUMNS = ['term', 'category', 'weight', 'rationale', 'examples'];
+
+// Built-in lexicon (version 0), used until the first edit or import and when the database is unreachable.
+// Bias weight is how strongly a term signals bias (0 = reported, not scored)
+const DEFAULT_ENTRIES = [
+  // Coded language
+  { term: 'urban', category: 'coded_language', weight: 1, rationale: 'Often stands in for Black people or neighborhoods', examples: ['urban crime wave'] },
+  { term: 'inner city', category: 'coded_language', weight: 1.2, rationale: 'Racial code for Black neighborhoods', examples: ['inner-city violence'] },
+  { term: 'ghetto', category: 'coded_language', weight: 1.2, rationale: 'Racialized label for poor Black neighborhoods', examples: ['a ghetto mentality'] },
+  { term: 'thug', category: 'coded_language', weight: 1.5, rationale: 'Racially coded label for Black men', examples: ['thugs looted the store'] },
+  { term: 'welfare queen', category: 'coded_language', weight: 2, rationale: 'Racist caricature of Black women on public assistance', examples: [] },
+  { term: 'law and order', category: 'coded_language', weight: 1, rationale: 'Campaign code for policing Black communities', examples: ['a law and order candidate'] },
+  { term: "states' rights", category: 'coded_language', weight: 1.2, rationale: 'Historical code for defending segregation', examples: [] },
+  { term: 'super-predator', category: 'coded_language', weight: 2, rationale: 'Debunked label used to criminalize Black youth', examples: [] },
+  { term: 'black-on-black crime', category: 'coded_language', weight: 1.5, rationale: 'Frames intra-community crime as racial, unlike white-on-white crime', examples: [] },
+  { term: 'at-risk youth', category: 'coded_language', weight: 0.8, rationale: 'Often a racialized euphemism for Black and brown children', examples: [] },
+
+  // Dehumanizing language
+  { term: 'illegals', category: 'dehumanizing', weight: 1.8, rationale: 'Reduces people to an immigration status', examples: ['illegals crossing the border'] },
+  { term: 'illegal alien', category: 'dehumanizing', weight: 1.8, rationale: 'Frames migrants as unlawful and foreign beings', examples: [] },
+  { term: 'infestation', category: 'dehumanizing', weight: 1.5, rationale: 'Vermin metaphor for people', examples: [] },
+  { term: 'invasion', category: 'dehumanizing', weight: 1.2, rationale: 'Frames migrants as an attacking force', examples: ['an invasion at the southern border'] },
+  { term: 'hordes', category: 'dehumanizing', weight: 1.2, rationale: 'Presents people as a faceless mass', examples: [] },
+  { term: 'swarm', category: 'dehumanizing', weight: 1, rationale: 'Insect metaphor for people', examples: [] },
+  { term: 'animals', category: 'dehumanizing', weight: 0.8, rationale: 'Likens people to animals when said of them', examples: [] },
+  { term: 'criminals', category: 'dehumanizing', weight: 0.8, rationale: 'Defines people by alleged offenses', examples: [] },
+
+  // Euphemisms
+  { term: 'officer-involved shooting', category: 'euphemism', weight: 1.5, rationale: 'Names no shooter', examples: [] },
+  { term: 'racially charged', category: 'euphemism', weight: 1.2, rationale: 'Avoids calling racism racism', examples: ['a racially charged remark'] },
+  { term: 'racially tinged', category: 'euphemism', weight: 1.2, rationale: 'Avoids calling racism racism', examples: [] },
+  { term: 'racially insensitive', category: 'euphemism', weight: 1, rationale: 'Softens racist speech or acts', examples: [] },
+  { term: 'economic anxiety', category: 'euphemism', weight: 1, rationale: 'Recasts racial resentment as economic worry', examples: [] },
+  { term: 'alt-right', category: 'euphemism', weight: 1.2, rationale: 'Self-chosen rebrand of white nationalism', examples: [] },
+  { term: 'southern heritage', category: 'euphemism', weight: 1, rationale: 'Softens Confederate and segregationist symbols', examples: [] },
+  { term: 'in-custody death', category: 'euphemism', weight: 1.2, rationale: 'Hides how a person died in police custody', examples: [] },
+  { term: 'welfare', category: 'euphemism', weight: 0.5, rationale: 'Often used as racial code for Black poverty', examples: ['welfare dependency'] },
+  { term: 'handouts', category: 'euphemism', weight: 0.8, rationale: 'Frames public support as undeserved', examples: [] },
+
+  // White fragility
+  { term: 'reverse racism', category: 'fragility', weight: 1.5, rationale: 'Treats challenges to white advantage as racism', examples: [] },
+  { term: 'race card', category: 'fragility', weight: 1.2, rationale: 'Dismisses claims of racism as manipulation', examples: ['playing the race card'] },
+  { term: 'all lives matter', category: 'fragility', weight: 1.5, rationale: 'Deflects from anti-Black violence', examples: [] },
+  { term: 'colorblind', category: 'fragility', weight: 0.8, rationale: 'Denies that race shapes outcomes', examples: [] },
+
+  // Systemic patterns: naming them is not bias, so they are reported but not scored
+  { term: 'redlining', category: 'systemic_pattern', weight: 0, rationale: 'Names housing discrimination', examples: [] },
+  { term: 'mass incarceration', category: 'systemic_pattern', weight: 0, rationale: 'Names racialized imprisonment', examples: [] },
+  { term: 'voter suppression', category: 'systemic_pattern', weight: 0, rationale: 'Names disenfranchisement', examples: [] },
+  { term: 'school-to-prison pipeline', category: 'systemic_pattern', weight: 0, rationale: 'Names racialized school discipline', examples: [] },
+  { term: 'racial profiling', category: 'systemic_pattern', weight: 0, rationale: 'Names race-based policing', examples: [] },
+  { term: 'racial wealth gap', category: 'systemic_pattern', weight: 0, rationale: 'Names racialized economic inequality', examples: [] },
+
+  // Sentiment words for newsletter story sentiment (matched inside words, so "kill" counts "killed")
+  ...['violence', 'attack', 'hate', 'threat', 'kill', 'racist', 'discrimination']
+    .map(term => ({ term, category: 'negative', weight: 0.1, rationale: 'Negative sentiment word', examples: [] })),
+  ...['justice', 'equality', 'progress', 'reform', 'support']
+    .map(term => ({ term, category: 'positive', weight: 0.1, rationale: 'Positive sentiment word', examples: [] }))
+];
+
+/**
+ * Bias Lexicon for FNS
+ * The curated terms local analysis and newsletter sentiment use, kept in versions: every edit or
+ * import publishes a new version with the full entry list, and old versions are never changed, so
+ * an analysis that records its lexicon version can be audited and reproduced later.
+ */
+class BiasLexicon {
+  constructor(pool = null) {
+    this.pool = pool;
+    this.ownsPool = !pool;
+    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.cached = null;
+  }
+
+  /**
+   * Get (and lazily create) the database storage
+   */
+  getPool() {
+    if (!this.pool) {
+      this.pool = createStorage({ connectionLimit: 2 });
+    }
+    return this.pool;
+  }
+
+  /**
+   * Normalize an entry from the database, an API payload or an import
+   */
+  normalizeEntry(entry) {
+    // A JSON array, or |-separated text as in CSV cells: a cell like "42" or "null" is an example, not JSON
+    let examples = entry.examples;
+    if (typeof examples === 'string') {
+      let parsed = null;
+      if (examples.trim().startsWith('[')) {
+        try {
+          parsed = JSON.parse(examples);
+        } catch (error) {
+          parsed = null;
+        }
+      }
+      examples = Array.isArray(parsed) ? parsed : examples.split('|');
+    }
+
+    return {
+      term: String(entry.term || '').trim().replace(/\s+/g, ' '),
+      category: String(entry.category || '').trim().toLowerCase().replace(/[\s-]+/g, '_'),
+      weight: parseFloat(entry.weight ?? 1),
+      rationale: entry.rationale ? String(entry.rationale).trim() : '',
+      examples: Array.isArray(examples) ? examples.map(example => String(example).trim()).filter(Boolean) : []
+    };
+  }
+
+  /**
+   * Validate an entry, returning a list of problems
+   */
+  validateEntry(entry) {
+    const errors = [];
+
+    if (!entry.term || entry.term.length > 100) {
+      errors.push('term must be 1-100 characters');
+    }
+    if (!LEXICON_CATEGORIES.includes(entry.category)) {
+      errors.push(`category must be one of: ${LEXICON_CATEGORIES.join(', ')}`);
+    }
+    if (Number.isNaN(entry.weight) || entry.weight < 0 || entry.weight > 5) {
+      errors.push('weight must be between 0 and 5');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Entries for the built-in version 0
+   */
+  defaults() {
+    return { version: 0, note: 'Built-in lexicon', created_at: null, entries: DEFAULT_ENTRIES.map(entry => this.normalizeEntry(entry)) };
+  }
+
+  /**
+   * Load one version ({ version, note, created_at, entries }), the latest by default
+   * The latest falls back to the built-in lexicon; returns null when a requested version does not exist
+   */
+  async getLexicon(options = {}) {
+    const { version = null, useCache = true } = options;
+
+    if (version === 0) {
+      return this.defaults();
+    }
+    if (version === null && useCache && this.cached && Date.now() - this.cached.timestamp < this.cacheTimeout) {
+      return this.cached.data;
+    }
+
+    let lexicon = version === null ? this.defaults() : null;
+
+    try {
+      const [versions] = version === null
+        ? await this.getPool().execute('SELECT version, note, created_at FROM fns_lexicon_versions ORDER BY version DESC LIMIT 1')
+        : await this.getPool().execute('SELECT version, note, created_at FROM fns_lexicon_versions WHERE version = ?', [version]);
+
+      if (versions.length > 0) {
+        const [rows] = await this.getPool().execute(`
+          SELECT term, category, weight, rationale, examples
+          FROM fns_lexicon_entries
+          WHERE version = ?
+          ORDER BY category ASC, term ASC
+        `, [versions[0].version]);
+
+        lexicon = { ...versions[0], version: Number(versions[0].version), entries: rows.map(row => this.normalizeEntry(row)) };
+      }
+    } catch (error) {
+      if (version !== null) throw error;
+      console.warn('Bias lexicon unavailable, using built-in lexicon:', error.message);
+    }
+
+    if (version === null) {
+      this.cached = { data: lexicon, timestamp: Date.now() };
+    }
+    return lexicon;
+  }
+
+  /**
+   * Lexicon last loaded, or the built-in lexicon before the first load
+   */
+  current() {
+    return this.cached ? this.cached.data : this.defaults();
+  }
+
+  /**
+   * Published versions, newest first
+   */
+  async getVersions(limit = 50) {
+    const [rows] = await this.getPool().execute(`
+      SELECT version, source, note, entry_count, created_at
+      FROM fns_lexicon_versions
+      ORDER BY version DESC
+      LIMIT ${parseInt(limit, 10) || 50}
+    `);
+    return rows;
+  }
+
+  /**
+   * Add an entry, or change the entry named term (fields left out keep their current values)
+   * Returns the new version, or null when the entry to change does not exist.
+   * Throws an error with validationErrors for an invalid or duplicate entry
+   */
+  async saveEntry(entry, options = {}) {
+    const { term = null, note = null } = options;
+    const { entries } = await this.getLexicon({ useCache: false });
+
+    const index = term === null ? -1 : entries.findIndex(current => current.term.toLowerCase() === String(term).trim().toLowerCase());
+    if (term !== null && index === -1) {
+      return null;
+    }
+
+    const next = [...entries];
+    const saved = this.normalizeEntry({ ...(index === -1 ? {} : entries[index]), ...entry });
+    if (index === -1) {
+      next.push(saved);
+    } else {
+      next[index] = saved;
+    }
+
+    return await this.publish(next, {
+      source: 'edit',
+      note: note || `${index === -1 ? 'Added' : 'Changed'} ${saved.term}`
+    });
+  }
+
+  /**
+   * Remove the entry named term; returns the new version, or null when it does not exist
+   */
+  async deleteEntry(term, options = {}) {
+    const { entries } = await this.getLexicon({ useCache: false });
+    const next = entries.filter(entry => entry.term.toLowerCase() !== String(term).trim().toLowerCase());
+    if (next.length === entries.length) {
+      return null;
+    }
+
+    return await this.publish(next, { source: 'edit', note: options.note || `Removed ${term}` });
+  }
+
+  /**
+   * Import entries as a new version
+   * mode 'replace' makes them the whole lexicon; 'merge' adds them and replaces entries with the same term
+   */
+  async importEntries(entries, options = {}) {
+    const { mode = 'replace', note = null } = options;
+    if (!['replace', 'merge'].includes(mode)) {
+      const error = new Error('Invalid lexicon import');
+      error.validationErrors = ['mode must be replace or merge'];
+      throw error;
+    }
+
+    let next = entries.map(entry => this.normalizeEntry(entry));
+    if (mode === 'merge') {
+      const imported = new Set(next.map(entry => entry.term.toLowerCase()));
+      const { entries: current } = await this.getLexicon({ useCache: false });
+      next = [...current.filter(entry => !imported.has(entry.term.toLowerCase())), ...next];
+    }
+
+    return await this.publish(next, { source: 'import', note: note || `Imported ${entries.length} entries (${mode})` });
+  }
+
+  /**
+   * Store entries as the next version; returns { version, note, entry_count }
+   * Throws an error with validationErrors when any entry is invalid or a term appears twice
+   */
+  async publish(entries, options = {}) {
+    const { source = 'edit', note = null } = options;
+    const errors = [];
+    const seen = new Set();
+
+    entries.forEach((entry, index) => {
+      this.validateEntry(entry).forEach(problem => errors.push(`entry ${index + 1} (${entry.term || 'no term'}): ${problem}`));
+
+      const key = entry.term.toLowerCase();
+      if (seen.has(key)) {
+        errors.push(`entry ${index + 1}: ${entry.term} appears more than once`);
+      }
+      seen.add(key);
+    });
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid lexicon: ${errors.join('; ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    const connection = await this.getPool().getConnection();
+    let version;
+
+    try {
+      await connection.beginTransaction();
+
+      const [[latest]] = await connection.execute('SELECT MAX(version) AS version FROM fns_lexicon_versions');
+      version = Number(latest.version || 0) + 1;
+
+      await connection.execute(`
+        INSERT INTO fns_lexicon_versions (version, source, note, entry_count)
+        VALUES (?, ?, ?, ?)
+      `, [version, source, note, entries.length]);
+
+      for (const entry of entries) {
+        await connection.execute(`
+          INSERT INTO fns_lexicon_entries (version, term, category, weight, rationale, examples)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [version, entry.term, entry.category, entry.weight, entry.rationale, JSON.stringify(entry.examples)]);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    this.cached = null;
+    console.log(`📖 Published bias lexicon version ${version} (${entries.length} entries)`);
+    return { version, note, entry_count: entries.length };
+  }
+
+  /**
+   * Bias entries (everything but sentiment words)
+   */
+  biasTerms(lexicon = this.current()) {
+    return lexicon.entries.filter(entry => BIAS_CATEGORIES.includes(entry.category));
+  }
+
+  /**
+   * Sentiment words: { negative: [{ term, weight }], positive: [{ term, weight }] }
+   */
+  sentimentWords(lexicon = this.current()) {
+    const words = category => lexicon.entries
+      .filter(entry => entry.category === category)
+      .map(entry => ({ term: entry.term.toLowerCase(), weight: entry.weight }));
+    return { negative: words('negative'), positive: words('positive') };
+  }
+
+  /**
+   * Export a lexicon as JSON ({ version, entries }) or CSV text
+   */
+  export(lexicon, format = 'json') {
+    if (format === 'csv') {
+      const cell = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+      const lines = lexicon.entries.map(entry => [
+        entry.term,
+        entry.category,
+        String(entry.weight),
+        entry.rationale,
+        entry.examples.join('|')
+      ].map(cell).join(','));
+      return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+    }
+
+    return { version: lexicon.version, note: lexicon.note, created_at: lexicon.created_at, entries: lexicon.entries };
+  }
+
+  /**
+   * Parse CSV with a header row (term, category, weight, rationale, examples separated by |)
+   * Throws an error with validationErrors when the header lacks term or category
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter(record => record.some(value => value.trim() !== ''));
+    const columns = header.map(name => name.trim().toLowerCase());
+    if (!columns.includes('term') || !columns.includes('category')) {
+      const error = new Error('Invalid lexicon CSV');
+      error.validationErrors = [`header must name the columns: ${CSV_COLUMNS.join(', ')} (term and category are required)`];
+      throw error;
+    }
+
+    return records.map(record => {
+      const entry = {};
+      columns.forEach((name, index) => {
+        if (CSV_COLUMNS.includes(name) && record[index] !== undefined && record[index] !== '') {
+          entry[name] = record[index];
+        }
+      });
+      return entry;
+    });
+  }
+
+  /**
+   * Close the database storage when this lexicon created it
+   */
+  async close() {
+    if (this.pool && this.ownsPool) {
+      await this.pool.end();
+      this.pool = null;
+    }
+  }
+}
+
+BiasLexicon.BIAS_CATEGORIES = BIAS_CATEGORIES;
+BiasLexicon.SENTIMENT_CATEGORIES = SENTIMENT_CATEGORIES;
+BiasLexicon.LEXICON_CATEGORIES = LEXICON_CATEGORIES;
+BiasLexicon.DEFAULT_ENTRIES = DEFAULT_ENTRIES;
+
+module.exports = BiasLexicon;
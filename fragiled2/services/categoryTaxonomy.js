@@ -0,0 +1,347 @@
+const { createStorage } = require('./storage');
+
+// Built-in taxonomy, used when fns_categories is empty or the database is unreachable
+const DEFAULT_CATEGORIES = [
+  {
+    name: 'white supremacy',
+    description: 'Direct white supremacy content and analysis',
+    synonyms: ['white supremacist', 'white supremacists', 'white nationalism', 'white nationalist', 'neo-nazi', 'neo-nazis'],
+    color_code: '#FF0000',
+    severity_weight: 1.5
+  },
+  {
+    name: 'great replacement theory',
+    description: 'Great replacement theory and related conspiracies',
+    synonyms: ['great replacement', 'replacement theory'],
+    color_code: '#CC0000',
+    severity_weight: 1.4
+  },
+  {
+    name: 'christian nationalism',
+    description: 'Christian nationalism and religious extremism',
+    synonyms: ['christian nationalist', 'christian nationalists'],
+    color_code: '#FF8800',
+    severity_weight: 1.3
+  },
+  {
+    name: 'systemic racism',
+    description: 'Articles about institutional and systemic racism',
+    synonyms: ['institutional racism', 'structural racism'],
+    color_code: '#FF4444',
+    severity_weight: 1.2
+  },
+  {
+    name: 'MAGA',
+    description: 'MAGA movement and related political content',
+    synonyms: ['make america great again'],
+    color_code: '#FF6666',
+    severity_weight: 1.1
+  },
+  {
+    name: 'racism',
+    description: 'General racism and discriminatory content',
+    synonyms: ['racist', 'racists', 'racial discrimination', 'hate crime', 'hate crimes'],
+    color_code: '#FF7777',
+    severity_weight: 1.0
+  },
+  {
+    name: 'anti-racism',
+    description: 'Anti-racism efforts and resistance movements',
+    synonyms: ['antiracism', 'anti-racist', 'antiracist'],
+    color_code: '#00AA00',
+    severity_weight: 0.8
+  }
+];
+
+/**
+ * Category Taxonomy for FNS
+ * Keeps the categories in fns_categories (synonyms, match patterns, color, severity weight) and
+ * classifies articles into every category they mention with a relevance score. When matches overlap
+ * the longest wins, so "systemic racism" does not also count as "racism".
+ */
+class CategoryTaxonomy {
+  constructor(pool = null) {
+    this.pool = pool;
+    this.ownsPool = !pool;
+    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.cached = null;
+
+    this.minRelevance = parseFloat(process.env.TAXONOMY_MIN_RELEVANCE || '0.3');
+    // Keyword for stories no category matches
+    this.fallbackKeyword = process.env.FNS_FALLBACK_CATEGORY || 'systemic racism';
+  }
+
+  /**
+   * Get (and lazily create) the database storage
+   */
+  getPool() {
+    if (!this.pool) {
+      this.pool = createStorage({ connectionLimit: 2 });
+    }
+    return this.pool;
+  }
+
+  /**
+   * Normalize a category row from the database or an API payload
+   */
+  normalizeCategory(category) {
+    const list = value => {
+      if (typeof value === 'string') {
+        try {
+          value = JSON.parse(value);
+        } catch (error) {
+          value = value.split(',');
+        }
+      }
+      return Array.isArray(value) ? value.map(item => String(item).trim()).filter(Boolean) : [];
+    };
+
+    return {
+      id: category.id === null || category.id === undefined ? null : Number(category.id),
+      name: String(category.name || '').trim(),
+      description: category.description || null,
+      synonyms: list(category.synonyms),
+      match_patterns: list(category.match_patterns),
+      color_code: category.color_code || null,
+      severity_weight: parseFloat(category.severity_weight ?? 1)
+    };
+  }
+
+  /**
+   * Validate a category definition, returning a list of problems
+   */
+  validateCategory(category) {
+    const errors = [];
+
+    if (!category.name || category.name.length > 100) {
+      errors.push('name must be 1-100 characters');
+    }
+    if (category.color_code && !/^#[0-9a-f]{6}$/i.test(category.color_code)) {
+      errors.push('color_code must be a hex color like #FF0000');
+    }
+    if (Number.isNaN(category.severity_weight) || category.severity_weight < 0 || category.severity_weight > 9.99) {
+      errors.push('severity_weight must be between 0 and 9.99');
+    }
+    category.match_patterns.forEach(pattern => {
+      try {
+        new RegExp(pattern, 'iu');
+      } catch (error) {
+        errors.push(`match pattern ${pattern} is not a valid regular expression: ${error.message}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Load all categories, falling back to the built-in defaults
+   */
+  async getCategories(options = {}) {
+    const { useCache = true } = options;
+
+    if (useCache && this.cached && Date.now() - this.cached.timestamp < this.cacheTimeout) {
+      return this.cached.data;
+    }
+
+    let categories = DEFAULT_CATEGORIES.map(category => this.normalizeCategory(category));
+
+    try {
+      const [rows] = await this.getPool().execute(`
+        SELECT id, name, description, synonyms, match_patterns, color_code, severity_weight
+        FROM fns_categories
+        ORDER BY severity_weight DESC, name ASC
+      `);
+
+      if (rows.length > 0) {
+        categories = rows.map(row => this.normalizeCategory(row));
+      }
+    } catch (error) {
+      console.warn('Category taxonomy unavailable, using default categories:', error.message);
+    }
+
+    this.cached = { data: categories, timestamp: Date.now() };
+    return categories;
+  }
+
+  /**
+   * Categories last loaded, or the defaults before the first load
+   */
+  current() {
+    return this.cached ? this.cached.data : DEFAULT_CATEGORIES.map(category => this.normalizeCategory(category));
+  }
+
+  /**
+   * Get one category by id, or null
+   */
+  async getCategory(id) {
+    const [rows] = await this.getPool().execute(`
+      SELECT id, name, description, synonyms, match_patterns, color_code, severity_weight
+      FROM fns_categories
+      WHERE id = ?
+    `, [id]);
+    return rows.length > 0 ? this.normalizeCategory(rows[0]) : null;
+  }
+
+  /**
+   * Create a category, or update it when id is given (fields left out keep their current values)
+   * Returns null when the category to update does not exist.
+   * Throws an error with validationErrors for an invalid or duplicate definition
+   */
+  async saveCategory(category) {
+    const id = category.id === null || category.id === undefined ? null : Number(category.id);
+    let current = {};
+    if (id !== null) {
+      current = Number.isInteger(id) ? await this.getCategory(id) : null;
+      if (!current) {
+        return null;
+      }
+    }
+
+    const normalized = this.normalizeCategory({ ...current, ...category, id });
+    const errors = this.validateCategory(normalized);
+
+    const [existing] = await this.getPool().execute(
+      'SELECT id FROM fns_categories WHERE name = ? AND id != ?',
+      [normalized.name, id ?? 0]
+    );
+    if (existing.length > 0) {
+      errors.push(`a category named ${normalized.name} already exists`);
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid category: ${errors.join('; ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    const values = [
+      normalized.name,
+      normalized.description,
+      JSON.stringify(normalized.synonyms),
+      JSON.stringify(normalized.match_patterns),
+      normalized.color_code,
+      normalized.severity_weight
+    ];
+
+    if (normalized.id === null) {
+      const [result] = await this.getPool().execute(`
+        INSERT INTO fns_categories (name, description, synonyms, match_patterns, color_code, severity_weight)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, values);
+      normalized.id = result.insertId;
+    } else {
+      await this.getPool().execute(`
+        UPDATE fns_categories
+        SET name = ?, description = ?, synonyms = ?, match_patterns = ?, color_code = ?, severity_weight = ?
+        WHERE id = ?
+      `, [...values, normalized.id]);
+    }
+
+    this.cached = null;
+    return normalized;
+  }
+
+  /**
+   * Delete a category and its article mappings; returns false when it does not exist
+   */
+  async deleteCategory(id) {
+    await this.getPool().execute('DELETE FROM fns_article_categories WHERE category_id = ?', [id]);
+    const [result] = await this.getPool().execute('DELETE FROM fns_categories WHERE id = ?', [id]);
+
+    this.cached = null;
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Regexes for a category's name and synonyms (whole words, hyphens included) and match patterns
+   */
+  matchers(category) {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const terms = [category.name, ...category.synonyms]
+      .map(term => new RegExp(`(?<![\\p{L}\\p{N}-])${escape(term)}(?![\\p{L}\\p{N}-])`, 'giu'));
+
+    const patterns = category.match_patterns.map(pattern => {
+      try {
+        return new RegExp(pattern, 'giu');
+      } catch (error) {
+        return null;
+      }
+    }).filter(Boolean);
+
+    return [...terms, ...patterns];
+  }
+
+  /**
+   * Classify an article into every category it mentions
+   * Title mentions count double; relevance is capped at 1 and categories below minRelevance are left out.
+   * Returns [{ id, name, severity_weight, relevance, matches }], most relevant (then most severe) first.
+   */
+  classify(article, categories = this.current()) {
+    const fields = [
+      { text: article.title, weight: 2 },
+      { text: [article.summary, article.full_content || article.content].filter(Boolean).join('\n'), weight: 1 }
+    ];
+    const scores = new Map();
+
+    for (const field of fields) {
+      const text = String(field.text || '');
+      if (!text) continue;
+
+      const matches = [];
+      categories.forEach(category => this.matchers(category).forEach(matcher => {
+        for (const match of text.matchAll(matcher)) {
+          if (match[0].length > 0) {
+            matches.push({ category, start: match.index, end: match.index + match[0].length, text: match[0] });
+          }
+        }
+      }));
+
+      // Longest match wins where terms overlap
+      const taken = [];
+      matches
+        .sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start)
+        .forEach(match => {
+          if (taken.some(span => match.start < span.end && span.start < match.end)) return;
+          taken.push(match);
+
+          const score = scores.get(match.category) || { hits: 0, matches: new Set() };
+          score.hits += field.weight;
+          score.matches.add(match.text.toLowerCase());
+          scores.set(match.category, score);
+        });
+    }
+
+    return [...scores.entries()]
+      .map(([category, score]) => ({
+        id: category.id,
+        name: category.name,
+        severity_weight: category.severity_weight,
+        relevance: Math.min(1, Math.round(score.hits / 3 * 100) / 100),
+        matches: [...score.matches]
+      }))
+      .filter(match => match.relevance >= this.minRelevance)
+      .sort((a, b) => b.relevance - a.relevance || b.severity_weight - a.severity_weight);
+  }
+
+  /**
+   * Primary keyword for a story: its most relevant category, or the fallback
+   */
+  primaryKeyword(title, summary) {
+    const [top] = this.classify({ title, summary });
+    return top ? top.name : this.fallbackKeyword;
+  }
+
+  /**
+   * Close the database storage when this taxonomy created it
+   */
+  async close() {
+    if (this.pool && this.ownsPool) {
+      await this.pool.end();
+      this.pool = null;
+    }
+  }
+}
+
+CategoryTaxonomy.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+module.exports = CategoryTaxonomy;
@@ -0,0 +1,113 @@
+// Statuses for fetched pages, in the order they are checked;
+// failed fetches are marked fetch_failed or robots_blocked by the caller
+const CONTENT_STATUSES = ['bot_challenge', 'consent_wall', 'paywalled', 'too_short', 'full_text'];
+
+// Anti-bot interstitials and "enable JavaScript" stubs, matched against the raw page
+const BOT_CHALLENGE_PATTERNS = [
+  { label: 'cloudflare challenge', pattern: /cf-browser-verification|challenge-platform|cf_chl_/i },
+  { label: 'challenge page title', pattern: /<title>\s*(just a moment|attention required|access denied|are you a robot)/i },
+  { label: 'captcha', pattern: /px-captcha|captcha-delivery\.com|geo\.captcha-delivery/i },
+  { label: 'human verification', pattern: /verify (that )?you are (a )?human|press (and|&) hold/i },
+  { label: 'javascript and cookies required', pattern: /(please )?enable (javascript|js) and (cookies|disable any ad ?blocker)/i },
+  { label: 'javascript-only app shell', pattern: /you need to enable javascript to run this app/i }
+];
+
+// Consent walls, matched against the extracted text
+const CONSENT_PATTERNS = [
+  { label: 'privacy notice', pattern: /we value your privacy/i },
+  { label: 'cookie choice', pattern: /(accept|reject) (all )?cookies/i },
+  { label: 'consent settings', pattern: /manage (your )?(privacy|cookie|consent) (settings|preferences|choices)/i },
+  { label: 'consent interstitial', pattern: /before you continue to/i },
+  { label: 'partner data notice', pattern: /we and our (\d+ )?partners (store|use)/i }
+];
+
+// Paywall and registration wall phrases, matched against the extracted text
+const PAYWALL_TEXT_PATTERNS = [
+  { label: 'subscribe to continue', pattern: /subscribe (now )?to (continue|keep) reading/i },
+  { label: 'sign in to continue', pattern: /to continue reading,? (please )?(subscribe|sign in|log in|register)/i },
+  { label: 'subscriber sign-in prompt', pattern: /already (a subscriber|have an account)\??\s*(sign|log) in/i },
+  { label: 'subscribers only', pattern: /this (article|story|content) is (only )?(available|reserved|exclusive) (to|for) (paid )?subscribers/i },
+  { label: 'article limit reached', pattern: /you('ve| have) (reached|used) (your|all of your) (free )?(article|story) limit/i },
+  { label: 'registration wall', pattern: /create a free account to (continue|keep) reading/i }
+];
+
+// Paywall markup, matched against the raw page
+const PAYWALL_MARKUP_PATTERNS = [
+  { label: 'paywall markup', pattern: /class="[^"]*\b(paywall|regwall|piano-|tp-modal|meteredContent|subscriber-only)/i },
+  { label: 'isAccessibleForFree: false', pattern: /"isAccessibleForFree"\s*:\s*"?false/i }
+];
+
+/**
+ * Content Classifier for FNS
+ * Decides whether a fetched page is real article text, or a paywall, consent wall,
+ * bot challenge or stub that only looks like content.
+ */
+class ContentClassifier {
+  constructor(options = {}) {
+    this.minWords = options.minWords ?? 150;
+
+    // Paywalled pages often still carry a teaser; longer text than this counts as the full article
+    this.paywallMaxWords = options.paywallMaxWords ?? 400;
+  }
+
+  /**
+   * Count words in extracted text
+   */
+  countWords(text) {
+    return (text || '').split(/\s+/).filter(Boolean).length;
+  }
+
+  /**
+   * Return the labels of the patterns that match a text
+   */
+  matching(patterns, text) {
+    return patterns.filter(({ pattern }) => pattern.test(text || '')).map(({ label }) => label);
+  }
+
+  /**
+   * Classify a fetched page
+   * Returns { status, reasons, word_count }
+   */
+  classify({ html = '', text = '', finalUrl = '', metadata = {} } = {}) {
+    const wordCount = this.countWords(text);
+    const result = (status, reasons) => ({ status, reasons, word_count: wordCount });
+
+    const challenge = this.matching(BOT_CHALLENGE_PATTERNS, html);
+    if (challenge.length > 0 && wordCount < this.paywallMaxWords) {
+      return result('bot_challenge', challenge);
+    }
+
+    let consentHost = false;
+    try {
+      consentHost = /^consent\./i.test(new URL(finalUrl).hostname);
+    } catch (error) {
+      // No final URL to check
+    }
+
+    const consent = this.matching(CONSENT_PATTERNS, text);
+    if (consentHost || (consent.length > 0 && wordCount < this.paywallMaxWords)) {
+      return result('consent_wall', consentHost ? [`redirected to ${new URL(finalUrl).hostname}`, ...consent] : consent);
+    }
+
+    const paywall = [
+      ...this.matching(PAYWALL_TEXT_PATTERNS, text),
+      ...this.matching(PAYWALL_MARKUP_PATTERNS, html)
+    ];
+    if (metadata.accessibleForFree === false) {
+      paywall.push('isAccessibleForFree: false');
+    }
+    if (paywall.length > 0 && wordCount < this.paywallMaxWords) {
+      return result('paywalled', [...new Set(paywall)]);
+    }
+
+    if (wordCount < this.minWords) {
+      return result('too_short', [`${wordCount} words (minimum ${this.minWords})`]);
+    }
+
+    return result('full_text', []);
+  }
+}
+
+ContentClassifier.CONTENT_STATUSES = CONTENT_STATUSES;
+
+module.exports = ContentClassifier;
@@ -1,68 +1,102 @@
-const axios = require('axios');
+const NewsletterFormatRegistry = require('./newsletterFormatRegistry');
+const ImportLedger = require('./importLedger');
+const SourceRegistry = require('./sourceRegistry');
+const CategoryTaxonomy = require('./categoryTaxonomy');
+const BiasLexicon = require('./biasLexicon');
 
 /**
  * Critical Newsletter Parser for FNS
- * Parses the curated critical newsletter files from GitHub docs folder
+ * Parses the curated critical newsletter files published by each registered source
  */
 class CriticalNewsletterParser {
   constructor() {
-    this.githubBaseUrl = 'https://raw.githubusercontent.com/djangamane/soWSnewsletter/main/docs';
+    this.sourceRegistry = new SourceRegistry();
+    this.taxonomy = new CategoryTaxonomy();
+    this.lexicon = new BiasLexicon();
+    this.formatRegistry = new NewsletterFormatRegistry();
+    this.ledger = new ImportLedger();
+    this.lastImportReport = null;
   }
 
   /**
-   * Parse critical newsletter text format
+   * Parse a newsletter file in any registered format
+   * Returns the detected format, the parsed articles and the stories that were dropped
    */
-  parseCriticalNewsletter(content, date) {
+  parseNewsletterFile(content, date, options = {}) {
+    const { fileName = `critical_newsletter_${date}.txt`, format = null } = options;
+
     try {
-      const articles = [];
-      
-      // Extract overall severity from the meter
-      const severityMatch = content.match(/Current Level: ([\d.]+)%/);
-      const overallSeverity = severityMatch ? parseFloat(severityMatch[1]) : 75;
-      
-      // Split content into individual stories
-      const storyPattern = /(\d+)\.\s+(.+?)\nSeverity Score:\s+([\d.]+)\n\nSummary:\n(.+?)\n\nCritical Analysis:\n(.+?)\n\n🔗 Read more:\s+(.+?)\n---/gs;
-      
-      let match;
-      while ((match = storyPattern.exec(content)) !== null) {
-        const [, storyNumber, title, severityScore, summary, analysis, url] = match;
-        
-        // Clean up the extracted text
-        const cleanTitle = this.cleanText(title);
-        const cleanSummary = this.cleanText(summary);
-        const cleanAnalysis = this.cleanText(analysis);
-        const cleanUrl = this.cleanUrl(url);
-        
-        const article = {
-          id: this.generateArticleId(cleanUrl, date),
-          title: cleanTitle,
-          url: cleanUrl,
-          content: `${cleanSummary}\n\n${cleanAnalysis}`,
-          summary: cleanSummary,
-          keyword: this.extractKeyword(cleanTitle, cleanSummary),
-          severity_score: parseFloat(severityScore),
-          sentiment: this.calculateSentiment(cleanSummary),
-          date: this.formatDate(date),
-          source_file: `critical_newsletter_${date}.txt`,
-          source_type: 'critical_newsletter',
-          story_number: parseInt(storyNumber),
-          keisha_analysis: cleanAnalysis,
-          overall_severity: overallSeverity,
-          imported_at: new Date().toISOString(),
-          analysis_status: 'completed' // Already analyzed by Keisha
-        };
-        
-        articles.push(article);
+      const result = this.formatRegistry.parse(content, { fileName, format });
+      const overallSeverity = result.overallSeverity ?? null;
+
+      const articles = result.stories.map(story =>
+        this.buildArticle(story, date, overallSeverity, fileName)
+      );
+
+      if (result.dropped.length > 0) {
+        console.warn(`⚠️ Dropped ${result.dropped.length} stories from ${fileName} (${result.format || 'unknown format'}):`);
+        result.dropped.forEach(drop => {
+          console.warn(`   - #${drop.index ?? '?'} ${drop.title || '(untitled)'}: ${drop.reason}`);
+        });
       }
-      
-      return articles;
-      
+
+      return {
+        format: result.format,
+        source_file: fileName,
+        overall_severity: result.overallSeverity,
+        articles,
+        dropped: result.dropped
+      };
+
     } catch (error) {
-      console.error('Error parsing critical newsletter:', error);
-      return [];
+      console.error(`Error parsing newsletter ${fileName}:`, error);
+      return {
+        format: null,
+        source_file: fileName,
+        overall_severity: null,
+        articles: [],
+        dropped: [{ index: null, title: null, reason: `parser error: ${error.message}` }]
+      };
     }
   }
 
+  /**
+   * Parse critical newsletter text format
+   */
+  parseCriticalNewsletter(content, date) {
+    return this.parseNewsletterFile(content, date).articles;
+  }
+
+  /**
+   * Build an FNS article from a parsed newsletter story
+   */
+  buildArticle(story, date, overallSeverity, sourceFile) {
+    // Clean up the extracted text
+    const cleanTitle = this.cleanText(story.title);
+    const cleanSummary = this.cleanText(story.summary);
+    const cleanAnalysis = this.cleanText(story.analysis);
+    const cleanUrl = this.cleanUrl(story.url);
+
+    return {
+      id: this.generateArticleId(cleanUrl, date),
+      title: cleanTitle,
+      url: cleanUrl,
+      content: [cleanSummary, cleanAnalysis].filter(Boolean).join('\n\n'),
+      summary: cleanSummary,
+      keyword: this.extractKeyword(cleanTitle, cleanSummary),
+      severity_score: story.severityScore,
+      sentiment: this.calculateSentiment(cleanSummary),
+      date: this.formatDate(date),
+      source_file: sourceFile,
+      source_type: 'critical_newsletter',
+      story_number: story.storyNumber,
+      keisha_analysis: cleanAnalysis,
+      overall_severity: overallSeverity,
+      imported_at: new Date().toISOString(),
+      analysis_status: 'completed' // Already analyzed by Keisha
+    };
+  }
+
   /**
    * Clean extracted text
    */
@@ -96,49 +130,46 @@ class CriticalNewsletterParser {
 
   /**
    * Extract keyword/category from title and summary
+   * Uses the categories last loaded by loadTaxonomy (the built-in defaults before that)
    */
   extractKeyword(title, summary) {
-    const content = `${title} ${summary}`.toLowerCase();
-    
-    // Priority order for keyword detection
-    const keywords = [
-      'white supremacy',
-      'systemic racism', 
-      'christian nationalism',
-      'great replacement theory',
-      'MAGA',
-      'anti-racism',
-      'racism'
-    ];
-    
-    for (const keyword of keywords) {
-      if (content.includes(keyword.toLowerCase())) {
-        return keyword;
-      }
-    }
-    
-    // Default fallback
-    return 'systemic racism';
+    return this.taxonomy.primaryKeyword(title, summary);
+  }
+
+  /**
+   * Load the current category taxonomy from the database
+   */
+  async loadTaxonomy() {
+    return await this.taxonomy.getCategories();
+  }
+
+  /**
+   * Load the current bias lexicon (sentiment words) from the database
+   */
+  async loadLexicon() {
+    return await this.lexicon.getLexicon();
   }
 
   /**
    * Calculate sentiment from summary text
+   * Uses the lexicon's sentiment words last loaded by loadLexicon (the built-in words before that)
    */
   calculateSentiment(text) {
     if (!text) return 0;
     
-    const negativeWords = ['violence', 'attack', 'hate', 'threat', 'kill', 'racist', 'discrimination'];
-    const positiveWords = ['justice', 'equality', 'progress', 'reform', 'support'];
+    const { negative, positive } = this.lexicon.sentimentWords();
     
     const words = text.toLowerCase().split(/\s+/);
     let score = 0;
     
     words.forEach(word => {
-      if (negativeWords.some(neg => word.includes(neg))) score -= 0.1;
-      if (positiveWords.some(pos => word.includes(pos))) score += 0.1;
+      const neg = negative.find(entry => word.includes(entry.term));
+      const pos = positive.find(entry => word.includes(entry.term));
+      if (neg) score -= neg.weight;
+      if (pos) score += pos.weight;
     });
     
-    return Math.max(-1, Math.min(1, score));
+    return Math.max(-1, Math.min(1, Math.round(score * 1000) / 1000));
   }
 
   /**
@@ -166,50 +197,67 @@ class CriticalNewsletterParser {
   }
 
   /**
-   * Import critical newsletters from GitHub
+   * Tag an article with the source it came from
+   */
+  tagSource(article, source) {
+    return {
+      ...article,
+      source_id: source.id,
+      source_name: source.name,
+      trust_weight: source.trust_weight
+    };
+  }
+
+  /**
+   * Import critical newsletters from every enabled newsletter source
+   * Unchanged files are revalidated against the import ledger instead of being downloaded again.
+   * Pass changedOnly to leave out stories from files that were already imported. New and changed
+   * files stay pending until commitFiles.
    */
-  async importCriticalNewsletters(daysBack = 7) {
+  async importCriticalNewsletters(daysBack = 7, options = {}) {
+    const { changedOnly = false } = options;
+    this.ledger.heldFiles.clear();
+
     try {
-      console.log('📰 Importing critical newsletters from GitHub...');
+      await this.loadTaxonomy();
+      await this.loadLexicon();
+      const sources = await this.sourceRegistry.getEnabledSources('newsletter');
+      console.log(`📰 Importing critical newsletters from ${sources.length} source(s)...`);
       
       const allArticles = [];
+      const files = [];
       const today = new Date();
       
       for (let i = 0; i < daysBack; i++) {
         const date = new Date(today);
         date.setDate(date.getDate() - i);
-        const dateString = date.toISOString().slice(0, 10).replace(/-/g, '');
-        
-        try {
-          const fileUrl = `${this.githubBaseUrl}/critical_newsletter_${dateString}.txt`;
-          console.log(`Fetching critical newsletter: ${dateString}`);
-          
-          const response = await axios.get(fileUrl, {
-            timeout: 30000,
-            headers: {
-              'User-Agent': 'FNS-CriticalNewsImporter/1.0'
-            }
-          });
-          
-          const articles = this.parseCriticalNewsletter(response.data, dateString);
-          allArticles.push(...articles);
-          
-          console.log(`✅ Imported ${articles.length} critical stories from ${dateString}`);
-          
-          // Rate limiting
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
-        } catch (error) {
-          if (error.response?.status === 404) {
-            console.log(`📅 No critical newsletter for ${dateString}`);
-          } else {
-            console.error(`Error fetching critical newsletter ${dateString}:`, error.message);
-          }
-        }
+
+        const day = await this.importNewsletterDay(date, { sources, changedOnly });
+        allArticles.push(...day.articles);
+        files.push(...day.files);
+      }
+
+      try {
+        await this.ledger.save();
+      } catch (saveError) {
+        console.warn('Could not save import ledger:', saveError.message);
       }
+
+      // The same story can arrive from several sources (or several days): keep one copy
+      const mergedArticles = this.sourceRegistry.mergeArticles(allArticles);
+      const droppedTotal = files.reduce((total, file) => total + (file.dropped ? file.dropped.length : 0), 0);
       
-      console.log(`📊 Total critical articles imported: ${allArticles.length}`);
-      return allArticles;
+      console.log(`📊 Total critical articles imported: ${mergedArticles.length} (${allArticles.length - mergedArticles.length} duplicates merged)`);
+      if (droppedTotal > 0) {
+        console.warn(`⚠️ ${droppedTotal} stories dropped during import (see lastImportReport)`);
+      }
+
+      this.lastImportReport = {
+        ...this.ledger.summarize(files),
+        dropped_total: droppedTotal,
+        completed_at: new Date().toISOString()
+      };
+      return mergedArticles;
       
     } catch (error) {
       console.error('Error importing critical newsletters:', error);
@@ -217,6 +265,130 @@ class CriticalNewsletterParser {
     }
   }
 
+  /**
+   * Import one day's newsletter files from the given sources (all enabled newsletter sources by default)
+   * Callers load the taxonomy and lexicon first, store the articles, then call commitFiles.
+   * Resolves to { articles, files } with articles merged across sources
+   */
+  async importNewsletterDay(date, options = {}) {
+    const { changedOnly = false } = options;
+    const sources = options.sources || await this.sourceRegistry.getEnabledSources('newsletter');
+
+    const articles = [];
+    const files = [];
+
+    for (const source of sources) {
+      const result = await this.importNewsletterFile(source, date, { changedOnly });
+      articles.push(...result.articles);
+      files.push(result.file);
+    }
+
+    return { articles: this.sourceRegistry.mergeArticles(articles), files };
+  }
+
+  /**
+   * Import a single source's newsletter file for a date
+   * Resolves to { articles, file } where file is the per-file report entry
+   */
+  async importNewsletterFile(source, date, options = {}) {
+    const { changedOnly = false } = options;
+
+    const dateString = date.toISOString().slice(0, 10).replace(/-/g, '');
+    const { fileName, url: fileUrl } = this.sourceRegistry.buildFileUrl(source, date);
+    const fileInfo = { source_id: source.id, date: dateString, file: fileName };
+    
+    try {
+      console.log(`Fetching critical newsletter: ${source.id} ${dateString}`);
+      
+      const result = await this.ledger.fetchFile(fileUrl, {
+        timeout: 30000,
+        headers: {
+          'User-Agent': 'FNS-CriticalNewsImporter/1.0'
+        }
+      });
+
+      let imported;
+
+      if (result.status === 'missing') {
+        console.log(`📅 No critical newsletter for ${source.id} ${dateString}`);
+        imported = { articles: [], file: { ...fileInfo, status: 'missing' } };
+      } else if (result.content === undefined) {
+        // Unchanged since the last import: reuse the stories recorded in the ledger
+        const articles = (result.entry.articles || []).map(article => this.tagSource(article, source));
+
+        imported = {
+          articles: changedOnly ? [] : articles,
+          file: { ...fileInfo, status: 'unchanged', stories: articles.length }
+        };
+        console.log(`⏭️ Unchanged critical newsletter ${fileName} (${articles.length} stories from ledger)`);
+      } else {
+        const parsed = this.parseNewsletterFile(result.content, dateString, {
+          fileName,
+          format: source.parser_type === 'auto' ? null : source.parser_type
+        });
+        const articles = parsed.articles.map(article => this.tagSource(article, source));
+
+        const record = {
+          file: fileName,
+          date: dateString,
+          etag: result.etag,
+          lastModified: result.lastModified,
+          contentHash: result.contentHash,
+          storyCount: articles.length,
+          droppedCount: parsed.dropped.length,
+          articles
+        };
+
+        if (changedOnly && result.status === 'unchanged') {
+          // Same bytes as a file already imported, so there is nothing to store
+          await this.ledger.recordFile(fileUrl, record);
+        } else {
+          this.ledger.holdFile(fileUrl, record, articles.map(article => article.id));
+        }
+
+        imported = {
+          articles: !changedOnly || result.status !== 'unchanged' ? articles : [],
+          file: {
+            ...fileInfo,
+            status: result.status,
+            format: parsed.format,
+            stories: articles.length,
+            dropped: parsed.dropped
+          }
+        };
+        console.log(`✅ Imported ${articles.length} critical stories from ${fileName} (${result.status}, ${parsed.format || 'unknown format'})`);
+      }
+      
+      // Rate limiting, only needed when we actually hit the source
+      if (result.requested) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+
+      return imported;
+      
+    } catch (error) {
+      console.error(`Error fetching critical newsletter ${fileName}:`, error.message);
+      return { articles: [], file: { ...fileInfo, status: 'failed', error: error.message } };
+    }
+  }
+
+  /**
+   * Record pending newsletter files in the ledger once all their stories are stored, then save it
+   * storedIds lists the stored articles' ids and the ids merged into them.
+   * Resolves to { committed, held } file counts
+   */
+  async commitFiles(storedIds = []) {
+    const counts = await this.ledger.commitHeld(storedIds);
+
+    try {
+      await this.ledger.save();
+    } catch (saveError) {
+      console.warn('Could not save import ledger:', saveError.message);
+    }
+
+    return counts;
+  }
+
   /**
    * Get latest critical articles
    */
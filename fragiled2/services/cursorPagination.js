@@ -0,0 +1,125 @@
+/**
+ * Cursor Pagination for FNS
+ * Opaque page tokens for the feed and search. Newest-first listings page by keyset on
+ * (date, imported_at, id) and scored orders (severity, bias, trending, rank) on (score, date, imported_at, id),
+ * so articles imported between requests are neither repeated nor skipped. A score that changes with
+ * time is computed as of the first page, which the token carries. Search relevance depends on the
+ * whole indexed corpus, so it has no stable key; its tokens carry an offset, and pages say so in pagedBy.
+ */
+class CursorPagination {
+  /**
+   * ORDER BY for keyset pages, fns_articles aliased a, highest score first when a score expression
+   * is given (NULL scores and dates sort last on both backends)
+   */
+  order(score = null) {
+    return `${score ? `${score} DESC, ` : ''}a.date DESC, a.imported_at DESC, a.id DESC`;
+  }
+
+  /**
+   * Decode a page token; it must have been issued for the same sort order
+   * Returns null without a token, else { keyset: [score?, date, importedAt, id], asOf } or { offset }
+   * asOf is the time the token's scores were computed at, or null
+   */
+  decode(token, sort) {
+    if (!token) return null;
+
+    let cursor = null;
+    try {
+      cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    } catch (error) {
+      cursor = null;
+    }
+
+    const validKeyset = keyset => Array.isArray(keyset) && [3, 4].includes(keyset.length) &&
+      keyset[keyset.length - 2] !== null && keyset[keyset.length - 1] !== null;
+    const valid = cursor && cursor.s === sort && (
+      (validKeyset(cursor.k) && (cursor.t === undefined || !Number.isNaN(Date.parse(cursor.t)))) ||
+      (Number.isInteger(cursor.o) && cursor.o >= 0)
+    );
+    if (!valid) {
+      const error = new Error(`Invalid cursor for sort ${sort}`);
+      error.validationErrors = [error.message];
+      throw error;
+    }
+
+    return cursor.k ? { keyset: cursor.k, asOf: cursor.t ? new Date(cursor.t) : null } : { offset: cursor.o };
+  }
+
+  /**
+   * Condition selecting the articles after a keyset cursor in order(score)
+   */
+  after(keyset, score = null) {
+    if (score) {
+      const [value, ...rest] = keyset;
+      const tie = this.after(rest);
+
+      if (value === null) {
+        return { condition: `(${score} IS NULL AND ${tie.condition})`, params: tie.params };
+      }
+
+      return {
+        condition: `(${score} < ? OR ${score} IS NULL OR (${score} = ? AND ${tie.condition}))`,
+        params: [value, value, ...tie.params]
+      };
+    }
+
+    const [date, importedAt, id] = keyset;
+    const sameDate = '(a.imported_at < ? OR (a.imported_at = ? AND a.id < ?))';
+
+    if (date === null) {
+      return { condition: `(a.date IS NULL AND ${sameDate})`, params: [importedAt, importedAt, id] };
+    }
+
+    return {
+      condition: `(a.date < ? OR a.date IS NULL OR (a.date = ? AND ${sameDate}))`,
+      params: [date, date, importedAt, importedAt, id]
+    };
+  }
+
+  /**
+   * Trim a page fetched with limit + 1 rows and issue the token for the next one
+   * Keyset tokens need date, imported_at and id in the rows, and the score field for scored orders;
+   * asOf is the time scores were computed at, carried to the next page.
+   * pagedBy is 'keyset', or 'offset' when imports between requests can repeat or skip articles.
+   */
+  page(rows, { sort, limit, offset = 0, keyset = false, score = null, asOf = null }) {
+    const hasMore = rows.length > limit;
+    const items = hasMore ? rows.slice(0, limit) : rows;
+    let nextCursor = null;
+
+    if (hasMore && keyset) {
+      const last = items[items.length - 1];
+      const key = [this.toDateString(last.date), this.toDateTimeString(last.imported_at), last.id];
+      nextCursor = this.encode({
+        s: sort,
+        k: score ? [last[score] ?? null, ...key] : key,
+        ...(asOf ? { t: asOf.toISOString() } : {})
+      });
+    } else if (hasMore) {
+      nextCursor = this.encode({ s: sort, o: offset + limit });
+    }
+
+    return { items, hasMore, nextCursor, pagedBy: keyset ? 'keyset' : 'offset' };
+  }
+
+  encode(cursor) {
+    return Buffer.from(JSON.stringify(cursor), 'utf8').toString('base64url');
+  }
+
+  /**
+   * Column values as they compare in SQL: mysql2 returns Date objects in local time, SQLite returns text
+   */
+  toDateString(value) {
+    if (!(value instanceof Date)) return value ?? null;
+    return this.toDateTimeString(value).slice(0, 10);
+  }
+
+  toDateTimeString(value) {
+    if (!(value instanceof Date)) return value ?? null;
+    const pad = number => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ` +
+      `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+  }
+}
+
+module.exports = CursorPagination;
@@ -1,173 +1,80 @@
 const CriticalNewsletterParser = require('./criticalNewsletterParser');
 const HybridNewsService = require('./hybridNewsService');
-const fs = require('fs').promises;
-const path = require('path');
+const FNSNewsService = require('./fnsNewsService');
+const ArticlePipeline = require('./articlePipeline');
+const AnalysisResultSchema = require('./analysisResultSchema');
 
 /**
  * Enhanced Data Service for FNS
- * Combines critical newsletter data with local fallback
+ * Reads hybrid articles from the database pipeline. Requests never fetch or enhance articles
+ * themselves: the worker fills the database, and an empty or unreachable database is reported as such.
  */
 class EnhancedDataService {
-  constructor() {
+  constructor(options = {}) {
     this.criticalParser = new CriticalNewsletterParser();
-    this.hybridService = new HybridNewsService();
-    this.localDataPath = path.join(__dirname, '../data');
-    this.cacheTimeout = 30 * 60 * 1000; // 30 minutes
-    this.cache = new Map();
+    this.hybridService = options.hybridService || new HybridNewsService();
+    this.newsService = options.newsService || new FNSNewsService();
+    this.pipeline = new ArticlePipeline({
+      newsService: this.newsService,
+      hybridService: this.hybridService,
+      keishaIntegration: options.keishaIntegration
+    });
+    this.analysisSchema = new AnalysisResultSchema();
   }
 
   /**
-   * Get articles with multi-source strategy (HYBRID ENHANCED)
+   * Get stored hybrid articles, most recent first
+   * Without enhanceContent, seeds that have not been fetched yet are included
    */
   async getArticles(options = {}) {
-    const {
-      source = 'auto', // 'auto', 'hybrid', 'critical', 'local'
-      limit = 50,
-      minSeverity = 70,
-      useCache = true,
-      enhanceContent = true // NEW: Whether to fetch full articles
-    } = options;
-
-    const cacheKey = `articles_${source}_${limit}_${minSeverity}_${enhanceContent}`;
-
-    // Check cache first
-    if (useCache && this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTimeout) {
-        console.log('📋 Using cached articles');
-        return cached.data;
-      }
-    }
-
-    let articles = [];
-
-    try {
-      if (source === 'auto' || source === 'hybrid') {
-        console.log('🎯 Using HYBRID approach (critical seeds + full content)...');
+    const { limit = 50, minSeverity = 70, enhanceContent = true } = options;
 
-        if (enhanceContent) {
-          articles = await this.hybridService.getEnhancedArticles({
-            limit,
-            minSeverity,
-            daysBack: 3,
-            includeImages: true,
-            allowPartial: true // Include articles even if some enhancement failed
-          });
-        } else {
-          // Just get the seeds without enhancement
-          articles = await this.criticalParser.getLatestCriticalArticles({
-            limit,
-            minSeverity
-          });
-        }
-
-        if (articles.length > 0) {
-          console.log(`✅ Successfully loaded ${articles.length} hybrid articles`);
-          this.cacheArticles(cacheKey, articles);
-          return articles;
-        }
-      }
-
-      if (source === 'auto' || source === 'critical') {
-        console.log('🎯 Falling back to critical newsletter seeds only...');
-        articles = await this.criticalParser.getLatestCriticalArticles({
-          limit,
-          minSeverity
-        });
-
-        if (articles.length > 0) {
-          console.log(`✅ Successfully loaded ${articles.length} critical seed articles`);
-          this.cacheArticles(cacheKey, articles);
-          return articles;
-        }
-      }
+    const articles = await this.getStoredArticles({ limit, minSeverity, enhanceContent });
+    console.log(`✅ Loaded ${articles.length} hybrid articles from the database`);
 
-      if (source === 'auto' || source === 'local') {
-        console.log('📁 Falling back to local data...');
-        articles = await this.getLocalArticles({ limit, minSeverity });
-
-        if (articles.length > 0) {
-          console.log(`✅ Successfully loaded ${articles.length} local articles`);
-          this.cacheArticles(cacheKey, articles);
-          return articles;
-        }
-      }
-
-      console.warn('⚠️ No articles found from any source');
-      return [];
-
-    } catch (error) {
-      console.error('Error in getArticles:', error);
-
-      // Always try local as final fallback
-      if (source !== 'local') {
-        console.log('🔄 Final fallback to local data...');
-        try {
-          articles = await this.getLocalArticles({ limit, minSeverity });
-          this.cacheArticles(cacheKey, articles);
-          return articles;
-        } catch (fallbackError) {
-          console.error('Local fallback also failed:', fallbackError);
-        }
-      }
-
-      throw error;
-    }
+    return articles;
   }
 
   /**
-   * Get local articles from JSON files
+   * Read hybrid articles from the database, one per story cluster
+   * With enhanceContent only articles that reached extraction are returned; sort and fromDate
+   * are passed to the feed
    */
-  async getLocalArticles(options = {}) {
-    const { limit = 50, minSeverity = 70 } = options;
-    
-    try {
-      const files = await fs.readdir(this.localDataPath);
-      const jsonFiles = files.filter(file => file.endsWith('.json'));
-      
-      let allArticles = [];
-      
-      for (const file of jsonFiles) {
-        try {
-          const filePath = path.join(this.localDataPath, file);
-          const content = await fs.readFile(filePath, 'utf8');
-          const data = JSON.parse(content);
-          
-          if (Array.isArray(data)) {
-            allArticles.push(...data);
-          } else if (data.articles && Array.isArray(data.articles)) {
-            allArticles.push(...data.articles);
-          }
-        } catch (fileError) {
-          console.warn(`Error reading ${file}:`, fileError.message);
-        }
-      }
-      
-      // Filter by severity and sort
-      const filteredArticles = allArticles
-        .filter(article => 
-          article.severity_score && 
-          article.severity_score >= minSeverity
-        )
-        .sort((a, b) => b.severity_score - a.severity_score)
-        .slice(0, limit);
-      
-      return filteredArticles;
-      
-    } catch (error) {
-      console.error('Error loading local articles:', error);
-      return [];
-    }
+  async getStoredArticles(options = {}) {
+    const { limit = 50, minSeverity = 70, enhanceContent = true, sort = 'recency', fromDate = null } = options;
+
+    const { articles } = await this.newsService.getNewsFeed({
+      limit,
+      minSeverity,
+      sort,
+      fromDate,
+      includeContent: true,
+      pipelineStates: enhanceContent ? ['extracted', 'analyzed'] : null
+    });
+
+    return articles.map(article => this.fromStoredArticle(article));
   }
 
   /**
-   * Cache articles with timestamp
+   * Shape a database row like an enhanced hybrid article
    */
-  cacheArticles(key, articles) {
-    this.cache.set(key, {
-      data: articles,
-      timestamp: Date.now()
-    });
+  fromStoredArticle(row) {
+    const date = row.date instanceof Date ? row.date.toISOString().split('T')[0] : row.date;
+
+    return {
+      ...row,
+      date,
+      severity_score: parseFloat(row.severity_score) || 0,
+      sentiment: parseFloat(row.sentiment) || 0,
+      rank_score: row.rank_score === null || row.rank_score === undefined ? null : parseFloat(row.rank_score),
+      content: row.full_content || row.content || row.summary || '',
+      full_content: row.full_content || '',
+      content_fetched: !!row.content_fetched,
+      keisha_analysis: this.analysisSchema.displayText(row) || row.newsletter_analysis || '',
+      images: row.featured_image ? [{ url: row.featured_image }] : [],
+      ready_for_keisha: row.pipeline_state === 'extracted',
+      source_type: row.source_type || 'database'
+    };
   }
 
   /**
@@ -175,32 +82,22 @@ class EnhancedDataService {
    */
   async getDataSourceStatus() {
     const status = {
-      critical_newsletter: { available: false, count: 0, last_updated: null },
-      local_files: { available: false, count: 0, last_updated: null }
+      database: { available: false, by_state: {}, by_content_status: {} },
+      sources: []
     };
 
-    // Check critical newsletter availability
+    // Stored pipeline articles
     try {
-      const criticalArticles = await this.criticalParser.getLatestCriticalArticles({ limit: 1 });
-      status.critical_newsletter.available = criticalArticles.length > 0;
-      status.critical_newsletter.count = criticalArticles.length;
-      if (criticalArticles.length > 0) {
-        status.critical_newsletter.last_updated = criticalArticles[0].date;
-      }
+      status.database = { available: true, ...await this.pipeline.getStats() };
     } catch (error) {
-      console.log('Critical newsletter not available:', error.message);
+      console.log('Article database not available:', error.message);
     }
 
-    // Check local files
+    // Registered newsletter sources
     try {
-      const localArticles = await this.getLocalArticles({ limit: 1000 });
-      status.local_files.available = localArticles.length > 0;
-      status.local_files.count = localArticles.length;
-      if (localArticles.length > 0) {
-        status.local_files.last_updated = localArticles[0].date || localArticles[0].imported_at;
-      }
+      status.sources = await this.criticalParser.sourceRegistry.getSources();
     } catch (error) {
-      console.log('Local files not available:', error.message);
+      console.log('Source registry not available:', error.message);
     }
 
     return status;
@@ -233,8 +130,31 @@ class EnhancedDataService {
 
   /**
    * Get daily summary statistics
+   * A stored threat snapshot answers for a given date; otherwise the summary is computed from current articles
    */
   async getDailySummary(date = null) {
+    if (date) {
+      try {
+        const snapshot = await this.newsService.threatHistory.getSnapshot(
+          typeof date === 'string' ? date : date.toISOString().slice(0, 10)
+        );
+        if (snapshot) {
+          return {
+            total_articles: snapshot.total_articles,
+            average_severity: snapshot.average_severity,
+            max_severity: snapshot.max_severity,
+            min_severity: snapshot.min_severity,
+            keywords: snapshot.keywords,
+            overall_threat_level: snapshot.threat_level,
+            newsletter_severity: snapshot.newsletter_severity,
+            last_updated: snapshot.updated_at
+          };
+        }
+      } catch (dbError) {
+        console.warn('Threat snapshots unavailable, computing summary:', dbError.message);
+      }
+    }
+
     const articles = await this.getArticles({ limit: 1000 });
     
     if (date) {
@@ -275,11 +195,8 @@ class EnhancedDataService {
       }
     });
 
-    // Determine threat level
-    let threatLevel = 'LOW';
-    if (avgSeverity >= 80) threatLevel = 'CRITICAL';
-    else if (avgSeverity >= 70) threatLevel = 'HIGH';
-    else if (avgSeverity >= 60) threatLevel = 'MODERATE';
+    // Same thresholds as the stored daily snapshots
+    const threatLevel = this.newsService.threatHistory.threatLevel(avgSeverity);
 
     return {
       total_articles: articles.length,
@@ -298,12 +215,8 @@ class EnhancedDataService {
   async getArticlesForKeishaAnalysis(options = {}) {
     const { limit = 10, minSeverity = 75 } = options;
 
-    return await this.hybridService.getArticlesForKeishaAnalysis({
-      limit,
-      minSeverity,
-      daysBack: 2,
-      includeImages: true
-    });
+    const extracted = await this.newsService.getArticlesInState('extracted', { limit, minSeverity });
+    return extracted.map(article => this.fromStoredArticle(article));
   }
 
   /**
@@ -312,14 +225,6 @@ class EnhancedDataService {
   async getEnhancementStats(options = {}) {
     return await this.hybridService.getEnhancementStats(options);
   }
-
-  /**
-   * Clear cache
-   */
-  clearCache() {
-    this.cache.clear();
-    console.log('🗑️ Cache cleared');
-  }
 }
 
 module.exports = EnhancedDataService;
@@ -0,0 +1,298 @@
+const Parser = require('rss-parser');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const CriticalNewsletterParser = require('./criticalNewsletterParser');
+const ImportLedger = require('./importLedger');
+
+// Terms that raise a feed item's severity, weighted roughly like fns_categories.severity_weight
+const SEVERITY_TERMS = [
+  { pattern: /\bwhite supremac/, weight: 30 },
+  { pattern: /\bgreat replacement/, weight: 28 },
+  { pattern: /\bchristian nationalis/, weight: 24 },
+  { pattern: /\bsystemic racism\b/, weight: 20 },
+  { pattern: /\bhate crimes?\b/, weight: 20 },
+  { pattern: /\bneo-?nazis?\b/, weight: 20 },
+  { pattern: /\bracists?\b/, weight: 15 },
+  { pattern: /(?<!systemic )\bracism\b/, weight: 12 },
+  { pattern: /\bsegregat/, weight: 10 },
+  { pattern: /\bdiscriminat/, weight: 10 },
+  { pattern: /\bextremis/, weight: 10 },
+  { pattern: /\bmaga\b/, weight: 10 },
+  { pattern: /\bvoter suppression\b/, weight: 10 },
+  { pattern: /\bpolic(e|ing)\b/, weight: 5 },
+  { pattern: /\bimmigra/, weight: 5 }
+];
+
+/**
+ * Feed Ingestion Service for FNS
+ * Polls RSS/Atom feeds registered as 'rss' sources and turns their items into
+ * the same seed article shape the critical newsletter parser produces.
+ */
+class FeedIngestionService {
+  constructor(criticalParser = null) {
+    // Share the caller's parser (and its source registry) when there is one
+    this.criticalParser = criticalParser || new CriticalNewsletterParser();
+    this.sourceRegistry = this.criticalParser.sourceRegistry;
+    this.ledger = new ImportLedger();
+    this.parser = new Parser({ timeout: 30000 });
+
+    // Extra feeds for deployments without a database: comma-separated URLs or local paths
+    this.envFeeds = (process.env.FNS_FEED_URLS || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean);
+
+    this.requestDelay = 1000; // 1 second between feed requests
+    this.lastPollReport = null;
+  }
+
+  /**
+   * Get the feeds to poll: enabled rss sources plus FNS_FEED_URLS
+   */
+  async getFeeds() {
+    const feeds = await this.sourceRegistry.getEnabledSources('feed');
+
+    this.envFeeds.forEach((url, index) => {
+      feeds.push(this.sourceRegistry.normalizeSource({
+        id: `env_feed_${index + 1}`,
+        name: url,
+        base_url: url,
+        parser_type: 'rss',
+        trust_weight: 0.8
+      }));
+    });
+
+    return feeds;
+  }
+
+  /**
+   * Check whether a feed location is a local file (fixtures, offline runs)
+   */
+  isLocalFeed(location) {
+    return location.startsWith('file://') || !/^https?:\/\//i.test(location);
+  }
+
+  /**
+   * Load a feed's XML, from disk or over HTTP through the import ledger
+   */
+  async loadFeed(feed) {
+    if (this.isLocalFeed(feed.base_url)) {
+      const filePath = feed.base_url.startsWith('file://')
+        ? new URL(feed.base_url).pathname
+        : path.resolve(feed.base_url);
+      const content = await fs.readFile(filePath, 'utf8');
+      return { status: 'new', requested: false, content };
+    }
+
+    return await this.ledger.fetchFile(feed.base_url, {
+      timeout: 30000,
+      headers: {
+        'User-Agent': 'FNS-FeedIngestion/1.0',
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8'
+      }
+    });
+  }
+
+  /**
+   * Score an item's severity from weighted terms and sentiment
+   * Title matches count one and a half times; the result is clamped to 0-100
+   */
+  scoreSeverity(title, text, sentiment = 0) {
+    const lowerTitle = (title || '').toLowerCase();
+    const lowerText = (text || '').toLowerCase();
+
+    let score = 40;
+    SEVERITY_TERMS.forEach(({ pattern, weight }) => {
+      if (pattern.test(lowerTitle)) {
+        score += weight * 1.5;
+      } else if (pattern.test(lowerText)) {
+        score += weight;
+      }
+    });
+
+    // Negative coverage reads as more severe
+    score -= sentiment * 20;
+
+    return Math.round(Math.max(0, Math.min(100, score)) * 10) / 10;
+  }
+
+  /**
+   * Strip markup from feed HTML content
+   */
+  stripHtml(html) {
+    return (html || '')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Convert a parsed feed item into an FNS seed article
+   */
+  buildArticle(item, feed, index) {
+    const url = this.criticalParser.cleanUrl(item.link || item.guid || '');
+    const title = this.criticalParser.cleanText(item.title || '');
+    const text = this.stripHtml(item.contentSnippet || item.content || item.summary || '');
+    const summary = text.length > 500 ? `${text.substring(0, 497)}...` : text;
+
+    const published = item.isoDate ? new Date(item.isoDate) : null;
+    const date = published && !Number.isNaN(published.getTime())
+      ? published.toISOString().slice(0, 10)
+      : new Date().toISOString().slice(0, 10);
+
+    const sentiment = this.criticalParser.calculateSentiment(`${title} ${summary}`);
+    const urlHash = crypto.createHash('md5').update(url).digest('hex').substring(0, 8);
+
+    return {
+      id: `fns_feed_${date.replace(/-/g, '')}_${urlHash}`,
+      title,
+      url,
+      content: text,
+      summary,
+      keyword: this.criticalParser.extractKeyword(title, text),
+      severity_score: this.scoreSeverity(title, text, sentiment),
+      sentiment,
+      date,
+      source_file: feed.base_url,
+      source_type: 'rss_feed',
+      story_number: index + 1,
+      keisha_analysis: '',
+      overall_severity: null,
+      author: item.creator || item.author || '',
+      feed_categories: item.categories || [],
+      source_id: feed.id,
+      source_name: feed.name,
+      trust_weight: feed.trust_weight,
+      imported_at: new Date().toISOString(),
+      analysis_status: 'pending' // Feed items have not been analyzed by Keisha yet
+    };
+  }
+
+  /**
+   * Parse feed XML into seed articles
+   */
+  async parseFeed(xml, feed) {
+    const parsed = await this.parser.parseString(xml);
+    const dropped = [];
+
+    const articles = (parsed.items || []).reduce((kept, item, index) => {
+      if (!item.title || !(item.link || item.guid)) {
+        dropped.push({ index: index + 1, title: item.title || null, reason: item.title ? 'missing link' : 'missing title' });
+        return kept;
+      }
+
+      const article = this.buildArticle(item, feed, index);
+      if (!/^https?:\/\//i.test(article.url)) {
+        dropped.push({ index: index + 1, title: article.title, reason: `invalid url "${article.url}"` });
+        return kept;
+      }
+
+      kept.push(article);
+      return kept;
+    }, []);
+
+    return { title: parsed.title || feed.name, articles, dropped };
+  }
+
+  /**
+   * Poll every configured feed and return seed articles
+   */
+  async fetchFeedArticles(options = {}) {
+    const { daysBack = 3, minSeverity = 0, feeds: feedOverride = null } = options;
+
+    const feeds = feedOverride || await this.getFeeds();
+    if (feeds.length === 0) {
+      return [];
+    }
+
+    console.log(`📡 Polling ${feeds.length} RSS/Atom feed(s)...`);
+    await this.criticalParser.loadTaxonomy();
+    await this.criticalParser.loadLexicon();
+
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - daysBack);
+    const cutoffDate = cutoff.toISOString().slice(0, 10);
+
+    const allArticles = [];
+    const files = [];
+
+    for (const feed of feeds) {
+      try {
+        const result = await this.loadFeed(feed);
+        let articles;
+
+        if (result.status === 'missing') {
+          console.warn(`📡 Feed not found: ${feed.base_url}`);
+          files.push({ source_id: feed.id, file: feed.base_url, status: 'missing' });
+          continue;
+        }
+
+        if (result.content === undefined) {
+          articles = result.entry.articles || [];
+          files.push({ source_id: feed.id, file: feed.base_url, status: 'unchanged', stories: articles.length });
+        } else {
+          const parsed = await this.parseFeed(result.content, feed);
+          articles = parsed.articles;
+
+          if (!this.isLocalFeed(feed.base_url)) {
+            await this.ledger.recordFile(feed.base_url, {
+              file: feed.base_url,
+              date: new Date().toISOString().slice(0, 10).replace(/-/g, ''),
+              etag: result.etag,
+              lastModified: result.lastModified,
+              contentHash: result.contentHash,
+              storyCount: articles.length,
+              droppedCount: parsed.dropped.length,
+              articles
+            });
+          }
+
+          files.push({
+            source_id: feed.id,
+            file: feed.base_url,
+            status: result.status,
+            stories: articles.length,
+            dropped: parsed.dropped
+          });
+        }
+
+        const recent = articles
+          .map(article => ({ ...article, source_id: feed.id, source_name: feed.name, trust_weight: feed.trust_weight }))
+          .filter(article => article.date >= cutoffDate && article.severity_score >= minSeverity);
+
+        allArticles.push(...recent);
+        console.log(`✅ ${feed.id}: ${recent.length} of ${articles.length} items kept`);
+
+        if (result.requested) {
+          await new Promise(resolve => setTimeout(resolve, this.requestDelay));
+        }
+
+      } catch (error) {
+        console.error(`Error polling feed ${feed.base_url}:`, error.message);
+        files.push({ source_id: feed.id, file: feed.base_url, status: 'failed', error: error.message });
+      }
+    }
+
+    try {
+      await this.ledger.save();
+    } catch (saveError) {
+      console.warn('Could not save import ledger:', saveError.message);
+    }
+
+    this.lastPollReport = {
+      ...this.ledger.summarize(files),
+      completed_at: new Date().toISOString()
+    };
+
+    return this.sourceRegistry.mergeArticles(allArticles);
+  }
+}
+
+FeedIngestionService.SEVERITY_TERMS = SEVERITY_TERMS;
+
+module.exports = FeedIngestionService;
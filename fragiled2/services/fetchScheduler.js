@@ -0,0 +1,328 @@
+const axios = require('axios');
+
+const DEFAULT_USER_AGENT = 'FNSBot/1.0 (+https://github.com/djangamane/fragile-news-source)';
+
+// Robots rules and host schedules, shared so every service in one process paces a host together
+const robotsCache = new Map(); // origin -> { rules, crawlDelay, expiresAt } or a pending promise
+const hostStates = new Map(); // host -> { slots, nextAllowedAt }
+
+/**
+ * Counting semaphore used for global and per-host request slots
+ */
+class Semaphore {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async acquire() {
+    if (this.active < this.limit) {
+      this.active++;
+      return;
+    }
+
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next(); // Hand the slot straight to the next waiter
+    } else {
+      this.active--;
+    }
+  }
+}
+
+/**
+ * Fetch Scheduler for FNS
+ * Polite HTTP fetching for article pages: robots.txt is cached and honored per host (including Crawl-delay),
+ * requests to one host are spaced out and capped in parallel, and 429/503 responses are retried with backoff.
+ */
+class FetchScheduler {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || process.env.FETCH_USER_AGENT || DEFAULT_USER_AGENT;
+
+    // robots.txt groups are matched against the product token, e.g. "fnsbot"
+    this.robotsToken = this.userAgent.split(/[/\s]/)[0].toLowerCase();
+
+    this.respectRobots = options.respectRobots ?? process.env.FETCH_RESPECT_ROBOTS !== 'false';
+    this.hostDelayMs = options.hostDelayMs ?? parseInt(process.env.FETCH_HOST_DELAY_MS || '2000', 10);
+    this.maxCrawlDelayMs = options.maxCrawlDelayMs ??
+      parseInt(process.env.FETCH_MAX_CRAWL_DELAY || '30', 10) * 1000;
+    this.perHostConcurrency = options.perHostConcurrency ?? parseInt(process.env.FETCH_HOST_CONCURRENCY || '1', 10);
+    this.maxRetries = options.maxRetries ?? parseInt(process.env.FETCH_MAX_RETRIES || '3', 10);
+    this.backoffBaseMs = options.backoffBaseMs ?? 5000;
+    this.maxBackoffMs = options.maxBackoffMs ?? 120000;
+    this.timeout = options.timeout ?? 30000;
+
+    this.robotsTtlMs = 24 * 60 * 60 * 1000; // 24 hours
+    this.robotsErrorTtlMs = 10 * 60 * 1000; // Unreachable robots.txt is retried after 10 minutes
+
+    this.globalSlots = new Semaphore(options.concurrency ?? parseInt(process.env.FETCH_CONCURRENCY || '4', 10));
+    this.robots = options.robotsCache || robotsCache;
+    this.hosts = options.hostStates || hostStates;
+  }
+
+  /**
+   * Parse robots.txt into the rules that apply to our user agent
+   * Follows RFC 9309: the most specific matching group wins, falling back to "*"
+   */
+  parseRobots(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+      if (!match) continue;
+
+      const key = match[1].toLowerCase();
+      const value = match[2].trim();
+
+      if (key === 'user-agent') {
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+      if (!current) continue;
+
+      if (key === 'allow' || key === 'disallow') {
+        // An empty Disallow allows everything
+        if (value) {
+          current.rules.push({ allow: key === 'allow', pattern: value });
+        }
+      } else if (key === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!Number.isNaN(delay)) {
+          current.crawlDelay = delay;
+        }
+      }
+    }
+
+    const specific = groups.filter(group =>
+      group.agents.includes(this.robotsToken)
+    );
+    const selected = specific.length > 0 ? specific : groups.filter(group => group.agents.includes('*'));
+
+    return {
+      rules: selected.flatMap(group => group.rules),
+      crawlDelay: selected.reduce((delay, group) => group.crawlDelay ?? delay, null)
+    };
+  }
+
+  /**
+   * Convert a robots.txt path pattern (with * and $) into a regular expression
+   */
+  patternToRegex(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+  }
+
+  /**
+   * Check a path against robots rules; the longest matching rule wins, allow wins ties
+   */
+  isAllowed(robots, path) {
+    let best = null;
+
+    for (const rule of robots.rules) {
+      if (!this.patternToRegex(rule.pattern).test(path)) continue;
+
+      if (!best || rule.pattern.length > best.pattern.length ||
+          (rule.pattern.length === best.pattern.length && rule.allow)) {
+        best = rule;
+      }
+    }
+
+    return !best || best.allow;
+  }
+
+  /**
+   * Get (and cache) the robots rules for an origin
+   */
+  async getRobots(origin) {
+    const cached = this.robots.get(origin);
+    if (cached && (cached instanceof Promise || cached.expiresAt > Date.now())) {
+      return await cached;
+    }
+
+    const pending = this.fetchRobots(origin).then(robots => {
+      this.robots.set(origin, robots);
+      return robots;
+    });
+    this.robots.set(origin, pending);
+
+    return await pending;
+  }
+
+  /**
+   * Download robots.txt for an origin
+   * 4xx means no restrictions; 5xx or an unreachable server means stay away for now
+   */
+  async fetchRobots(origin) {
+    try {
+      const response = await axios.get(`${origin}/robots.txt`, {
+        timeout: 10000,
+        responseType: 'text',
+        maxRedirects: 5,
+        headers: { 'User-Agent': this.userAgent },
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        return { ...this.parseRobots(response.data), expiresAt: Date.now() + this.robotsTtlMs };
+      }
+
+      if (response.status >= 400 && response.status < 500) {
+        return { rules: [], crawlDelay: null, expiresAt: Date.now() + this.robotsTtlMs };
+      }
+
+      throw new Error(`robots.txt returned HTTP ${response.status}`);
+
+    } catch (error) {
+      console.warn(`Could not read robots.txt for ${origin}:`, error.message);
+      return {
+        rules: [{ allow: false, pattern: '/' }],
+        crawlDelay: null,
+        unreachable: true,
+        expiresAt: Date.now() + this.robotsErrorTtlMs
+      };
+    }
+  }
+
+  /**
+   * Get the scheduling state for a host
+   */
+  getHostState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        slots: new Semaphore(this.perHostConcurrency),
+        nextAllowedAt: 0
+      });
+    }
+
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Wait for this host's next request slot, reserving the one after it
+   */
+  async waitForTurn(hostState, delayMs) {
+    const now = Date.now();
+    const startAt = Math.max(now, hostState.nextAllowedAt);
+    hostState.nextAllowedAt = startAt + delayMs;
+
+    if (startAt > now) {
+      await new Promise(resolve => setTimeout(resolve, startAt - now));
+    }
+  }
+
+  /**
+   * Work out how long to back off after a 429/503
+   * Retry-After (seconds or an HTTP date) is honored, otherwise exponential backoff with jitter
+   */
+  getBackoffMs(response, attempt) {
+    const retryAfter = response?.headers?.['retry-after'];
+
+    if (retryAfter) {
+      const seconds = parseInt(retryAfter, 10);
+      const waitMs = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+      if (!Number.isNaN(waitMs) && waitMs >= 0) {
+        return Math.min(waitMs, this.maxBackoffMs);
+      }
+    }
+
+    const jitter = Math.random() * 1000;
+    return Math.min(this.backoffBaseMs * 2 ** attempt + jitter, this.maxBackoffMs);
+  }
+
+  /**
+   * Build an error for a fetch the scheduler refused to make
+   */
+  refusal(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Fetch a URL politely
+   * Rejects with code ROBOTS_DISALLOWED or CRAWL_DELAY_TOO_LONG when the site asks us not to fetch
+   */
+  async fetch(url, options = {}) {
+    const { headers = {}, timeout = this.timeout, validateStatus } = options;
+    const parsed = new URL(url);
+
+    let delayMs = this.hostDelayMs;
+
+    if (this.respectRobots) {
+      const robots = await this.getRobots(parsed.origin);
+
+      if (!this.isAllowed(robots, `${parsed.pathname}${parsed.search}`)) {
+        throw this.refusal('ROBOTS_DISALLOWED', robots.unreachable
+          ? `robots.txt for ${parsed.host} is unreachable`
+          : `Disallowed by robots.txt for ${parsed.host}`);
+      }
+
+      if (robots.crawlDelay !== null) {
+        const crawlDelayMs = robots.crawlDelay * 1000;
+        if (crawlDelayMs > this.maxCrawlDelayMs) {
+          throw this.refusal('CRAWL_DELAY_TOO_LONG',
+            `Crawl-delay of ${robots.crawlDelay}s for ${parsed.host} exceeds FETCH_MAX_CRAWL_DELAY`);
+        }
+        delayMs = Math.max(delayMs, crawlDelayMs);
+      }
+    }
+
+    const hostState = this.getHostState(parsed.host);
+    await hostState.slots.acquire();
+    await this.globalSlots.acquire();
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        await this.waitForTurn(hostState, delayMs);
+
+        try {
+          return await axios.get(url, {
+            timeout,
+            headers: { ...headers, 'User-Agent': this.userAgent },
+            ...(validateStatus ? { validateStatus } : {})
+          });
+        } catch (error) {
+          const status = error.response?.status;
+
+          if ((status === 429 || status === 503) && attempt < this.maxRetries) {
+            const backoffMs = this.getBackoffMs(error.response, attempt);
+            console.warn(`⏳ ${parsed.host} returned ${status}, retrying in ${Math.round(backoffMs / 1000)}s`);
+
+            // Back off the whole host, not just this request
+            hostState.nextAllowedAt = Math.max(hostState.nextAllowedAt, Date.now() + backoffMs);
+            continue;
+          }
+
+          throw error;
+        }
+      }
+    } finally {
+      this.globalSlots.release();
+      hostState.slots.release();
+    }
+  }
+}
+
+FetchScheduler.DEFAULT_USER_AGENT = DEFAULT_USER_AGENT;
+
+module.exports = FetchScheduler;
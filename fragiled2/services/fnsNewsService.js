@@ -1,47 +1,46 @@
-const mysql = require('mysql2/promise');
+const { createStorage } = require('./storage');
 const NewsImportService = require('./newsImportService');
+const StoryClusterer = require('./storyClusterer');
+const SchemaMigrator = require('./schemaMigrator');
+const SearchService = require('./searchService');
+const CursorPagination = require('./cursorPagination');
+const ThreatHistory = require('./threatHistory');
+const CategoryTaxonomy = require('./categoryTaxonomy');
+const ArticleRanker = require('./articleRanker');
+const AnalysisResultSchema = require('./analysisResultSchema');
+
+// Sort orders accepted by getNewsFeed
+const FEED_SORT_ORDERS = ['recency', 'severity', 'bias', 'trending', 'rank'];
 
 /**
  * FNS News Service - Main service for Fragile News Source
  * Handles database operations and coordinates with import service
  */
 class FNSNewsService {
-  constructor() {
+  constructor(options = {}) {
     this.newsImporter = new NewsImportService();
-    this.dbConfig = {
-      host: process.env.DB_HOST || 'localhost',
-      user: process.env.DB_USER || 'root',
-      password: process.env.DB_PASSWORD || '',
-      database: process.env.DB_NAME || 'fns_database',
-      waitForConnections: true,
-      connectionLimit: 10,
-      queueLimit: 0
-    };
-    
-    this.pool = mysql.createPool(this.dbConfig);
+    this.clusterer = new StoryClusterer();
+
+    // MySQL or SQLite storage (DB_CLIENT), used like a mysql2 pool
+    this.pool = options.storage || createStorage({ connectionLimit: 10 });
+    this.migrator = new SchemaMigrator(this.pool);
+    this.searchService = new SearchService(this.pool);
+    this.cursors = new CursorPagination();
+    this.threatHistory = new ThreatHistory(this.pool);
+    this.taxonomy = new CategoryTaxonomy(this.pool);
+    this.ranker = new ArticleRanker(this.pool);
+    this.analysisSchema = new AnalysisResultSchema();
+    this.currentReclassify = null;
   }
 
   /**
-   * Initialize database with schema
+   * Initialize or upgrade the database by applying pending schema migrations
    */
   async initializeDatabase() {
     try {
-      const fs = require('fs').promises;
-      const path = require('path');
-      
-      const schemaPath = path.join(__dirname, '../database/fns_schema.sql');
-      const schema = await fs.readFile(schemaPath, 'utf8');
-      
-      // Split schema into individual statements
-      const statements = schema.split(';').filter(stmt => stmt.trim());
-      
-      for (const statement of statements) {
-        if (statement.trim()) {
-          await this.pool.execute(statement);
-        }
-      }
+      const applied = await this.migrator.up();
       
-      console.log('Database initialized successfully');
+      console.log(`Database initialized successfully (${applied.length} migration(s) applied)`);
       return true;
       
     } catch (error) {
@@ -52,35 +51,44 @@ class FNSNewsService {
 
   /**
    * Import and store news articles
+   * Only articles from new or changed newsletter files are stored unless force is set; those
+   * files are stored whole, and batchSize only limits forced imports. A file is recorded in the
+   * import ledger once all of its stories are stored.
    */
   async importArticles(options = {}) {
     try {
-      const { includeImages = false, batchSize = 50 } = options;
+      const { includeImages = false, batchSize = 50, force = false } = options;
       
       console.log('Starting article import...');
       const articles = await this.newsImporter.getLatestArticles({
         limit: batchSize,
-        includeImages
+        includeImages,
+        changedOnly: !force
       });
       
-      let importedCount = 0;
-      let updatedCount = 0;
-      
-      for (const article of articles) {
+      const { imported: importedCount, updated: updatedCount, storedIds } = await this.storeArticles(articles);
+      const ledger = await this.newsImporter.commitFiles(storedIds);
+
+      const files = this.newsImporter.lastImportReport && {
+        ...this.newsImporter.lastImportReport,
+        held: ledger.held
+      };
+
+      let clusters = null;
+      if (importedCount + updatedCount > 0) {
         try {
-          const result = await this.storeArticle(article);
-          if (result.isNew) {
-            importedCount++;
-          } else {
-            updatedCount++;
-          }
+          clusters = await this.updateClusters();
         } catch (error) {
-          console.error(`Error storing article ${article.id}:`, error.message);
+          console.error('Error updating story clusters:', error.message);
         }
       }
-      
+
       console.log(`Import complete: ${importedCount} new, ${updatedCount} updated`);
-      return { imported: importedCount, updated: updatedCount, total: articles.length };
+      if (files) {
+        console.log(`Files: ${files.new} new, ${files.changed} changed, ${files.skipped} skipped`);
+      }
+
+      return { imported: importedCount, updated: updatedCount, total: articles.length, files, clusters };
       
     } catch (error) {
       console.error('Error importing articles:', error);
@@ -88,10 +96,37 @@ class FNSNewsService {
     }
   }
 
+  /**
+   * Store a batch of articles, counting new, updated and failed rows
+   * storedIds lists the ids of the stored articles and of the copies merged into them
+   */
+  async storeArticles(articles) {
+    const counts = { imported: 0, updated: 0, failed: 0, storedIds: [] };
+
+    for (const article of articles) {
+      try {
+        const result = await this.storeArticle(article);
+        if (result.isNew) {
+          counts.imported++;
+        } else {
+          counts.updated++;
+        }
+        counts.storedIds.push(...(article.merged_ids || [article.id]));
+      } catch (error) {
+        counts.failed++;
+        console.error(`Error storing article ${article.id}:`, error.message);
+      }
+    }
+
+    return counts;
+  }
+
   /**
    * Store individual article in database
    */
   async storeArticle(article) {
+    const categories = this.taxonomy.classify(article, await this.taxonomy.getCategories());
+    const keyword = article.keyword || (categories.length > 0 ? categories[0].name : null);
     const connection = await this.pool.getConnection();
     
     try {
@@ -109,23 +144,36 @@ class FNSNewsService {
         // Insert new article
         await connection.execute(`
           INSERT INTO fns_articles (
-            id, title, url, content, summary, keyword, 
+            id, title, url, source_domain, content, summary, keyword, 
             severity_score, sentiment, date, source_file, 
-            featured_image, analysis_status
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            featured_image, analysis_status,
+            canonical_url, authors, published_at, modified_at,
+            section, keywords, publisher_name, publisher_logo,
+            pipeline_state, source_type, source_trust, original_url, newsletter_analysis, newsletter_severity,
+            content_fetched
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
           article.id,
           article.title,
           article.url,
+          this.sourceDomain(article.url),
           article.content,
           article.summary,
-          article.keyword,
+          keyword,
           article.severity_score,
           article.sentiment,
           article.date,
           article.source_file,
           article.featured_image,
-          article.analysis_status
+          article.analysis_status,
+          ...this.metadataColumns(article),
+          article.pipeline_state || 'seed',
+          article.source_type || null,
+          article.trust_weight ?? null,
+          article.original_newsletter_url || null,
+          article.newsletter_analysis || article.keisha_analysis || null,
+          article.overall_severity ?? null,
+          !!article.content_fetched
         ]);
       } else {
         // Update existing article if content has changed
@@ -133,7 +181,12 @@ class FNSNewsService {
           UPDATE fns_articles SET 
             title = ?, content = ?, summary = ?, 
             severity_score = ?, sentiment = ?, 
-            featured_image = ?, updated_at = CURRENT_TIMESTAMP
+            featured_image = ?,
+            canonical_url = ?, authors = ?, published_at = ?, modified_at = ?,
+            section = ?, keywords = ?, publisher_name = ?, publisher_logo = ?,
+            newsletter_severity = COALESCE(?, newsletter_severity),
+            source_trust = COALESCE(?, source_trust),
+            updated_at = CURRENT_TIMESTAMP
           WHERE url = ?
         `, [
           article.title,
@@ -142,37 +195,20 @@ class FNSNewsService {
           article.severity_score,
           article.sentiment,
           article.featured_image,
+          ...this.metadataColumns(article),
+          article.overall_severity ?? null,
+          article.trust_weight ?? null,
           article.url
         ]);
       }
       
       // Store images if provided
       if (article.images && article.images.length > 0) {
-        // Clear existing images
-        await connection.execute(
-          'DELETE FROM fns_article_images WHERE article_id = ?',
-          [article.id]
-        );
-        
-        // Insert new images
-        for (let i = 0; i < article.images.length; i++) {
-          const imageUrl = article.images[i];
-          await connection.execute(`
-            INSERT INTO fns_article_images (
-              article_id, image_url, is_featured
-            ) VALUES (?, ?, ?)
-          `, [
-            article.id,
-            imageUrl,
-            i === 0 // First image is featured
-          ]);
-        }
+        await this.replaceImages(connection, article.id, article.images);
       }
       
-      // Map to category
-      if (article.keyword) {
-        await this.mapArticleToCategory(connection, article.id, article.keyword);
-      }
+      // Map to every matching category
+      await this.mapArticleToCategories(connection, article.id, keyword, categories);
       
       await connection.commit();
       return { isNew, articleId: article.id };
@@ -186,147 +222,734 @@ class FNSNewsService {
   }
 
   /**
-   * Map article to category based on keyword
+   * Replace an article's images with a new set
+   * Images are URLs, or { url, alt, width, height, source } from page extraction
    */
-  async mapArticleToCategory(connection, articleId, keyword) {
+  async replaceImages(connection, articleId, images) {
+    await connection.execute(
+      'DELETE FROM fns_article_images WHERE article_id = ?',
+      [articleId]
+    );
+    
+    for (let i = 0; i < images.length; i++) {
+      const image = typeof images[i] === 'string' ? { url: images[i] } : images[i];
+      await connection.execute(`
+        INSERT INTO fns_article_images (
+          article_id, image_url, alt_text, is_featured, width, height, source
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        articleId,
+        image.url,
+        image.alt || null,
+        i === 0, // First image is featured (the lead image when the page declares one)
+        image.width || null,
+        image.height || null,
+        image.source || 'page'
+      ]);
+    }
+  }
+
+  /**
+   * Store pipeline seeds, skipping URLs already in the database so work done on them is kept
+   * storedIds lists the ids of seeds stored now or before, and of the stories merged into them
+   */
+  async storeSeeds(seeds) {
+    const counts = { imported: 0, existing: 0, failed: 0, storedIds: [] };
+    if (seeds.length === 0) {
+      return counts;
+    }
+
+    const [rows] = await this.pool.execute(
+      `SELECT url FROM fns_articles WHERE url IN (${seeds.map(() => '?').join(',')})`,
+      seeds.map(seed => seed.url)
+    );
+    const known = new Set(rows.map(row => row.url));
+
+    for (const seed of seeds) {
+      if (known.has(seed.url)) {
+        counts.existing++;
+        counts.storedIds.push(...(seed.merged_ids || [seed.id]));
+        continue;
+      }
+
+      try {
+        await this.storeArticle({ ...seed, pipeline_state: 'seed', analysis_status: 'pending' });
+        counts.imported++;
+        counts.storedIds.push(...(seed.merged_ids || [seed.id]));
+      } catch (error) {
+        counts.failed++;
+        console.error(`Error storing seed ${seed.id}:`, error.message);
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Record the outcome of fetching an article's page and advance its pipeline state
+   * Full text moves it to extracted; walls and stubs to fetched; failed fetches stay seeds to retry
+   */
+  async recordFetchResult(articleId, result) {
+    const connection = await this.pool.getConnection();
+
+    let state = 'fetched';
+    if (result.content_fetched) {
+      state = 'extracted';
+    } else if (result.content_status === 'fetch_failed' || result.content_status === 'not_cached') {
+      state = 'seed';
+    }
+    
     try {
-      // Find matching category
-      const [categories] = await connection.execute(
-        'SELECT id FROM fns_categories WHERE name = ?',
-        [keyword]
-      );
-      
-      if (categories.length > 0) {
-        const categoryId = categories[0].id;
-        
-        // Insert mapping (ignore if already exists)
+      await connection.beginTransaction();
+
+      await connection.execute(`
+        UPDATE fns_articles SET
+          pipeline_state = ?, source_type = ?, full_content = ?, content_fetched = ?,
+          content_status = ?, content_status_reasons = ?, word_count = ?,
+          extraction_rule = ?, fetch_error = ?,
+          fetch_attempts = fetch_attempts + 1, fetched_at = CURRENT_TIMESTAMP,
+          content = CASE WHEN ? THEN ? ELSE content END,
+          featured_image = COALESCE(?, featured_image),
+          canonical_url = ?, authors = ?, published_at = ?, modified_at = ?,
+          section = ?, keywords = ?, publisher_name = ?, publisher_logo = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [
+        state,
+        state === 'seed' ? result.seed_source_type || null : result.source_type,
+        result.full_content || null,
+        !!result.content_fetched,
+        result.content_status,
+        JSON.stringify(result.content_status_reasons || []),
+        result.word_count || 0,
+        result.extraction_rule || null,
+        result.fetch_error || null,
+        !!result.content_fetched,
+        result.full_content || null,
+        result.featured_image || null,
+        ...this.metadataColumns(result),
+        articleId
+      ]);
+
+      if (result.images && result.images.length > 0) {
+        await this.replaceImages(connection, articleId, result.images);
+      }
+
+      await connection.commit();
+      return state;
+
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Get articles waiting in a pipeline state, most severe first (only those in ids, when given)
+   */
+  async getArticlesInState(state, options = {}) {
+    const { limit = 20, minSeverity = 0, maxFetchAttempts = null, ids = null } = options;
+
+    const conditions = ['pipeline_state = ?', 'severity_score >= ?'];
+    const params = [state, minSeverity];
+
+    if (ids) {
+      if (ids.length === 0) return [];
+      conditions.push(`id IN (${ids.map(() => '?').join(',')})`);
+      params.push(...ids);
+    }
+
+    if (maxFetchAttempts !== null) {
+      conditions.push('fetch_attempts < ?');
+      params.push(maxFetchAttempts);
+    }
+    if (state === 'extracted') {
+      conditions.push("analysis_status = 'pending'");
+    }
+
+    const [articles] = await this.pool.execute(`
+      SELECT id, title, url, original_url, content, summary, keyword, severity_score,
+        sentiment, date, source_type, newsletter_analysis, full_content, word_count,
+        content_fetched, fetch_attempts
+      FROM fns_articles
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY severity_score DESC, date DESC
+      LIMIT ?
+    `, [...params, limit]);
+
+    return articles;
+  }
+
+  /**
+   * Put articles left in processing by a stopped process back in the analysis queue
+   * Articles with a queued or running analysis job are still in the queue and left alone
+   */
+  async releaseStalledAnalysis(olderThanMinutes = 60) {
+    const [result] = await this.pool.execute(`
+      UPDATE fns_articles
+      SET analysis_status = 'pending'
+      WHERE analysis_status = 'processing'
+        AND updated_at < ${this.pool.minutesAgo()}
+        AND NOT EXISTS (
+          SELECT 1 FROM fns_jobs j
+          WHERE j.type = 'analyze_article' AND j.job_key = fns_articles.id AND j.status IN ('queued', 'running')
+        )
+    `, [olderThanMinutes]);
+
+    return result.affectedRows;
+  }
+
+  /**
+   * Count articles per pipeline state and content status
+   */
+  async getPipelineStats() {
+    const [states] = await this.pool.execute(`
+      SELECT pipeline_state, COUNT(*) as count
+      FROM fns_articles
+      GROUP BY pipeline_state
+    `);
+    const [statuses] = await this.pool.execute(`
+      SELECT content_status, COUNT(*) as count
+      FROM fns_articles
+      WHERE content_status IS NOT NULL
+      GROUP BY content_status
+    `);
+
+    const toCounts = (rows, key) => rows.reduce((counts, row) => {
+      counts[row[key]] = row.count;
+      return counts;
+    }, {});
+
+    return {
+      by_state: toCounts(states, 'pipeline_state'),
+      by_content_status: toCounts(statuses, 'content_status')
+    };
+  }
+
+  /**
+   * Publisher domain of an article URL, www. stripped (fns_articles.source_domain)
+   */
+  sourceDomain(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '') || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Structured metadata column values for fns_articles, in schema order
+   */
+  metadataColumns(article) {
+    const toDateTime = value => {
+      const date = value ? new Date(value) : null;
+      return date && !Number.isNaN(date.getTime())
+        ? date.toISOString().slice(0, 19).replace('T', ' ')
+        : null;
+    };
+
+    return [
+      article.canonical_url || null,
+      article.authors && article.authors.length > 0 ? JSON.stringify(article.authors) : null,
+      toDateTime(article.published_at),
+      toDateTime(article.modified_at),
+      article.section ? String(article.section).substring(0, 100) : null,
+      article.keywords && article.keywords.length > 0 ? JSON.stringify(article.keywords) : null,
+      article.publisher_name || null,
+      article.publisher_logo || null
+    ];
+  }
+
+  /**
+   * Replace an article's category mappings with its classification
+   * The category named by the article's keyword is always kept, at full relevance.
+   */
+  async mapArticleToCategories(connection, articleId, keyword, matches) {
+    try {
+      const relevance = new Map(matches.filter(match => match.id !== null).map(match => [match.id, match.relevance]));
+
+      const keywordCategory = keyword && this.taxonomy.current()
+        .find(category => category.name.toLowerCase() === keyword.toLowerCase());
+      if (keywordCategory && keywordCategory.id !== null) {
+        relevance.set(keywordCategory.id, 1);
+      }
+
+      await connection.execute('DELETE FROM fns_article_categories WHERE article_id = ?', [articleId]);
+      for (const [categoryId, score] of relevance) {
         await connection.execute(`
-          INSERT IGNORE INTO fns_article_categories (article_id, category_id)
-          VALUES (?, ?)
-        `, [articleId, categoryId]);
+          INSERT INTO fns_article_categories (article_id, category_id, relevance_score)
+          VALUES (?, ?, ?)
+        `, [articleId, categoryId, score]);
+      }
+
+      return relevance.size;
+    } catch (error) {
+      console.error('Error mapping article to categories:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Classify stored articles again with the current taxonomy, e.g. after categories were edited
+   * Articles whose keyword is no longer a category take their most relevant match instead.
+   * Pass fromDate/toDate (YYYY-MM-DD) to limit the run; overlapping calls share one run.
+   */
+  async reclassifyArticles(options = {}) {
+    if (this.currentReclassify) {
+      return this.currentReclassify;
+    }
+
+    this.currentReclassify = this.runReclassify(options).finally(() => {
+      this.currentReclassify = null;
+    });
+
+    return this.currentReclassify;
+  }
+
+  /**
+   * Classify every article in batches, replacing its category mappings
+   */
+  async runReclassify(options = {}) {
+    const { fromDate = null, toDate = null, batchSize = 200 } = options;
+
+    const categories = await this.taxonomy.getCategories({ useCache: false });
+    const names = new Set(categories.map(category => category.name.toLowerCase()));
+    const range = fromDate
+      ? { condition: 'AND date BETWEEN ? AND ?', params: [fromDate, toDate || new Date().toISOString().split('T')[0]] }
+      : { condition: '', params: [] };
+
+    const counts = { articles: 0, categorized: 0, mappings: 0, keywords_changed: 0 };
+    const changedDates = [];
+    let lastId = '';
+
+    for (;;) {
+      const [rows] = await this.pool.execute(`
+        SELECT id, title, summary, content, keyword, date
+        FROM fns_articles
+        WHERE id > ? ${range.condition}
+        ORDER BY id ASC
+        LIMIT ${parseInt(batchSize, 10) || 200}
+      `, [lastId, ...range.params]);
+
+      if (rows.length === 0) break;
+      lastId = rows[rows.length - 1].id;
+
+      const connection = await this.pool.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        for (const row of rows) {
+          const matches = this.taxonomy.classify(row, categories);
+          let keyword = row.keyword;
+          if ((!keyword || !names.has(keyword.toLowerCase())) && matches.length > 0) {
+            keyword = matches[0].name;
+            await connection.execute('UPDATE fns_articles SET keyword = ? WHERE id = ?', [keyword, row.id]);
+            counts.keywords_changed++;
+            if (row.date) changedDates.push(this.threatHistory.toDateString(row.date));
+          }
+
+          const mapped = await this.mapArticleToCategories(connection, row.id, keyword, matches);
+          counts.articles++;
+          counts.mappings += mapped;
+          if (mapped > 0) counts.categorized++;
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
       }
+    }
+
+    // Snapshots carry per-keyword counts
+    if (changedDates.length > 0) {
+      changedDates.sort();
+      try {
+        counts.snapshots = await this.threatHistory.record({
+          fromDate: changedDates[0],
+          toDate: changedDates[changedDates.length - 1]
+        });
+      } catch (error) {
+        console.error('Error recording threat snapshots:', error.message);
+      }
+    }
+
+    // Keywords and category weights may have changed
+    try {
+      counts.ranked = await this.ranker.updateScores(fromDate ? { fromDate, toDate } : {});
     } catch (error) {
-      console.error('Error mapping article to category:', error);
+      console.error('Error updating rank scores:', error.message);
     }
+
+    console.log(`🏷️ Reclassified ${counts.articles} articles (${counts.categorized} categorized, ${counts.keywords_changed} keywords changed)`);
+    return counts;
+  }
+
+  /**
+   * Recluster recent articles so syndicated copies and repeats share one feed card
+   * Stories can recur across days, so the window reaches back further than a single import.
+   * Pass fromDate/toDate (YYYY-MM-DD) to recluster a historical range instead.
+   */
+  async updateClusters(options = {}) {
+    const { daysBack = 7, fromDate = null, toDate = null } = options;
+
+    const [rows] = fromDate
+      ? await this.pool.execute(`
+        SELECT id, title, url, content, summary, severity_score, date, content_fetched
+        FROM fns_articles
+        WHERE date BETWEEN ? AND ?
+      `, [fromDate, toDate || new Date().toISOString().split('T')[0]])
+      : await this.pool.execute(`
+        SELECT id, title, url, content, summary, severity_score, date, content_fetched
+        FROM fns_articles
+        WHERE date >= ${this.pool.daysAgo()}
+      `, [daysBack]);
+
+    const articles = rows.map(row => ({
+      ...row,
+      date: row.date instanceof Date ? row.date.toISOString().split('T')[0] : row.date,
+      severity_score: parseFloat(row.severity_score) || 0,
+      content_fetched: !!row.content_fetched
+    }));
+
+    const clusters = this.clusterer.cluster(articles);
+    const connection = await this.pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      for (const cluster of clusters) {
+        for (const member of cluster.members) {
+          await connection.execute(`
+            UPDATE fns_articles
+            SET cluster_id = ?, is_cluster_primary = ?, cluster_size = ?
+            WHERE id = ?
+          `, [cluster.cluster_id, member === cluster.primary, cluster.members.length, member.id]);
+        }
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const grouped = clusters.filter(cluster => cluster.members.length > 1);
+    console.log(`🧩 Clustered ${articles.length} articles into ${clusters.length} stories (${grouped.length} with related sources)`);
+
+    // Threat snapshots count cluster primaries, so they follow the clusters
+    let snapshots = null;
+    try {
+      snapshots = await this.threatHistory.record({ daysBack, fromDate, toDate });
+    } catch (error) {
+      console.error('Error recording threat snapshots:', error.message);
+    }
+
+    // Corroboration comes from cluster sizes, so rank scores follow the clusters too
+    let ranked = null;
+    try {
+      ranked = await this.ranker.updateScores(fromDate ? { fromDate, toDate } : { daysBack });
+    } catch (error) {
+      console.error('Error updating rank scores:', error.message);
+    }
+
+    return { articles: articles.length, clusters: clusters.length, grouped: grouped.length, snapshots, ranked };
+  }
+
+  /**
+   * Build the WHERE conditions (fns_articles aliased a) shared by the feed, its count and its facets
+   * Throws an error with validationErrors for malformed options
+   */
+  feedFilters(options = {}) {
+    const {
+      category = null,
+      categories = [],
+      categoryMode = 'any',
+      minSeverity = 0,
+      maxSeverity = null,
+      fromDate = null,
+      toDate = null,
+      analysisStatus = null,
+      collapseClusters = true,
+      pipelineStates = null,
+      sourceDomains = [],
+      minBias = null,
+      maxBias = null,
+      contentFetched = null,
+      hasImages = null,
+      query = null
+    } = options;
+
+    const errors = [];
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if (fromDate && !isDate(fromDate)) errors.push('fromDate must be YYYY-MM-DD');
+    if (toDate && !isDate(toDate)) errors.push('toDate must be YYYY-MM-DD');
+    if (!['any', 'all'].includes(categoryMode)) errors.push('categoryMode must be any or all');
+    if (errors.length > 0) {
+      const error = new Error(`Invalid feed filters: ${errors.join('; ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    let join = '';
+    const conditions = [];
+    const params = [];
+
+    // Free text goes through the same full-text match as /search
+    if (query) {
+      const { match } = this.searchService.matchQuery(query);
+      if (match) {
+        join = match.join;
+        conditions.push(match.condition);
+        params.push(...match.conditionParams);
+      } else {
+        conditions.push('1 = 0');
+      }
+    }
+
+    const categoryNames = [...new Set([...(category ? [category] : []), ...categories])];
+    if (categoryNames.length > 0) {
+      const placeholders = categoryNames.map(() => '?').join(',');
+      conditions.push(`a.id IN (
+        SELECT ac.article_id
+        FROM fns_article_categories ac
+        JOIN fns_categories c ON ac.category_id = c.id
+        WHERE c.name IN (${placeholders})
+        ${categoryMode === 'all' && categoryNames.length > 1 ? 'GROUP BY ac.article_id HAVING COUNT(DISTINCT c.id) = ?' : ''}
+      )`);
+      params.push(...categoryNames);
+      if (categoryMode === 'all' && categoryNames.length > 1) {
+        params.push(categoryNames.length);
+      }
+    }
+
+    if (minSeverity > 0) {
+      conditions.push('a.severity_score >= ?');
+      params.push(minSeverity);
+    }
+    if (maxSeverity !== null) {
+      conditions.push('a.severity_score <= ?');
+      params.push(maxSeverity);
+    }
+    if (fromDate) {
+      conditions.push('a.date >= ?');
+      params.push(fromDate);
+    }
+    if (toDate) {
+      conditions.push('a.date <= ?');
+      params.push(toDate);
+    }
+    if (analysisStatus) {
+      conditions.push('a.analysis_status = ?');
+      params.push(analysisStatus);
+    }
+    if (collapseClusters) {
+      conditions.push('a.is_cluster_primary = TRUE');
+    }
+    if (pipelineStates && pipelineStates.length > 0) {
+      conditions.push(`a.pipeline_state IN (${pipelineStates.map(() => '?').join(',')})`);
+      params.push(...pipelineStates);
+    }
+    if (sourceDomains.length > 0) {
+      conditions.push(`a.source_domain IN (${sourceDomains.map(() => '?').join(',')})`);
+      params.push(...sourceDomains.map(domain => String(domain).toLowerCase().replace(/^www\./, '')));
+    }
+    if (minBias !== null || maxBias !== null) {
+      const bias = [];
+      if (minBias !== null) {
+        bias.push('kb.bias_score >= ?');
+        params.push(minBias);
+      }
+      if (maxBias !== null) {
+        bias.push('kb.bias_score <= ?');
+        params.push(maxBias);
+      }
+      conditions.push(`EXISTS (SELECT 1 FROM fns_keisha_analysis kb WHERE kb.article_id = a.id AND ${bias.join(' AND ')})`);
+    }
+    if (contentFetched !== null) {
+      conditions.push(contentFetched ? 'a.content_fetched = TRUE' : 'a.content_fetched = FALSE');
+    }
+    if (hasImages !== null) {
+      conditions.push(`${hasImages ? '' : 'NOT '}(a.featured_image IS NOT NULL
+        OR EXISTS (SELECT 1 FROM fns_article_images i WHERE i.article_id = a.id))`);
+    }
+
+    return {
+      from: `FROM fns_articles a ${join}`,
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Keyset score of a scored feed sort order: { expression, field } with the SQL expression and
+   * the row field it is selected as; null for recency. Rank and trending are computed as of asOf.
+   * Trending favours stories many sources picked up, decaying with age (1.0 keeps SQLite from dividing integers)
+   */
+  feedScore(sort, asOf = null) {
+    const age = `(${this.pool.daysSince('a.date', asOf)} + 2)`;
+    const scores = {
+      severity: { expression: 'a.severity_score', field: 'severity_score' },
+      bias: { expression: 'k.bias_score', field: 'bias_score' },
+      trending: {
+        expression: `((COALESCE(a.cluster_size, 1) * a.severity_score * 1.0) / (${age} * ${age}))`,
+        field: 'trending_score'
+      },
+      rank: { expression: this.ranker.rankScoreSql('a', asOf), field: 'rank_score' }
+    };
+
+    return scores[sort] || null;
+  }
+
+  /**
+   * ORDER BY clause for a feed sort order
+   */
+  feedOrder(sort, asOf = null) {
+    const score = sort => this.feedScore(sort, asOf).expression;
+
+    const orders = {
+      recency: this.cursors.order(),
+      severity: this.cursors.order(score('severity')),
+      bias: this.cursors.order(score('bias')),
+      trending: this.cursors.order(score('trending')),
+      rank: this.cursors.order(score('rank'))
+    };
+
+    if (!orders[sort]) {
+      const error = new Error(`Invalid sort: ${sort} (expected ${FEED_SORT_ORDERS.join(', ')})`);
+      error.validationErrors = [error.message];
+      throw error;
+    }
+
+    return orders[sort];
   }
 
   /**
    * Get articles for news feed
+   * Only cluster primaries are returned unless collapseClusters is false.
+   * See feedFilters() for the filters; sort is recency (default), severity, bias, trending or rank.
+   * With includeFacets the result also has facet counts over all matching articles.
+   * Pass pagination.nextCursor back as cursor for the next page (offset is ignored then);
+   * includeTotal: false skips the COUNT query and leaves pagination.total null.
+   * Every order pages by keyset; rank and trending pages keep the scores of the first page's time.
    */
   async getNewsFeed(options = {}) {
     try {
       const {
         limit = 20,
-        offset = 0,
-        category = null,
-        minSeverity = 0,
-        analysisStatus = null,
-        includeAnalysis = true
+        cursor = null,
+        includeAnalysis = true,
+        includeContent = false,
+        includeFacets = false,
+        includeTotal = true,
+        sort = 'recency'
       } = options;
       
+      const { from, where, params } = this.feedFilters(options);
+      
+      // Pages continue by keyset, so imports between requests do not shift them
+      const position = this.cursors.decode(cursor, sort);
+      const offset = position ? position.offset || 0 : options.offset || 0;
+      
+      // Rank and trending decay with time, so every page scores as of the first one (whole seconds, as SQL compares)
+      const asOf = ['rank', 'trending'].includes(sort)
+        ? (position && position.asOf) || new Date(Math.floor(Date.now() / 1000) * 1000)
+        : null;
+      const order = this.feedOrder(sort, asOf);
+      const score = this.feedScore(sort, asOf);
+      
+      let pageWhere = where;
+      let pageParams = params;
+      if (position && position.keyset) {
+        const after = this.cursors.after(position.keyset, score && score.expression);
+        pageWhere = `${where ? `${where} AND` : 'WHERE'} ${after.condition}`;
+        pageParams = [...params, ...after.params];
+      }
+      
       let query = `
         SELECT 
-          a.id, a.title, a.url, a.summary, a.keyword,
+          a.id, a.title, a.url, a.source_domain, a.summary, a.keyword,
           a.severity_score, a.sentiment, a.date, a.featured_image,
-          a.analysis_status, a.imported_at
+          a.analysis_status, a.imported_at, a.cluster_id, a.cluster_size,
+          a.pipeline_state, a.source_type, a.content_fetched, a.content_status, a.word_count,
+          a.rank_base, a.rank_freshness, ${this.ranker.rankScoreSql('a', asOf)} AS rank_score, a.rank_factors
       `;
       
-      if (includeAnalysis) {
+      if (includeContent) {
         query += `,
-          k.bias_score, k.keisha_translation, k.keisha_summary,
-          k.analyzed_at
+          a.content, a.full_content, a.newsletter_analysis
         `;
       }
       
-      query += `
-        FROM fns_articles a
-      `;
-      
       if (includeAnalysis) {
-        query += `
-          LEFT JOIN fns_keisha_analysis k ON a.id = k.article_id
-        `;
-      }
-      
-      const conditions = [];
-      const params = [];
-      
-      if (category) {
-        query += `
-          JOIN fns_article_categories ac ON a.id = ac.article_id
-          JOIN fns_categories c ON ac.category_id = c.id
+        query += `,
+          k.bias_score, k.keisha_translation, k.keisha_summary, k.critical_analysis,
+          k.analyzed_at
         `;
-        conditions.push('c.name = ?');
-        params.push(category);
+      } else if (sort === 'bias') {
+        query += ', k.bias_score';
       }
       
-      if (minSeverity > 0) {
-        conditions.push('a.severity_score >= ?');
-        params.push(minSeverity);
+      if (sort === 'trending') {
+        query += `, ${score.expression} AS trending_score`;
       }
       
-      if (analysisStatus) {
-        conditions.push('a.analysis_status = ?');
-        params.push(analysisStatus);
-      }
+      query += ` ${from}`;
       
-      if (conditions.length > 0) {
-        query += ' WHERE ' + conditions.join(' AND ');
+      // Sorting by bias needs the analysis even when it is not returned
+      if (includeAnalysis || sort === 'bias') {
+        query += `
+          LEFT JOIN fns_keisha_analysis k ON a.id = k.article_id
+        `;
       }
       
+      // One extra row tells whether there is a next page
       query += `
-        ORDER BY a.date DESC, a.imported_at DESC
+        ${pageWhere}
+        ORDER BY ${order}
         LIMIT ? OFFSET ?
       `;
       
-      params.push(limit, offset);
-      
-      const [articles] = await this.pool.execute(query, params);
-      
-      // Get total count for pagination
-      let countQuery = 'SELECT COUNT(DISTINCT a.id) as total FROM fns_articles a';
-      let countParams = [];
-      
-      if (category) {
-        countQuery += `
-          JOIN fns_article_categories ac ON a.id = ac.article_id
-          JOIN fns_categories c ON ac.category_id = c.id
-        `;
-      }
-      
-      const countConditions = [];
-      if (category) {
-        countConditions.push('c.name = ?');
-        countParams.push(category);
-      }
-      if (minSeverity > 0) {
-        countConditions.push('a.severity_score >= ?');
-        countParams.push(minSeverity);
-      }
-      if (analysisStatus) {
-        countConditions.push('a.analysis_status = ?');
-        countParams.push(analysisStatus);
-      }
+      const [rows] = await this.pool.execute(query, [...pageParams, limit + 1, offset]);
+      const page = this.cursors.page(rows, { sort, limit, offset, keyset: true, score: score && score.field, asOf });
       
-      if (countConditions.length > 0) {
-        countQuery += ' WHERE ' + countConditions.join(' AND ');
+      let total = null;
+      if (includeTotal) {
+        const [countResult] = await this.pool.execute(
+          `SELECT COUNT(DISTINCT a.id) as total ${from} ${where}`,
+          params
+        );
+        total = countResult[0].total;
       }
       
-      const [countResult] = await this.pool.execute(countQuery, countParams);
-      const total = countResult[0].total;
-      
-      return {
-        articles,
+      const result = {
+        articles: page.items.map(article => ({ ...article, ...this.ranker.currentScore(article) })),
         pagination: {
           total,
           limit,
-          offset,
-          hasMore: offset + limit < total
+          offset: position ? null : offset,
+          hasMore: page.hasMore,
+          nextCursor: page.nextCursor,
+          pagedBy: page.pagedBy
         }
       };
       
+      if (includeFacets) {
+        result.facets = await this.searchService.facets(from, where, params);
+      }
+      
+      return result;
+      
     } catch (error) {
-      console.error('Error getting news feed:', error);
+      if (!error.validationErrors) {
+        console.error('Error getting news feed:', error);
+      }
       throw error;
     }
   }
@@ -338,10 +961,12 @@ class FNSNewsService {
     try {
       const [articles] = await this.pool.execute(`
         SELECT 
-          a.*,
+          a.*, ${this.ranker.rankScoreSql()} AS rank_score,
           k.bias_score, k.fragility_indicators, k.euphemisms_detected,
           k.systemic_patterns, k.keisha_translation, k.keisha_summary,
-          k.critical_analysis, k.confidence_score, k.analyzed_at
+          k.critical_analysis, k.confidence_score, k.analyzed_at,
+          k.provider, k.schema_version, k.lexicon_version, k.sentiment AS analysis_sentiment, k.detected_terms,
+          k.analysis_version, k.processing_time_ms
         FROM fns_articles a
         LEFT JOIN fns_keisha_analysis k ON a.id = k.article_id
         WHERE a.id = ?
@@ -351,11 +976,14 @@ class FNSNewsService {
         return null;
       }
       
-      const article = articles[0];
+      const article = { ...articles[0], ...this.ranker.currentScore(articles[0]) };
+      
+      // The analysis in its canonical shape, whichever upstream produced it
+      article.analysis = this.analysisSchema.fromRow(article);
       
       // Get images
       const [images] = await this.pool.execute(`
-        SELECT image_url, alt_text, is_featured, width, height
+        SELECT image_url, alt_text, is_featured, width, height, source
         FROM fns_article_images
         WHERE article_id = ?
         ORDER BY is_featured DESC, id ASC
@@ -365,14 +993,28 @@ class FNSNewsService {
       
       // Get categories
       const [categories] = await this.pool.execute(`
-        SELECT c.name, c.description, c.color_code
+        SELECT c.id, c.name, c.description, c.color_code, ac.relevance_score
         FROM fns_categories c
         JOIN fns_article_categories ac ON c.id = ac.category_id
         WHERE ac.article_id = ?
+        ORDER BY ac.relevance_score DESC, c.severity_weight DESC
       `, [articleId]);
       
       article.categories = categories;
       
+      // Other sources for the same story
+      article.related_articles = [];
+      if (article.cluster_id) {
+        const [related] = await this.pool.execute(`
+          SELECT id, title, url, date, severity_score
+          FROM fns_articles
+          WHERE cluster_id = ? AND id != ?
+          ORDER BY date ASC
+        `, [article.cluster_id, articleId]);
+        
+        article.related_articles = related;
+      }
+      
       return article;
       
     } catch (error) {
@@ -382,17 +1024,31 @@ class FNSNewsService {
   }
 
   /**
-   * Get articles pending analysis
+   * Get articles pending analysis, optionally limited to a date range (YYYY-MM-DD)
    */
-  async getArticlesPendingAnalysis(limit = 10) {
+  async getArticlesPendingAnalysis(limit = 10, options = {}) {
+    const { fromDate = null, toDate = null } = options;
+
     try {
+      const conditions = ["analysis_status = 'pending'"];
+      const params = [];
+
+      if (fromDate) {
+        conditions.push('date >= ?');
+        params.push(fromDate);
+      }
+      if (toDate) {
+        conditions.push('date <= ?');
+        params.push(toDate);
+      }
+
       const [articles] = await this.pool.execute(`
-        SELECT id, title, url, content, keyword, severity_score
+        SELECT id, title, url, content, summary, keyword, severity_score, date
         FROM fns_articles
-        WHERE analysis_status = 'pending'
+        WHERE ${conditions.join(' AND ')}
         ORDER BY imported_at ASC
         LIMIT ?
-      `, [limit]);
+      `, [...params, limit]);
       
       return articles;
       
@@ -409,9 +1065,11 @@ class FNSNewsService {
     try {
       await this.pool.execute(`
         UPDATE fns_articles 
-        SET analysis_status = ?, updated_at = CURRENT_TIMESTAMP
+        SET analysis_status = ?,
+          pipeline_state = CASE WHEN ? = 'completed' THEN 'analyzed' ELSE pipeline_state END,
+          updated_at = CURRENT_TIMESTAMP
         WHERE id = ?
-      `, [status, articleId]);
+      `, [status, status, articleId]);
       
     } catch (error) {
       console.error('Error updating analysis status:', error);
@@ -431,9 +1089,9 @@ class FNSNewsService {
           COUNT(CASE WHEN analysis_status = 'pending' THEN 1 END) as pending_articles,
           AVG(severity_score) as avg_severity,
           MAX(date) as latest_article_date,
-          COUNT(CASE WHEN date >= CURDATE() - INTERVAL 7 DAY THEN 1 END) as articles_this_week
+          COUNT(CASE WHEN date >= ${this.pool.daysAgo()} THEN 1 END) as articles_this_week
         FROM fns_articles
-      `);
+      `, [7]);
       
       return stats[0];
       
@@ -444,4 +1102,6 @@ class FNSNewsService {
   }
 }
 
+FNSNewsService.FEED_SORT_ORDERS = FEED_SORT_ORDERS;
+
 module.exports = FNSNewsService;
@@ -1,6 +1,10 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
 const CriticalNewsletterParser = require('./criticalNewsletterParser');
+const FeedIngestionService = require('./feedIngestionService');
+const ArticleExtractor = require('./articleExtractor');
+const FetchScheduler = require('./fetchScheduler');
+const ContentClassifier = require('./contentClassifier');
+const ArticleCache = require('./articleCache');
+const StoryClusterer = require('./storyClusterer');
 
 /**
  * Hybrid News Service for FNS
@@ -9,7 +13,15 @@ const CriticalNewsletterParser = require('./criticalNewsletterParser');
 class HybridNewsService {
   constructor() {
     this.criticalParser = new CriticalNewsletterParser();
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+    this.feedService = new FeedIngestionService(this.criticalParser);
+    this.extractor = new ArticleExtractor();
+    this.scheduler = new FetchScheduler(); // robots.txt, per-host politeness and backoff
+    this.classifier = new ContentClassifier();
+    this.cache = new ArticleCache();
+    this.clusterer = new StoryClusterer();
+
+    // Offline mode enhances from the article cache only, without network requests for pages
+    this.offline = process.env.ARTICLE_CACHE_OFFLINE === 'true';
   }
 
   /**
@@ -35,117 +47,265 @@ class HybridNewsService {
 
   /**
    * Fetch full article content from URL
+   * Served from the article cache while fresh; expired entries are revalidated with ETag/Last-Modified
    */
-  async fetchFullArticle(url, title) {
+  async fetchFullArticle(url, title, options = {}) {
+    const { offline = this.offline } = options;
+
+    const cached = await this.cache.get(url);
+    if (cached && (cached.fresh || offline)) {
+      return this.articleFromCache(cached, 'hit');
+    }
+
+    if (offline) {
+      return {
+        success: false,
+        contentStatus: 'not_cached',
+        statusReasons: ['offline mode'],
+        error: 'Not in article cache (offline mode)',
+        cacheStatus: 'miss',
+        content: '',
+        images: [],
+        metadata: {},
+        extraction: null,
+        wordCount: 0
+      };
+    }
+
     try {
       console.log(`📄 Fetching full article: ${title.substring(0, 50)}...`);
-      
-      const response = await axios.get(url, {
-        timeout: 30000,
-        headers: {
-          'User-Agent': this.userAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1'
-        }
-      });
 
-      const $ = cheerio.load(response.data);
-      
-      // Remove unwanted elements
-      $('script, style, nav, header, footer, .advertisement, .ads, .social-share').remove();
-      
-      // Try multiple selectors for article content
-      const contentSelectors = [
-        'article',
-        '.article-content',
-        '.post-content',
-        '.entry-content',
-        '.content',
-        'main',
-        '.story-body',
-        '.article-body',
-        '[role="main"]'
-      ];
-      
-      let fullContent = '';
-      let articleElement = null;
-      
-      for (const selector of contentSelectors) {
-        articleElement = $(selector).first();
-        if (articleElement.length > 0) {
-          fullContent = articleElement.text().trim();
-          if (fullContent.length > 200) { // Minimum content threshold
-            break;
-          }
-        }
+      const headers = {
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5'
+      };
+      if (cached?.entry.etag) {
+        headers['If-None-Match'] = cached.entry.etag;
       }
-      
-      // Fallback: get all paragraph text
-      if (fullContent.length < 200) {
-        fullContent = $('p').map((i, el) => $(el).text().trim()).get().join('\n');
+      if (cached?.entry.last_modified) {
+        headers['If-Modified-Since'] = cached.entry.last_modified;
       }
       
-      // Extract images
-      const images = [];
-      $('img').each((i, img) => {
-        const src = $(img).attr('src');
-        const alt = $(img).attr('alt') || '';
-        
-        if (src && !src.includes('data:') && !src.includes('logo') && !src.includes('icon')) {
-          // Convert relative URLs to absolute
-          let fullSrc = src;
-          if (src.startsWith('//')) {
-            fullSrc = 'https:' + src;
-          } else if (src.startsWith('/')) {
-            const urlObj = new URL(url);
-            fullSrc = `${urlObj.protocol}//${urlObj.host}${src}`;
-          }
-          
-          images.push({
-            url: fullSrc,
-            alt: alt,
-            caption: alt
-          });
-        }
+      const response = await this.scheduler.fetch(url, {
+        timeout: 30000,
+        headers,
+        validateStatus: status => (status >= 200 && status < 300) || (!!cached && status === 304)
       });
-      
-      // Extract metadata
-      const metadata = {
-        title: $('title').text() || title,
-        description: $('meta[name="description"]').attr('content') || '',
-        author: $('meta[name="author"]').attr('content') || 
-                $('.author').first().text() || 
-                $('[rel="author"]').first().text() || '',
-        publishDate: $('meta[property="article:published_time"]').attr('content') ||
-                    $('time').first().attr('datetime') || '',
-        siteName: $('meta[property="og:site_name"]').attr('content') || ''
+
+      const validators = {
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null
       };
+
+      // Unchanged since the cached copy: skip extraction entirely
+      if (response.status === 304 ||
+          (cached && cached.entry.content_hash === this.cache.hashContent(response.data))) {
+        await this.cache.touch(url, validators);
+        return this.articleFromCache(cached, 'revalidated');
+      }
+
+      const extracted = this.extractor.extract(response.data, url, title);
+      const fullContent = extracted.content;
+
+      // A paywall, consent wall or challenge page is a successful fetch but not article text
+      const classification = this.classifier.classify({
+        html: response.data,
+        text: fullContent,
+        finalUrl: response.request?.res?.responseUrl || url,
+        metadata: extracted.metadata
+      });
       
-      return {
+      const article = {
         success: true,
+        contentStatus: classification.status,
+        statusReasons: classification.reasons,
         content: fullContent,
-        images: images.slice(0, 5), // Limit to 5 images
-        metadata,
+        images: extracted.images,
+        metadata: extracted.metadata,
+        extraction: extracted.extraction,
         wordCount: fullContent.split(/\s+/).length,
         fetchedAt: new Date().toISOString()
       };
+
+      try {
+        await this.cache.put(url, { ...article, ...validators, html: response.data });
+      } catch (cacheError) {
+        console.warn(`Could not cache article ${url}:`, cacheError.message);
+      }
+
+      return { ...article, cacheStatus: cached ? 'refreshed' : 'miss' };
       
     } catch (error) {
       console.warn(`Failed to fetch article from ${url}:`, error.message);
+
+      const blocked = ['ROBOTS_DISALLOWED', 'CRAWL_DELAY_TOO_LONG'].includes(error.code);
+
+      // A stale copy beats no copy when the site is down
+      if (cached && !blocked) {
+        return this.articleFromCache(cached, 'stale');
+      }
+
+      // Challenge pages usually arrive as 403/503 responses
+      const errorPage = typeof error.response?.data === 'string' ? error.response.data : '';
+      const classification = errorPage ? this.classifier.classify({ html: errorPage }) : null;
+      const contentStatus = blocked ? 'robots_blocked'
+        : (classification?.status === 'bot_challenge' ? 'bot_challenge' : 'fetch_failed');
+
       return {
         success: false,
+        contentStatus,
+        statusReasons: contentStatus === 'bot_challenge' ? classification.reasons : [error.message],
         error: error.message,
+        blocked,
+        cacheStatus: 'miss',
         content: '',
         images: [],
         metadata: {},
+        extraction: null,
         wordCount: 0
       };
     }
   }
 
+  /**
+   * Build a fetchFullArticle result from a cached page
+   */
+  articleFromCache(cached, cacheStatus) {
+    const { entry, blob } = cached;
+
+    return {
+      success: true,
+      contentStatus: blob.content_status,
+      statusReasons: blob.status_reasons,
+      content: blob.content,
+      images: blob.images,
+      metadata: blob.metadata,
+      extraction: blob.extraction,
+      wordCount: blob.word_count,
+      fetchedAt: entry.fetched_at,
+      cacheStatus
+    };
+  }
+
+  /**
+   * Flatten structured page metadata into enhanced article fields
+   */
+  metadataFields(metadata = {}, images = []) {
+    const leadImage = metadata.leadImage || null;
+
+    return {
+      canonical_url: metadata.canonicalUrl || null,
+      authors: metadata.authors || [],
+      published_at: metadata.publishDate || null,
+      modified_at: metadata.modifiedDate || null,
+      section: metadata.section || null,
+      keywords: metadata.keywords || [],
+      publisher_name: metadata.publisher?.name || metadata.siteName || null,
+      publisher_logo: metadata.publisher?.logo?.url || null,
+      lead_image: leadImage,
+      featured_image: leadImage ? leadImage.url : (images[0]?.url || null)
+    };
+  }
+
+  /**
+   * Enhance a single seed with its full article
+   */
+  async enhanceSeed(seed, options = {}) {
+    const { includeImages = true, offline = this.offline } = options;
+
+    try {
+      // Extract real URL
+      const realUrl = this.extractRealUrl(seed.url);
+      
+      // Fetch full article
+      const fullArticle = await this.fetchFullArticle(realUrl, seed.title, { offline });
+      
+      // Create enhanced article
+      const enhancedArticle = {
+        ...seed,
+        url: realUrl, // Use the real URL
+        original_newsletter_url: seed.url, // Keep original for reference
+        full_content: fullArticle.content,
+        newsletter_summary: seed.summary, // Keep original summary
+        newsletter_analysis: seed.keisha_analysis, // Keep original analysis (but rename it)
+        images: includeImages ? fullArticle.images : [],
+        metadata: fullArticle.metadata,
+        ...this.metadataFields(fullArticle.metadata, includeImages ? fullArticle.images : []),
+        extraction_rule: fullArticle.extraction ? fullArticle.extraction.rule : null,
+        extraction: fullArticle.extraction,
+        word_count: fullArticle.wordCount,
+        content_status: fullArticle.contentStatus,
+        content_status_reasons: fullArticle.statusReasons,
+        content_fetched: fullArticle.contentStatus === 'full_text',
+        fetch_error: fullArticle.error || null,
+        fetch_blocked: !!fullArticle.blocked,
+        cache_status: fullArticle.cacheStatus,
+        enhanced_at: new Date().toISOString(),
+        ready_for_keisha: fullArticle.contentStatus === 'full_text', // Only real article text goes to Keisha
+        seed_source_type: seed.source_type,
+        source_type: 'hybrid_enhanced'
+      };
+      
+      // Update content field with full article if available
+      if (enhancedArticle.content_fetched) {
+        enhancedArticle.content = fullArticle.content;
+      }
+      
+      console.log(`✅ Enhanced: ${seed.title.substring(0, 50)}... (${fullArticle.contentStatus.toUpperCase()})`);
+      
+      return enhancedArticle;
+      
+    } catch (error) {
+      console.warn(`Failed to enhance article: ${seed.title}`, error.message);
+      
+      // Return the seed anyway, but mark it as not enhanced
+      return {
+        ...seed,
+        full_content: '',
+        content_status: 'fetch_failed',
+        content_fetched: false,
+        fetch_error: error.message,
+        enhanced_at: new Date().toISOString(),
+        ready_for_keisha: false,
+        seed_source_type: seed.source_type,
+        source_type: 'hybrid_seed_only'
+      };
+    }
+  }
+
+  /**
+   * Get critical newsletter seeds plus RSS/Atom feed seeds, merged across sources
+   * Near-duplicate stories are collapsed so each is fetched once
+   */
+  async getSeeds(options = {}) {
+    const { daysBack = 3, includeFeeds = true } = options;
+
+    console.log('📰 Getting critical newsletter seeds...');
+    const newsletterSeeds = await this.criticalParser.importCriticalNewsletters(daysBack);
+
+    let feedSeeds = [];
+    if (includeFeeds) {
+      try {
+        feedSeeds = await this.feedService.fetchFeedArticles({ daysBack });
+      } catch (feedError) {
+        console.warn('Feed ingestion failed, continuing with newsletter seeds:', feedError.message);
+      }
+    }
+
+    const mergedSeeds = this.criticalParser.sourceRegistry.mergeArticles([...newsletterSeeds, ...feedSeeds]);
+    
+    if (mergedSeeds.length === 0) {
+      throw new Error('No critical newsletter seeds found');
+    }
+
+    const seeds = this.clusterer.collapse(mergedSeeds);
+    if (seeds.length < mergedSeeds.length) {
+      console.log(`🧩 Collapsed ${mergedSeeds.length} seeds into ${seeds.length} stories`);
+    }
+
+    return seeds;
+  }
+
   /**
    * Enhance critical newsletter articles with full content
    */
@@ -154,19 +314,16 @@ class HybridNewsService {
       limit = 20, 
       minSeverity = 70, 
       daysBack = 3,
-      includeImages = true 
+      includeImages = true,
+      includeFeeds = true,
+      offline = this.offline
     } = options;
     
     try {
       console.log('🎯 Starting hybrid news enhancement process...');
       
-      // Step 1: Get critical newsletter seeds
-      console.log('📰 Getting critical newsletter seeds...');
-      const criticalSeeds = await this.criticalParser.importCriticalNewsletters(daysBack);
-      
-      if (criticalSeeds.length === 0) {
-        throw new Error('No critical newsletter seeds found');
-      }
+      // Step 1: Get critical newsletter seeds, plus RSS/Atom feed seeds
+      const criticalSeeds = await this.getSeeds({ daysBack, includeFeeds });
       
       // Filter by severity and limit
       const filteredSeeds = criticalSeeds
@@ -177,60 +334,18 @@ class HybridNewsService {
       console.log(`🔍 Processing ${filteredSeeds.length} high-severity seeds...`);
       
       // Step 2: Enhance each seed with full content
-      const enhancedArticles = [];
-      
-      for (const seed of filteredSeeds) {
-        try {
-          // Extract real URL
-          const realUrl = this.extractRealUrl(seed.url);
-          
-          // Fetch full article
-          const fullArticle = await this.fetchFullArticle(realUrl, seed.title);
-          
-          // Create enhanced article
-          const enhancedArticle = {
-            ...seed,
-            url: realUrl, // Use the real URL
-            original_newsletter_url: seed.url, // Keep original for reference
-            full_content: fullArticle.content,
-            newsletter_summary: seed.summary, // Keep original summary
-            newsletter_analysis: seed.keisha_analysis, // Keep original analysis (but rename it)
-            images: includeImages ? fullArticle.images : [],
-            metadata: fullArticle.metadata,
-            word_count: fullArticle.wordCount,
-            content_fetched: fullArticle.success,
-            fetch_error: fullArticle.error || null,
-            enhanced_at: new Date().toISOString(),
-            ready_for_keisha: fullArticle.success, // Flag for Keisha analysis
-            source_type: 'hybrid_enhanced'
-          };
-          
-          // Update content field with full article if available
-          if (fullArticle.success && fullArticle.content.length > 200) {
-            enhancedArticle.content = fullArticle.content;
-          }
-          
-          enhancedArticles.push(enhancedArticle);
-          
-          console.log(`✅ Enhanced: ${seed.title.substring(0, 50)}... (${fullArticle.success ? 'SUCCESS' : 'FAILED'})`);
-          
-          // Rate limiting to be respectful
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-        } catch (error) {
-          console.warn(`Failed to enhance article: ${seed.title}`, error.message);
-          
-          // Add the seed anyway, but mark it as not enhanced
-          enhancedArticles.push({
-            ...seed,
-            full_content: '',
-            content_fetched: false,
-            fetch_error: error.message,
-            enhanced_at: new Date().toISOString(),
-            ready_for_keisha: false,
-            source_type: 'hybrid_seed_only'
-          });
-        }
+      // Seeds run concurrently; the fetch scheduler enforces per-host spacing and concurrency
+      const fetchedArticles = await Promise.all(
+        filteredSeeds.map(seed => this.enhanceSeed(seed, { includeImages, offline }))
+      );
+
+      // Full text catches duplicates whose headlines differ
+      const enhancedArticles = this.clusterer.collapse(fetchedArticles);
+
+      try {
+        await this.cache.save();
+      } catch (cacheError) {
+        console.warn('Could not save article cache:', cacheError.message);
       }
       
       console.log(`🎉 Enhancement complete! ${enhancedArticles.length} articles processed`);
@@ -300,7 +415,39 @@ class HybridNewsService {
         (stats.successfully_enhanced / stats.total_processed) * 100
       );
     }
-    
+
+    // Extraction quality per content status, per site and per rule
+    stats.by_status = {};
+    stats.by_cache = {};
+    stats.by_rule = {};
+    stats.by_domain = {};
+    articles.forEach(article => {
+      const status = article.content_status || 'unknown';
+      const rule = article.extraction_rule || 'none';
+      const domain = article.extraction?.domain || this.extractor.getDomain(article.url) || 'unknown';
+
+      stats.by_status[status] = (stats.by_status[status] || 0) + 1;
+      stats.by_cache[article.cache_status || 'none'] = (stats.by_cache[article.cache_status || 'none'] || 0) + 1;
+      stats.by_rule[rule] = (stats.by_rule[rule] || 0) + 1;
+
+      const site = stats.by_domain[domain] || (stats.by_domain[domain] = {
+        total: 0,
+        fetched: 0,
+        average_word_count: 0,
+        statuses: {},
+        rules: {}
+      });
+      site.total++;
+      site.statuses[status] = (site.statuses[status] || 0) + 1;
+      site.rules[rule] = (site.rules[rule] || 0) + 1;
+      if (article.content_fetched) {
+        site.average_word_count = Math.round(
+          (site.average_word_count * site.fetched + (article.word_count || 0)) / (site.fetched + 1)
+        );
+        site.fetched++;
+      }
+    });
+
     return stats;
   }
 }
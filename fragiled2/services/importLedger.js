@@ -0,0 +1,255 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Entries loaded per ledger file, shared so several services in one process never overwrite each other
+const loadedEntries = new Map();
+
+/**
+ * Import Ledger for FNS
+ * Persists what was imported from each newsletter file (ETag, Last-Modified, content hash, story count)
+ * so repeat imports can use conditional requests and skip files that have not changed.
+ */
+class ImportLedger {
+  constructor(options = {}) {
+    this.ledgerPath = options.ledgerPath ||
+      process.env.IMPORT_LEDGER_PATH ||
+      path.join(__dirname, '../data/state/import_ledger.json');
+
+    // Files checked this recently are served from the ledger without a request
+    this.recheckAfterMs = options.recheckAfterMs ??
+      parseInt(process.env.IMPORT_RECHECK_MINUTES || '15', 10) * 60 * 1000;
+
+    // Stored stories are kept for this many days; older entries keep only their metadata
+    this.payloadRetentionDays = options.payloadRetentionDays ?? 30;
+
+    this.entries = null;
+
+    // Imported files whose stories are not stored yet: url -> { details, ids }
+    this.heldFiles = new Map();
+  }
+
+  /**
+   * Load ledger entries from disk
+   */
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    if (!loadedEntries.has(this.ledgerPath)) {
+      let entries = {};
+      try {
+        const content = await fs.readFile(this.ledgerPath, 'utf8');
+        entries = JSON.parse(content).files || {};
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`Could not read import ledger ${this.ledgerPath}:`, error.message);
+        }
+      }
+
+      // Another instance may have finished loading while we were reading
+      if (!loadedEntries.has(this.ledgerPath)) {
+        loadedEntries.set(this.ledgerPath, entries);
+      }
+    }
+
+    this.entries = loadedEntries.get(this.ledgerPath);
+    return this.entries;
+  }
+
+  /**
+   * Write ledger entries to disk
+   */
+  async save() {
+    if (!this.entries) {
+      return;
+    }
+
+    this.pruneEntries();
+
+    const tmpPath = `${this.ledgerPath}.tmp`;
+    await fs.mkdir(path.dirname(this.ledgerPath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify({
+      version: 1,
+      updated_at: new Date().toISOString(),
+      files: this.entries
+    }, null, 2));
+    await fs.rename(tmpPath, this.ledgerPath);
+  }
+
+  /**
+   * Drop stored stories from entries older than the retention window
+   */
+  pruneEntries() {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - this.payloadRetentionDays);
+    const cutoffString = cutoff.toISOString().slice(0, 10).replace(/-/g, '');
+
+    Object.values(this.entries).forEach(entry => {
+      if (entry.date && entry.date < cutoffString && entry.articles) {
+        delete entry.articles;
+      }
+    });
+  }
+
+  /**
+   * Get the ledger entry for a source file URL
+   */
+  async getEntry(url) {
+    const entries = await this.load();
+    return entries[url] || null;
+  }
+
+  /**
+   * Hash file content for change detection
+   */
+  hashContent(content) {
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  /**
+   * Fetch a source file, revalidating against the ledger
+   * Resolves to { status: 'new' | 'changed' | 'unchanged' | 'missing', requested, content, entry, ... }
+   */
+  async fetchFile(url, options = {}) {
+    const { headers = {}, timeout = 30000 } = options;
+
+    const entry = await this.getEntry(url);
+
+    // Only revalidate when the ledger can hand back the stories for an unchanged file
+    const canRevalidate = !!(entry && entry.articles);
+
+    if (canRevalidate && entry.checked_at &&
+        Date.now() - new Date(entry.checked_at).getTime() < this.recheckAfterMs) {
+      return { status: 'unchanged', requested: false, entry };
+    }
+
+    const requestHeaders = { ...headers };
+    if (canRevalidate && entry.etag) {
+      requestHeaders['If-None-Match'] = entry.etag;
+    }
+    if (canRevalidate && entry.last_modified) {
+      requestHeaders['If-Modified-Since'] = entry.last_modified;
+    }
+
+    const response = await axios.get(url, {
+      timeout,
+      responseType: 'text',
+      headers: requestHeaders,
+      validateStatus: status => status === 200 || status === 304 || status === 404
+    });
+
+    if (response.status === 404) {
+      return { status: 'missing', requested: true, entry };
+    }
+
+    if (response.status === 304) {
+      entry.checked_at = new Date().toISOString();
+      return { status: 'unchanged', requested: true, entry };
+    }
+
+    const content = response.data;
+    const contentHash = this.hashContent(content);
+    const etag = response.headers.etag || null;
+    const lastModified = response.headers['last-modified'] || null;
+
+    // Server ignored the conditional headers but the bytes are the same
+    if (canRevalidate && entry.content_hash === contentHash) {
+      Object.assign(entry, {
+        etag: etag || entry.etag,
+        last_modified: lastModified || entry.last_modified,
+        checked_at: new Date().toISOString()
+      });
+      return { status: 'unchanged', requested: true, entry };
+    }
+
+    // Same bytes as a pruned entry: still unchanged, but the caller has to parse the content again
+    const unchanged = !!(entry && entry.content_hash === contentHash);
+
+    return {
+      status: unchanged ? 'unchanged' : (entry ? 'changed' : 'new'),
+      requested: true,
+      content,
+      contentHash,
+      etag,
+      lastModified,
+      entry
+    };
+  }
+
+  /**
+   * Record a freshly imported file
+   */
+  async recordFile(url, details) {
+    const entries = await this.load();
+    const now = new Date().toISOString();
+
+    entries[url] = {
+      file: details.file,
+      date: details.date,
+      etag: details.etag || null,
+      last_modified: details.lastModified || null,
+      content_hash: details.contentHash,
+      story_count: details.storyCount,
+      dropped_count: details.droppedCount || 0,
+      articles: details.articles || [],
+      first_imported_at: entries[url]?.first_imported_at || now,
+      imported_at: now,
+      checked_at: now
+    };
+
+    return entries[url];
+  }
+
+  /**
+   * Keep a freshly imported file out of the ledger until its stories (ids) are stored
+   */
+  holdFile(url, details, ids) {
+    this.heldFiles.set(url, { details, ids });
+  }
+
+  /**
+   * Record held files once every one of their stories is stored or merged into a stored article
+   * storedIds lists the stored articles' ids and the ids merged into them. A file with a story
+   * missing from it is dropped unrecorded, so the next import fetches it again.
+   * Resolves to { committed, held } file counts
+   */
+  async commitHeld(storedIds = []) {
+    const stored = new Set(storedIds);
+    const counts = { committed: 0, held: 0 };
+
+    for (const [url, { details, ids }] of this.heldFiles) {
+      if (ids.every(id => stored.has(id))) {
+        await this.recordFile(url, details);
+        counts.committed++;
+      } else {
+        counts.held++;
+        console.warn(`⚠️ ${details.file}: not every story was stored, it will be imported again`);
+      }
+    }
+    this.heldFiles.clear();
+
+    return counts;
+  }
+
+  /**
+   * Summarize per-file import results for API responses
+   */
+  summarize(files) {
+    const count = status => files.filter(file => file.status === status).length;
+
+    return {
+      new: count('new'),
+      changed: count('changed'),
+      skipped: count('unchanged'),
+      missing: count('missing'),
+      failed: count('failed'),
+      files
+    };
+  }
+}
+
+module.exports = ImportLedger;
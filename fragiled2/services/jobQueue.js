@@ -0,0 +1,310 @@
+const os = require('os');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+/**
+ * Job Queue for FNS
+ * Durable queue in fns_jobs. A claimed job is leased to one worker until locked_until; a worker that
+ * stops without finishing lets the lease expire and the sweeper queues the job again. Failed jobs are
+ * retried with exponential backoff and dead-lettered after max_attempts.
+ * Times are written from JS as UTC DATETIME text, so every process compares them the same way.
+ */
+class JobQueue {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+
+    this.leaseSeconds = options.leaseSeconds ?? parseInt(process.env.JOB_LEASE_SECONDS || '300', 10);
+    this.maxAttempts = options.maxAttempts ?? parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10);
+    this.backoffSeconds = options.backoffSeconds ?? parseInt(process.env.JOB_BACKOFF_SECONDS || '30', 10);
+    this.maxBackoffSeconds = options.maxBackoffSeconds ?? 6 * 60 * 60; // 6 hours
+    this.retentionDays = options.retentionDays ?? parseInt(process.env.JOB_RETENTION_DAYS || '7', 10);
+  }
+
+  /**
+   * Queue a job; key (e.g. an article id) keeps one live job per type and key
+   * Returns the new job id, or null when a queued or running job already has the key
+   * (enforced by uq_jobs_active, so concurrent enqueues cannot both win)
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const { key = null, runAt = new Date(), maxAttempts = this.maxAttempts } = options;
+
+    try {
+      const [result] = await this.pool.execute(`
+        INSERT INTO fns_jobs (type, job_key, active_key, payload, status, attempts, max_attempts, run_at)
+        VALUES (?, ?, ?, ?, 'queued', 0, ?, ?)
+      `, [type, key, key, JSON.stringify(payload), maxAttempts, this.toDateTime(runAt)]);
+
+      return result.insertId;
+    } catch (error) {
+      if (this.pool.isDuplicateKey(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lease up to limit due jobs of the given types to this worker, oldest first
+   * Each claim is a conditional update, so two workers never get the same job.
+   */
+  async claim(options = {}) {
+    const { types = null, limit = 1 } = options;
+    const now = new Date();
+
+    const typeCondition = types ? `AND type IN (${types.map(() => '?').join(',')})` : '';
+    const [candidates] = await this.pool.execute(`
+      SELECT id FROM fns_jobs
+      WHERE status = 'queued' AND run_at <= ? ${typeCondition}
+      ORDER BY run_at ASC, id ASC
+      LIMIT ${parseInt(limit, 10) || 1}
+    `, [this.toDateTime(now), ...(types || [])]);
+
+    const claimed = [];
+    for (const { id } of candidates) {
+      const [result] = await this.pool.execute(`
+        UPDATE fns_jobs
+        SET status = 'running', attempts = attempts + 1, locked_by = ?, locked_until = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'queued'
+      `, [this.workerId, this.leaseUntil(now), id]);
+
+      if (result.affectedRows > 0) {
+        claimed.push(await this.getJob(id));
+      }
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Extend a running job's lease, for work that takes longer than leaseSeconds
+   */
+  async extendLease(job) {
+    const [result] = await this.pool.execute(`
+      UPDATE fns_jobs SET locked_until = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'running' AND locked_by = ?
+    `, [this.leaseUntil(new Date()), job.id, this.workerId]);
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Mark a job done
+   * Returns false when this worker no longer holds the job's lease: it expired and the job was
+   * queued again (or claimed by another worker), so the job is left as it is
+   */
+  async complete(job) {
+    const [result] = await this.pool.execute(`
+      UPDATE fns_jobs
+      SET status = 'completed', active_key = NULL, locked_by = NULL, locked_until = NULL, last_error = NULL,
+        completed_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'running' AND locked_by = ?
+    `, [this.toDateTime(new Date()), job.id, this.workerId]);
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Record a failed attempt: retry after a backoff, or dead-letter once attempts run out
+   * Returns { status, run_at }; status is 'lost' when this worker no longer holds the lease
+   */
+  async fail(job, error) {
+    const message = String(error && error.message ? error.message : error).substring(0, 2000);
+    const dead = job.attempts >= job.max_attempts;
+    const runAt = dead ? null : new Date(Date.now() + this.backoff(job.attempts) * 1000);
+
+    const [result] = await this.pool.execute(`
+      UPDATE fns_jobs
+      SET status = ?, active_key = ${dead ? 'NULL' : 'active_key'}, locked_by = NULL, locked_until = NULL,
+        last_error = ?, run_at = COALESCE(?, run_at), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'running' AND locked_by = ?
+    `, [dead ? 'dead' : 'queued', message, runAt && this.toDateTime(runAt), job.id, this.workerId]);
+
+    if (result.affectedRows === 0) {
+      return { status: 'lost', run_at: null };
+    }
+    return { status: dead ? 'dead' : 'queued', run_at: runAt && runAt.toISOString() };
+  }
+
+  /**
+   * Seconds to wait before the next attempt: backoffSeconds doubled for every earlier attempt
+   */
+  backoff(attempts) {
+    return Math.min(this.maxBackoffSeconds, this.backoffSeconds * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  /**
+   * Queue running jobs whose lease expired (dead-lettering those out of attempts)
+   * and delete completed jobs and worker heartbeats older than retentionDays
+   */
+  async sweep() {
+    const now = this.toDateTime(new Date());
+
+    const [dead] = await this.pool.execute(`
+      UPDATE fns_jobs
+      SET status = 'dead', active_key = NULL, locked_by = NULL, locked_until = NULL,
+        last_error = COALESCE(last_error, 'lease expired'), updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'running' AND locked_until < ? AND attempts >= max_attempts
+    `, [now]);
+
+    const [requeued] = await this.pool.execute(`
+      UPDATE fns_jobs
+      SET status = 'queued', locked_by = NULL, locked_until = NULL, run_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'running' AND locked_until < ?
+    `, [now, now]);
+
+    const retainedSince = this.toDateTime(new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000));
+    const [pruned] = await this.pool.execute(
+      'DELETE FROM fns_jobs WHERE status = \'completed\' AND completed_at < ?',
+      [retainedSince]
+    );
+    await this.pool.execute('DELETE FROM fns_workers WHERE last_heartbeat < ?', [retainedSince]);
+
+    return { requeued: requeued.affectedRows, dead: dead.affectedRows, pruned: pruned.affectedRows };
+  }
+
+  /**
+   * Queue a dead job again with a fresh set of attempts
+   * Returns false if it is not dead, or if another queued or running job now has its key
+   */
+  async retry(id) {
+    try {
+      const [result] = await this.pool.execute(`
+        UPDATE fns_jobs
+        SET status = 'queued', active_key = job_key, attempts = 0, run_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'dead'
+      `, [this.toDateTime(new Date()), id]);
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      if (this.pool.isDuplicateKey(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get one job, or null
+   */
+  async getJob(id) {
+    const [rows] = await this.pool.execute('SELECT * FROM fns_jobs WHERE id = ?', [id]);
+    return rows.length > 0 ? this.toJob(rows[0]) : null;
+  }
+
+  /**
+   * List jobs in a status (dead letters by default), most recently updated first
+   */
+  async listJobs(options = {}) {
+    const { status = 'dead', type = null, limit = 50 } = options;
+
+    const [rows] = await this.pool.execute(`
+      SELECT * FROM fns_jobs
+      WHERE status = ? ${type ? 'AND type = ?' : ''}
+      ORDER BY updated_at DESC, id DESC
+      LIMIT ${parseInt(limit, 10) || 50}
+    `, type ? [status, type] : [status]);
+
+    return rows.map(row => this.toJob(row));
+  }
+
+  /**
+   * Job counts per status (optionally for one type), with how many queued jobs are due now
+   */
+  async getStats(type = null) {
+    const [rows] = await this.pool.execute(`
+      SELECT
+        status,
+        COUNT(*) AS count,
+        SUM(CASE WHEN status = 'queued' AND run_at <= ? THEN 1 ELSE 0 END) AS due
+      FROM fns_jobs
+      ${type ? 'WHERE type = ?' : ''}
+      GROUP BY status
+    `, type ? [this.toDateTime(new Date()), type] : [this.toDateTime(new Date())]);
+
+    const stats = { due: 0 };
+    JOB_STATUSES.forEach(status => { stats[status] = 0; });
+    rows.forEach(row => {
+      stats[row.status] = Number(row.count);
+      stats.due += Number(row.due) || 0;
+    });
+
+    return stats;
+  }
+
+  /**
+   * Record this worker's heartbeat: status ('running', 'draining' or 'stopped'), when it started
+   * and how many jobs it has processed and failed; current_jobs counts the jobs it holds leases on
+   */
+  async heartbeat(worker) {
+    const [leased] = await this.pool.execute(
+      'SELECT COUNT(*) AS count FROM fns_jobs WHERE status = \'running\' AND locked_by = ?',
+      [this.workerId]
+    );
+    const [hostname, pid] = this.workerId.split(':');
+
+    await this.pool.execute(`
+      INSERT INTO fns_workers (
+        id, hostname, pid, status, started_at, last_heartbeat, jobs_processed, jobs_failed, current_jobs
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ${this.pool.upsert(['status', 'last_heartbeat', 'jobs_processed', 'jobs_failed', 'current_jobs'])}
+    `, [
+      this.workerId,
+      hostname,
+      parseInt(pid, 10) || null,
+      worker.status,
+      this.toDateTime(worker.startedAt),
+      this.toDateTime(new Date()),
+      worker.processed,
+      worker.failed,
+      Number(leased[0].count)
+    ]);
+  }
+
+  /**
+   * Workers by most recent heartbeat; alive when one arrived in the last staleSeconds
+   */
+  async getWorkers(options = {}) {
+    const { staleSeconds = 90, limit = 50 } = options;
+    const aliveSince = this.toDateTime(new Date(Date.now() - staleSeconds * 1000));
+
+    const [rows] = await this.pool.execute(`
+      SELECT *, CASE WHEN status != 'stopped' AND last_heartbeat >= ? THEN 1 ELSE 0 END AS alive
+      FROM fns_workers
+      ORDER BY last_heartbeat DESC
+      LIMIT ${parseInt(limit, 10) || 50}
+    `, [aliveSince]);
+
+    return rows.map(row => ({ ...row, alive: Number(row.alive) === 1 }));
+  }
+
+  /**
+   * API shape of a job row
+   */
+  toJob(row) {
+    return {
+      ...row,
+      payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : (row.payload || {}),
+      attempts: Number(row.attempts),
+      max_attempts: Number(row.max_attempts)
+    };
+  }
+
+  /**
+   * End of a lease taken now
+   */
+  leaseUntil(now) {
+    return this.toDateTime(new Date(now.getTime() + this.leaseSeconds * 1000));
+  }
+
+  /**
+   * UTC DATETIME text (YYYY-MM-DD HH:MM:SS)
+   */
+  toDateTime(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+  }
+}
+
+JobQueue.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = JobQueue;
@@ -0,0 +1,172 @@
+const cron = require('node-cron');
+const JobQueue = require('./jobQueue');
+
+/**
+ * Job Worker for FNS
+ * Runs queued enhancement and analysis jobs, apart from the API server. Its schedules only
+ * enqueue work; a polling loop runs it. stop() lets the jobs in flight finish before it resolves,
+ * and a heartbeat in fns_workers shows which workers are alive and what they hold.
+ */
+class JobWorker {
+  constructor(options = {}) {
+    this.keishaIntegration = options.keishaIntegration;
+    this.pipeline = options.pipeline;
+    this.jobs = options.jobs || new JobQueue(this.keishaIntegration.pool);
+
+    this.pollSeconds = options.pollSeconds ?? parseInt(process.env.WORKER_POLL_SECONDS || '15', 10);
+    this.heartbeatSeconds = options.heartbeatSeconds ?? parseInt(process.env.WORKER_HEARTBEAT_SECONDS || '30', 10);
+    this.schedules = options.schedules ?? true;
+
+    this.state = { status: 'stopped', startedAt: null, processed: 0, failed: 0 };
+    this.loop = null;
+    this.stopped = null;
+    this.wake = null;
+    this.tasks = [];
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Start the schedules, the heartbeat and the job loop
+   */
+  async start() {
+    this.state = { status: 'running', startedAt: new Date(), processed: 0, failed: 0 };
+    await this.heartbeat();
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatSeconds * 1000);
+
+    if (this.schedules) {
+      this.scheduleTasks();
+    }
+
+    this.loop = this.runLoop();
+    console.log(`👷 Job worker ${this.jobs.workerId} started (polling every ${this.pollSeconds}s)`);
+  }
+
+  /**
+   * Run jobs until stopped, waiting pollSeconds whenever the queue is empty
+   */
+  async runLoop() {
+    while (this.state.status === 'running') {
+      let processed = 0;
+      try {
+        processed = await this.runOnce();
+      } catch (error) {
+        console.error('Job worker pass failed:', error.message);
+      }
+
+      if (processed === 0 && this.state.status === 'running') {
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, this.pollSeconds * 1000);
+          this.wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+        this.wake = null;
+      }
+    }
+  }
+
+  /**
+   * One pass over the queue: enhancement jobs first, since extracted articles become analysis jobs
+   * Returns the number of jobs processed
+   */
+  async runOnce() {
+    const shouldStop = () => this.state.status !== 'running';
+
+    const passes = [
+      await this.pipeline.processEnhanceQueue({ shouldStop }),
+      await this.keishaIntegration.processAnalysisQueue({ shouldStop })
+    ];
+
+    let processed = 0;
+    passes.forEach(counts => {
+      processed += counts.processed;
+      this.state.processed += counts.processed;
+      this.state.failed += counts.retried + counts.dead;
+    });
+    return processed;
+  }
+
+  /**
+   * Scheduled work: each task only queues jobs (or recovers stalled ones)
+   */
+  scheduleTasks() {
+    const schedule = (expression, name, task) => {
+      this.tasks.push(cron.schedule(expression, async () => {
+        try {
+          await task();
+        } catch (error) {
+          console.error(`${name} failed:`, error);
+        }
+      }));
+    };
+
+    // HYBRID pipeline twice daily (6 AM and 6 PM): store seeds, queue them for enhancement and analysis
+    schedule('0 6,18 * * *', 'Automated hybrid pipeline', async () => {
+      console.log('🎯 Starting automated HYBRID pipeline run...');
+      const report = await this.pipeline.run({
+        limit: 20,
+        minSeverity: 75,
+        analyze: true,
+        enqueue: true
+      });
+
+      const imported = report.seeds && report.seeds.imported ? report.seeds.imported : 0;
+      console.log(`✅ Pipeline run: ${imported} new seeds, ${report.enhance.queued} queued for enhancement, ${report.queued ? report.queued.queued : 0} for analysis`);
+    });
+
+    // Requeue jobs and articles left behind by stopped workers every 5 minutes
+    schedule('*/5 * * * *', 'Job sweep', () => this.keishaIntegration.sweep());
+
+    // Queue pending articles for analysis every hour
+    schedule('0 * * * *', 'Pending analysis', () => this.keishaIntegration.analyzePendingArticles(20));
+
+    console.log('Automated tasks configured:');
+    console.log('- Hybrid pipeline: 6 AM and 6 PM daily');
+    console.log('- Job sweep: Every 5 minutes');
+    console.log('- Pending analysis: Every hour');
+  }
+
+  /**
+   * Record the heartbeat; a missed beat is logged, not fatal
+   */
+  async heartbeat() {
+    try {
+      await this.jobs.heartbeat(this.state);
+    } catch (error) {
+      console.error('Worker heartbeat failed:', error.message);
+    }
+  }
+
+  /**
+   * Stop claiming jobs and resolve once the jobs in flight are done
+   * Overlapping calls share the same drain
+   */
+  async stop() {
+    if (this.stopped) {
+      return this.stopped;
+    }
+
+    this.stopped = (async () => {
+      this.state.status = 'draining';
+      this.tasks.forEach(task => task.stop());
+      this.tasks = [];
+      if (this.wake) {
+        this.wake();
+      }
+
+      console.log('⏳ Draining in-flight jobs...');
+      await this.heartbeat();
+      await this.loop;
+
+      clearInterval(this.heartbeatTimer);
+      this.state.status = 'stopped';
+      await this.heartbeat();
+      console.log(`👷 Job worker ${this.jobs.workerId} stopped after ${this.state.processed} jobs`);
+    })();
+
+    return this.stopped;
+  }
+}
+
+module.exports = JobWorker;
@@ -1,5 +1,14 @@
 const axios = require('axios');
-const mysql = require('mysql2/promise');
+const { createStorage } = require('./storage');
+const ArticleRanker = require('./articleRanker');
+const JobQueue = require('./jobQueue');
+const KeishaClient = require('./keishaClient');
+const AnalysisProviders = require('./analysisProviders');
+const LocalBiasAnalyzer = require('./localBiasAnalyzer');
+const BiasLexicon = require('./biasLexicon');
+
+// fns_jobs type for analyzing one article; the job key is the article id
+const ANALYSIS_JOB = 'analyze_article';
 
 /**
  * Keisha Analysis Integration Service
@@ -10,22 +19,31 @@ class KeishaAnalysisIntegration {
     // Connection to existing Keisha backend
     this.keishaApiUrl = process.env.KEISHA_API_URL || 'http://localhost:3001';
     this.keishaApiKey = process.env.KEISHA_API_KEY || '';
+    // Every upstream answers in the canonical result shape (this.schema)
+    this.client = new KeishaClient({ baseUrl: this.keishaApiUrl, apiKey: this.keishaApiKey });
+    this.schema = this.client.schema;
+    // Provider for stored article analysis (keisha-microfrag, keisha-bias or local), and an
+    // optional provider to use when it fails
+    this.analysisProvider = process.env.ANALYSIS_PROVIDER || 'keisha-microfrag';
+    this.fallbackProvider = process.env.ANALYSIS_FALLBACK_PROVIDER || null;
     
-    // Database connection for storing analysis results
-    this.dbConfig = {
-      host: process.env.DB_HOST || 'localhost',
-      user: process.env.DB_USER || 'root',
-      password: process.env.DB_PASSWORD || '',
-      database: process.env.DB_NAME || 'fns_database',
-      waitForConnections: true,
-      connectionLimit: 10,
-      queueLimit: 0
-    };
-    
-    this.pool = mysql.createPool(this.dbConfig);
+    // Database connection for storing analysis results (MySQL or SQLite, see DB_CLIENT)
+    this.pool = createStorage({ connectionLimit: 10 });
+    this.ranker = new ArticleRanker(this.pool);
+
+    // The local provider reads the versioned bias lexicon
+    this.lexicon = new BiasLexicon(this.pool);
+    this.providers = new AnalysisProviders({
+      client: this.client,
+      local: new LocalBiasAnalyzer({ lexicon: this.lexicon, schema: this.schema })
+    });
     
+    // Analysis jobs are kept in fns_jobs, so queued work survives a restart
+    this.jobs = new JobQueue(this.pool);
+    // Articles left 'processing' this long without a live job are queued again
+    this.staleMinutes = parseInt(process.env.ANALYSIS_STALE_MINUTES || '60', 10);
+
     // Rate limiting for API calls
-    this.analysisQueue = [];
     this.isProcessing = false;
     this.maxConcurrentAnalysis = 3;
     this.analysisDelay = 2000; // 2 seconds between analyses
@@ -33,8 +51,11 @@ class KeishaAnalysisIntegration {
 
   /**
    * Analyze a single article using Keisha AI
+   * markFailed: false leaves the status alone on error, for callers that will retry
    */
-  async analyzeArticle(article) {
+  async analyzeArticle(article, options = {}) {
+    const { markFailed = true } = options;
+
     try {
       console.log(`Starting Keisha analysis for article: ${article.title}`);
       
@@ -55,7 +76,9 @@ class KeishaAnalysisIntegration {
       
     } catch (error) {
       console.error(`Error analyzing article ${article.id}:`, error.message);
-      await this.updateArticleStatus(article.id, 'failed');
+      if (markFailed) {
+        await this.updateArticleStatus(article.id, 'failed');
+      }
       throw error;
     }
   }
@@ -106,6 +129,8 @@ class KeishaAnalysisIntegration {
     return {
       title: article.title,
       content: analysisContent,
+      // The article's own words; the local provider analyzes these and its offsets index into them
+      text: `${article.title}\n\n${article.full_content || article.content || article.summary || ''}`,
       url: article.url,
       keyword: article.keyword,
       severity_score: article.severity_score,
@@ -129,45 +154,35 @@ class KeishaAnalysisIntegration {
   }
 
   /**
-   * Call the existing Keisha microfrag analysis API
+   * Analyze content with the configured provider (and fallback); returns a canonical result
    */
   async callKeishaAPI(content) {
-    try {
-      const response = await axios.post(
-        `${this.keishaApiUrl}/api/microfrag/analyze`,
-        {
-          text: content.content,
-          title: content.title,
-          metadata: content.metadata
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.keishaApiKey}`,
-            'User-Agent': 'FNS-KeishaIntegration/1.0'
-          },
-          timeout: 60000 // 60 second timeout for analysis
-        }
-      );
+    return await this.providers.analyze(content, {
+      provider: this.analysisProvider,
+      fallback: this.fallbackProvider
+    });
+  }
 
-      if (response.data && response.data.success) {
-        return this.processKeishaResponse(response.data.data);
-      } else {
-        throw new Error('Invalid response from Keisha API');
-      }
+  /**
+   * Whether stored article analysis needs the Keisha backend
+   */
+  usesKeisha() {
+    return this.analysisProvider !== 'local' || (this.fallbackProvider !== null && this.fallbackProvider !== 'local');
+  }
 
-    } catch (error) {
-      if (error.response) {
-        console.error('Keisha API error:', error.response.status, error.response.data);
-        throw new Error(`Keisha API error: ${error.response.status}`);
-      } else if (error.request) {
-        console.error('No response from Keisha API');
-        throw new Error('No response from Keisha API');
-      } else {
-        console.error('Error calling Keisha API:', error.message);
-        throw error;
-      }
+  /**
+   * Run several providers over a stored article without storing the results
+   * lexiconVersion runs the local provider with an earlier lexicon version.
+   * Returns null when the article does not exist
+   */
+  async compareProviders(articleId, providers, options = {}) {
+    const [rows] = await this.pool.execute('SELECT * FROM fns_articles WHERE id = ?', [articleId]);
+    if (rows.length === 0) {
+      return null;
     }
+
+    const comparison = await this.providers.compare(this.prepareContentForAnalysis(rows[0]), providers, options);
+    return { article_id: rows[0].id, ...comparison };
   }
 
   /**
@@ -222,18 +237,19 @@ class KeishaAnalysisIntegration {
               summary: article.description || article.content.substring(0, 200) + '...',
               keyword: this.extractKeywordFromAnalysis(analysisResult),
               severity_score: severityScore,
-              sentiment: analysisResult.sentiment || 0,
+              sentiment: analysisResult.sentiment,
               date: article.publishedAt || new Date().toISOString().split('T')[0],
               images: article.images || [],
               hasImages: article.images && article.images.length > 0,
               featured_image: article.urlToImage || (article.images && article.images[0]?.url),
 
-              // Keisha analysis data
-              keisha_analysis: analysisResult.analysis || analysisResult.summary || 'Real-time Keisha AI analysis',
-              bias_score: analysisResult.bias_score || analysisResult.biasScore || 0,
-              fragility_indicators: analysisResult.fragility_indicators || [],
-              euphemisms_detected: analysisResult.euphemisms_detected || [],
-              systemic_patterns: analysisResult.systemic_patterns || [],
+              // Keisha analysis data, shaped like stored analyses
+              keisha_analysis: this.schema.displayText(analysisResult) || 'Real-time Keisha AI analysis',
+              bias_score: analysisResult.bias_score,
+              fragility_indicators: analysisResult.fragility_indicators,
+              euphemisms_detected: analysisResult.euphemisms_detected,
+              systemic_patterns: analysisResult.systemic_patterns,
+              analysis: analysisResult,
 
               // Metadata
               source_type: 'live_keisha_analyzed',
@@ -353,120 +369,10 @@ class KeishaAnalysisIntegration {
   }
 
   /**
-   * Call Keisha bias analysis API
+   * Analyze content through the Keisha bias analysis contract, falling back to local analysis
    */
   async callKeishaBiasAPI(content) {
-    try {
-      // Validate content length (Keisha requires minimum 50 characters)
-      if (!content.content || content.content.length < 50) {
-        console.warn('Content too short for Keisha analysis, using fallback');
-        return this.generateFallbackAnalysis(content);
-      }
-
-      const response = await axios.post(
-        `${this.keishaApiUrl}/api/bias-analysis/analyze`,
-        {
-          article_text: content.content,
-          article_title: content.title || 'Untitled Article',
-          article_url: content.metadata?.url || ''
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'FNS-BiasAnalysis/1.0'
-          },
-          timeout: 60000
-        }
-      );
-
-      if (response.data && response.data.success) {
-        return this.processKeishaBiasResponse(response.data.data || response.data);
-      } else {
-        throw new Error('Invalid response from Keisha bias analysis API');
-      }
-
-    } catch (error) {
-      console.error('Error calling Keisha bias API:', error.message);
-
-      // Return fallback analysis
-      return this.generateFallbackAnalysis(content);
-    }
-  }
-
-  /**
-   * Process Keisha bias analysis response
-   */
-  processKeishaBiasResponse(data) {
-    // Handle the actual Keisha API response structure
-    const analysis = data.analysis || data;
-
-    return {
-      bias_score: analysis.score || data.biasScore || data.bias_score || 50,
-      analysis: this.formatAnalysisText(analysis),
-      fragility_indicators: analysis.detected_terms?.map(t => t.term) || data.fragility_indicators || [],
-      euphemisms_detected: analysis.detected_terms?.filter(t => t.rationale?.includes('euphemism')).map(t => t.term) || [],
-      systemic_patterns: analysis.detected_terms?.filter(t => t.rationale?.includes('systemic')).map(t => t.term) || [],
-      sentiment: data.sentiment || 0,
-      confidence: analysis.confidence || data.confidence || 0.8,
-      detected_terms: analysis.detected_terms || []
-    };
-  }
-
-  /**
-   * Format analysis text from Keisha response
-   */
-  formatAnalysisText(analysis) {
-    if (typeof analysis === 'string') {
-      return analysis;
-    }
-
-    if (analysis.detected_terms && analysis.detected_terms.length > 0) {
-      const terms = analysis.detected_terms.map(term =>
-        `• ${term.term}: ${term.rationale}`
-      ).join('\n');
-
-      return `Keisha AI Analysis (Score: ${analysis.score}/100)\n\nDetected Issues:\n${terms}`;
-    }
-
-    return `Keisha AI Analysis completed with score: ${analysis.score || 50}/100`;
-  }
-
-  /**
-   * Generate fallback analysis when Keisha API is not available
-   */
-  generateFallbackAnalysis(content) {
-    // Simple keyword-based analysis for fallback
-    const text = (content.content + ' ' + content.title).toLowerCase();
-
-    let biasScore = 50; // Default
-    const indicators = [];
-    const euphemisms = [];
-
-    // Check for bias indicators
-    if (text.includes('urban') || text.includes('inner city')) {
-      biasScore += 15;
-      euphemisms.push('urban (coded language)');
-    }
-
-    if (text.includes('thugs') || text.includes('criminals')) {
-      biasScore += 20;
-      indicators.push('dehumanizing language');
-    }
-
-    if (text.includes('welfare') || text.includes('handouts')) {
-      biasScore += 10;
-      euphemisms.push('welfare rhetoric');
-    }
-
-    return {
-      bias_score: Math.min(biasScore, 100),
-      analysis: `Automated analysis detected potential bias indicators. Score: ${biasScore}/100`,
-      fragility_indicators: indicators,
-      euphemisms_detected: euphemisms,
-      systemic_patterns: [],
-      sentiment: text.includes('violence') || text.includes('crime') ? -0.3 : 0,
-      confidence: 0.6
-    };
+    return await this.providers.analyze(content, { provider: 'keisha-bias', fallback: 'local' });
   }
 
   /**
@@ -496,54 +402,37 @@ class KeishaAnalysisIntegration {
   }
 
   /**
-   * Process and normalize Keisha API response
-   */
-  processKeishaResponse(keishaData) {
-    return {
-      bias_score: keishaData.biasScore || keishaData.bias_score || 0,
-      fragility_indicators: keishaData.fragilityIndicators || keishaData.fragility_indicators || [],
-      euphemisms_detected: keishaData.euphemismsDetected || keishaData.euphemisms_detected || [],
-      systemic_patterns: keishaData.systemicPatterns || keishaData.systemic_patterns || [],
-      
-      // Keisha's voice and analysis
-      keisha_translation: keishaData.translation || keishaData.keisha_translation || '',
-      keisha_summary: keishaData.summary || keishaData.keisha_summary || '',
-      critical_analysis: keishaData.analysis || keishaData.critical_analysis || '',
-      
-      // Metadata
-      confidence_score: keishaData.confidence || keishaData.confidence_score || 0.8,
-      analysis_version: keishaData.version || '1.0',
-      processing_time_ms: keishaData.processingTime || keishaData.processing_time_ms || 0
-    };
-  }
-
-  /**
-   * Store analysis results in database
+   * Store a canonical analysis result in database
    */
   async storeAnalysisResult(articleId, analysisResult) {
     try {
+      const errors = this.schema.validate(analysisResult);
+      if (errors.length > 0) {
+        throw new Error(`Invalid analysis result for article ${articleId}: ${errors.join('; ')}`);
+      }
+
       await this.pool.execute(`
         INSERT INTO fns_keisha_analysis (
-          article_id, bias_score, fragility_indicators, euphemisms_detected,
-          systemic_patterns, keisha_translation, keisha_summary, critical_analysis,
-          analysis_version, processing_time_ms, confidence_score
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-          bias_score = VALUES(bias_score),
-          fragility_indicators = VALUES(fragility_indicators),
-          euphemisms_detected = VALUES(euphemisms_detected),
-          systemic_patterns = VALUES(systemic_patterns),
-          keisha_translation = VALUES(keisha_translation),
-          keisha_summary = VALUES(keisha_summary),
-          critical_analysis = VALUES(critical_analysis),
-          confidence_score = VALUES(confidence_score),
-          updated_at = CURRENT_TIMESTAMP
+          article_id, provider, schema_version, lexicon_version, bias_score, sentiment, fragility_indicators,
+          euphemisms_detected, systemic_patterns, detected_terms, keisha_translation, keisha_summary,
+          critical_analysis, analysis_version, processing_time_ms, confidence_score
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ${this.pool.upsert([
+          'provider', 'schema_version', 'lexicon_version', 'bias_score', 'sentiment', 'fragility_indicators',
+          'euphemisms_detected', 'systemic_patterns', 'detected_terms', 'keisha_translation',
+          'keisha_summary', 'critical_analysis', 'analysis_version', 'processing_time_ms', 'confidence_score'
+        ], ['updated_at = CURRENT_TIMESTAMP'])}
       `, [
         articleId,
+        analysisResult.provider,
+        analysisResult.schema_version,
+        analysisResult.lexicon_version ?? null,
         analysisResult.bias_score,
+        analysisResult.sentiment,
         JSON.stringify(analysisResult.fragility_indicators),
         JSON.stringify(analysisResult.euphemisms_detected),
         JSON.stringify(analysisResult.systemic_patterns),
+        JSON.stringify(analysisResult.detected_terms),
         analysisResult.keisha_translation,
         analysisResult.keisha_summary,
         analysisResult.critical_analysis,
@@ -558,6 +447,13 @@ class KeishaAnalysisIntegration {
       console.error('Error storing analysis result:', error);
       throw error;
     }
+
+    // The bias score is a ranking factor
+    try {
+      await this.ranker.updateScores({ ids: [articleId] });
+    } catch (error) {
+      console.error(`Error updating rank score for article ${articleId}:`, error.message);
+    }
   }
 
   /**
@@ -567,9 +463,11 @@ class KeishaAnalysisIntegration {
     try {
       await this.pool.execute(`
         UPDATE fns_articles 
-        SET analysis_status = ?, updated_at = CURRENT_TIMESTAMP
+        SET analysis_status = ?,
+          pipeline_state = CASE WHEN ? = 'completed' THEN 'analyzed' ELSE pipeline_state END,
+          updated_at = CURRENT_TIMESTAMP
         WHERE id = ?
-      `, [status, articleId]);
+      `, [status, status, articleId]);
 
     } catch (error) {
       console.error('Error updating article status:', error);
@@ -578,31 +476,38 @@ class KeishaAnalysisIntegration {
   }
 
   /**
-   * Process analysis queue with rate limiting
+   * Process due analysis jobs with rate limiting, until none are left, maxJobs have run or shouldStop()
+   * Returns counts of processed, completed, retried, dead and lost jobs
    */
-  async processAnalysisQueue() {
+  async processAnalysisQueue(options = {}) {
+    const { maxJobs = Infinity, shouldStop = () => false } = options;
+    const counts = { processed: 0, completed: 0, retried: 0, dead: 0, lost: 0 };
+
     if (this.isProcessing) {
-      return;
+      return counts;
     }
 
     this.isProcessing = true;
 
     try {
-      while (this.analysisQueue.length > 0) {
-        const batch = this.analysisQueue.splice(0, this.maxConcurrentAnalysis);
-        
-        // Process batch concurrently
-        const promises = batch.map(article => 
-          this.analyzeArticle(article).catch(error => {
-            console.error(`Failed to analyze article ${article.id}:`, error.message);
-            return null;
-          })
-        );
+      while (counts.processed < maxJobs && !shouldStop()) {
+        const batch = await this.jobs.claim({
+          types: [ANALYSIS_JOB],
+          limit: Math.min(this.maxConcurrentAnalysis, maxJobs - counts.processed)
+        });
+        if (batch.length === 0) {
+          break;
+        }
 
-        await Promise.all(promises);
+        // Process batch concurrently
+        const outcomes = await Promise.all(batch.map(job => this.runAnalysisJob(job)));
+        outcomes.forEach(outcome => {
+          counts.processed++;
+          counts[outcome]++;
+        });
 
         // Wait before processing next batch
-        if (this.analysisQueue.length > 0) {
+        if (!shouldStop()) {
           await new Promise(resolve => setTimeout(resolve, this.analysisDelay));
         }
       }
@@ -610,32 +515,91 @@ class KeishaAnalysisIntegration {
     } finally {
       this.isProcessing = false;
     }
+
+    if (counts.processed > 0) {
+      console.log(`🧠 Analysis jobs: ${counts.completed} completed, ${counts.retried} to retry, ${counts.dead} dead-lettered${counts.lost ? `, ${counts.lost} lost their lease` : ''}`);
+    }
+    return counts;
+  }
+
+  /**
+   * Run one claimed analysis job; returns 'completed', 'retried', 'dead' or 'lost'
+   * A dead-lettered job marks its article failed; a retried one leaves it 'processing'.
+   * A job whose lease expired meanwhile ('lost') is left to whoever holds it now.
+   */
+  async runAnalysisJob(job) {
+    const articleId = job.payload.article_id;
+
+    try {
+      const [articles] = await this.pool.execute('SELECT * FROM fns_articles WHERE id = ?', [articleId]);
+
+      // Deleted since it was queued; nothing to do
+      if (articles.length > 0) {
+        await this.analyzeArticle(articles[0], { markFailed: false });
+      }
+
+      if (!(await this.jobs.complete(job))) {
+        console.warn(`Lease on analysis job ${job.id} expired before it completed; the job runs again`);
+        return 'lost';
+      }
+      return 'completed';
+
+    } catch (error) {
+      try {
+        const outcome = await this.jobs.fail(job, error);
+
+        if (outcome.status === 'lost') {
+          console.warn(`Lease on analysis job ${job.id} expired before it failed; the job runs again`);
+          return 'lost';
+        }
+
+        if (outcome.status === 'dead') {
+          console.error(`Analysis of article ${articleId} failed ${job.attempts} times, dead-lettered job ${job.id}`);
+          await this.updateArticleStatus(articleId, 'failed');
+          return 'dead';
+        }
+
+        console.warn(`Analysis of article ${articleId} will be retried at ${outcome.run_at}`);
+      } catch (queueError) {
+        // The lease runs out and the sweeper queues the job again
+        console.error(`Error recording failed analysis job ${job.id}:`, queueError.message);
+      }
+      return 'retried';
+    }
   }
 
   /**
-   * Add articles to analysis queue
+   * Add articles to the analysis queue and mark them 'processing'
+   * Articles that already have a queued or running job are not queued twice
    */
   async queueArticlesForAnalysis(articles) {
     if (!Array.isArray(articles)) {
       articles = [articles];
     }
 
-    // Filter out articles that are already processed or in queue
-    const newArticles = articles.filter(article => 
-      !this.analysisQueue.some(queued => queued.id === article.id)
-    );
-
-    this.analysisQueue.push(...newArticles);
-    console.log(`Added ${newArticles.length} articles to analysis queue. Queue size: ${this.analysisQueue.length}`);
+    let queued = 0;
+    for (const article of articles) {
+      const jobId = await this.jobs.enqueue(ANALYSIS_JOB, { article_id: article.id }, { key: article.id });
+      if (jobId !== null) {
+        queued++;
+      }
+    }
 
-    // Start processing if not already running
-    if (!this.isProcessing) {
-      setImmediate(() => this.processAnalysisQueue());
+    if (articles.length > 0) {
+      const articleIds = articles.map(a => a.id);
+      await this.pool.execute(`
+        UPDATE fns_articles
+        SET analysis_status = 'processing', updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (${articleIds.map(() => '?').join(',')})
+      `, articleIds);
     }
 
+    const stats = await this.jobs.getStats(ANALYSIS_JOB);
+    console.log(`Added ${queued} articles to analysis queue. Queue size: ${stats.queued}`);
+
     return {
-      queued: newArticles.length,
-      total_in_queue: this.analysisQueue.length
+      queued,
+      total_in_queue: stats.queued
     };
   }
 
@@ -655,17 +619,10 @@ class KeishaAnalysisIntegration {
 
       if (articles.length === 0) {
         console.log('No articles pending analysis');
-        return { queued: 0, total_in_queue: this.analysisQueue.length };
+        const stats = await this.jobs.getStats(ANALYSIS_JOB);
+        return { queued: 0, total_in_queue: stats.queued };
       }
 
-      // Mark articles as processing
-      const articleIds = articles.map(a => a.id);
-      await this.pool.execute(`
-        UPDATE fns_articles 
-        SET analysis_status = 'processing'
-        WHERE id IN (${articleIds.map(() => '?').join(',')})
-      `, articleIds);
-
       // Queue for analysis
       return await this.queueArticlesForAnalysis(articles);
 
@@ -675,15 +632,84 @@ class KeishaAnalysisIntegration {
     }
   }
 
+  /**
+   * Recover work a stopped process left behind
+   * Requeues jobs whose lease expired, marks articles whose job was dead-lettered failed,
+   * and queues articles stuck in 'processing' with no live job (e.g. from an interrupted inline run)
+   */
+  async sweep() {
+    const jobs = await this.jobs.sweep();
+
+    const jobIn = statuses => `
+      SELECT 1 FROM fns_jobs j
+      WHERE j.type = ? AND j.job_key = fns_articles.id AND j.status IN (${statuses.map(status => `'${status}'`).join(', ')})
+    `;
+
+    const [failed] = await this.pool.execute(`
+      UPDATE fns_articles
+      SET analysis_status = 'failed', updated_at = CURRENT_TIMESTAMP
+      WHERE analysis_status = 'processing'
+        AND EXISTS (${jobIn(['dead'])})
+        AND NOT EXISTS (${jobIn(['queued', 'running'])})
+    `, [ANALYSIS_JOB, ANALYSIS_JOB]);
+
+    const [stale] = await this.pool.execute(`
+      SELECT id FROM fns_articles
+      WHERE analysis_status = 'processing'
+        AND updated_at < ${this.pool.minutesAgo()}
+        AND NOT EXISTS (${jobIn(['queued', 'running'])})
+    `, [this.staleMinutes, ANALYSIS_JOB]);
+
+    let requeued = 0;
+    for (const article of stale) {
+      if (await this.jobs.enqueue(ANALYSIS_JOB, { article_id: article.id }, { key: article.id }) !== null) {
+        requeued++;
+      }
+    }
+
+    const result = { ...jobs, articles_failed: failed.affectedRows, articles_requeued: requeued };
+    if (jobs.requeued + jobs.dead + failed.affectedRows + requeued > 0) {
+      console.log(`🧹 Analysis sweep: ${jobs.requeued} expired leases requeued, ${jobs.dead} dead-lettered, ${requeued} stale articles queued`);
+    }
+    return result;
+  }
+
+  /**
+   * List analysis jobs in a status (dead letters by default)
+   */
+  async listAnalysisJobs(options = {}) {
+    return await this.jobs.listJobs({ ...options, type: ANALYSIS_JOB });
+  }
+
+  /**
+   * Queue a dead-lettered analysis job again; returns the job, or null if it was not dead
+   */
+  async retryAnalysisJob(id) {
+    const job = await this.jobs.getJob(id);
+    if (!job || job.type !== ANALYSIS_JOB || !(await this.jobs.retry(id))) {
+      return null;
+    }
+
+    await this.updateArticleStatus(job.payload.article_id, 'processing');
+    return await this.jobs.getJob(id);
+  }
+
   /**
    * Get analysis queue status
    */
-  getQueueStatus() {
+  async getQueueStatus() {
+    const stats = await this.jobs.getStats(ANALYSIS_JOB);
+
     return {
-      queue_length: this.analysisQueue.length,
+      queue_length: stats.queued,
+      due: stats.due,
+      running: stats.running,
+      dead: stats.dead,
       is_processing: this.isProcessing,
       max_concurrent: this.maxConcurrentAnalysis,
-      delay_ms: this.analysisDelay
+      delay_ms: this.analysisDelay,
+      lease_seconds: this.jobs.leaseSeconds,
+      max_attempts: this.jobs.maxAttempts
     };
   }
 
@@ -691,27 +717,7 @@ class KeishaAnalysisIntegration {
    * Test connection to Keisha API
    */
   async testKeishaConnection() {
-    try {
-      const response = await axios.get(`${this.keishaApiUrl}/api/health`, {
-        timeout: 5000,
-        headers: {
-          'Authorization': `Bearer ${this.keishaApiKey}`
-        }
-      });
-
-      return {
-        connected: true,
-        status: response.status,
-        data: response.data
-      };
-
-    } catch (error) {
-      return {
-        connected: false,
-        error: error.message,
-        status: error.response?.status || 'NO_RESPONSE'
-      };
-    }
+    return await this.client.health();
   }
 
   /**
@@ -754,7 +760,7 @@ class KeishaAnalysisIntegration {
             },
             comparison: {
               newsletter_severity: article.severity_score,
-              keisha_severity: analysisResult.severity_score || article.severity_score,
+              keisha_severity: this.calculateSeverityFromBias(analysisResult),
               analysis_difference: 'Keisha analysis based on FULL article content vs newsletter summary'
             }
           };
@@ -787,4 +793,6 @@ class KeishaAnalysisIntegration {
   }
 }
 
+KeishaAnalysisIntegration.ANALYSIS_JOB = ANALYSIS_JOB;
+
 module.exports = KeishaAnalysisIntegration;
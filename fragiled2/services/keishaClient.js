@@ -0,0 +1,180 @@
+const axios = require('axios');
+const AnalysisResultSchema = require('./analysisResultSchema');
+
+// Version of this client's interface, sent in the User-Agent
+const CLIENT_VERSION = '2.0';
+
+/**
+ * Adapters for the Keisha upstream contracts: where to post, how to build the request and how
+ * to map the response data onto canonical result fields
+ */
+const CONTRACTS = {
+  // Microfrag analysis: { text, title, metadata } -> camelCase or snake_case fields
+  microfrag: {
+    path: '/api/microfrag/analyze',
+    minLength: 0,
+    request: content => ({
+      text: content.content,
+      title: content.title,
+      metadata: content.metadata
+    }),
+    response: data => ({
+      bias_score: data.biasScore ?? data.bias_score,
+      fragility_indicators: data.fragilityIndicators || data.fragility_indicators,
+      euphemisms_detected: data.euphemismsDetected || data.euphemisms_detected,
+      systemic_patterns: data.systemicPatterns || data.systemic_patterns,
+      detected_terms: (data.detectedTerms || data.detected_terms || []).map(term => ({
+        term: term.term,
+        category: term.category,
+        rationale: term.rationale,
+        start: term.start,
+        end: term.end
+      })),
+      sentiment: data.sentiment,
+      keisha_translation: data.translation || data.keisha_translation,
+      keisha_summary: data.summary || data.keisha_summary,
+      critical_analysis: data.analysis || data.critical_analysis,
+      confidence_score: data.confidence ?? data.confidence_score,
+      analysis_version: data.version,
+      processing_time_ms: data.processingTime ?? data.processing_time_ms
+    })
+  },
+
+  // Bias analysis: { article_text, article_title, article_url } -> { analysis: { score, detected_terms } }
+  // Terms carry only a rationale, so their category is read from it
+  bias: {
+    path: '/api/bias-analysis/analyze',
+    minLength: 50, // Keisha requires at least 50 characters
+    request: content => ({
+      article_text: content.content,
+      article_title: content.title || 'Untitled Article',
+      article_url: content.metadata?.url || content.url || ''
+    }),
+    response: data => {
+      const analysis = data.analysis || data;
+      const terms = (analysis.detected_terms || []).map(term => {
+        const rationale = String(term.rationale || '').toLowerCase();
+        let category = 'fragility';
+        if (rationale.includes('euphemism')) category = 'euphemism';
+        else if (rationale.includes('systemic')) category = 'systemic_pattern';
+        else if (rationale.includes('dehumaniz')) category = 'dehumanizing';
+        else if (rationale.includes('coded')) category = 'coded_language';
+
+        return { term: term.term, category, rationale: term.rationale, start: term.start, end: term.end };
+      });
+
+      const score = analysis.score ?? data.biasScore ?? data.bias_score;
+      const details = terms.map(term => `• ${term.term}: ${term.rationale}`).join('\n');
+
+      return {
+        bias_score: score,
+        detected_terms: terms,
+        fragility_indicators: terms.length > 0 ? undefined : data.fragility_indicators,
+        sentiment: data.sentiment,
+        critical_analysis: typeof analysis === 'string'
+          ? analysis
+          : `Keisha AI Analysis (Score: ${score}/100)${details ? `\n\nDetected Issues:\n${details}` : ''}`,
+        confidence_score: analysis.confidence ?? data.confidence,
+        analysis_version: data.version || analysis.version
+      };
+    }
+  }
+};
+
+/**
+ * Keisha Client for FNS
+ * One interface to the Keisha analysis upstreams. analyze() posts through the adapter for the
+ * chosen contract and returns a validated canonical result (see AnalysisResultSchema), so either
+ * upstream's results are stored and rendered the same way.
+ */
+class KeishaClient {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || process.env.KEISHA_API_URL || 'http://localhost:3001';
+    this.apiKey = options.apiKey ?? (process.env.KEISHA_API_KEY || '');
+    this.timeout = options.timeout ?? 60000; // 60 second timeout for analysis
+    this.schema = options.schema || new AnalysisResultSchema();
+  }
+
+  /**
+   * Analyze content ({ content, title, url, metadata }) through one upstream contract
+   * Throws on transport errors, unsuccessful responses and results that fail validation
+   */
+  async analyze(content, options = {}) {
+    const { contract = 'microfrag' } = options;
+    const adapter = CONTRACTS[contract];
+    if (!adapter) {
+      throw new Error(`Unknown Keisha contract: ${contract} (expected one of: ${Object.keys(CONTRACTS).join(', ')})`);
+    }
+
+    const text = content.content || '';
+    if (text.length < adapter.minLength) {
+      const error = new Error(`Content too short for Keisha ${contract} analysis (${text.length} < ${adapter.minLength} characters)`);
+      error.code = 'CONTENT_TOO_SHORT';
+      throw error;
+    }
+
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}${adapter.path}`, adapter.request(content), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`,
+          'User-Agent': `FNS-KeishaClient/${CLIENT_VERSION}`
+        },
+        timeout: this.timeout
+      });
+    } catch (error) {
+      if (error.response) {
+        console.error('Keisha API error:', error.response.status, error.response.data);
+        throw new Error(`Keisha API error: ${error.response.status}`);
+      } else if (error.request) {
+        throw new Error('No response from Keisha API');
+      }
+      throw error;
+    }
+
+    if (!response.data || !response.data.success) {
+      throw new Error(`Invalid response from Keisha ${contract} API`);
+    }
+
+    const fields = adapter.response(response.data.data || response.data);
+    return this.schema.create({
+      ...fields,
+      provider: `keisha-${contract}`,
+      processing_time_ms: fields.processing_time_ms ?? Date.now() - startedAt
+    });
+  }
+
+  /**
+   * Check the Keisha backend's health endpoint
+   */
+  async health() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/api/health`, {
+        timeout: 5000,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`
+        }
+      });
+
+      return {
+        connected: true,
+        status: response.status,
+        data: response.data
+      };
+
+    } catch (error) {
+      return {
+        connected: false,
+        error: error.message,
+        status: error.response?.status || 'NO_RESPONSE'
+      };
+    }
+  }
+}
+
+KeishaClient.CLIENT_VERSION = CLIENT_VERSION;
+KeishaClient.CONTRACTS = CONTRACTS;
+
+module.exports = KeishaClient;
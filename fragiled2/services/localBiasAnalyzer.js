@@ -0,0 +1,156 @@
+const Sentiment = require('sentiment');
+const AnalysisResultSchema = require('./analysisResultSchema');
+const BiasLexicon = require('./biasLexicon');
+
+// Version of the rules and scoring below; recorded as the result's analysis_version
+const ANALYZER_VERSION = '1.0';
+
+// Agency erasure: harm described with no one doing it
+const PASSIVE_HARM = 'shot|killed|beaten|tased|tasered|choked|restrained|struck|slain|wounded|injured|pepper[- ]sprayed|tackled|pinned|dragged';
+const AGENCY_RULES = [
+  {
+    term: 'passive harm',
+    pattern: new RegExp(`\\b(?:was|were|is|are|been|being|got|gets)\\s+(?:\\w+ly\\s+)?(?:${PASSIVE_HARM})\\b(?!\\s+(?:\\w+\\s+){0,2}by\\b)`, 'gi'),
+    weight: 1.2,
+    rationale: 'Passive voice with no agent hides who caused the harm'
+  },
+  {
+    term: 'actorless action',
+    pattern: /\b(?:shots|force|mistakes|gunfire)\s+(?:was|were|had been|has been)\s+(?:fired|used|made|exchanged)\b/gi,
+    weight: 1.5,
+    rationale: 'An action reported without the people who took it'
+  },
+  {
+    term: 'death after encounter',
+    pattern: /\bdied\s+(?:after|following)\s+(?:an?\s+)?(?:encounter|altercation|struggle|interaction)\s+with\s+(?:police|officers|deputies|law enforcement)\b/gi,
+    weight: 1.5,
+    rationale: 'Attributes a death to an encounter rather than to the officers involved'
+  }
+];
+
+/**
+ * Local Bias Analyzer for FNS
+ * Deterministic lexicon and rules engine: finds coded language, dehumanizing terms, euphemisms,
+ * fragility tropes and passive-voice agency erasure, and explains each hit with its character
+ * offsets. Runs offline, and the same text and lexicon version always get the same result, so it
+ * doubles as a baseline to compare the Keisha model against.
+ */
+class LocalBiasAnalyzer {
+  constructor(options = {}) {
+    this.lexicon = options.lexicon || new BiasLexicon();
+    this.schema = options.schema || new AnalysisResultSchema();
+    this.sentiment = new Sentiment();
+    // Total weight at which the score reaches ~63; more weight approaches 100
+    this.scoreScale = options.scoreScale ?? 4;
+  }
+
+  /**
+   * Analyze content's text, or else its title and content; offsets index into the analyzed text
+   * Uses the latest lexicon, or lexiconVersion to reproduce an earlier result
+   */
+  async analyze(content, options = {}) {
+    const { lexiconVersion = null } = options;
+    const startedAt = Date.now();
+    const text = String(content.text ?? [content.title, content.content].filter(Boolean).join('\n\n'));
+
+    const lexicon = await this.lexicon.getLexicon({ version: lexiconVersion });
+    if (!lexicon) {
+      throw new Error(`Bias lexicon version ${lexiconVersion} does not exist`);
+    }
+
+    const detections = this.detect(text, this.lexicon.biasTerms(lexicon));
+    const biasScore = this.score(detections);
+
+    const categories = new Set(detections.map(hit => hit.category));
+    const explanation = detections
+      .map(hit => `• "${hit.term}" (${hit.category.replace('_', ' ')}, characters ${hit.start}-${hit.end}): ${hit.rationale}`)
+      .join('\n');
+
+    return this.schema.create({
+      provider: 'local',
+      analysis_version: ANALYZER_VERSION,
+      lexicon_version: lexicon.version,
+      bias_score: biasScore,
+      confidence_score: 0.5,
+      sentiment: Math.max(-1, Math.min(1, Math.round(this.sentiment.analyze(text).comparative * 1000) / 1000)),
+      detected_terms: detections.map(({ term, category, rationale, start, end }) => ({ term, category, rationale, start, end })),
+      keisha_summary: `Local analysis found ${detections.length} flagged phrase(s) in ${categories.size} categor${categories.size === 1 ? 'y' : 'ies'}.`,
+      critical_analysis: `Local Analysis (Score: ${biasScore}/100)${explanation ? `\n\nDetected Issues:\n${explanation}` : ''}`,
+      processing_time_ms: Date.now() - startedAt
+    });
+  }
+
+  /**
+   * Every lexicon entry and rule hit in text, in order; where hits overlap the longest wins
+   * Returns [{ term, category, weight, rationale, start, end, key }]
+   */
+  detect(text, entries) {
+    const escape = term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/[\s-]+/g, '[\\s-]+');
+    const hits = [];
+
+    entries.forEach(entry => {
+      // Whole words; plurals and space/hyphen variants match too
+      const matcher = new RegExp(`(?<![\\p{L}\\p{N}])${escape(entry.term)}(?:s|es)?(?![\\p{L}\\p{N}])`, 'giu');
+      for (const match of text.matchAll(matcher)) {
+        hits.push({
+          key: entry.term.toLowerCase(),
+          term: match[0],
+          category: entry.category,
+          weight: entry.weight,
+          rationale: entry.rationale,
+          start: match.index,
+          end: match.index + match[0].length
+        });
+      }
+    });
+
+    AGENCY_RULES.forEach(rule => {
+      for (const match of text.matchAll(rule.pattern)) {
+        hits.push({
+          key: rule.term,
+          term: match[0],
+          category: 'agency_erasure',
+          weight: rule.weight,
+          rationale: rule.rationale,
+          start: match.index,
+          end: match.index + match[0].length
+        });
+      }
+    });
+
+    const kept = [];
+    hits
+      .sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start)
+      .forEach(hit => {
+        if (!kept.some(other => hit.start < other.end && other.start < hit.end)) {
+          kept.push(hit);
+        }
+      });
+
+    return kept.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Bias score (0-100) for detections: repeats of a term add less each time
+   */
+  score(detections) {
+    const counts = new Map();
+    detections.forEach(hit => {
+      const current = counts.get(hit.key) || { weight: hit.weight, count: 0 };
+      current.count++;
+      counts.set(hit.key, current);
+    });
+
+    let total = 0;
+    counts.forEach(({ weight, count }) => {
+      total += weight * (1 + Math.log2(count));
+    });
+
+    return Math.round(100 * (1 - Math.exp(-total / this.scoreScale)));
+  }
+}
+
+LocalBiasAnalyzer.ANALYZER_VERSION = ANALYZER_VERSION;
+LocalBiasAnalyzer.AGENCY_RULES = AGENCY_RULES;
+
+module.exports = LocalBiasAnalyzer;
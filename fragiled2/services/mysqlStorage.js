@@ -0,0 +1,171 @@
+const mysql = require('mysql2/promise');
+
+/**
+ * MySQL Storage for FNS
+ * Wraps a mysql2 pool. Services call execute/query/getConnection exactly as on the pool;
+ * the dialect helpers below cover the few statements that are written differently on SQLite.
+ */
+class MySQLStorage {
+  constructor(options = {}) {
+    this.dialect = 'mysql';
+    this.dbConfig = {
+      host: process.env.DB_HOST || 'localhost',
+      user: process.env.DB_USER || 'root',
+      password: process.env.DB_PASSWORD || '',
+      database: process.env.DB_NAME || 'fns_database',
+      waitForConnections: true,
+      connectionLimit: options.connectionLimit || 10,
+      queueLimit: 0
+    };
+
+    this.pool = mysql.createPool(this.dbConfig);
+    this.ended = false;
+  }
+
+  async execute(sql, params) {
+    return await this.pool.execute(sql, params);
+  }
+
+  async query(sql, params) {
+    return await this.pool.query(sql, params);
+  }
+
+  /**
+   * Get a connection for a transaction; release it when done
+   */
+  async getConnection() {
+    return await this.pool.getConnection();
+  }
+
+  async end() {
+    if (!this.ended) {
+      this.ended = true;
+      await this.pool.end();
+    }
+  }
+
+  /**
+   * INSERT that skips rows whose key already exists
+   */
+  insertIgnore() {
+    return 'INSERT IGNORE';
+  }
+
+  /**
+   * Whether an error is a unique or primary key violation
+   */
+  isDuplicateKey(error) {
+    return !!error && error.code === 'ER_DUP_ENTRY';
+  }
+
+  /**
+   * Clause that turns an INSERT into an update of the given columns when a key already exists
+   */
+  upsert(columns, assignments = []) {
+    return `ON DUPLICATE KEY UPDATE ${[
+      ...columns.map(column => `${column} = VALUES(${column})`),
+      ...assignments
+    ].join(', ')}`;
+  }
+
+  /**
+   * Date a parameterised number of days before today
+   */
+  daysAgo() {
+    return 'DATE_SUB(CURDATE(), INTERVAL ? DAY)';
+  }
+
+  /**
+   * Timestamp a parameterised number of minutes before now
+   */
+  minutesAgo() {
+    return 'NOW() - INTERVAL ? MINUTE';
+  }
+
+  /**
+   * Whole days between a DATE column and today, or the day of the Date at
+   */
+  daysSince(column, at = null) {
+    return `DATEDIFF(${at ? `DATE(${this.localDateTime(at)})` : 'CURDATE()'}, ${column})`;
+  }
+
+  /**
+   * Hours (fractional) between a DATETIME column and now, or the Date at
+   */
+  hoursSince(column, at = null) {
+    return `(TIMESTAMPDIFF(SECOND, ${column}, ${at ? this.localDateTime(at) : 'NOW()'}) / 3600)`;
+  }
+
+  /**
+   * DATETIME literal of a Date in local time, as mysql2 writes Date parameters
+   */
+  localDateTime(at) {
+    const pad = number => String(number).padStart(2, '0');
+    return `'${at.getFullYear()}-${pad(at.getMonth() + 1)}-${pad(at.getDate())} ${pad(at.getHours())}:${pad(at.getMinutes())}:${pad(at.getSeconds())}'`;
+  }
+
+  /**
+   * Full-text match against fns_articles (aliased a) using the FULLTEXT indexes in boolean mode
+   * parsed is { groups, excluded } from SearchService.parseQuery; returns null when nothing is searchable.
+   * InnoDB does not index words shorter than innodb_ft_min_token_size (3), so those are left out.
+   */
+  fullTextMatch(parsed, options = {}) {
+    const { titleBoost = 1, minWordLength = 3 } = options;
+    const item = words => (words.length > 1 ? `"${words.join(' ')}"` : words[0]);
+
+    const groups = parsed.groups
+      .map(group => group.filter(words => words.length > 1 || words[0].length >= minWordLength))
+      .filter(group => group.length > 0)
+      .map(group => (group.length > 1 ? `+(${group.map(item).join(' ')})` : `+${item(group[0])}`));
+    if (groups.length === 0) return null;
+
+    const against = [...groups, ...parsed.excluded.map(words => `-${item(words)}`)].join(' ');
+    const text = 'MATCH(a.title, a.summary, a.content, a.full_content) AGAINST (? IN BOOLEAN MODE)';
+
+    return {
+      join: '',
+      condition: text,
+      conditionParams: [against],
+      score: `(MATCH(a.title) AGAINST (? IN BOOLEAN MODE) * ${Number(titleBoost)} + ${text})`,
+      scoreParams: [against, against]
+    };
+  }
+
+  /**
+   * Names of tables in the database, optionally limited to a prefix
+   */
+  async listTables(prefix = '') {
+    const [rows] = await this.pool.execute(`
+      SELECT TABLE_NAME AS name
+      FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_TYPE = 'BASE TABLE' AND TABLE_NAME LIKE ?
+      ORDER BY TABLE_NAME
+    `, [`${prefix}%`]);
+    return rows.map(row => row.name);
+  }
+
+  async columnExists(table, column) {
+    const [rows] = await this.pool.query(`
+      SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+    `, [table, column]);
+    return rows.length > 0;
+  }
+
+  async indexExists(table, index) {
+    const [rows] = await this.pool.query(`
+      SELECT 1 FROM INFORMATION_SCHEMA.STATISTICS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+    `, [table, index]);
+    return rows.length > 0;
+  }
+
+  /**
+   * Statements to run for a schema statement written in MySQL DDL (unchanged here)
+   */
+  schemaStatements(sql) {
+    return [sql];
+  }
+}
+
+module.exports = MySQLStorage;
@@ -1,7 +1,9 @@
-const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const ImportLedger = require('./importLedger');
+const SourceRegistry = require('./sourceRegistry');
+const FetchScheduler = require('./fetchScheduler');
 
 /**
  * News Import Service for Fragile News Source (FNS)
@@ -9,12 +11,19 @@ const crypto = require('crypto');
  */
 class NewsImportService {
   constructor() {
-    // GitHub repository for live data
-    this.githubBaseUrl = 'https://raw.githubusercontent.com/djangamane/soWSnewsletter/main';
+    // Newsletter sources (GitHub repositories by default) for live data
+    this.sourceRegistry = new SourceRegistry();
     this.localNewsPath = process.env.LOCAL_NEWS_PATH || '../news_project';
 
     // Rate limiting to be respectful to GitHub API
     this.requestDelay = 1000; // 1 second between requests
+
+    // Remembers which newsletter files were already imported
+    this.ledger = new ImportLedger();
+    this.lastImportReport = null;
+
+    // Article pages are publisher sites, fetched politely
+    this.scheduler = new FetchScheduler();
   }
 
   /**
@@ -84,70 +93,45 @@ class NewsImportService {
   }
 
   /**
-   * Import news stories from GitHub repository
-   * Pulls latest JSON files from your soWSnewsletter repo
+   * Import news stories from every enabled full_articles source (the soWSnewsletter GitHub repo by default)
+   * Files the import ledger has already seen are skipped. Pass changedOnly to leave out
+   * articles from unchanged files. New and changed files stay pending until commitFiles.
    */
-  async importFromGitHub(daysBack = 7) {
+  async importFromGitHub(daysBack = 7, options = {}) {
+    const { changedOnly = false } = options;
+    this.ledger.heldFiles.clear();
+
     try {
-      console.log(`Importing from GitHub: ${this.githubBaseUrl}`);
+      const sources = await this.sourceRegistry.getEnabledSources('full_articles');
+      console.log(`Importing full articles from ${sources.length} source(s): ${sources.map(s => s.id).join(', ')}`);
 
       const allArticles = [];
+      const files = [];
       const today = new Date();
 
       // Try to get files from the last N days
       for (let i = 0; i < daysBack; i++) {
         const date = new Date(today);
         date.setDate(date.getDate() - i);
-        const dateString = date.toISOString().slice(0, 10).replace(/-/g, '');
-
-        try {
-          const fileUrl = `${this.githubBaseUrl}/full_articles_${dateString}.json`;
-          console.log(`Fetching: ${fileUrl}`);
-
-          const response = await axios.get(fileUrl, {
-            timeout: 30000,
-            headers: {
-              'User-Agent': 'FNS-GitHubImporter/1.0'
-            }
-          });
-
-          const jsonData = response.data;
-          const articles = jsonData.articles || [];
-
-          // Process articles
-          const processedArticles = articles.map(article => ({
-            id: this.generateArticleId(article.url, dateString),
-            title: article.title,
-            url: article.url,
-            content: article.full_text || article.content || '',
-            summary: article.summary || '',
-            keyword: article.keyword,
-            severity_score: article.severity_score || 50,
-            sentiment: article.sentiment || 0,
-            date: this.formatDate(dateString),
-            source_file: `full_articles_${dateString}.json`,
-            source_type: 'github',
-            imported_at: new Date().toISOString(),
-            analysis_status: 'pending'
-          }));
 
-          allArticles.push(...processedArticles);
-          console.log(`✅ Imported ${processedArticles.length} articles from ${dateString}`);
-
-          // Rate limiting
-          await new Promise(resolve => setTimeout(resolve, this.requestDelay));
+        const day = await this.importDay(date, { sources, changedOnly });
+        allArticles.push(...day.articles);
+        files.push(...day.files);
+      }
 
-        } catch (error) {
-          if (error.response?.status === 404) {
-            console.log(`📅 No file found for ${dateString} (this is normal)`);
-          } else {
-            console.error(`Error fetching ${dateString}:`, error.message);
-          }
-        }
+      try {
+        await this.ledger.save();
+      } catch (saveError) {
+        console.warn('Could not save import ledger:', saveError.message);
       }
 
-      // Remove duplicates
-      const uniqueArticles = this.removeDuplicates(allArticles);
+      this.lastImportReport = {
+        ...this.ledger.summarize(files),
+        completed_at: new Date().toISOString()
+      };
+
+      // Merge articles reported by several sources
+      const uniqueArticles = this.sourceRegistry.mergeArticles(allArticles);
       console.log(`Total unique articles from GitHub: ${uniqueArticles.length}`);
 
       return uniqueArticles;
@@ -159,59 +143,151 @@ class NewsImportService {
   }
 
   /**
-   * Import news stories from remote newsletter API
-   * This would hit your Render-hosted newsletter service
+   * Import one day's files from the given full_articles sources (all enabled ones by default)
+   * New and changed files stay pending; callers store the articles, then call commitFiles.
+   * Resolves to { articles, files } with articles merged across sources
    */
-  async importFromRemoteAPI() {
+  async importDay(date, options = {}) {
+    const { changedOnly = false } = options;
+    const sources = options.sources || await this.sourceRegistry.getEnabledSources('full_articles');
+
+    const articles = [];
+    const files = [];
+
+    for (const source of sources) {
+      const result = await this.importSourceFile(source, date, { changedOnly });
+      articles.push(...result.articles);
+      files.push(result.file);
+    }
+
+    return { articles: this.sourceRegistry.mergeArticles(articles), files };
+  }
+
+  /**
+   * Import a single source file for a date
+   * Resolves to { articles, file } where file is the per-file report entry
+   */
+  async importSourceFile(source, date, options = {}) {
+    const { changedOnly = false } = options;
+
+    const dateString = date.toISOString().slice(0, 10).replace(/-/g, '');
+    const { fileName, url: fileUrl } = this.sourceRegistry.buildFileUrl(source, date);
+    const fileInfo = { source_id: source.id, date: dateString, file: fileName };
+    const sourceFields = {
+      source_id: source.id,
+      source_name: source.name,
+      trust_weight: source.trust_weight
+    };
+
     try {
-      // This assumes your newsletter service has an API endpoint
-      // You might need to add this to your soWSnewsletter system
-      const response = await axios.get(`${this.newsletterBaseUrl}/api/articles`, {
+      console.log(`Fetching: ${fileUrl}`);
+
+      const result = await this.ledger.fetchFile(fileUrl, {
         timeout: 30000,
         headers: {
-          'User-Agent': 'FNS-NewsImporter/1.0'
+          'User-Agent': 'FNS-GitHubImporter/1.0'
         }
       });
-      
-      const articles = response.data;
-      
-      const processedArticles = articles.map(article => ({
-        id: this.generateArticleId(article.url, article.date),
-        title: article.title,
-        url: article.url,
-        content: article.full_text || article.content || '',
-        summary: article.summary || '',
-        keyword: article.keyword,
-        severity_score: article.severity_score || 50,
-        sentiment: article.sentiment || 0,
-        date: article.date,
-        imported_at: new Date().toISOString(),
-        analysis_status: 'pending'
-      }));
-      
-      console.log(`Imported ${processedArticles.length} articles from remote API`);
-      return processedArticles;
-      
+
+      let imported = { articles: [], file: { ...fileInfo, status: result.status } };
+
+      if (result.status === 'missing') {
+        console.log(`📅 No file found for ${source.id} ${dateString} (this is normal)`);
+      } else if (result.content === undefined) {
+        const articles = (result.entry.articles || []).map(article => ({ ...article, ...sourceFields }));
+
+        imported = {
+          articles: changedOnly ? [] : articles,
+          file: { ...fileInfo, status: 'unchanged', stories: articles.length }
+        };
+        console.log(`⏭️ Unchanged ${fileName} (${articles.length} articles from ledger)`);
+      } else {
+        const jsonData = JSON.parse(result.content);
+        const articles = jsonData.articles || [];
+
+        // Process articles
+        const processedArticles = articles.map(article => ({
+          id: this.generateArticleId(article.url, dateString),
+          title: article.title,
+          url: article.url,
+          content: article.full_text || article.content || '',
+          summary: article.summary || '',
+          keyword: article.keyword,
+          severity_score: article.severity_score || 50,
+          sentiment: article.sentiment || 0,
+          date: this.formatDate(dateString),
+          source_file: fileName,
+          source_type: 'github',
+          ...sourceFields,
+          imported_at: new Date().toISOString(),
+          analysis_status: 'pending',
+          // The archive already carries extracted article text; stories without it still need fetching
+          content_fetched: !!article.full_text,
+          pipeline_state: article.full_text ? 'extracted' : 'seed'
+        }));
+
+        const record = {
+          file: fileName,
+          date: dateString,
+          etag: result.etag,
+          lastModified: result.lastModified,
+          contentHash: result.contentHash,
+          storyCount: processedArticles.length,
+          articles: processedArticles
+        };
+
+        if (changedOnly && result.status === 'unchanged') {
+          // Same bytes as a file already imported, so there is nothing to store
+          await this.ledger.recordFile(fileUrl, record);
+        } else {
+          this.ledger.holdFile(fileUrl, record, processedArticles.map(article => article.id));
+        }
+
+        imported = {
+          articles: !changedOnly || result.status !== 'unchanged' ? processedArticles : [],
+          file: { ...fileInfo, status: result.status, stories: processedArticles.length }
+        };
+        console.log(`✅ Imported ${processedArticles.length} articles from ${fileName} (${result.status})`);
+      }
+
+      // Rate limiting, only needed when we actually hit the source
+      if (result.requested) {
+        await new Promise(resolve => setTimeout(resolve, this.requestDelay));
+      }
+
+      return imported;
+
     } catch (error) {
-      console.error('Error importing from remote API:', error.message);
-      // Fallback to local files if remote fails
-      console.log('Falling back to local file import...');
-      return await this.importFromLocalFiles();
+      console.error(`Error fetching ${fileName}:`, error.message);
+      return { articles: [], file: { ...fileInfo, status: 'failed', error: error.message } };
     }
   }
 
+  /**
+   * Record pending files in the ledger once every one of their stories is stored, then save it
+   * storedIds lists the stored articles' ids and the ids of the copies merged into them; a file
+   * with a story missing from it stays unrecorded, so the next import fetches it again.
+   * Resolves to { committed, held } file counts
+   */
+  async commitFiles(storedIds = []) {
+    const counts = await this.ledger.commitHeld(storedIds);
+
+    try {
+      await this.ledger.save();
+    } catch (saveError) {
+      console.warn('Could not save import ledger:', saveError.message);
+    }
+
+    return counts;
+  }
+
   /**
    * Extract images from article content or fetch from URL
    */
   async extractArticleImages(article) {
     try {
       // Try to extract images from the article URL
-      const response = await axios.get(article.url, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; FNS-ImageExtractor/1.0)'
-        }
-      });
+      const response = await this.scheduler.fetch(article.url, { timeout: 10000 });
       
       const html = response.data;
       const imageUrls = this.extractImageUrls(html);
@@ -317,20 +393,21 @@ class NewsImportService {
       keyword = null,
       minSeverity = 0,
       includeImages = false,
-      source = 'auto' // 'auto', 'github', 'local'
+      source = 'auto', // 'auto', 'github', 'local'
+      changedOnly = false // Only articles from new or changed GitHub files
     } = options;
 
     try {
       let articles;
 
       if (source === 'github') {
-        articles = await this.importFromGitHub();
+        articles = await this.importFromGitHub(7, { changedOnly });
       } else if (source === 'local') {
         articles = await this.importFromLocalFiles();
       } else {
         // Auto: try GitHub first, fallback to local
         try {
-          articles = await this.importFromGitHub();
+          articles = await this.importFromGitHub(7, { changedOnly });
           console.log('✅ Using live GitHub data');
         } catch (error) {
           console.log('⚠️ GitHub import failed, using local files');
@@ -354,8 +431,10 @@ class NewsImportService {
       // Sort by date (newest first)
       articles.sort((a, b) => new Date(b.date) - new Date(a.date));
       
-      // Limit results
-      articles = articles.slice(0, limit);
+      // Limit results; changed files are imported whole so their stories are never cut off
+      if (!changedOnly) {
+        articles = articles.slice(0, limit);
+      }
       
       // Extract images if requested
       if (includeImages) {
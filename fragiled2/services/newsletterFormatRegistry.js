@@ -0,0 +1,330 @@
+/**
+ * Newsletter Format Registry for FNS
+ * Detects the layout of a fetched newsletter file and routes it to the matching parser.
+ * Every parser returns the same raw story shape plus a list of dropped stories with reasons.
+ */
+class NewsletterFormatRegistry {
+  constructor() {
+    this.formats = new Map();
+
+    // Built-in formats, checked in registration order
+    this.register('json', {
+      detect: (content, fileName) => this.looksLikeJson(content, fileName),
+      parse: content => this.parseJson(content)
+    });
+    this.register('markdown', {
+      detect: (content, fileName) => this.looksLikeMarkdown(content, fileName),
+      parse: content => this.parseMarkdown(content)
+    });
+    this.register('text', {
+      detect: content => typeof content === 'string' && /Severity Score/i.test(content),
+      parse: content => this.parseText(content)
+    });
+  }
+
+  /**
+   * Register a format parser
+   * detect(content, fileName) -> boolean, parse(content) -> { overallSeverity, stories, dropped }
+   */
+  register(name, { detect, parse }) {
+    if (typeof detect !== 'function' || typeof parse !== 'function') {
+      throw new Error(`Newsletter format "${name}" needs detect and parse functions`);
+    }
+
+    this.formats.set(name, { detect, parse });
+  }
+
+  /**
+   * Get registered format names
+   */
+  getFormats() {
+    return Array.from(this.formats.keys());
+  }
+
+  /**
+   * Detect the format of a newsletter file
+   */
+  detectFormat(content, fileName = '') {
+    for (const [name, format] of this.formats) {
+      try {
+        if (format.detect(content, fileName)) {
+          return name;
+        }
+      } catch (error) {
+        console.warn(`Format detection "${name}" failed:`, error.message);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a newsletter file with the detected (or forced) format
+   */
+  parse(content, options = {}) {
+    const { fileName = '', format = null } = options;
+
+    const formatName = format || this.detectFormat(content, fileName);
+
+    if (!formatName || !this.formats.has(formatName)) {
+      return {
+        format: formatName,
+        overallSeverity: null,
+        stories: [],
+        dropped: [{
+          index: null,
+          title: null,
+          reason: formatName ? `unknown format "${formatName}"` : 'unrecognized newsletter format'
+        }]
+      };
+    }
+
+    const result = this.formats.get(formatName).parse(content);
+
+    return {
+      format: formatName,
+      overallSeverity: result.overallSeverity ?? null,
+      stories: result.stories || [],
+      dropped: result.dropped || []
+    };
+  }
+
+  /**
+   * Check a story has everything needed to become an article
+   * Returns the drop reason, or null if the story is usable
+   */
+  validateStory(story) {
+    if (!story.title) return 'missing title';
+    if (!story.url) return 'missing url';
+    if (!/^https?:\/\//i.test(story.url)) return `invalid url "${story.url}"`;
+    if (story.severityScore === null || Number.isNaN(story.severityScore)) return 'missing severity score';
+    if (story.severityScore < 0 || story.severityScore > 100) return `severity score out of range (${story.severityScore})`;
+    return null;
+  }
+
+  /**
+   * Validate raw stories and split them into kept and dropped
+   */
+  collectStories(candidates) {
+    const stories = [];
+    const dropped = [];
+
+    candidates.forEach((story, index) => {
+      const reason = this.validateStory(story);
+      if (reason) {
+        dropped.push({ index: story.storyNumber || index + 1, title: story.title || null, reason });
+      } else {
+        stories.push(story);
+      }
+    });
+
+    return { stories, dropped };
+  }
+
+  /**
+   * Extract the overall severity meter value
+   */
+  extractOverallSeverity(content) {
+    const match = content.match(/Current Level:?\**\s*([\d.]+)\s*%/i);
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  /**
+   * Extract labelled story fields from a text block
+   * Shared by the text and markdown layouts once markdown markup is stripped
+   */
+  extractFields(text) {
+    const severityMatch = text.match(/Severity Score:?\s*([\d.]+)/i);
+    const summaryMatch = text.match(/Summary:?[ \t]*\n?([\s\S]*?)(?=\n\s*(?:Critical Analysis\b|🔗|Read more\b)|$)/i);
+    const analysisMatch = text.match(/Critical Analysis:?[ \t]*\n?([\s\S]*?)(?=\n\s*(?:🔗|Read more\b)|$)/i);
+    const urlMatch = text.match(/Read more:?\s*(https?:\/\/\S+)/i) || text.match(/(https?:\/\/\S+)/);
+
+    return {
+      severityScore: severityMatch ? parseFloat(severityMatch[1]) : null,
+      summary: summaryMatch ? summaryMatch[1].trim() : '',
+      analysis: analysisMatch ? analysisMatch[1].trim() : '',
+      url: urlMatch ? urlMatch[1].trim() : ''
+    };
+  }
+
+  /**
+   * Check whether a block carries any story fields at all
+   */
+  hasStoryFields(text) {
+    return /Severity Score|Read more|Critical Analysis/i.test(text);
+  }
+
+  /**
+   * Parse the original critical_newsletter text layout
+   * Stories are "N. Title / Severity Score / Summary / Critical Analysis / 🔗 Read more" blocks separated by ---
+   */
+  parseText(content) {
+    const candidates = [];
+    const blocks = content.split(/^\s*-{3,}\s*$/m);
+
+    for (const block of blocks) {
+      const header = block.match(/^\s*(\d+)\.\s+(.+)$/m);
+
+      if (!header) {
+        // Preamble, meter or footer text
+        if (this.hasStoryFields(block)) {
+          candidates.push({ storyNumber: null, title: '', ...this.extractFields(block) });
+        }
+        continue;
+      }
+
+      const body = block.slice(header.index + header[0].length);
+      candidates.push({
+        storyNumber: parseInt(header[1]),
+        title: header[2].trim(),
+        ...this.extractFields(body)
+      });
+    }
+
+    return {
+      overallSeverity: this.extractOverallSeverity(content),
+      ...this.collectStories(candidates)
+    };
+  }
+
+  /**
+   * Check whether content looks like the markdown layout
+   */
+  looksLikeMarkdown(content, fileName = '') {
+    if (typeof content !== 'string') return false;
+    if (/\.md$/i.test(fileName)) return true;
+    return /^#{2,3}\s+\S/m.test(content) && /\*\*Severity Score|^#{2,3}\s+Summary/im.test(content);
+  }
+
+  /**
+   * Strip markdown markup down to the plain labelled layout
+   */
+  stripMarkdown(text) {
+    return text
+      .replace(/\[([^\]]*)\]\((https?:\/\/[^)\s]+)\)/g, '$1: $2')
+      .replace(/^#{1,6}\s+/gm, '')
+      .replace(/^>\s?/gm, '')
+      .replace(/\*\*|__/g, '');
+  }
+
+  /**
+   * Parse the markdown layout
+   * Stories are "## N. Title" sections with bold labels or ### sub-headings for each field
+   */
+  parseMarkdown(content) {
+    const candidates = [];
+    const sections = content.split(/^(?=##\s)/m);
+
+    for (const section of sections) {
+      const heading = section.match(/^##\s+(.+)$/m);
+      const body = this.stripMarkdown(heading ? section.slice(heading.index + heading[0].length) : section);
+
+      if (!heading) {
+        if (this.hasStoryFields(body)) {
+          candidates.push({ storyNumber: null, title: '', ...this.extractFields(body) });
+        }
+        continue;
+      }
+
+      const headingMatch = heading[1].trim().match(/^(?:(\d+)[.)]\s+)?(.+)$/);
+      const linkMatch = headingMatch[2].match(/^\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)$/);
+
+      if (!this.hasStoryFields(body) && !linkMatch) {
+        // Non-story section such as the threat meter
+        continue;
+      }
+
+      const fields = this.extractFields(body);
+      candidates.push({
+        storyNumber: headingMatch[1] ? parseInt(headingMatch[1]) : null,
+        title: (linkMatch ? linkMatch[1] : headingMatch[2]).trim(),
+        ...fields,
+        url: fields.url || (linkMatch ? linkMatch[2] : '')
+      });
+    }
+
+    return {
+      overallSeverity: this.extractOverallSeverity(this.stripMarkdown(content)),
+      ...this.collectStories(candidates)
+    };
+  }
+
+  /**
+   * Check whether content looks like the JSON layout
+   */
+  looksLikeJson(content, fileName = '') {
+    if (content && typeof content === 'object') return true;
+    if (typeof content !== 'string') return false;
+    if (/\.json$/i.test(fileName)) return true;
+    return /^\s*[[{]/.test(content);
+  }
+
+  /**
+   * Parse the JSON layout
+   * Accepts { overall_severity, stories: [...] }, { articles: [...] } or a bare array
+   */
+  parseJson(content) {
+    let data = content;
+
+    if (typeof content === 'string') {
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        return {
+          overallSeverity: null,
+          stories: [],
+          dropped: [{ index: null, title: null, reason: `invalid JSON: ${error.message}` }]
+        };
+      }
+    }
+
+    if (!data || typeof data !== 'object') {
+      return {
+        overallSeverity: null,
+        stories: [],
+        dropped: [{ index: null, title: null, reason: 'JSON is not a newsletter object or story array' }]
+      };
+    }
+
+    const items = Array.isArray(data) ? data : (data.stories || data.articles || []);
+    const meter = Array.isArray(data) ? null : (data.overall_severity ?? data.overallSeverity ?? null);
+
+    if (!Array.isArray(items)) {
+      return {
+        overallSeverity: null,
+        stories: [],
+        dropped: [{ index: null, title: null, reason: 'stories is not an array' }]
+      };
+    }
+
+    // Entries that are not objects (null, strings, numbers) cannot be read as stories
+    const skipped = [];
+    const candidates = [];
+    items.forEach((item, index) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        skipped.push({ index: index + 1, title: null, reason: 'story is not an object' });
+        return;
+      }
+
+      const severity = item.severity_score ?? item.severityScore ?? item.severity;
+      candidates.push({
+        storyNumber: item.story_number || item.storyNumber || index + 1,
+        title: item.title ? String(item.title).trim() : '',
+        severityScore: severity === undefined || severity === null || severity === '' ? null : parseFloat(severity),
+        summary: item.summary || '',
+        analysis: item.critical_analysis || item.criticalAnalysis || item.analysis || '',
+        url: item.url || item.link || ''
+      });
+    });
+
+    const { stories, dropped } = this.collectStories(candidates);
+
+    return {
+      overallSeverity: meter === null ? null : parseFloat(meter),
+      stories,
+      dropped: [...skipped, ...dropped]
+    };
+  }
+}
+
+module.exports = NewsletterFormatRegistry;
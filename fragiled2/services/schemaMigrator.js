@@ -0,0 +1,310 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Migration files are named NNN_description.js and applied in version order
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+const MIGRATION_TEMPLATE = `/**
+ * {description}
+ */
+module.exports = {
+  async up(db) {
+  },
+
+  async down(db) {
+  }
+};
+`;
+
+/**
+ * Schema Migrator for FNS
+ * Applies the ordered migrations in database/migrations and records them in schema_migrations.
+ * Each migration exports up(db) and down(db); db wraps the storage with idempotent helpers
+ * (addColumn, dropColumn, addIndex, ...) so migrations also apply cleanly to installs
+ * created from an older fns_schema.sql. Migrations are written in MySQL DDL and also run on SQLite.
+ */
+class SchemaMigrator {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.migrationsDir = options.migrationsDir || path.join(__dirname, '../database/migrations');
+  }
+
+  /**
+   * Create the schema_migrations table if needed
+   */
+  async ensureTable() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        execution_ms INT
+      )
+    `);
+  }
+
+  /**
+   * List migration files in version order
+   */
+  async listMigrations() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.migrationsDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const migrations = files
+      .map(file => {
+        const match = file.match(MIGRATION_FILE_PATTERN);
+        return match ? { version: match[1], name: match[2], file: path.join(this.migrationsDir, file) } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => Number(a.version) - Number(b.version));
+
+    const seen = new Set();
+    migrations.forEach(migration => {
+      if (seen.has(Number(migration.version))) {
+        throw new Error(`Duplicate migration version ${migration.version}`);
+      }
+      seen.add(Number(migration.version));
+    });
+
+    return migrations;
+  }
+
+  /**
+   * Applied migrations keyed by version
+   */
+  async getApplied() {
+    await this.ensureTable();
+    const [rows] = await this.pool.query('SELECT version, name, applied_at FROM schema_migrations');
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Status of every migration, plus applied versions whose files are missing
+   */
+  async status() {
+    const migrations = await this.listMigrations();
+    const applied = await this.getApplied();
+
+    const rows = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      applied_at: applied.get(migration.version)?.applied_at || null
+    }));
+
+    const known = new Set(migrations.map(migration => migration.version));
+    const missing = Array.from(applied.values()).filter(row => !known.has(row.version));
+
+    return {
+      migrations: rows,
+      pending: rows.filter(row => !row.applied),
+      missing,
+      current: rows.filter(row => row.applied).map(row => row.version).pop() || null
+    };
+  }
+
+  /**
+   * Apply pending migrations in order, optionally stopping after a version or a number of steps
+   */
+  async up(options = {}) {
+    const { to = null, steps = null } = options;
+    const { pending } = await this.status();
+    const migrations = await this.listMigrations();
+
+    let selected = pending;
+    if (to !== null) {
+      selected = selected.filter(row => Number(row.version) <= Number(to));
+    }
+    if (steps !== null) {
+      selected = selected.slice(0, steps);
+    }
+
+    const applied = [];
+    for (const row of selected) {
+      const migration = migrations.find(candidate => candidate.version === row.version);
+      await this.run(migration, 'up');
+      applied.push(row);
+    }
+
+    return applied;
+  }
+
+  /**
+   * Revert applied migrations, newest first (one step by default, or down to but not including a version)
+   */
+  async down(options = {}) {
+    const { to = null, steps = to === null ? 1 : null } = options;
+    const { migrations: rows, missing } = await this.status();
+    const migrations = await this.listMigrations();
+
+    let selected = rows.filter(row => row.applied).reverse();
+    if (to !== null) {
+      selected = selected.filter(row => Number(row.version) > Number(to));
+    }
+    if (steps !== null) {
+      selected = selected.slice(0, steps);
+    }
+
+    const newestMissing = missing.map(row => Number(row.version)).sort((a, b) => b - a)[0];
+    if (selected.length > 0 && newestMissing > Number(selected[0].version)) {
+      throw new Error(`Applied migration ${missing.find(row => Number(row.version) === newestMissing).version} has no file; cannot revert past it`);
+    }
+
+    const reverted = [];
+    for (const row of selected) {
+      const migration = migrations.find(candidate => candidate.version === row.version);
+      await this.run(migration, 'down');
+      reverted.push(row);
+    }
+
+    return reverted;
+  }
+
+  /**
+   * Run one migration in one direction and record the result
+   */
+  async run(migration, direction) {
+    const definition = require(migration.file);
+    if (typeof definition[direction] !== 'function') {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no ${direction}()`);
+    }
+
+    console.log(`${direction === 'up' ? '⬆️' : '⬇️'}  ${migration.version}_${migration.name}`);
+    const startTime = Date.now();
+
+    try {
+      await definition[direction](this.helpers());
+    } catch (error) {
+      error.message = `Migration ${migration.version}_${migration.name} ${direction} failed: ${error.message}`;
+      throw error;
+    }
+
+    if (direction === 'up') {
+      await this.pool.query(
+        'INSERT INTO schema_migrations (version, name, execution_ms) VALUES (?, ?, ?)',
+        [migration.version, migration.name, Date.now() - startTime]
+      );
+    } else {
+      await this.pool.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    }
+  }
+
+  /**
+   * Throw if migrations are pending, so nothing runs against a schema that is behind
+   */
+  async assertCurrent() {
+    const { pending, missing } = await this.status();
+
+    if (pending.length > 0) {
+      const error = new Error(
+        `Database schema is behind: ${pending.length} pending migration(s) ` +
+        `(${pending.map(row => `${row.version}_${row.name}`).join(', ')}). Run: npm run migrate`
+      );
+      error.code = 'SCHEMA_BEHIND';
+      error.pending = pending;
+      throw error;
+    }
+
+    if (missing.length > 0) {
+      console.warn(`⚠️ Database has migrations this code does not know: ${missing.map(row => row.version).join(', ')}`);
+    }
+  }
+
+  /**
+   * Create a new, empty migration file with the next version number
+   */
+  async create(description) {
+    const name = String(description || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (!name) {
+      throw new Error('Migration name is required');
+    }
+
+    const migrations = await this.listMigrations();
+    const last = migrations.length > 0 ? Number(migrations[migrations.length - 1].version) : 0;
+    const version = String(last + 1).padStart(3, '0');
+    const file = path.join(this.migrationsDir, `${version}_${name}.js`);
+
+    await fs.mkdir(this.migrationsDir, { recursive: true });
+    await fs.writeFile(file, MIGRATION_TEMPLATE.replace('{description}', description), { flag: 'wx' });
+
+    return { version, name, file };
+  }
+
+  /**
+   * Split a SQL script into statements, dropping comments
+   */
+  splitStatements(sql) {
+    return sql
+      .split('\n')
+      .map(line => line.replace(/(^|\s)--.*$/, ''))
+      .join('\n')
+      .split(';')
+      .map(statement => statement.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Database helpers handed to migrations
+   */
+  helpers() {
+    const pool = this.pool;
+
+    // Statements are written in MySQL DDL; the storage adapter translates them for its dialect
+    const query = async (sql, params) => {
+      let result;
+      for (const statement of pool.schemaStatements(sql)) {
+        result = await pool.query(statement, params);
+      }
+      return result;
+    };
+
+    const columnExists = (table, column) => pool.columnExists(table, column);
+    const indexExists = (table, index) => pool.indexExists(table, index);
+
+    return {
+      dialect: pool.dialect,
+      query,
+
+      executeFile: async file => {
+        const sql = await fs.readFile(path.resolve(this.migrationsDir, file), 'utf8');
+        for (const statement of this.splitStatements(sql)) {
+          await query(statement);
+        }
+      },
+
+      columnExists,
+      indexExists,
+
+      addColumn: async (table, column, definition) => {
+        if (!await columnExists(table, column)) {
+          await query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+      },
+
+      dropColumn: async (table, column) => {
+        if (await columnExists(table, column)) {
+          await query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+        }
+      },
+
+      // type is '' for a plain index, or 'UNIQUE' / 'FULLTEXT' (MySQL only)
+      addIndex: async (table, index, columns, type = '') => {
+        if (!await indexExists(table, index)) {
+          await query(`ALTER TABLE ${table} ADD ${type ? `${type} ` : ''}INDEX ${index} (${columns})`);
+        }
+      },
+
+      dropIndex: async (table, index) => {
+        if (await indexExists(table, index)) {
+          await query(`ALTER TABLE ${table} DROP INDEX ${index}`);
+        }
+      }
+    };
+  }
+}
+
+module.exports = SchemaMigrator;
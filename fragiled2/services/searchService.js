@@ -0,0 +1,356 @@
+// Severity bands for search facets, matching the card labels in the frontend (BREAKING, URGENT, IMPORTANT, NEWS)
+const SEVERITY_BANDS = [
+  { name: 'breaking', min: 90, max: null },
+  { name: 'urgent', min: 80, max: 90 },
+  { name: 'important', min: 70, max: 80 },
+  { name: 'news', min: null, max: 70 }
+];
+
+const CursorPagination = require('./cursorPagination');
+
+const cursors = new CursorPagination();
+
+const SORT_ORDERS = {
+  relevance: 'relevance DESC, a.date DESC, a.id DESC',
+  date: cursors.order()
+};
+
+/**
+ * Search Service for FNS
+ * Full-text article search with relevance ranking (titles boosted), phrase, OR and negation syntax,
+ * highlighted snippets and facet counts. The full-text match itself comes from the storage adapter:
+ * FULLTEXT indexes on MySQL, an FTS5 table on SQLite.
+ *
+ * Query syntax: words are all required, "quoted phrases" match exactly, -word or -"phrase" excludes,
+ * and OR between two items accepts either.
+ */
+class SearchService {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.titleBoost = options.titleBoost ?? parseFloat(process.env.SEARCH_TITLE_BOOST || '3');
+    this.snippetLength = options.snippetLength ?? 240;
+    this.facetLimit = options.facetLimit ?? 20;
+  }
+
+  /**
+   * Parse search syntax into required groups (each a list of alternatives) and excluded items
+   * Every item is a list of words: one word for a term, several for a phrase
+   */
+  parseQuery(text) {
+    const groups = [];
+    const excluded = [];
+    const pattern = /([-+]?)"([^"]*)"?|(\S+)/g;
+    let orNext = false;
+    let match;
+
+    while ((match = pattern.exec(String(text || ''))) !== null) {
+      const [, sign, phrase, token] = match;
+
+      if (token === 'OR') {
+        orNext = groups.length > 0;
+        continue;
+      }
+
+      const negated = token !== undefined ? token.length > 1 && token.startsWith('-') : sign === '-';
+      const words = this.words(token !== undefined ? token.replace(/^[-+]/, '') : phrase);
+      if (words.length === 0) continue;
+
+      if (negated) {
+        excluded.push(words);
+      } else if (orNext) {
+        groups[groups.length - 1].push(words);
+      } else {
+        groups.push([words]);
+      }
+      orNext = false;
+    }
+
+    return { groups, excluded };
+  }
+
+  /**
+   * Lowercase words of a term; punctuation inside a term (anti-racism) splits it into a phrase
+   */
+  words(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  /**
+   * Parse search text and build the storage adapter's full-text match for it
+   * match is null when the adapter can match none of the words (e.g. all below MySQL's minimum length)
+   */
+  matchQuery(text) {
+    const parsed = this.parseQuery(text);
+    if (parsed.groups.length === 0) {
+      const error = new Error('Search query needs at least one word or phrase to match');
+      error.validationErrors = [error.message];
+      throw error;
+    }
+
+    return { parsed, match: this.pool.fullTextMatch(parsed, { titleBoost: this.titleBoost }) };
+  }
+
+  /**
+   * Search articles
+   * Returns { articles, total, hasMore, nextCursor, pagedBy, facets, parsed }; see facets() for the counts.
+   * Pass nextCursor back as cursor for the next page; includeTotal: false skips the count (total is null).
+   * Relevance pages by offset (pagedBy 'offset'): articles imported between requests can shift them.
+   * Sort by date for pages that are stable under imports.
+   */
+  async search(text, options = {}) {
+    const {
+      limit = 20,
+      cursor = null,
+      includeTotal = true,
+      category = null,
+      minSeverity = 0,
+      keyword = null,
+      severity = null,
+      date = null,
+      sort = 'relevance',
+      includeFacets = true
+    } = options;
+
+    const order = SORT_ORDERS[sort] ? sort : 'relevance';
+    const position = cursors.decode(cursor, order);
+    const offset = position ? position.offset || 0 : options.offset || 0;
+
+    const { parsed, match } = this.matchQuery(text);
+    if (!match) {
+      return {
+        articles: [],
+        total: 0,
+        hasMore: false,
+        nextCursor: null,
+        pagedBy: order === 'date' ? 'keyset' : 'offset',
+        facets: includeFacets ? this.emptyFacets() : null,
+        parsed
+      };
+    }
+
+    const conditions = [match.condition];
+    const params = [...match.conditionParams];
+
+    if (category) {
+      conditions.push(`a.id IN (
+        SELECT ac.article_id
+        FROM fns_article_categories ac
+        JOIN fns_categories c ON ac.category_id = c.id
+        WHERE c.name = ?
+      )`);
+      params.push(category);
+    }
+    if (minSeverity > 0) {
+      conditions.push('a.severity_score >= ?');
+      params.push(minSeverity);
+    }
+    if (keyword) {
+      conditions.push('a.keyword = ?');
+      params.push(keyword);
+    }
+    if (severity) {
+      const band = SEVERITY_BANDS.find(candidate => candidate.name === severity);
+      if (band && band.min !== null) {
+        conditions.push('a.severity_score >= ?');
+        params.push(band.min);
+      }
+      if (band && band.max !== null) {
+        conditions.push('a.severity_score < ?');
+        params.push(band.max);
+      }
+    }
+    if (date) {
+      conditions.push('a.date = ?');
+      params.push(date);
+    }
+
+    const from = `FROM fns_articles a ${match.join}`;
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    // Newest-first pages continue by keyset after the cursor's article
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (position && position.keyset) {
+      const after = cursors.after(position.keyset);
+      pageConditions.push(after.condition);
+      pageParams.push(...after.params);
+    }
+
+    const [rows] = await this.pool.execute(`
+      SELECT
+        a.id, a.title, a.url, a.source_domain, a.summary, a.keyword,
+        a.severity_score, a.date, a.imported_at, a.featured_image,
+        a.analysis_status, a.content, a.full_content,
+        k.keisha_summary, k.bias_score,
+        ${match.score} AS relevance
+      ${from}
+      LEFT JOIN fns_keisha_analysis k ON a.id = k.article_id
+      WHERE ${pageConditions.join(' AND ')}
+      ORDER BY ${SORT_ORDERS[order]}
+      LIMIT ? OFFSET ?
+    `, [...match.scoreParams, ...pageParams, limit + 1, offset]);
+
+    const page = cursors.page(rows, { sort: order, limit, offset, keyset: order === 'date' });
+
+    let total = null;
+    if (includeTotal) {
+      const [countResult] = await this.pool.execute(`SELECT COUNT(*) as total ${from} ${where}`, params);
+      total = countResult[0].total;
+    }
+
+    const matcher = this.matcher(parsed);
+    const articles = page.items.map(({ content, full_content: fullContent, ...article }) => ({
+      ...article,
+      relevance: Math.round((parseFloat(article.relevance) || 0) * 1000) / 1000,
+      highlights: {
+        title: this.highlight(article.title || '', matcher),
+        snippet: this.snippet([fullContent, content, article.summary], matcher)
+      }
+    }));
+
+    return {
+      articles,
+      total,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      pagedBy: page.pagedBy,
+      facets: includeFacets ? await this.facets(from, where, params) : null,
+      parsed
+    };
+  }
+
+  /**
+   * Count matching articles by keyword, category, severity band, source domain and date,
+   * plus how many have fetched full text and images
+   * from and where (which may be empty) select the articles, fns_articles aliased a; params belong to where
+   */
+  async facets(from, where, params) {
+    const severityBand = `CASE ${SEVERITY_BANDS
+      .filter(band => band.min !== null)
+      .map(band => `WHEN a.severity_score >= ${band.min} THEN '${band.name}'`)
+      .join(' ')} ELSE 'news' END`;
+
+    const countBy = async (value, options = {}) => {
+      const { join = '', order = 'count DESC, value ASC', limit = this.facetLimit } = options;
+      const [rows] = await this.pool.execute(`
+        SELECT ${value} AS value, COUNT(DISTINCT a.id) AS count
+        ${from} ${join} ${where ? `${where} AND` : 'WHERE'} ${value} IS NOT NULL
+        GROUP BY ${value}
+        ORDER BY ${order}
+        LIMIT ${limit}
+      `, params);
+      return rows.map(row => ({ value: row.value, count: row.count }));
+    };
+
+    const keyword = await countBy('a.keyword');
+    const category = await countBy('facet_category.name', {
+      join: `JOIN fns_article_categories facet_ac ON facet_ac.article_id = a.id
+        JOIN fns_categories facet_category ON facet_category.id = facet_ac.category_id`
+    });
+    const sourceDomain = await countBy('a.source_domain');
+    const bands = await countBy(severityBand, { limit: SEVERITY_BANDS.length });
+    const dates = await countBy('a.date', { order: 'value DESC' });
+
+    const [flags] = await this.pool.execute(`
+      SELECT
+        COUNT(CASE WHEN a.content_fetched = TRUE THEN 1 END) AS content_fetched,
+        COUNT(CASE WHEN a.featured_image IS NOT NULL
+          OR EXISTS (SELECT 1 FROM fns_article_images facet_i WHERE facet_i.article_id = a.id) THEN 1 END) AS has_images
+      ${from} ${where}
+    `, params);
+
+    const bandCounts = new Map(bands.map(row => [row.value, row.count]));
+
+    return {
+      keyword,
+      category,
+      severity: SEVERITY_BANDS
+        .map(band => ({ value: band.name, min: band.min, max: band.max, count: bandCounts.get(band.name) || 0 }))
+        .filter(band => band.count > 0),
+      source_domain: sourceDomain,
+      date: dates.map(row => ({ value: this.toDateString(row.value), count: row.count })),
+      content_fetched: Number(flags[0].content_fetched) || 0,
+      has_images: Number(flags[0].has_images) || 0
+    };
+  }
+
+  emptyFacets() {
+    return { keyword: [], category: [], severity: [], source_domain: [], date: [], content_fetched: 0, has_images: 0 };
+  }
+
+  /**
+   * Regex matching any searched term or phrase as whole words
+   */
+  matcher(parsed) {
+    const alternatives = parsed.groups
+      .flat()
+      .map(words => words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^\\p{L}\\p{N}]+'))
+      .sort((a, b) => b.length - a.length);
+
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  }
+
+  /**
+   * HTML-escape text and wrap matches in <mark>
+   */
+  highlight(text, matcher) {
+    let result = '';
+    let last = 0;
+
+    for (const match of text.matchAll(new RegExp(matcher))) {
+      result += `${this.escapeHtml(text.slice(last, match.index))}<mark>${this.escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+
+    return result + this.escapeHtml(text.slice(last));
+  }
+
+  /**
+   * Highlighted excerpt around the first match in the fullest text that has one
+   */
+  snippet(texts, matcher) {
+    const candidates = texts.filter(Boolean).map(text => String(text).replace(/\s+/g, ' ').trim());
+
+    for (const text of candidates) {
+      const match = new RegExp(matcher).exec(text);
+      if (!match) continue;
+
+      let start = Math.max(0, match.index - Math.floor(this.snippetLength / 3));
+      if (start > 0) {
+        start = text.indexOf(' ', start) + 1 || start;
+      }
+      let end = Math.min(text.length, start + this.snippetLength);
+      if (end < text.length) {
+        end = text.lastIndexOf(' ', end) > match.index ? text.lastIndexOf(' ', end) : end;
+      }
+
+      return `${start > 0 ? '…' : ''}${this.highlight(text.slice(start, end), matcher)}${end < text.length ? '…' : ''}`;
+    }
+
+    // Matched through a field we do not excerpt; fall back to the opening text
+    const text = candidates[candidates.length - 1] || '';
+    return this.escapeHtml(text.substring(0, this.snippetLength)) + (text.length > this.snippetLength ? '…' : '');
+  }
+
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * YYYY-MM-DD for a DATE value (mysql2 returns Date objects in local time, SQLite returns text)
+   */
+  toDateString(value) {
+    if (!(value instanceof Date)) return value;
+    const pad = number => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+}
+
+SearchService.SEVERITY_BANDS = SEVERITY_BANDS;
+SearchService.SORT_ORDERS = SORT_ORDERS;
+
+module.exports = SearchService;
@@ -0,0 +1,258 @@
+const { createStorage } = require('./storage');
+
+// Built-in sources, used when the fns_sources table is empty or the database is unreachable
+const DEFAULT_SOURCES = [
+  {
+    id: 'sows_critical',
+    name: 'soWSnewsletter critical newsletter',
+    base_url: 'https://raw.githubusercontent.com/djangamane/soWSnewsletter/main/docs',
+    file_pattern: 'critical_newsletter_{date}.txt',
+    parser_type: 'auto',
+    trust_weight: 1.0,
+    enabled: true
+  },
+  {
+    id: 'sows_full_articles',
+    name: 'soWSnewsletter full articles',
+    base_url: 'https://raw.githubusercontent.com/djangamane/soWSnewsletter/main',
+    file_pattern: 'full_articles_{date}.json',
+    parser_type: 'full_articles',
+    trust_weight: 1.0,
+    enabled: true
+  }
+];
+
+// Parser types a source can use; newsletter formats come from NewsletterFormatRegistry,
+// rss sources are RSS/Atom feeds polled by FeedIngestionService
+const PARSER_TYPES = ['auto', 'text', 'markdown', 'json', 'full_articles', 'rss'];
+
+/**
+ * Source Registry for FNS
+ * Keeps the list of newsletter sources (base URL, file naming pattern, parser type, trust weight)
+ * in the fns_sources table and merges stories that several sources report.
+ */
+class SourceRegistry {
+  constructor() {
+    this.pool = null;
+    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.cached = null;
+  }
+
+  /**
+   * Get (and lazily create) the database storage
+   */
+  getPool() {
+    if (!this.pool) {
+      this.pool = createStorage({ connectionLimit: 2 });
+    }
+    return this.pool;
+  }
+
+  /**
+   * Normalize a source row from the database or an API payload
+   */
+  normalizeSource(source) {
+    return {
+      id: source.id,
+      name: source.name || source.id,
+      base_url: String(source.base_url || '').replace(/\/+$/, ''),
+      file_pattern: source.file_pattern || '',
+      parser_type: source.parser_type || 'auto',
+      trust_weight: parseFloat(source.trust_weight ?? 1),
+      enabled: source.enabled === undefined ? true : !!source.enabled
+    };
+  }
+
+  /**
+   * Validate a source definition, returning a list of problems
+   */
+  validateSource(source) {
+    const errors = [];
+
+    if (!source.id || !/^[a-z0-9_-]+$/i.test(source.id)) {
+      errors.push('id must be a non-empty slug (letters, digits, _ or -)');
+    }
+    if (!/^https?:\/\//i.test(source.base_url || '')) {
+      errors.push('base_url must be an http(s) URL');
+    }
+    // Feeds are fetched from base_url itself, dated files need a pattern
+    if (source.parser_type !== 'rss' && !/\{(date|iso|yyyy)\}/.test(source.file_pattern || '')) {
+      errors.push('file_pattern must contain a {date}, {iso} or {yyyy} token');
+    }
+    if (source.parser_type && !PARSER_TYPES.includes(source.parser_type)) {
+      errors.push(`parser_type must be one of: ${PARSER_TYPES.join(', ')}`);
+    }
+    const weight = parseFloat(source.trust_weight ?? 1);
+    if (Number.isNaN(weight) || weight < 0 || weight > 9.99) {
+      errors.push('trust_weight must be between 0 and 9.99');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Load all sources, falling back to the built-in defaults
+   */
+  async getSources(options = {}) {
+    const { useCache = true } = options;
+
+    if (useCache && this.cached && Date.now() - this.cached.timestamp < this.cacheTimeout) {
+      return this.cached.data;
+    }
+
+    let sources = DEFAULT_SOURCES.map(source => this.normalizeSource(source));
+
+    try {
+      const [rows] = await this.getPool().execute(`
+        SELECT id, name, base_url, file_pattern, parser_type, trust_weight, enabled
+        FROM fns_sources
+        ORDER BY trust_weight DESC, id ASC
+      `);
+
+      if (rows.length > 0) {
+        sources = rows.map(row => this.normalizeSource(row));
+      }
+    } catch (error) {
+      console.warn('Source registry unavailable, using default sources:', error.message);
+    }
+
+    this.cached = { data: sources, timestamp: Date.now() };
+    return sources;
+  }
+
+  /**
+   * Get enabled sources, optionally limited to 'newsletter', 'full_articles' or 'feed' sources
+   */
+  async getEnabledSources(kind = null) {
+    const sources = await this.getSources();
+
+    return sources.filter(source => {
+      if (!source.enabled) return false;
+      if (kind === 'full_articles') return source.parser_type === 'full_articles';
+      if (kind === 'feed') return source.parser_type === 'rss';
+      if (kind === 'newsletter') return !['full_articles', 'rss'].includes(source.parser_type);
+      return true;
+    });
+  }
+
+  /**
+   * Create or update a source
+   */
+  async saveSource(source) {
+    const normalized = this.normalizeSource(source);
+    const errors = this.validateSource(normalized);
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid source: ${errors.join('; ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    await this.getPool().execute(`
+      INSERT INTO fns_sources (id, name, base_url, file_pattern, parser_type, trust_weight, enabled)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ${this.getPool().upsert(['name', 'base_url', 'file_pattern', 'parser_type', 'trust_weight', 'enabled'])}
+    `, [
+      normalized.id,
+      normalized.name,
+      normalized.base_url,
+      normalized.file_pattern,
+      normalized.parser_type,
+      normalized.trust_weight,
+      normalized.enabled
+    ]);
+
+    this.cached = null;
+    return normalized;
+  }
+
+  /**
+   * Build the file name and URL a source publishes for a date
+   */
+  buildFileUrl(source, date) {
+    const yyyy = String(date.getUTCFullYear());
+    const mm = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const dd = String(date.getUTCDate()).padStart(2, '0');
+
+    const fileName = source.file_pattern
+      .replace(/\{date\}/g, `${yyyy}${mm}${dd}`)
+      .replace(/\{iso\}/g, `${yyyy}-${mm}-${dd}`)
+      .replace(/\{yyyy\}/g, yyyy)
+      .replace(/\{mm\}/g, mm)
+      .replace(/\{dd\}/g, dd);
+
+    return { fileName, url: `${source.base_url}/${fileName}` };
+  }
+
+  /**
+   * Close the database storage
+   */
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+    }
+  }
+
+  /**
+   * Normalize an article URL for cross-source comparison
+   */
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'ref'].forEach(param =>
+        parsed.searchParams.delete(param)
+      );
+      const host = parsed.host.toLowerCase().replace(/^www\./, '');
+      const pathname = parsed.pathname.replace(/\/+$/, '');
+      return `${host}${pathname}${parsed.search}`;
+    } catch (error) {
+      return String(url || '').trim().toLowerCase();
+    }
+  }
+
+  /**
+   * Merge stories reported by several sources into one article per URL
+   * The copy from the most trusted source wins; every reporting source is listed in sources,
+   * and merged_ids lists the ids of every copy merged into the article
+   */
+  mergeArticles(articles) {
+    const merged = new Map();
+
+    for (const article of articles) {
+      const key = this.normalizeUrl(article.url);
+      const sourceRef = {
+        source_id: article.source_id || null,
+        source_name: article.source_name || null,
+        trust_weight: article.trust_weight ?? 1,
+        date: article.date,
+        severity_score: article.severity_score
+      };
+
+      const ids = article.merged_ids || [article.id];
+
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { ...article, sources: [sourceRef], merged_ids: ids });
+        continue;
+      }
+
+      const sources = [...existing.sources, sourceRef];
+      const mergedIds = [...existing.merged_ids, ...ids.filter(id => !existing.merged_ids.includes(id))];
+      const existingWeight = existing.trust_weight ?? 1;
+      const candidateWeight = article.trust_weight ?? 1;
+      const candidateWins = candidateWeight > existingWeight ||
+        (candidateWeight === existingWeight && (article.severity_score || 0) > (existing.severity_score || 0));
+
+      merged.set(key, { ...(candidateWins ? article : existing), sources, merged_ids: mergedIds });
+    }
+
+    return Array.from(merged.values());
+  }
+}
+
+SourceRegistry.DEFAULT_SOURCES = DEFAULT_SOURCES;
+SourceRegistry.PARSER_TYPES = PARSER_TYPES;
+
+module.exports = SourceRegistry;
@@ -0,0 +1,376 @@
+const fs = require('fs');
+const path = require('path');
+
+// Open database files, shared by every storage instance using the same file so they also share
+// one transaction lock: { db, refs, lock }
+const databases = new Map();
+
+/**
+ * SQLite Storage for FNS
+ * Runs the FNS schema and queries against a local file (or :memory:) with the same
+ * execute/query/getConnection interface as the mysql2 pool. Migrations are written in MySQL DDL;
+ * schemaStatements() translates the subset they use (AUTO_INCREMENT, ENUM, inline indexes, ...).
+ */
+class SQLiteStorage {
+  constructor(options = {}) {
+    this.dialect = 'sqlite';
+    this.file = options.file || process.env.DB_FILE || path.join(__dirname, '../data/fns.sqlite');
+    this.shared = null;
+    this.ended = false;
+  }
+
+  /**
+   * Open (or join) the database on first use
+   */
+  open() {
+    if (this.ended) {
+      throw new Error('SQLite storage has been closed');
+    }
+
+    if (!this.shared) {
+      const key = this.file === ':memory:' ? this.file : path.resolve(this.file);
+      let shared = databases.get(key);
+
+      if (!shared) {
+        let Database;
+        try {
+          Database = require('better-sqlite3');
+        } catch (error) {
+          throw new Error('DB_CLIENT=sqlite needs the better-sqlite3 package: npm install better-sqlite3');
+        }
+
+        if (key !== ':memory:') {
+          fs.mkdirSync(path.dirname(key), { recursive: true });
+        }
+
+        const db = new Database(key);
+        db.pragma('journal_mode = WAL');
+        db.pragma('foreign_keys = ON');
+        db.pragma('busy_timeout = 5000');
+
+        shared = { db, refs: 0, lock: Promise.resolve() };
+        databases.set(key, shared);
+      }
+
+      shared.refs++;
+      this.shared = shared;
+      this.key = key;
+    }
+
+    return this.shared;
+  }
+
+  /**
+   * Run one statement, returning results shaped like mysql2's: [rows, columns] or [{ affectedRows, insertId }]
+   */
+  run(sql, params = []) {
+    const statement = this.open().db.prepare(sql);
+    const values = (params || []).map(value => this.toSqlValue(value));
+
+    if (statement.reader) {
+      const columns = statement.columns();
+      const jsonColumns = columns
+        .filter(column => column.type && column.type.toUpperCase() === 'JSON')
+        .map(column => column.name);
+
+      const rows = statement.all(values);
+      if (jsonColumns.length > 0) {
+        rows.forEach(row => jsonColumns.forEach(name => {
+          row[name] = this.parseJson(row[name]);
+        }));
+      }
+
+      return [rows, columns];
+    }
+
+    const result = statement.run(values);
+    return [{ affectedRows: result.changes, insertId: Number(result.lastInsertRowid) }];
+  }
+
+  /**
+   * Convert a parameter to a value SQLite can bind
+   */
+  toSqlValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString().slice(0, 19).replace('T', ' ');
+    if (typeof value === 'object' && !Buffer.isBuffer(value)) return JSON.stringify(value);
+    return value;
+  }
+
+  /**
+   * Parse a JSON column the way mysql2 does, leaving invalid JSON as text
+   */
+  parseJson(value) {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * Statements outside a transaction wait for the current transaction to finish
+   */
+  async execute(sql, params) {
+    await this.open().lock;
+    return this.run(sql, params);
+  }
+
+  async query(sql, params) {
+    return await this.execute(sql, params);
+  }
+
+  /**
+   * Get a connection for a transaction; it holds the database until released
+   */
+  async getConnection() {
+    const shared = this.open();
+    const previous = shared.lock;
+
+    let unlock;
+    shared.lock = new Promise(resolve => {
+      unlock = resolve;
+    });
+    await previous;
+
+    let released = false;
+    return {
+      execute: async (sql, params) => this.run(sql, params),
+      query: async (sql, params) => this.run(sql, params),
+      beginTransaction: async () => {
+        shared.db.exec('BEGIN IMMEDIATE');
+      },
+      commit: async () => {
+        shared.db.exec('COMMIT');
+      },
+      rollback: async () => {
+        if (shared.db.inTransaction) shared.db.exec('ROLLBACK');
+      },
+      release: () => {
+        if (released) return;
+        released = true;
+        if (shared.db.inTransaction) shared.db.exec('ROLLBACK');
+        unlock();
+      }
+    };
+  }
+
+  /**
+   * Leave the database, closing it when no other storage instance uses it
+   */
+  async end() {
+    if (this.ended) return;
+    this.ended = true;
+
+    if (this.shared) {
+      await this.shared.lock;
+      this.shared.refs--;
+      if (this.shared.refs === 0) {
+        databases.delete(this.key);
+        this.shared.db.close();
+      }
+      this.shared = null;
+    }
+  }
+
+  insertIgnore() {
+    return 'INSERT OR IGNORE';
+  }
+
+  isDuplicateKey(error) {
+    return !!error && ['SQLITE_CONSTRAINT_UNIQUE', 'SQLITE_CONSTRAINT_PRIMARYKEY'].includes(error.code);
+  }
+
+  upsert(columns, assignments = []) {
+    return `ON CONFLICT DO UPDATE SET ${[
+      ...columns.map(column => `${column} = excluded.${column}`),
+      ...assignments
+    ].join(', ')}`;
+  }
+
+  daysAgo() {
+    return "DATE('now', '-' || ? || ' days')";
+  }
+
+  minutesAgo() {
+    return "DATETIME('now', '-' || ? || ' minutes')";
+  }
+
+  daysSince(column, at = null) {
+    const today = at ? `'${this.toSqlValue(at)}'` : "'now'";
+    return `CAST(JULIANDAY(DATE(${today})) - JULIANDAY(${column}) AS INTEGER)`;
+  }
+
+  hoursSince(column, at = null) {
+    const now = at ? `'${this.toSqlValue(at)}'` : "'now'";
+    return `((JULIANDAY(${now}) - JULIANDAY(${column})) * 24)`;
+  }
+
+  /**
+   * Full-text match against fns_articles (aliased a) through the FTS5 table
+   * parsed is { groups, excluded } from SearchService.parseQuery; returns null when nothing is searchable
+   */
+  fullTextMatch(parsed, options = {}) {
+    const { titleBoost = 1 } = options;
+    const phrase = words => `"${words.join(' ').replace(/"/g, '""')}"`;
+
+    const groups = parsed.groups.map(group =>
+      group.length > 1 ? `(${group.map(phrase).join(' OR ')})` : phrase(group[0])
+    );
+    if (groups.length === 0) return null;
+
+    const match = groups.join(' AND ') + parsed.excluded.map(words => ` NOT ${phrase(words)}`).join('');
+
+    return {
+      join: 'JOIN fns_articles_fts ON fns_articles_fts.article_id = a.id',
+      condition: 'fns_articles_fts MATCH ?',
+      conditionParams: [match],
+      // bm25 is lower for better matches; weights follow the FTS columns (article_id, title, summary, content, full_content)
+      score: `-bm25(fns_articles_fts, 0, ${Number(titleBoost)}, 1, 1, 1)`,
+      scoreParams: []
+    };
+  }
+
+  async listTables(prefix = '') {
+    const [rows] = await this.execute(`
+      SELECT name FROM sqlite_master
+      WHERE type = 'table' AND name LIKE ? AND name NOT LIKE 'sqlite_%'
+      ORDER BY name
+    `, [`${prefix}%`]);
+    return rows.map(row => row.name);
+  }
+
+  async columnExists(table, column) {
+    const [rows] = await this.execute('SELECT 1 FROM pragma_table_info(?) WHERE name = ?', [table, column]);
+    return rows.length > 0;
+  }
+
+  async indexExists(table, index) {
+    const [rows] = await this.execute(
+      "SELECT 1 FROM sqlite_master WHERE type = 'index' AND name = ?",
+      [this.indexName(table, index)]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * SQLite index names are global, so MySQL's per-table names get the table as a prefix
+   */
+  indexName(table, index) {
+    return `${table}_${index}`;
+  }
+
+  /**
+   * Translate a schema statement written in MySQL DDL into SQLite statements
+   */
+  schemaStatements(sql) {
+    const statement = sql.trim();
+    let match;
+
+    match = statement.match(/^CREATE TABLE\s+(IF NOT EXISTS\s+)?(\w+)\s*\(([\s\S]*)\)[^)]*$/i);
+    if (match) {
+      const [, ifNotExists = '', table, body] = match;
+      const indexes = [];
+
+      const definitions = this.splitDefinitions(body).filter(definition => {
+        // Full-text search lives in a separate FTS5 table on SQLite
+        if (/^FULLTEXT\s+(?:INDEX|KEY)\b/i.test(definition)) return false;
+
+        const index = definition.match(/^(UNIQUE\s+)?(?:INDEX|KEY)\s+(\w+)\s*\(([^)]+)\)$/i);
+        if (!index) return true;
+
+        indexes.push(
+          `CREATE ${index[1] ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${this.indexName(table, index[2])} ON ${table} (${index[3]})`
+        );
+        return false;
+      });
+
+      return [
+        `CREATE TABLE ${ifNotExists}${table} (\n  ${definitions.map(definition => this.columnDefinition(definition)).join(',\n  ')}\n)`,
+        ...indexes
+      ];
+    }
+
+    match = statement.match(/^ALTER TABLE\s+(\w+)\s+ADD COLUMN\s+(\w+)\s+([\s\S]+)$/i);
+    if (match) {
+      return [`ALTER TABLE ${match[1]} ADD COLUMN ${match[2]} ${this.columnDefinition(match[3])}`];
+    }
+
+    match = statement.match(/^ALTER TABLE\s+(\w+)\s+ADD\s+(UNIQUE\s+)?(?:INDEX|KEY)\s+(\w+)\s*\(([^)]+)\)$/i);
+    if (match) {
+      return [`CREATE ${match[2] ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${this.indexName(match[1], match[3])} ON ${match[1]} (${match[4]})`];
+    }
+
+    match = statement.match(/^ALTER TABLE\s+(\w+)\s+DROP\s+(?:INDEX|KEY)\s+(\w+)$/i);
+    if (match) {
+      return [`DROP INDEX IF EXISTS ${this.indexName(match[1], match[2])}`];
+    }
+
+    match = statement.match(/^CREATE OR REPLACE VIEW\s+(\w+)\s+AS\s+([\s\S]+)$/i);
+    if (match) {
+      return [`DROP VIEW IF EXISTS ${match[1]}`, `CREATE VIEW ${match[1]} AS ${match[2]}`];
+    }
+
+    // SQLite drops one table or view per statement
+    match = statement.match(/^DROP (TABLE|VIEW) IF EXISTS\s+([\w\s,]+)$/i);
+    if (match) {
+      return match[2].split(',').map(name => `DROP ${match[1].toUpperCase()} IF EXISTS ${name.trim()}`);
+    }
+
+    if (/^INSERT\b/i.test(statement)) {
+      const [insert, update] = statement.replace(/^INSERT IGNORE\b/i, 'INSERT OR IGNORE').split(/\bON DUPLICATE KEY UPDATE\b/i);
+      return [update === undefined
+        ? insert
+        : `${insert}ON CONFLICT DO UPDATE SET${update.replace(/\bVALUES\((\w+)\)/gi, 'excluded.$1')}`];
+    }
+
+    return [statement];
+  }
+
+  /**
+   * Translate one MySQL column definition
+   */
+  columnDefinition(definition) {
+    return definition
+      .replace(/\bINT(?:EGER)?\s+AUTO_INCREMENT\s+PRIMARY KEY\b/i, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+      .replace(/\bENUM\s*\([^)]*\)/i, 'TEXT')
+      .replace(/\s+ON UPDATE CURRENT_TIMESTAMP\b/i, '')
+      .replace(/\s+(?:AFTER\s+\w+|FIRST)\s*$/i, '');
+  }
+
+  /**
+   * Split a CREATE TABLE body on top-level commas
+   */
+  splitDefinitions(body) {
+    const definitions = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (const char of body) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === "'" || char === '"') {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        definitions.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+
+    if (current.trim()) {
+      definitions.push(current.trim());
+    }
+    return definitions;
+  }
+}
+
+module.exports = SQLiteStorage;
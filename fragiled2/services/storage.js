@@ -0,0 +1,25 @@
+const MySQLStorage = require('./mysqlStorage');
+const SQLiteStorage = require('./sqliteStorage');
+
+// Storage backends selectable with DB_CLIENT
+const STORAGE_CLIENTS = {
+  mysql: MySQLStorage,
+  sqlite: SQLiteStorage
+};
+
+/**
+ * Create the storage adapter chosen by DB_CLIENT ('mysql' by default, or 'sqlite' with DB_FILE)
+ * Options: client, connectionLimit (MySQL), file (SQLite)
+ */
+function createStorage(options = {}) {
+  const client = String(options.client || process.env.DB_CLIENT || 'mysql').toLowerCase();
+  const Storage = STORAGE_CLIENTS[client];
+
+  if (!Storage) {
+    throw new Error(`Unknown DB_CLIENT "${client}" (expected ${Object.keys(STORAGE_CLIENTS).join(' or ')})`);
+  }
+
+  return new Storage(options);
+}
+
+module.exports = { createStorage, STORAGE_CLIENTS };
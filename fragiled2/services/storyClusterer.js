@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+
+// Words ignored when comparing titles and bodies
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'he', 'her', 'his',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'they', 'this', 'to', 'was',
+  'were', 'will', 'with', 'after', 'over', 'says', 'said', 'new'
+]);
+
+/**
+ * Story Clusterer for FNS
+ * Groups near-duplicate stories (syndicated copies, repeats on consecutive newsletter days)
+ * using MinHash signatures over title words and body shingles, with LSH banding to find candidates.
+ * Each cluster is shown as one card: the primary article plus its related sources.
+ */
+class StoryClusterer {
+  constructor(options = {}) {
+    this.numHashes = options.numHashes ?? 64;
+    this.bands = options.bands ?? 16; // 16 bands of 4 rows: pairs above ~0.5 similarity become candidates
+    this.shingleSize = options.shingleSize ?? 3;
+    this.minShingles = options.minShingles ?? 5;
+
+    // A pair is a duplicate when titles alone, bodies alone, or both moderately agree
+    this.titleThreshold = options.titleThreshold ?? 0.7;
+    this.bodyThreshold = options.bodyThreshold ?? 0.5;
+    this.combinedThreshold = options.combinedThreshold ?? { title: 0.4, body: 0.3 };
+  }
+
+  /**
+   * Split text into normalized words, dropping stopwords
+   */
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 1 && !STOPWORDS.has(word));
+  }
+
+  /**
+   * Word k-shingles of a text
+   */
+  shingles(text, size = this.shingleSize) {
+    const words = this.tokenize(text);
+    const result = new Set();
+
+    for (let i = 0; i + size <= words.length; i++) {
+      result.add(words.slice(i, i + size).join(' '));
+    }
+
+    return result;
+  }
+
+  /**
+   * 32-bit FNV-1a hash
+   */
+  hash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * MinHash signature of a set; hash i is derived as h1 + i * h2 from two base hashes
+   */
+  signature(items) {
+    const signature = new Array(this.numHashes).fill(0xffffffff);
+
+    for (const item of items) {
+      const h1 = this.hash(item);
+      let h2 = Math.imul(h1 ^ (h1 >>> 16), 0x85ebca6b);
+      h2 = (Math.imul(h2 ^ (h2 >>> 13), 0xc2b2ae35) ^ (h2 >>> 16)) | 1;
+
+      for (let i = 0; i < this.numHashes; i++) {
+        const value = (h1 + Math.imul(i, h2)) >>> 0;
+        if (value < signature[i]) {
+          signature[i] = value;
+        }
+      }
+    }
+
+    return signature;
+  }
+
+  /**
+   * Estimated Jaccard similarity of two signatures
+   */
+  similarity(a, b) {
+    if (!a || !b) return null;
+
+    let same = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) same++;
+    }
+    return same / a.length;
+  }
+
+  /**
+   * Body text used for comparison: the fullest text available
+   */
+  bodyText(article) {
+    return article.full_content || article.content || article.summary || '';
+  }
+
+  /**
+   * Build title and body signatures for an article
+   */
+  describe(article) {
+    const titleWords = new Set(this.tokenize(article.title));
+    const bodyShingles = this.shingles(this.bodyText(article));
+
+    return {
+      title: titleWords.size > 0 ? this.signature(titleWords) : null,
+      body: bodyShingles.size >= this.minShingles ? this.signature(bodyShingles) : null
+    };
+  }
+
+  /**
+   * Decide whether two described articles are the same story
+   * Returns the similarity scores when they are, otherwise null
+   */
+  compare(a, b) {
+    const title = this.similarity(a.title, b.title);
+    const body = this.similarity(a.body, b.body);
+
+    const duplicate = (title !== null && title >= this.titleThreshold) ||
+      (body !== null && body >= this.bodyThreshold) ||
+      (title !== null && body !== null &&
+        title >= this.combinedThreshold.title && body >= this.combinedThreshold.body);
+
+    return duplicate ? { title, body } : null;
+  }
+
+  /**
+   * Find candidate pairs with LSH banding over title and body signatures
+   */
+  candidatePairs(descriptions) {
+    const rows = Math.floor(this.numHashes / this.bands);
+    const buckets = new Map();
+    const pairs = new Set();
+
+    descriptions.forEach((description, index) => {
+      ['title', 'body'].forEach(kind => {
+        const signature = description[kind];
+        if (!signature) return;
+
+        for (let band = 0; band < this.bands; band++) {
+          const key = `${kind}:${band}:${signature.slice(band * rows, (band + 1) * rows).join(',')}`;
+          const bucket = buckets.get(key);
+          if (bucket) {
+            bucket.forEach(other => pairs.add(`${other}:${index}`));
+            bucket.push(index);
+          } else {
+            buckets.set(key, [index]);
+          }
+        }
+      });
+    });
+
+    return Array.from(pairs, pair => pair.split(':').map(Number));
+  }
+
+  /**
+   * Rank cluster members: fetched full text first, then source trust, severity, and the earliest report
+   */
+  comparePrimary(a, b) {
+    return (Number(!!b.content_fetched) - Number(!!a.content_fetched)) ||
+      ((b.trust_weight ?? 1) - (a.trust_weight ?? 1)) ||
+      ((b.severity_score || 0) - (a.severity_score || 0)) ||
+      String(a.date || '').localeCompare(String(b.date || ''));
+  }
+
+  /**
+   * Stable cluster id, taken from the earliest member so it survives new copies joining
+   */
+  clusterId(members) {
+    const earliest = [...members].sort((a, b) =>
+      String(a.date || '').localeCompare(String(b.date || '')) || String(a.url).localeCompare(String(b.url))
+    )[0];
+
+    return `cluster_${crypto.createHash('md5').update(String(earliest.url)).digest('hex').substring(0, 12)}`;
+  }
+
+  /**
+   * Group articles into clusters of near-duplicates
+   * Returns [{ cluster_id, primary, members, similarities }] in input order of their primaries
+   */
+  cluster(articles) {
+    const descriptions = articles.map(article => this.describe(article));
+    const parent = articles.map((article, index) => index);
+    const similarities = new Map();
+
+    const find = index => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    for (const [a, b] of this.candidatePairs(descriptions)) {
+      const scores = this.compare(descriptions[a], descriptions[b]);
+      if (!scores) continue;
+
+      similarities.set(`${a}:${b}`, scores);
+      parent[find(b)] = find(a);
+    }
+
+    const groups = new Map();
+    articles.forEach((article, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(index);
+    });
+
+    const clusters = Array.from(groups.values()).map(indexes => {
+      const members = indexes.map(index => articles[index]);
+      const primaryIndex = [...indexes].sort((a, b) => this.comparePrimary(articles[a], articles[b]))[0];
+
+      const memberSimilarity = {};
+      indexes.forEach(index => {
+        if (index === primaryIndex) return;
+        const key = index < primaryIndex ? `${index}:${primaryIndex}` : `${primaryIndex}:${index}`;
+        const scores = similarities.get(key) || this.compare(descriptions[index], descriptions[primaryIndex]);
+        memberSimilarity[articles[index].id || articles[index].url] = scores
+          ? Math.round(Math.max(scores.title || 0, scores.body || 0) * 100) / 100
+          : null;
+      });
+
+      return {
+        cluster_id: this.clusterId(members.flatMap(member => [member, ...(member.related_articles || [])])),
+        primary: articles[primaryIndex],
+        primaryIndex,
+        members,
+        similarities: memberSimilarity
+      };
+    });
+
+    return clusters.sort((a, b) => a.primaryIndex - b.primaryIndex);
+  }
+
+  /**
+   * Collapse articles to one card per cluster
+   * The primary keeps its fields and gains cluster_id, cluster_size, related_articles and the members' sources;
+   * merged_ids lists the ids of every story folded into the card
+   */
+  collapse(articles) {
+    return this.cluster(articles).map(({ cluster_id, primary, members, similarities }) => {
+      const related = [];
+      const sources = [];
+      const seenSources = new Set();
+      const mergedIds = new Set();
+
+      members.forEach(member => {
+        (member.merged_ids || [member.id]).filter(Boolean).forEach(id => mergedIds.add(id));
+
+        // Members collapsed by an earlier pass bring their related articles along
+        [member, ...(member.related_articles || [])].forEach(article => {
+          if (article === primary || article.url === primary.url) return;
+          if (related.some(existing => existing.url === article.url)) return;
+
+          related.push({
+            id: article.id,
+            title: article.title,
+            url: article.url,
+            source_id: article.source_id || null,
+            source_name: article.source_name || null,
+            date: article.date,
+            severity_score: article.severity_score,
+            similarity: article === member ? similarities[member.id || member.url] ?? null : article.similarity ?? null
+          });
+        });
+
+        (member.sources || []).forEach(source => {
+          const key = `${source.source_id}:${source.date}`;
+          if (!seenSources.has(key)) {
+            seenSources.add(key);
+            sources.push(source);
+          }
+        });
+      });
+
+      return {
+        ...primary,
+        ...(sources.length > 0 ? { sources } : {}),
+        cluster_id,
+        cluster_size: related.length + 1,
+        related_articles: related,
+        merged_ids: Array.from(mergedIds)
+      };
+    });
+  }
+}
+
+module.exports = StoryClusterer;
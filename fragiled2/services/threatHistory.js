@@ -0,0 +1,238 @@
+// Overall threat level by average severity, highest first (as shown on the ThreatLevelDashboard)
+const THREAT_LEVELS = [
+  { level: 'CRITICAL', min: 80 },
+  { level: 'HIGH', min: 70 },
+  { level: 'MODERATE', min: 60 },
+  { level: 'LOW', min: null }
+];
+
+const INTERVALS = ['day', 'week', 'month'];
+
+/**
+ * Threat History for FNS
+ * Stores one snapshot per article date in fns_threat_snapshots: threat level, average/max/min severity,
+ * per-keyword counts and the newsletter's own overall severity meter. Snapshots count cluster
+ * primaries, so FNSNewsService refreshes them whenever it reclusters a date range.
+ */
+class ThreatHistory {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Threat level for an average severity
+   */
+  threatLevel(averageSeverity) {
+    return THREAT_LEVELS.find(band => band.min === null || averageSeverity >= band.min).level;
+  }
+
+  /**
+   * Recompute snapshots from stored articles, for fromDate..toDate or the last daysBack days
+   * Days in the range that no longer have cluster primaries lose their snapshot.
+   * Returns the number of days recorded
+   */
+  async record(options = {}) {
+    const { daysBack = 7, fromDate = null, toDate = null } = options;
+
+    const range = fromDate
+      ? { bounds: 'BETWEEN ? AND ?', params: [fromDate, toDate || this.toDateString(new Date())] }
+      : { bounds: `>= ${this.pool.daysAgo()}`, params: [daysBack] };
+    range.condition = `a.date ${range.bounds}`;
+
+    const [days] = await this.pool.execute(`
+      SELECT
+        a.date,
+        COUNT(*) AS total_articles,
+        AVG(a.severity_score) AS average_severity,
+        MAX(a.severity_score) AS max_severity,
+        MIN(a.severity_score) AS min_severity,
+        AVG(a.newsletter_severity) AS newsletter_severity
+      FROM fns_articles a
+      WHERE a.is_cluster_primary = TRUE AND ${range.condition}
+      GROUP BY a.date
+    `, range.params);
+
+    const [keywordRows] = await this.pool.execute(`
+      SELECT a.date, a.keyword, COUNT(*) AS count
+      FROM fns_articles a
+      WHERE a.is_cluster_primary = TRUE AND a.keyword IS NOT NULL AND ${range.condition}
+      GROUP BY a.date, a.keyword
+      ORDER BY count DESC, a.keyword ASC
+    `, range.params);
+
+    const keywords = new Map();
+    keywordRows.forEach(row => {
+      const date = this.toDateString(row.date);
+      const counts = keywords.get(date) || {};
+      counts[row.keyword] = Number(row.count);
+      keywords.set(date, counts);
+    });
+
+    const round = value => (value === null || value === undefined ? null : Math.round(parseFloat(value) * 100) / 100);
+
+    const connection = await this.pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+      await connection.execute(`DELETE FROM fns_threat_snapshots WHERE snapshot_date ${range.bounds}`, range.params);
+
+      for (const day of days) {
+        const date = this.toDateString(day.date);
+        const averageSeverity = round(day.average_severity) || 0;
+
+        await connection.execute(`
+          INSERT INTO fns_threat_snapshots (
+            snapshot_date, threat_level, total_articles, average_severity,
+            max_severity, min_severity, newsletter_severity, keyword_counts
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          date,
+          this.threatLevel(averageSeverity),
+          Number(day.total_articles),
+          averageSeverity,
+          round(day.max_severity),
+          round(day.min_severity),
+          round(day.newsletter_severity),
+          JSON.stringify(keywords.get(date) || {})
+        ]);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return days.length;
+  }
+
+  /**
+   * Snapshot for one date, or null
+   */
+  async getSnapshot(date) {
+    const [rows] = await this.pool.execute(
+      'SELECT * FROM fns_threat_snapshots WHERE snapshot_date = ?',
+      [date]
+    );
+    return rows.length > 0 ? this.toPoint(rows[0]) : null;
+  }
+
+  /**
+   * Time series between fromDate and toDate (YYYY-MM-DD, inclusive), oldest first
+   * interval week or month merges days: severities are weighted by article count, keyword counts summed.
+   * Throws an error with validationErrors for malformed options.
+   */
+  async getSeries(options = {}) {
+    const { fromDate, toDate = this.toDateString(new Date()), interval = 'day' } = options;
+
+    const errors = [];
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+    if (!isDate(fromDate)) errors.push('from must be YYYY-MM-DD');
+    if (!isDate(toDate)) errors.push('to must be YYYY-MM-DD');
+    if (!INTERVALS.includes(interval)) errors.push(`interval must be one of ${INTERVALS.join(', ')}`);
+    if (errors.length === 0 && fromDate > toDate) errors.push('from must not be after to');
+    if (errors.length > 0) {
+      const error = new Error(`Invalid threat history range: ${errors.join('; ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    const [rows] = await this.pool.execute(`
+      SELECT * FROM fns_threat_snapshots
+      WHERE snapshot_date BETWEEN ? AND ?
+      ORDER BY snapshot_date ASC
+    `, [fromDate, toDate]);
+
+    const days = rows.map(row => this.toPoint(row));
+    const points = interval === 'day' ? days : this.mergeBuckets(days, interval);
+
+    return { from: fromDate, to: toDate, interval, points };
+  }
+
+  /**
+   * Merge daily points into week (starting Monday) or month buckets
+   */
+  mergeBuckets(days, interval) {
+    const buckets = new Map();
+
+    for (const day of days) {
+      const key = interval === 'month' ? `${day.date.slice(0, 7)}-01` : this.weekStart(day.date);
+      const bucket = buckets.get(key) || [];
+      bucket.push(day);
+      buckets.set(key, bucket);
+    }
+
+    return [...buckets.entries()].map(([date, bucket]) => {
+      const total = bucket.reduce((sum, day) => sum + day.total_articles, 0);
+      const weighted = field => (total > 0
+        ? Math.round(bucket.reduce((sum, day) => sum + (day[field] || 0) * day.total_articles, 0) / total * 100) / 100
+        : 0);
+      const meters = bucket.map(day => day.newsletter_severity).filter(value => value !== null);
+
+      const keywords = {};
+      bucket.forEach(day => Object.entries(day.keywords).forEach(([keyword, count]) => {
+        keywords[keyword] = (keywords[keyword] || 0) + count;
+      }));
+
+      const averageSeverity = weighted('average_severity');
+      return {
+        date,
+        days: bucket.length,
+        threat_level: this.threatLevel(averageSeverity),
+        total_articles: total,
+        average_severity: averageSeverity,
+        max_severity: Math.max(...bucket.map(day => day.max_severity || 0)),
+        min_severity: Math.min(...bucket.map(day => day.min_severity ?? 0)),
+        newsletter_severity: meters.length > 0
+          ? Math.round(meters.reduce((sum, value) => sum + value, 0) / meters.length * 100) / 100
+          : null,
+        keywords
+      };
+    });
+  }
+
+  /**
+   * API shape of a snapshot row
+   */
+  toPoint(row) {
+    const number = value => (value === null || value === undefined ? null : parseFloat(value));
+    const keywords = typeof row.keyword_counts === 'string' ? JSON.parse(row.keyword_counts) : row.keyword_counts;
+
+    return {
+      date: this.toDateString(row.snapshot_date),
+      threat_level: row.threat_level,
+      total_articles: Number(row.total_articles),
+      average_severity: number(row.average_severity),
+      max_severity: number(row.max_severity),
+      min_severity: number(row.min_severity),
+      newsletter_severity: number(row.newsletter_severity),
+      keywords: keywords || {},
+      updated_at: row.updated_at
+    };
+  }
+
+  /**
+   * Monday of the week containing a YYYY-MM-DD date
+   */
+  weekStart(date) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().slice(0, 10);
+  }
+
+  /**
+   * YYYY-MM-DD for a DATE value (mysql2 returns Date objects in local time, SQLite returns text)
+   */
+  toDateString(value) {
+    if (!(value instanceof Date)) return value;
+    const pad = number => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+}
+
+ThreatHistory.THREAT_LEVELS = THREAT_LEVELS;
+ThreatHistory.INTERVALS = INTERVALS;
+
+module.exports = ThreatHistory;
@@ -13,7 +13,6 @@ async function testCompleteHybrid() {
     console.log('🔍 STEP 1: Getting ONE hybrid-enhanced article...\n');
     
     const hybridArticles = await dataService.getArticles({
-      source: 'hybrid',
       limit: 1,
       minSeverity: 95,
       enhanceContent: true
@@ -18,9 +18,9 @@ async function testCriticalImport() {
     // Test 2: Get critical articles
     console.log('🎯 Testing critical article import...');
     const criticalArticles = await dataService.getArticles({
-      source: 'critical',
       limit: 5,
-      minSeverity: 70
+      minSeverity: 70,
+      enhanceContent: false
     });
     
     console.log(`Found ${criticalArticles.length} critical articles:`);
@@ -42,24 +42,14 @@ async function testCriticalImport() {
     console.log('Summary:', JSON.stringify(summary, null, 2));
     console.log('');
     
-    // Test 4: Test fallback to local
-    console.log('📁 Testing local fallback...');
-    const localArticles = await dataService.getArticles({
-      source: 'local',
-      limit: 3
-    });
-    console.log(`Found ${localArticles.length} local articles`);
-    console.log('');
-    
-    // Test 5: Test auto mode (primary strategy)
-    console.log('🚀 Testing auto mode (production strategy)...');
+    // Test 4: Stored hybrid articles (production strategy)
+    console.log('🚀 Testing stored hybrid articles (production strategy)...');
     const autoArticles = await dataService.getArticles({
-      source: 'auto',
       limit: 10,
       minSeverity: 75
     });
     
-    console.log(`Auto mode returned ${autoArticles.length} articles`);
+    console.log(`Database returned ${autoArticles.length} articles`);
     if (autoArticles.length > 0) {
       console.log('Sample article:');
       const sample = autoArticles[0];
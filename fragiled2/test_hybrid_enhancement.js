@@ -77,7 +77,6 @@ async function testHybridEnhancement() {
     // Test 5: Test enhanced data service integration
     console.log('🚀 Testing enhanced data service with hybrid mode...');
     const hybridArticles = await dataService.getArticles({
-      source: 'hybrid',
       limit: 3,
       minSeverity: 85,
       enhanceContent: true
@@ -23,9 +23,8 @@ async function testLiveKeishaConnection() {
     const analysisResult = await keishaIntegration.callKeishaBiasAPI(testContent);
     console.log('✅ Bias analysis result:', {
       bias_score: analysisResult.bias_score,
-      analysis: typeof analysisResult.analysis === 'string' ?
-        analysisResult.analysis.substring(0, 100) + '...' :
-        JSON.stringify(analysisResult.analysis).substring(0, 100) + '...',
+      provider: analysisResult.provider,
+      analysis: analysisResult.critical_analysis.substring(0, 100) + '...',
       indicators: analysisResult.fragility_indicators,
       euphemisms: analysisResult.euphemisms_detected,
       detected_terms: analysisResult.detected_terms?.length || 0
@@ -0,0 +1,150 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const ArticleCache = require('../services/articleCache');
+const HybridNewsService = require('../services/hybridNewsService');
+const FetchScheduler = require('../services/fetchScheduler');
+
+const page = version => `<html><head><title>Story</title></head><body><article>${
+  Array.from({ length: 30 }, (_, i) => `<p>Version ${version}, paragraph ${i}, with enough words to read as the article text itself.</p>`).join('')
+}</article></body></html>`;
+
+describe('ArticleCache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fns-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('pages are found by any URL that led to their canonical URL', async () => {
+    const cache = new ArticleCache({ cacheDir: dir });
+    await cache.put('https://example.com/amp/story?utm_source=x', {
+      html: page(1),
+      content: 'text',
+      metadata: { canonicalUrl: 'https://www.example.com/story/' },
+      contentStatus: 'full_text',
+      etag: '"v1"'
+    });
+
+    const viaAlias = await cache.get('https://example.com/amp/story');
+    const viaCanonical = await cache.get('https://example.com/story');
+    expect(viaAlias).toMatchObject({ fresh: true, entry: { etag: '"v1"', content_status: 'full_text' }, blob: { content: 'text' } });
+    expect(viaCanonical.entry).toBe(viaAlias.entry);
+    expect(await cache.get('https://example.com/other')).toBeNull();
+  });
+
+  test('walls expire sooner than full text, and touch extends an entry', async () => {
+    const cache = new ArticleCache({ cacheDir: dir, ttlMs: 60000, partialTtlMs: -1 });
+    await cache.put('https://example.com/full', { html: page(1), contentStatus: 'full_text' });
+    await cache.put('https://example.com/wall', { html: page(2), contentStatus: 'paywalled' });
+
+    expect((await cache.get('https://example.com/full')).fresh).toBe(true);
+    expect((await cache.get('https://example.com/wall')).fresh).toBe(false);
+
+    cache.partialTtlMs = 60000;
+    await cache.touch('https://example.com/wall', { etag: '"w2"' });
+    expect(await cache.get('https://example.com/wall')).toMatchObject({ fresh: true, entry: { etag: '"w2"' } });
+  });
+
+  test('the index survives a restart, and save drops long-expired entries and their blobs', async () => {
+    const cache = new ArticleCache({ cacheDir: dir, partialTtlMs: -2000, retentionMs: 1000 });
+    await cache.put('https://example.com/keep', { html: page(1), contentStatus: 'full_text' });
+    const dropped = await cache.put('https://example.com/drop', { html: page(2), contentStatus: 'too_short' });
+    await cache.save();
+
+    expect(fs.existsSync(cache.blobPath(dropped.content_hash))).toBe(false);
+    const index = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'));
+    expect(Object.keys(index.urls)).toEqual(['example.com/keep']);
+  });
+});
+
+describe('HybridNewsService.fetchFullArticle with the article cache', () => {
+  let server;
+  let dir;
+  let service;
+  let version;
+  let down;
+  const requests = [];
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    server = http.createServer((req, res) => {
+      requests.push(req.headers['if-none-match'] || null);
+      if (down) {
+        res.writeHead(500);
+        return res.end();
+      }
+      const etag = `"v${version}"`;
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, { ETag: etag });
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html', ETag: etag });
+      res.end(page(version));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fns-cache-'));
+    service = new HybridNewsService();
+    service.cache = new ArticleCache({ cacheDir: dir, ttlMs: -1 });
+    service.scheduler = new FetchScheduler({ respectRobots: false, hostDelayMs: 0, maxRetries: 0, hostStates: new Map() });
+    version = 1;
+    down = false;
+    requests.length = 0;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const url = () => `http://127.0.0.1:${server.address().port}/story`;
+
+  test('expired pages are revalidated with their ETag, and refreshed when they change', async () => {
+    const first = await service.fetchFullArticle(url(), 'Story');
+    expect(first).toMatchObject({ success: true, cacheStatus: 'miss', contentStatus: 'full_text' });
+
+    const revalidated = await service.fetchFullArticle(url(), 'Story');
+    expect(revalidated).toMatchObject({ success: true, cacheStatus: 'revalidated', content: first.content });
+
+    version = 2;
+    const refreshed = await service.fetchFullArticle(url(), 'Story');
+    expect(refreshed.cacheStatus).toBe('refreshed');
+    expect(refreshed.content).toMatch(/^Version 2/);
+    expect(requests).toEqual([null, '"v1"', '"v1"']);
+  });
+
+  test('a stale copy is served when the site is down', async () => {
+    await service.fetchFullArticle(url(), 'Story');
+    down = true;
+
+    expect(await service.fetchFullArticle(url(), 'Story')).toMatchObject({ success: true, cacheStatus: 'stale' });
+  });
+
+  test('offline mode serves cached pages, even expired ones, and makes no requests', async () => {
+    await service.fetchFullArticle(url(), 'Story');
+    requests.length = 0;
+
+    expect(await service.fetchFullArticle(url(), 'Story', { offline: true })).toMatchObject({ success: true, cacheStatus: 'hit' });
+    expect(await service.fetchFullArticle(`${url()}-uncached`, 'Story', { offline: true })).toMatchObject({
+      success: false,
+      contentStatus: 'not_cached',
+      cacheStatus: 'miss'
+    });
+    expect(requests).toEqual([]);
+  });
+});
@@ -0,0 +1,83 @@
+const ArticleExtractor = require('../services/articleExtractor');
+
+const sentence = n => `Paragraph ${n} of the story, with enough words, commas, and detail to count as article text.`;
+const paragraphs = (count, from = 1) => Array.from({ length: count }, (_, i) => `<p>${sentence(from + i)}</p>`).join('\n');
+
+describe('ArticleExtractor', () => {
+  const extractor = new ArticleExtractor({
+    rules: {
+      defaults: { strip: ['script', 'style', 'nav', 'footer'] },
+      sites: {
+        'example.com': { content: ['.story-text', '.fallback-body'], strip: ['.story-text .inline-promo'] }
+      }
+    }
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a site rule matches its subdomains and strips its own clutter', () => {
+    expect(extractor.getSiteRule('https://www.news.example.com/a')).toMatchObject({ domain: 'example.com' });
+    expect(extractor.getSiteRule('https://example.org/a')).toBeNull();
+    expect(extractor.getSiteRule('not a url')).toBeNull();
+
+    const { content, extraction } = extractor.extract(`
+      <html><body>
+        <nav>${paragraphs(3, 100)}</nav>
+        <div class="story-text">${paragraphs(3)}<p class="inline-promo">Subscribe for more stories like this one today.</p></div>
+      </body></html>
+    `, 'https://news.example.com/story');
+
+    expect(extraction).toMatchObject({ domain: 'news.example.com', site_rule: 'example.com', rule: 'site:example.com', selector: '.story-text' });
+    expect(content).toBe([1, 2, 3].map(sentence).join('\n\n'));
+    expect(extraction.content_length).toBe(content.length);
+  });
+
+  test('a site rule whose selectors find too little falls back to readability', () => {
+    const { extraction } = extractor.extract(`
+      <html><body>
+        <div class="story-text"><p>Short teaser.</p></div>
+        <div class="entry">${paragraphs(4)}</div>
+      </body></html>
+    `, 'https://example.com/story');
+
+    expect(extraction).toMatchObject({ site_rule: 'example.com', rule: 'readability', selector: 'div.entry' });
+  });
+
+  test('readability prefers the paragraph-rich container over link lists and negative hints', () => {
+    const links = Array.from({ length: 6 }, (_, i) => `<p><a href="/r${i}">${sentence(50 + i)}</a></p>`).join('');
+    const { content, extraction } = extractor.extract(`
+      <html><body>
+        <div id="sidebar-related">${paragraphs(5, 20)}</div>
+        <div class="link-list">${links}</div>
+        <section id="main-story">${paragraphs(4)}</section>
+      </body></html>
+    `, 'https://unknown.example.org/story');
+
+    expect(extraction).toMatchObject({ site_rule: null, rule: 'readability', selector: 'section#main-story', score: expect.any(Number) });
+    expect(content.startsWith(sentence(1))).toBe(true);
+  });
+
+  test('pages without usable containers fall back to generic selectors, then to every paragraph', () => {
+    const generic = extractor.extract(`
+      <html><body><main>${'Plain text in main without paragraphs. '.repeat(10)}</main></body></html>
+    `, 'https://unknown.example.org/story');
+    expect(generic.extraction).toMatchObject({ rule: 'generic', selector: 'main' });
+
+    const fallback = extractor.extract('<html><body><p>Too short.</p><p>Also short.</p></body></html>', 'https://unknown.example.org/story');
+    expect(fallback.extraction).toMatchObject({ rule: 'paragraphs', selector: 'p' });
+    expect(fallback.content).toBe('Too short.\nAlso short.');
+  });
+
+  test('an unreadable rules file means no site rules', () => {
+    const noRules = new ArticleExtractor({ rulesPath: '/nonexistent/extraction_rules.json' });
+
+    expect(noRules.rules).toEqual({ defaults: {}, sites: {} });
+    expect(new ArticleExtractor().getSiteRule('https://apnews.com/article/x')).toMatchObject({ domain: 'apnews.com' });
+  });
+});
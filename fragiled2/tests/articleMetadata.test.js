@@ -0,0 +1,110 @@
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+
+const ArticleExtractor = require('../services/articleExtractor');
+const HybridNewsService = require('../services/hybridNewsService');
+const FNSNewsService = require('../services/fnsNewsService');
+
+const URL = 'https://news.example.com/2026/01/story';
+
+const page = ({ jsonLd = true } = {}) => `
+  <html>
+    <head>
+      <title>Page title</title>
+      <link rel="canonical" href="/2026/01/story-canonical">
+      ${jsonLd ? `<script type="application/ld+json">${JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'NewsArticle',
+        headline: 'Structured headline',
+        author: [{ '@type': 'Person', name: 'Ada Reporter' }, { '@type': 'Person', name: 'Ben Editor' }],
+        datePublished: '2026-01-02T08:30:00Z',
+        dateModified: '2026-01-02T10:00:00Z',
+        articleSection: 'Politics',
+        keywords: 'housing, policy',
+        image: { '@type': 'ImageObject', url: '/img/lead.jpg', width: 1200, height: 630 },
+        publisher: { '@type': 'Organization', name: 'Example News', logo: { url: '/img/logo.png' } }
+      })}</script>` : ''}
+      <meta property="og:title" content="OpenGraph headline">
+      <meta property="og:site_name" content="Example OG">
+      <meta property="og:image" content="https://cdn.example.com/og.jpg">
+      <meta property="article:author" content="Casey Columnist">
+      <meta property="article:published_time" content="2026-01-03T09:00:00Z">
+      <meta name="twitter:image" content="https://cdn.example.com/twitter.jpg">
+    </head>
+    <body><article><p>${'Story text. '.repeat(40)}</p></article></body>
+  </html>
+`;
+
+describe('ArticleExtractor metadata', () => {
+  const extractor = new ArticleExtractor();
+
+  test('JSON-LD is preferred over OpenGraph and Twitter cards', () => {
+    const { metadata, images } = extractor.extract(page(), URL);
+
+    expect(metadata).toMatchObject({
+      title: 'Structured headline',
+      canonicalUrl: 'https://news.example.com/2026/01/story-canonical',
+      authors: ['Ada Reporter', 'Ben Editor'],
+      publishDate: '2026-01-02T08:30:00Z',
+      section: 'Politics',
+      keywords: ['housing', 'policy'],
+      publisher: { name: 'Example News', logo: { url: 'https://news.example.com/img/logo.png' } },
+      structuredSources: ['json-ld', 'opengraph', 'twitter']
+    });
+    expect(images[0]).toMatchObject({ url: 'https://news.example.com/img/lead.jpg', source: 'json-ld', is_lead: true });
+  });
+
+  test('OpenGraph fills in without JSON-LD', () => {
+    const { metadata, images } = extractor.extract(page({ jsonLd: false }), URL);
+
+    expect(metadata).toMatchObject({
+      title: 'OpenGraph headline',
+      authors: ['Casey Columnist'],
+      publishDate: '2026-01-03T09:00:00Z',
+      publisher: { name: 'Example OG' }
+    });
+    expect(images[0]).toMatchObject({ url: 'https://cdn.example.com/og.jpg', source: 'opengraph' });
+  });
+});
+
+describe('metadata columns on a database from before them', () => {
+  let newsService;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    newsService = new FNSNewsService();
+
+    // A database created before the metadata columns, holding an article
+    await newsService.migrator.up({ to: '002' });
+    await newsService.pool.execute(
+      'INSERT INTO fns_articles (id, title, url, severity_score) VALUES (?, ?, ?, ?)',
+      ['old', 'Stored before the upgrade', URL, 80]
+    );
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await newsService.pool.end();
+  });
+
+  test('migrating adds the columns and an enhanced article stores its metadata and image sources', async () => {
+    await newsService.initializeDatabase();
+
+    const { metadata, images } = new ArticleExtractor().extract(page(), URL);
+    const fields = new HybridNewsService().metadataFields(metadata, images);
+    await newsService.storeArticle({ id: 'old', url: URL, title: 'Structured headline', severity_score: 80, ...fields, images });
+
+    const article = await newsService.getArticleById('old');
+    expect(article).toMatchObject({
+      canonical_url: 'https://news.example.com/2026/01/story-canonical',
+      authors: ['Ada Reporter', 'Ben Editor'],
+      section: 'Politics',
+      keywords: ['housing', 'policy'],
+      publisher_name: 'Example News',
+      publisher_logo: 'https://news.example.com/img/logo.png',
+      featured_image: 'https://news.example.com/img/lead.jpg'
+    });
+    expect(new Date(`${article.published_at}Z`).toISOString()).toBe('2026-01-02T08:30:00.000Z');
+    expect(article.images[0]).toMatchObject({ image_url: 'https://news.example.com/img/lead.jpg', source: 'json-ld' });
+  });
+});
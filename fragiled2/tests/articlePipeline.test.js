@@ -0,0 +1,105 @@
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+
+const ArticlePipeline = require('../services/articlePipeline');
+const FNSNewsService = require('../services/fnsNewsService');
+const HybridNewsService = require('../services/hybridNewsService');
+
+const BODY = 'Officers cleared the encampment before dawn while advocates said residents were given no notice. '.repeat(20);
+
+const seed = (id, fields = {}) => ({
+  id,
+  title: `Story ${id}`,
+  url: `https://news.example.com/${id}`,
+  summary: `Summary of ${id}`,
+  keyword: 'policing',
+  severity_score: 80,
+  date: new Date().toISOString().split('T')[0],
+  source_type: 'newsletter_seed',
+  ...fields
+});
+
+// What HybridNewsService.enhanceSeed returns for each kind of page
+const RESULTS = {
+  full: { content_fetched: true, content_status: 'full_text', full_content: BODY, source_type: 'hybrid_enhanced', word_count: 280 },
+  wall: { content_fetched: false, content_status: 'paywalled', source_type: 'hybrid_enhanced', word_count: 40 },
+  down: { content_fetched: false, content_status: 'fetch_failed', fetch_error: 'HTTP 503', seed_source_type: 'newsletter_seed' }
+};
+
+describe('ArticlePipeline', () => {
+  let newsService;
+  let hybridService;
+  let pipeline;
+
+  const restart = () => new ArticlePipeline({ newsService, hybridService, maxFetchAttempts: 2 });
+
+  const stored = async () => {
+    const [rows] = await newsService.pool.execute(
+      'SELECT id, url, original_url, pipeline_state, content_status, fetch_attempts FROM fns_articles ORDER BY id'
+    );
+    return rows;
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    newsService = new FNSNewsService();
+    await newsService.initializeDatabase();
+
+    hybridService = new HybridNewsService();
+    jest.spyOn(hybridService.criticalParser, 'commitFiles').mockResolvedValue();
+    jest.spyOn(hybridService.cache, 'save').mockResolvedValue();
+    jest.spyOn(hybridService, 'enhanceSeed').mockImplementation(async article => RESULTS[article.id.split('_')[0]]);
+    pipeline = restart();
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await newsService.pool.end();
+  });
+
+  test('seeds are stored under their real URL, once', async () => {
+    jest.spyOn(hybridService, 'getSeeds').mockResolvedValue([
+      seed('full_1', { url: 'https://www.google.com/url?q=x&url=https%3A%2F%2Fnews.example.com%2Ffull_1&ust=1' }),
+      seed('wall_1'),
+      seed('down_1')
+    ]);
+
+    expect(await pipeline.ingestSeeds()).toEqual({ seeds: 3, imported: 3, existing: 0, failed: 0 });
+    expect(hybridService.criticalParser.commitFiles).toHaveBeenCalledWith(['full_1', 'wall_1', 'down_1']);
+    expect((await stored())[1]).toMatchObject({
+      id: 'full_1',
+      url: 'https://news.example.com/full_1',
+      original_url: 'https://www.google.com/url?q=x&url=https%3A%2F%2Fnews.example.com%2Ffull_1&ust=1',
+      pipeline_state: 'seed'
+    });
+
+    expect(await pipeline.ingestSeeds()).toEqual({ seeds: 3, imported: 0, existing: 3, failed: 0 });
+  });
+
+  test('fetching moves each seed to the state its page allows, and failed fetches stay seeds', async () => {
+    expect(await pipeline.fetchSeeds()).toEqual({ attempted: 3, seed: 1, fetched: 1, extracted: 1, failed: 0 });
+
+    expect((await stored()).map(({ id, pipeline_state, content_status, fetch_attempts }) =>
+      [id, pipeline_state, content_status, fetch_attempts]
+    )).toEqual([
+      ['down_1', 'seed', 'fetch_failed', 1],
+      ['full_1', 'extracted', 'full_text', 1],
+      ['wall_1', 'fetched', 'paywalled', 1]
+    ]);
+  });
+
+  test('a restarted pipeline continues from the stored states, and gives up on seeds after maxFetchAttempts', async () => {
+    const resumed = restart();
+
+    expect(await resumed.fetchSeeds()).toMatchObject({ attempted: 1, seed: 1 });
+    expect(hybridService.enhanceSeed.mock.calls.slice(-1)[0][0]).toMatchObject({ id: 'down_1' });
+    expect(await resumed.fetchSeeds()).toMatchObject({ attempted: 0 });
+
+    expect(await resumed.getStats()).toEqual({
+      by_state: { seed: 1, fetched: 1, extracted: 1 },
+      by_content_status: { fetch_failed: 1, paywalled: 1, full_text: 1 }
+    });
+    expect((await newsService.getArticlesInState('extracted')).map(article => article.id)).toEqual(['full_1']);
+  });
+});
@@ -0,0 +1,68 @@
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+
+const ArticleRanker = require('../services/articleRanker');
+const FNSNewsService = require('../services/fnsNewsService');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('ArticleRanker', () => {
+  const ranker = new ArticleRanker(null, { halfLifeHours: 48 });
+  const article = { severity_score: 80, category_weight: 1, published_at: '2026-01-01T00:00:00Z', trust_weight: 1 };
+
+  test('stored scores do not depend on when the article was ranked', () => {
+    const early = ranker.storedScore(article, new Date('2026-01-01T06:00:00Z'));
+    const late = ranker.storedScore(article, new Date('2026-03-01T00:00:00Z'));
+
+    expect(late).toEqual(early);
+    expect(early.rank_decay_from).toEqual(new Date('2026-01-01T00:00:00Z'));
+    expect(early.rank_factors.freshness.value).toBe(1);
+    expect(early.rank_base + early.rank_freshness).toBeCloseTo(ranker.score(article, early.rank_decay_from).rank_score, 1);
+  });
+
+  test('freshness halves every half-life', () => {
+    const published = new Date('2026-01-01T00:00:00Z');
+    expect(ranker.decay(published, new Date(published.getTime() + 48 * HOUR))).toBeCloseTo(0.5);
+    expect(ranker.decay(published, new Date(published.getTime() + 96 * HOUR))).toBeCloseTo(0.25);
+  });
+});
+
+describe('rank sort with the decay applied at query time', () => {
+  let newsService;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    newsService = new FNSNewsService();
+    await newsService.initializeDatabase();
+
+    const today = new Date().toISOString().split('T')[0];
+    await newsService.storeArticles([
+      { id: 'old', title: 'Older story', url: 'https://example.com/old', keyword: 'racism', severity_score: 90, date: today },
+      { id: 'new', title: 'Newer story', url: 'https://example.com/new', keyword: 'racism', severity_score: 80, date: today }
+    ]);
+    await newsService.ranker.updateScores();
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await newsService.pool.end();
+  });
+
+  test('a story ranked while fresh sinks as it ages without being ranked again', async () => {
+    let feed = await newsService.getNewsFeed({ sort: 'rank' });
+    expect(feed.articles.map(a => a.id)).toEqual(['old', 'new']);
+    const fresh = feed.articles[0];
+
+    // Ten days later, with no recluster in between
+    const tenDaysAgo = new Date(Date.now() - 240 * HOUR);
+    await newsService.pool.execute('UPDATE fns_articles SET rank_decay_from = ? WHERE id = ?', [tenDaysAgo, 'old']);
+
+    feed = await newsService.getNewsFeed({ sort: 'rank' });
+    expect(feed.articles.map(a => a.id)).toEqual(['new', 'old']);
+
+    const aged = feed.articles[1];
+    const decay = Math.pow(0.5, 240 / newsService.ranker.halfLifeHours);
+    expect(aged.rank_score).toBeCloseTo(fresh.rank_score - fresh.rank_factors.freshness.contribution * (1 - decay), 1);
+    expect(aged.rank_factors.freshness.value).toBeCloseTo(decay, 2);
+  });
+});
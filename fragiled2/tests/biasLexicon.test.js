@@ -0,0 +1,77 @@
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+
+const { createStorage } = require('../services/storage');
+const SchemaMigrator = require('../services/schemaMigrator');
+const BiasLexicon = require('../services/biasLexicon');
+
+describe('BiasLexicon entries', () => {
+  const lexicon = new BiasLexicon();
+
+  test.each([
+    ['a ghetto mentality|urban decay', ['a ghetto mentality', 'urban decay']],
+    ['["one|two", "three"]', ['one|two', 'three']],
+    ['42', ['42']],
+    ['null', ['null']],
+    ['"quoted"', ['"quoted"']],
+    ['[not json', ['[not json']],
+    ['', []]
+  ])('examples %j become %j', (examples, expected) => {
+    expect(lexicon.normalizeEntry({ term: 'thug', category: 'coded_language', examples }).examples).toEqual(expected);
+  });
+});
+
+describe('BiasLexicon store', () => {
+  let pool;
+  let lexicon;
+
+  const entries = [
+    { term: 'urban', category: 'coded_language', weight: 1, rationale: 'Stands in for "Black", in coverage', examples: ['urban crime wave', '2024'] },
+    { term: 'officer-involved shooting', category: 'euphemism', weight: 1.5, rationale: 'Names no shooter\nat all', examples: [] },
+    { term: 'devastating', category: 'negative', weight: 2, rationale: '', examples: ['true'] }
+  ];
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    pool = createStorage();
+    await new SchemaMigrator(pool).up();
+    lexicon = new BiasLexicon(pool);
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await pool.end();
+  });
+
+  test('a CSV export imports back to the same entries', async () => {
+    const { version } = await lexicon.importEntries(entries, { note: 'seed' });
+    const csv = lexicon.export(await lexicon.getLexicon({ useCache: false }), 'csv');
+
+    const { version: reimported } = await lexicon.importEntries(lexicon.parseCsv(csv), { note: 'from csv' });
+    expect(reimported).toBe(version + 1);
+
+    const stored = await lexicon.getLexicon({ useCache: false });
+    expect(stored).toMatchObject({ version: reimported, note: 'from csv', entries });
+    expect((await lexicon.getLexicon({ version })).entries).toEqual(stored.entries);
+  });
+
+  test('merge keeps other terms and replaces the imported ones', async () => {
+    await lexicon.importEntries(lexicon.parseCsv('term,category,weight\nURBAN,coded_language,0.5\nthugs,coded_language,1.5\n'), { mode: 'merge' });
+
+    const { entries: merged } = await lexicon.getLexicon({ useCache: false });
+    expect(merged.map(entry => entry.term).sort()).toEqual(['URBAN', 'devastating', 'officer-involved shooting', 'thugs']);
+    expect(merged.find(entry => entry.term === 'URBAN')).toMatchObject({ weight: 0.5, examples: [] });
+  });
+
+  test('invalid imports are rejected without a new version', async () => {
+    const { version } = await lexicon.getLexicon({ useCache: false });
+
+    expect(() => lexicon.parseCsv('word,weight\nurban,1\n')).toThrow('Invalid lexicon CSV');
+    await expect(lexicon.importEntries([...entries, { term: 'Urban', category: 'coded_language' }]))
+      .rejects.toMatchObject({ validationErrors: ['entry 4: Urban appears more than once'] });
+    await expect(lexicon.importEntries([{ term: 'urban', category: 'slang', weight: 9 }]))
+      .rejects.toMatchObject({ validationErrors: expect.arrayContaining([expect.stringMatching(/category must be one of/), 'entry 1 (urban): weight must be between 0 and 5']) });
+
+    expect((await lexicon.getLexicon({ useCache: false })).version).toBe(version);
+  });
+});
@@ -0,0 +1,143 @@
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+
+const CategoryTaxonomy = require('../services/categoryTaxonomy');
+const FNSNewsService = require('../services/fnsNewsService');
+
+describe('CategoryTaxonomy.classify', () => {
+  const taxonomy = new CategoryTaxonomy();
+  const classify = article => taxonomy.classify(article).map(({ name, relevance }) => [name, relevance]);
+
+  test('an article falls into every category it mentions, title mentions counting double', () => {
+    expect(classify({
+      title: 'White supremacist rally draws counter-protest',
+      summary: 'Christian nationalists and MAGA supporters joined the march.',
+      content: 'Witnesses reported racist chants.'
+    })).toEqual([
+      ['white supremacy', 0.67],
+      ['christian nationalism', 0.33],
+      ['MAGA', 0.33],
+      ['racism', 0.33]
+    ]);
+  });
+
+  test('the longest overlapping term wins, and hyphenated words are not split', () => {
+    expect(classify({ title: 'Systemic racism in city hiring' })).toEqual([['systemic racism', 0.67]]);
+    expect(classify({ title: 'Anti-racist groups organize', summary: 'A neo-Nazi flyer was found.' })).toEqual([
+      ['anti-racism', 0.67],
+      ['white supremacy', 0.33]
+    ]);
+  });
+
+  test('relevance is capped at 1, and weak matches are left out', () => {
+    expect(classify({ title: 'Hate crime charges', summary: 'The hate crime and a second hate crime' })).toEqual([['racism', 1]]);
+
+    const strict = new CategoryTaxonomy();
+    strict.minRelevance = 0.5;
+    expect(strict.classify({ title: 'School board meeting', summary: 'A racist remark' })).toEqual([]);
+    expect(strict.primaryKeyword('School board meeting', 'A racist remark')).toBe('systemic racism');
+  });
+
+  test('category definitions are validated', () => {
+    const category = taxonomy.normalizeCategory({
+      name: 'x',
+      synonyms: 'one, two',
+      match_patterns: ['(unclosed'],
+      color_code: 'red',
+      severity_weight: '12'
+    });
+
+    expect(category.synonyms).toEqual(['one', 'two']);
+    expect(taxonomy.validateCategory(category)).toEqual([
+      'color_code must be a hex color like #FF0000',
+      'severity_weight must be between 0 and 9.99',
+      expect.stringMatching(/^match pattern \(unclosed is not a valid regular expression/)
+    ]);
+  });
+});
+
+describe('stored categories', () => {
+  let newsService;
+  let taxonomy;
+  const today = new Date().toISOString().split('T')[0];
+
+  const mappings = async articleId => {
+    const [rows] = await newsService.pool.execute(`
+      SELECT c.name, ac.relevance_score
+      FROM fns_article_categories ac
+      JOIN fns_categories c ON c.id = ac.category_id
+      WHERE ac.article_id = ?
+      ORDER BY ac.relevance_score DESC, c.name ASC
+    `, [articleId]);
+    return rows.map(row => [row.name, Number(row.relevance_score)]);
+  };
+
+  const keyword = async articleId => {
+    const [rows] = await newsService.pool.execute('SELECT keyword FROM fns_articles WHERE id = ?', [articleId]);
+    return rows[0].keyword;
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    newsService = new FNSNewsService();
+    await newsService.initializeDatabase();
+    taxonomy = newsService.taxonomy;
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await newsService.pool.end();
+  });
+
+  test('stored articles are mapped to every matching category with its relevance', async () => {
+    await newsService.storeArticle({
+      id: 'march',
+      title: 'Neo-Nazi march downtown',
+      summary: 'Police logged hate crimes after white nationalist groups marched.',
+      url: 'https://example.com/march',
+      severity_score: 80,
+      date: today
+    });
+
+    expect(await keyword('march')).toBe('white supremacy');
+    expect(await mappings('march')).toEqual([['white supremacy', 1], ['racism', 0.33]]);
+  });
+
+  test('categories are created and updated with validation', async () => {
+    const created = await taxonomy.saveCategory({
+      name: 'voter suppression',
+      synonyms: ['voter purge'],
+      match_patterns: ['poll(ing)? (place|site) clos\\w+'],
+      color_code: '#123456',
+      severity_weight: 1.2
+    });
+    expect(created).toMatchObject({ id: expect.any(Number), name: 'voter suppression' });
+
+    const updated = await taxonomy.saveCategory({ id: created.id, severity_weight: 2 });
+    expect(updated).toMatchObject({ synonyms: ['voter purge'], color_code: '#123456', severity_weight: 2 });
+    expect(await taxonomy.saveCategory({ id: 9999, name: 'missing' })).toBeNull();
+
+    await expect(taxonomy.saveCategory({ name: 'racism', color_code: 'red' })).rejects.toMatchObject({
+      validationErrors: ['color_code must be a hex color like #FF0000', 'a category named racism already exists']
+    });
+  });
+
+  test('reclassifying applies taxonomy edits to stored articles', async () => {
+    await newsService.storeArticle({
+      id: 'polls',
+      title: 'County announces polling place closures',
+      summary: 'Advocates call the voter purge racist.',
+      url: 'https://example.com/polls',
+      keyword: 'racism',
+      severity_score: 70,
+      date: today
+    });
+    const racism = (await taxonomy.getCategories({ useCache: false })).find(category => category.name === 'racism');
+    expect(await taxonomy.deleteCategory(racism.id)).toBe(true);
+
+    expect(await newsService.reclassifyArticles()).toMatchObject({ articles: 2, categorized: 2, keywords_changed: 1 });
+    expect(await keyword('polls')).toBe('voter suppression');
+    expect(await mappings('polls')).toEqual([['voter suppression', 1]]);
+    expect(await mappings('march')).toEqual([['white supremacy', 1]]);
+  });
+});
@@ -0,0 +1,64 @@
+const ContentClassifier = require('../services/contentClassifier');
+
+const words = count => Array.from({ length: count }, (_, i) => `word${i}`).join(' ');
+
+describe('ContentClassifier', () => {
+  const classifier = new ContentClassifier();
+
+  test('long article text is full text', () => {
+    expect(classifier.classify({ html: '<article></article>', text: words(300) })).toEqual({
+      status: 'full_text',
+      reasons: [],
+      word_count: 300
+    });
+  });
+
+  test('stubs are too short', () => {
+    expect(classifier.classify({ text: words(40) })).toEqual({
+      status: 'too_short',
+      reasons: ['40 words (minimum 150)'],
+      word_count: 40
+    });
+  });
+
+  test('bot challenges are recognized from the raw page', () => {
+    expect(classifier.classify({
+      html: '<html><head><title>Just a moment...</title></head><body><div id="challenge-platform"></div></body></html>',
+      text: 'Checking your browser'
+    })).toMatchObject({ status: 'bot_challenge', reasons: ['cloudflare challenge', 'challenge page title'] });
+
+    expect(classifier.classify({ html: '<p>Please enable JavaScript and cookies to continue</p>', text: '' }).status).toBe('bot_challenge');
+  });
+
+  test('consent walls are recognized from their text or a consent host', () => {
+    expect(classifier.classify({ text: `We value your privacy. Accept all cookies or manage your privacy settings. ${words(20)}` }))
+      .toMatchObject({ status: 'consent_wall', reasons: ['privacy notice', 'cookie choice', 'consent settings'] });
+
+    expect(classifier.classify({ text: words(20), finalUrl: 'https://consent.example.com/?continue=x' }))
+      .toMatchObject({ status: 'consent_wall', reasons: ['redirected to consent.example.com'] });
+  });
+
+  test('paywalls are recognized from text, markup or structured data', () => {
+    expect(classifier.classify({
+      html: '<div class="article-body paywall-teaser"></div>',
+      text: `${words(120)} Subscribe now to continue reading. Already a subscriber? Sign in`
+    })).toMatchObject({ status: 'paywalled', reasons: ['subscribe to continue', 'subscriber sign-in prompt', 'paywall markup'] });
+
+    expect(classifier.classify({ text: words(200), metadata: { accessibleForFree: false } }))
+      .toMatchObject({ status: 'paywalled', reasons: ['isAccessibleForFree: false'] });
+  });
+
+  test('a full article that mentions a wall is still full text', () => {
+    const text = `${words(450)} Subscribe now to continue reading. We value your privacy.`;
+
+    expect(classifier.classify({ html: '<div class="paywall"></div><title>Access denied</title>', text }).status).toBe('full_text');
+  });
+
+  test('thresholds are configurable', () => {
+    const strict = new ContentClassifier({ minWords: 10, paywallMaxWords: 50 });
+
+    expect(strict.classify({ text: words(20) }).status).toBe('full_text');
+    expect(strict.classify({ text: `${words(60)} subscribe to keep reading` }).status).toBe('full_text');
+    expect(ContentClassifier.CONTENT_STATUSES).toEqual(['bot_challenge', 'consent_wall', 'paywalled', 'too_short', 'full_text']);
+  });
+});
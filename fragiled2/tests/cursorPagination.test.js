@@ -0,0 +1,95 @@
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+
+const CursorPagination = require('../services/cursorPagination');
+const FNSNewsService = require('../services/fnsNewsService');
+
+describe('CursorPagination tokens', () => {
+  const cursors = new CursorPagination();
+
+  test('scored keyset tokens round-trip with their time', () => {
+    const asOf = new Date('2026-01-01T12:00:00Z');
+    const rows = [1, 2, 3].map(i => ({ id: `a${i}`, rank_score: 50 - i, date: '2026-01-01', imported_at: '2026-01-01 10:00:00' }));
+    const { items, nextCursor } = cursors.page(rows, { sort: 'rank', limit: 2, keyset: true, score: 'rank_score', asOf });
+
+    expect(items).toHaveLength(2);
+    expect(cursors.decode(nextCursor, 'rank')).toEqual({ keyset: [48, '2026-01-01', '2026-01-01 10:00:00', 'a2'], asOf });
+  });
+
+  test('tokens are rejected for another sort or when malformed', () => {
+    const token = cursors.encode({ s: 'severity', k: [90, '2026-01-01', '2026-01-01 10:00:00', 'a1'] });
+    expect(() => cursors.decode(token, 'bias')).toThrow('Invalid cursor');
+    expect(() => cursors.decode('garbage', 'recency')).toThrow('Invalid cursor');
+    expect(() => cursors.decode(cursors.encode({ s: 'rank', k: [1, null, null, null] }), 'rank')).toThrow('Invalid cursor');
+  });
+});
+
+describe('feed pages under concurrent imports', () => {
+  let newsService;
+  let inserted = 0;
+
+  const insert = async (severity, date) => {
+    const id = `late${inserted++}`;
+    await newsService.storeArticle({ id, title: `Late story ${id}`, url: `https://example.com/${id}`, keyword: 'racism', severity_score: severity, date });
+    await newsService.pool.execute('INSERT INTO fns_keisha_analysis (article_id, bias_score) VALUES (?, ?)', [id, severity]);
+    await newsService.ranker.updateScores({ ids: [id] });
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    newsService = new FNSNewsService();
+    await newsService.initializeDatabase();
+
+    // Ties on every score, NULL bias and NULL dates
+    const today = new Date().toISOString().split('T')[0];
+    for (let i = 0; i < 12; i++) {
+      await newsService.storeArticle({
+        id: `a${String(i).padStart(2, '0')}`,
+        title: `Story ${i}`,
+        url: `https://example.com/a${i}`,
+        keyword: 'racism',
+        severity_score: 60 + (i % 4) * 10,
+        date: i < 2 ? null : (i % 3 === 0 ? today : '2026-01-0' + (1 + i % 3))
+      });
+      if (i % 2 === 0) {
+        await newsService.pool.execute('INSERT INTO fns_keisha_analysis (article_id, bias_score) VALUES (?, ?)', [`a${String(i).padStart(2, '0')}`, 40 + (i % 3) * 20]);
+      }
+    }
+    await newsService.ranker.updateScores();
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await newsService.pool.end();
+  });
+
+  test.each(['recency', 'severity', 'bias', 'trending', 'rank'])('%s pages neither repeat nor skip articles', async sort => {
+    const [existing] = await newsService.pool.execute('SELECT id FROM fns_articles');
+    const seen = [];
+    let cursor = null;
+
+    do {
+      const { articles, pagination } = await newsService.getNewsFeed({ sort, limit: 4, cursor, includeTotal: false });
+      seen.push(...articles.map(article => article.id));
+      cursor = pagination.nextCursor;
+
+      // Imports between requests: one story sorting first, one sorting last
+      await insert(99, '2026-12-31');
+      await insert(1, '2000-01-01');
+    } while (cursor);
+
+    expect(new Set(seen).size).toBe(seen.length);
+    existing.forEach(({ id }) => expect(seen).toContain(id));
+  });
+
+  test('trending pages by keyset as of the first page, and search relevance says it pages by offset', async () => {
+    const { pagination } = await newsService.getNewsFeed({ sort: 'trending', limit: 2 });
+    expect(pagination.pagedBy).toBe('keyset');
+    expect(new CursorPagination().decode(pagination.nextCursor, 'trending')).toMatchObject({ asOf: expect.any(Date) });
+
+    const relevance = await newsService.searchService.search('story', { limit: 2 });
+    expect(relevance.pagedBy).toBe('offset');
+    expect(new CursorPagination().decode(relevance.nextCursor, 'relevance')).toEqual({ offset: 2 });
+    expect((await newsService.searchService.search('story', { limit: 2, sort: 'date' })).pagedBy).toBe('keyset');
+  });
+});
@@ -0,0 +1,96 @@
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+
+const path = require('path');
+const fs = require('fs');
+const FeedIngestionService = require('../services/feedIngestionService');
+
+const FIXTURES = path.join(__dirname, '../data/fixtures/feeds');
+
+describe('FeedIngestionService', () => {
+  const feedService = new FeedIngestionService();
+  const rssFeed = feedService.sourceRegistry.normalizeSource({
+    id: 'fixture_rss',
+    name: 'Fixture RSS',
+    base_url: path.join(FIXTURES, 'sample_rss.xml'),
+    parser_type: 'rss',
+    trust_weight: 1.0
+  });
+  const atomFeed = feedService.sourceRegistry.normalizeSource({
+    id: 'fixture_atom',
+    name: 'Fixture Atom',
+    base_url: `file://${path.join(FIXTURES, 'sample_atom.xml')}`,
+    parser_type: 'rss',
+    trust_weight: 0.9
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('RSS items become seed articles, and items without a title or link are dropped', async () => {
+    const { title, articles, dropped } = await feedService.parseFeed(fs.readFileSync(rssFeed.base_url, 'utf8'), rssFeed);
+
+    expect(title).toBe('FNS Fixture Wire (RSS)');
+    expect(dropped).toEqual([{ index: 4, title: null, reason: 'missing title' }]);
+    expect(articles.map(article => article.url)).toEqual([
+      'https://fixtures.fns.local/news/capitol-rally?utm_source=rss',
+      'https://fixtures.fns.local/news/school-board',
+      'https://fixtures.fns.local/news/bakery'
+    ]);
+
+    expect(articles[0]).toMatchObject({
+      id: expect.stringMatching(/^fns_feed_20250113_[0-9a-f]{8}$/),
+      title: 'White supremacist group rallies outside state capitol',
+      summary: 'Members of a white supremacist group held a rally at the capitol. Civil rights groups warned of rising hate and violence.',
+      date: '2025-01-13',
+      source_file: rssFeed.base_url,
+      source_type: 'rss_feed',
+      story_number: 1,
+      author: 'Fixture Reporter',
+      feed_categories: ['Extremism'],
+      source_id: 'fixture_rss',
+      trust_weight: 1,
+      analysis_status: 'pending'
+    });
+    expect(articles[0].keyword).toEqual(expect.any(String));
+    expect(articles[0].severity_score).toBeGreaterThan(articles[2].severity_score);
+  });
+
+  test('Atom entries are parsed like RSS items', async () => {
+    const { articles, dropped } = await feedService.parseFeed(fs.readFileSync(path.join(FIXTURES, 'sample_atom.xml'), 'utf8'), atomFeed);
+
+    expect(dropped).toEqual([]);
+    expect(articles.map(({ title, date, author }) => ({ title, date, author }))).toEqual([
+      { title: 'Great replacement rhetoric resurfaces in campaign ads', date: '2025-01-13', author: 'Atom Fixture Desk' },
+      { title: 'White supremacist group rallies outside state capitol', date: '2025-01-13', author: '' }
+    ]);
+  });
+
+  test('polling local feeds merges syndicated copies, keeping the more trusted one', async () => {
+    // Fixture items are dated January 2025, so look back far enough to keep them
+    const articles = await feedService.fetchFeedArticles({ feeds: [atomFeed, rssFeed], daysBack: 36500 });
+
+    expect(articles).toHaveLength(4);
+    const rally = articles.filter(article => article.url.includes('capitol-rally'));
+    expect(rally).toHaveLength(1);
+    expect(rally[0].source_id).toBe('fixture_rss');
+    expect(rally[0].sources.map(source => source.source_id)).toEqual(['fixture_atom', 'fixture_rss']);
+
+    expect(feedService.lastPollReport).toMatchObject({ new: 2, failed: 0 });
+    expect(feedService.lastPollReport.files.map(file => [file.source_id, file.stories])).toEqual([['fixture_atom', 2], ['fixture_rss', 3]]);
+  });
+
+  test('old items and unreadable feeds are left out', async () => {
+    const missing = { ...rssFeed, id: 'missing', base_url: path.join(FIXTURES, 'missing.xml') };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await feedService.fetchFeedArticles({ feeds: [rssFeed, missing], daysBack: 1 })).toEqual([]);
+    expect(feedService.lastPollReport.files[1]).toMatchObject({ source_id: 'missing', status: 'failed' });
+  });
+});
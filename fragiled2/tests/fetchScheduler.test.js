@@ -0,0 +1,138 @@
+const http = require('http');
+const FetchScheduler = require('../services/fetchScheduler');
+
+const ROBOTS = `
+User-agent: *
+Disallow: /
+
+User-agent: FNSBot
+User-agent: otherbot
+Disallow: /private
+Allow: /private/press$
+Disallow: /*.pdf$
+Crawl-delay: 0.1
+`;
+
+describe('FetchScheduler', () => {
+  let server;
+  let origin;
+  const requests = [];
+  const robotsFiles = {};
+
+  const scheduler = (options = {}) => new FetchScheduler({
+    hostDelayMs: 0,
+    backoffBaseMs: 10,
+    robotsCache: new Map(),
+    hostStates: new Map(),
+    ...options
+  });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    let busy = 0;
+    server = http.createServer((req, res) => {
+      const host = req.headers.host.split(':')[0];
+      if (req.url === '/robots.txt') {
+        const robots = robotsFiles[host];
+        res.writeHead(robots ? robots.status : 404);
+        return res.end(robots ? robots.body : '');
+      }
+
+      requests.push({ host, url: req.url, at: Date.now(), userAgent: req.headers['user-agent'] });
+      if (req.url === '/busy' && busy++ === 0) {
+        res.writeHead(429, { 'Retry-After': '0' });
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<html></html>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+    robotsFiles['127.0.0.1'] = { status: 200, body: ROBOTS };
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('the most specific robots group applies, falling back to "*"', () => {
+    expect(scheduler().parseRobots(ROBOTS)).toEqual({
+      rules: [
+        { allow: false, pattern: '/private' },
+        { allow: true, pattern: '/private/press$' },
+        { allow: false, pattern: '/*.pdf$' }
+      ],
+      crawlDelay: 0.1
+    });
+    expect(scheduler({ userAgent: 'SomeBot/2.0' }).parseRobots(ROBOTS)).toEqual({
+      rules: [{ allow: false, pattern: '/' }],
+      crawlDelay: null
+    });
+  });
+
+  test('the longest matching rule wins, and allow wins ties', () => {
+    const fetcher = scheduler();
+    const robots = fetcher.parseRobots(ROBOTS);
+
+    expect(fetcher.isAllowed(robots, '/news/story')).toBe(true);
+    expect(fetcher.isAllowed(robots, '/private/notes')).toBe(false);
+    expect(fetcher.isAllowed(robots, '/private/press')).toBe(true);
+    expect(fetcher.isAllowed(robots, '/private/press/2')).toBe(false);
+    expect(fetcher.isAllowed(robots, '/files/report.pdf')).toBe(false);
+    expect(fetcher.isAllowed(robots, '/files/report.pdf?download=1')).toBe(true);
+    expect(fetcher.isAllowed({ rules: [{ allow: false, pattern: '/a' }, { allow: true, pattern: '/a' }] }, '/a')).toBe(true);
+  });
+
+  test('disallowed paths and long crawl delays are refused without a request', async () => {
+    const fetcher = scheduler({ maxCrawlDelayMs: 50 });
+
+    await expect(fetcher.fetch(`${origin}/news/story`)).rejects.toMatchObject({ code: 'CRAWL_DELAY_TOO_LONG' });
+    await expect(scheduler().fetch(`${origin}/private/notes`)).rejects.toMatchObject({ code: 'ROBOTS_DISALLOWED' });
+    expect(requests).toEqual([]);
+  });
+
+  test('requests to one host wait out its crawl delay, and robots.txt is read once', async () => {
+    const fetcher = scheduler();
+    const robotsSpy = jest.spyOn(fetcher, 'fetchRobots');
+
+    await Promise.all([fetcher.fetch(`${origin}/a`), fetcher.fetch(`${origin}/b`), fetcher.fetch(`${origin}/c`)]);
+
+    expect(robotsSpy).toHaveBeenCalledTimes(1);
+    const times = requests.splice(0).map(request => request.at);
+    expect(times[1] - times[0]).toBeGreaterThanOrEqual(95);
+    expect(times[2] - times[1]).toBeGreaterThanOrEqual(95);
+  });
+
+  test('a 429 is retried after Retry-After, with our user agent', async () => {
+    robotsFiles.localhost = { status: 404 };
+    const response = await scheduler().fetch(`http://localhost:${server.address().port}/busy`);
+
+    expect(response.status).toBe(200);
+    expect(requests.splice(0).map(request => [request.url, request.userAgent])).toEqual([
+      ['/busy', FetchScheduler.DEFAULT_USER_AGENT],
+      ['/busy', FetchScheduler.DEFAULT_USER_AGENT]
+    ]);
+  });
+
+  test('an erroring robots.txt keeps us off the host, unless robots are ignored', async () => {
+    robotsFiles.localhost = { status: 503, body: '' };
+    const url = `http://localhost:${server.address().port}/page`;
+
+    await expect(scheduler().fetch(url)).rejects.toMatchObject({
+      code: 'ROBOTS_DISALLOWED',
+      message: `robots.txt for localhost:${server.address().port} is unreachable`
+    });
+    expect((await scheduler({ respectRobots: false }).fetch(url)).status).toBe(200);
+  });
+
+  test('backoff honors Retry-After and otherwise grows exponentially up to the cap', () => {
+    const fetcher = scheduler({ backoffBaseMs: 1000, maxBackoffMs: 5000 });
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect(fetcher.getBackoffMs({ headers: { 'retry-after': '3' } }, 0)).toBe(3000);
+    expect(fetcher.getBackoffMs({ headers: {} }, 1)).toBe(2000);
+    expect(fetcher.getBackoffMs(undefined, 4)).toBe(5000);
+  });
+});
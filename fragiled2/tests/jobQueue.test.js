@@ -0,0 +1,118 @@
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+
+const { createStorage } = require('../services/storage');
+const SchemaMigrator = require('../services/schemaMigrator');
+const JobQueue = require('../services/jobQueue');
+
+describe('JobQueue', () => {
+  let pool;
+  let workerA;
+  let workerB;
+
+  // The lease runs out without waiting for it
+  const expireLease = job => pool.execute(
+    'UPDATE fns_jobs SET locked_until = ? WHERE id = ?',
+    [workerA.toDateTime(new Date(Date.now() - 60 * 1000)), job.id]
+  );
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    pool = createStorage();
+    await new SchemaMigrator(pool).up();
+
+    workerA = new JobQueue(pool, { workerId: 'host:1', backoffSeconds: 0 });
+    workerB = new JobQueue(pool, { workerId: 'host:2', backoffSeconds: 0 });
+  });
+
+  beforeEach(() => pool.execute('DELETE FROM fns_jobs'));
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await pool.end();
+  });
+
+  test('one live job per type and key', async () => {
+    expect(await workerA.enqueue('analyze', { article_id: 'a1' }, { key: 'a1' })).not.toBeNull();
+    expect(await workerA.enqueue('analyze', { article_id: 'a1' }, { key: 'a1' })).toBeNull();
+    expect(await workerA.enqueue('enhance', { article_id: 'a1' }, { key: 'a1' })).not.toBeNull();
+  });
+
+  test('the schema keeps concurrent enqueues to one live job, and a finished job frees its key', async () => {
+    const ids = await Promise.all([1, 2, 3].map(() => workerA.enqueue('analyze', {}, { key: 'a1' })));
+    expect(ids.filter(id => id !== null)).toHaveLength(1);
+
+    await expect(pool.execute(`
+      INSERT INTO fns_jobs (type, job_key, active_key, status, run_at) VALUES ('analyze', 'a1', 'a1', 'queued', ?)
+    `, [workerA.toDateTime(new Date())])).rejects.toMatchObject({ code: 'SQLITE_CONSTRAINT_UNIQUE' });
+
+    const [job] = await workerA.claim();
+    await workerA.complete(job);
+    const next = await workerA.enqueue('analyze', {}, { key: 'a1' });
+    expect(next).not.toBeNull();
+
+    // A dead job is not queued again while another job holds its key
+    await pool.execute('UPDATE fns_jobs SET status = \'dead\', active_key = NULL WHERE id = ?', [job.id]);
+    expect(await workerA.retry(job.id)).toBe(false);
+    expect(await workerA.getJob(job.id)).toMatchObject({ status: 'dead', job_key: 'a1', active_key: null });
+  });
+
+  test('an expired lease is queued again and the worker that lost it cannot finish the job', async () => {
+    await workerA.enqueue('analyze', { article_id: 'a1' }, { key: 'a1' });
+    const [job] = await workerA.claim();
+    expect(await workerB.claim()).toEqual([]);
+
+    await expireLease(job);
+    expect(await workerA.sweep()).toMatchObject({ requeued: 1, dead: 0 });
+
+    const [reclaimed] = await workerB.claim();
+    expect(reclaimed).toMatchObject({ id: job.id, attempts: 2, locked_by: 'host:2' });
+
+    // Worker A finishes late: neither outcome touches worker B's lease
+    expect(await workerA.complete(job)).toBe(false);
+    expect(await workerA.fail(job, new Error('late'))).toEqual({ status: 'lost', run_at: null });
+    expect(await workerA.extendLease(job)).toBe(false);
+    expect(await workerA.getJob(job.id)).toMatchObject({ status: 'running', locked_by: 'host:2', last_error: null });
+
+    expect(await workerB.complete(reclaimed)).toBe(true);
+    expect(await workerB.getJob(job.id)).toMatchObject({ status: 'completed', locked_by: null });
+  });
+
+  test('failed jobs are retried, then dead-lettered after max_attempts and can be retried by hand', async () => {
+    const id = await workerA.enqueue('enhance', { article_id: 'a2' }, { key: 'a2', maxAttempts: 2 });
+
+    const [first] = await workerA.claim();
+    expect(await workerA.fail(first, new Error('timeout'))).toMatchObject({ status: 'queued' });
+
+    const [second] = await workerA.claim();
+    expect(second.attempts).toBe(2);
+    expect(await workerA.fail(second, new Error('timeout again'))).toEqual({ status: 'dead', run_at: null });
+
+    expect(await workerA.claim()).toEqual([]);
+    expect((await workerA.listJobs({ status: 'dead' })).map(job => job.id)).toEqual([id]);
+    expect(await workerA.getStats()).toMatchObject({ dead: 1, queued: 0, running: 0 });
+
+    expect(await workerA.retry(id)).toBe(true);
+    expect(await workerA.getJob(id)).toMatchObject({ status: 'queued', attempts: 0 });
+  });
+
+  test('an expired lease on the last attempt is dead-lettered by the sweep', async () => {
+    const id = await workerA.enqueue('enhance', {}, { key: 'a3', maxAttempts: 1 });
+    const [job] = await workerA.claim();
+
+    await expireLease(job);
+    expect(await workerA.sweep()).toMatchObject({ requeued: 0, dead: 1 });
+    expect(await workerA.getJob(id)).toMatchObject({ status: 'dead', last_error: 'lease expired' });
+    expect(await workerA.complete(job)).toBe(false);
+  });
+
+  test('failing with backoff delays the next claim', async () => {
+    const queue = new JobQueue(pool, { workerId: 'host:3', backoffSeconds: 60 });
+    await queue.enqueue('analyze', {}, { key: 'a4' });
+
+    const [job] = await queue.claim();
+    const outcome = await queue.fail(job, new Error('rate limited'));
+    expect(new Date(outcome.run_at).getTime()).toBeGreaterThan(Date.now() + 55 * 1000);
+    expect(await queue.claim()).toEqual([]);
+  });
+});
@@ -0,0 +1,128 @@
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+
+const { createStorage } = require('../services/storage');
+const SchemaMigrator = require('../services/schemaMigrator');
+const JobQueue = require('../services/jobQueue');
+const JobWorker = require('../services/jobWorker');
+
+const IDLE = { processed: 0, completed: 0, retried: 0, dead: 0, lost: 0 };
+
+describe('JobWorker', () => {
+  let pool;
+  let jobs;
+  let current = null;
+
+  const workerRow = async () => {
+    const [rows] = await pool.execute('SELECT status, jobs_processed, current_jobs FROM fns_workers WHERE id = ?', [jobs.workerId]);
+    return rows[0];
+  };
+
+  // Stub pipeline and analysis queue; pipeline.release() lets the claimed job finish
+  const createWorker = (options = {}) => {
+    let release;
+    const released = new Promise(resolve => {
+      release = resolve;
+    });
+
+    const pipeline = {
+      release,
+      processEnhanceQueue: jest.fn(async ({ shouldStop }) => {
+        if (shouldStop()) return IDLE;
+        const [job] = await jobs.claim({ types: ['enhance_article'] });
+        if (!job) return IDLE;
+
+        pipeline.claimed = job;
+        await released;
+        await jobs.complete(job);
+        return { ...IDLE, processed: 1, completed: 1 };
+      })
+    };
+    const keishaIntegration = {
+      processAnalysisQueue: jest.fn(async () => IDLE)
+    };
+
+    const worker = new JobWorker({ pipeline, keishaIntegration, jobs, schedules: false, pollSeconds: 60, ...options });
+    current = { worker, pipeline, keishaIntegration };
+    return current;
+  };
+
+  const waitFor = async condition => {
+    for (let i = 0; i < 100 && !(await condition()); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    pool = createStorage();
+    await new SchemaMigrator(pool).up();
+    jobs = new JobQueue(pool, { workerId: 'worker-host:42' });
+  });
+
+  beforeEach(() => pool.execute('DELETE FROM fns_jobs'));
+
+  // A failed test must not leave its worker running
+  afterEach(async () => {
+    current.pipeline.release();
+    await current.worker.stop();
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await pool.end();
+  });
+
+  test('stop() lets the job in flight finish, then stops claiming', async () => {
+    await jobs.enqueue('enhance_article', { article_id: 'a1' }, { key: 'a1' });
+    await jobs.enqueue('enhance_article', { article_id: 'a2' }, { key: 'a2' });
+    const { worker, pipeline } = createWorker();
+
+    await worker.start();
+    await waitFor(() => pipeline.claimed);
+
+    let stopped = false;
+    const stopping = Promise.all([worker.stop(), worker.stop()]).then(() => {
+      stopped = true;
+    });
+
+    await waitFor(async () => (await workerRow()).status === 'draining');
+    expect(await workerRow()).toMatchObject({ status: 'draining', current_jobs: 1 });
+    expect(stopped).toBe(false);
+
+    pipeline.release();
+    await stopping;
+
+    expect(await workerRow()).toMatchObject({ status: 'stopped', jobs_processed: 1, current_jobs: 0 });
+    expect(console.log.mock.calls.filter(([message]) => message === '⏳ Draining in-flight jobs...')).toHaveLength(1);
+    const [rows] = await pool.execute('SELECT job_key, status FROM fns_jobs ORDER BY job_key');
+    expect(rows).toEqual([{ job_key: 'a1', status: 'completed' }, { job_key: 'a2', status: 'queued' }]);
+  });
+
+  test('an idle worker stops without waiting out its poll interval', async () => {
+    const { worker, keishaIntegration } = createWorker();
+
+    await worker.start();
+    await waitFor(() => keishaIntegration.processAnalysisQueue.mock.calls.length > 0);
+
+    const startedAt = Date.now();
+    await worker.stop();
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+    expect(worker.state.status).toBe('stopped');
+  });
+
+  test('a failing pass is logged and the worker keeps polling', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { worker, keishaIntegration } = createWorker({ pollSeconds: 0 });
+    keishaIntegration.processAnalysisQueue
+      .mockRejectedValueOnce(new Error('database unavailable'))
+      .mockResolvedValueOnce({ ...IDLE, processed: 2, completed: 1, dead: 1 });
+
+    await worker.start();
+    await waitFor(() => keishaIntegration.processAnalysisQueue.mock.calls.length >= 3);
+    await worker.stop();
+
+    expect(console.error).toHaveBeenCalledWith('Job worker pass failed:', 'database unavailable');
+    expect(worker.state).toMatchObject({ status: 'stopped', processed: 2, failed: 1 });
+  });
+});
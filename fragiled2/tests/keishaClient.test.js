@@ -0,0 +1,220 @@
+const http = require('http');
+const AnalysisResultSchema = require('../services/analysisResultSchema');
+const KeishaClient = require('../services/keishaClient');
+
+const TEXT = 'Police described the officer-involved shooting as a use of force against thugs who ignored law and order.';
+
+describe('AnalysisResultSchema', () => {
+  const schema = new AnalysisResultSchema();
+
+  test('term lists are derived from detected terms unless given', () => {
+    const result = schema.create({
+      provider: 'test',
+      bias_score: '64.5',
+      detected_terms: [
+        { term: 'officer-involved shooting', category: 'euphemism', start: 28, end: 53 },
+        { term: 'thugs', category: 'coded_language' },
+        { term: 'law and order', category: 'systemic_pattern' },
+        { term: 'use of force', category: 'unknown' }
+      ],
+      systemic_patterns: ['policing', null]
+    });
+
+    expect(result).toMatchObject({
+      schema_version: AnalysisResultSchema.SCHEMA_VERSION,
+      provider: 'test',
+      bias_score: 64.5,
+      confidence_score: 0.8,
+      sentiment: 0,
+      fragility_indicators: ['officer-involved shooting', 'thugs', 'law and order', 'use of force'],
+      euphemisms_detected: ['officer-involved shooting', 'thugs'],
+      systemic_patterns: ['policing'],
+      keisha_translation: ''
+    });
+    expect(result.detected_terms[1]).toEqual({ term: 'thugs', category: 'coded_language', rationale: '', start: null, end: null });
+    expect(result.detected_terms[3].category).toBe('fragility');
+  });
+
+  test('results out of range are rejected with every problem', () => {
+    let error;
+    try {
+      schema.create({
+        provider: 'test',
+        bias_score: 140,
+        confidence_score: 2,
+        sentiment: -3,
+        detected_terms: [{ term: '', start: 9, end: 4 }, { term: 'x', start: 1 }]
+      });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toMatchObject({ code: 'INVALID_ANALYSIS' });
+    expect(error.validationErrors).toEqual([
+      'bias_score must be a number from 0 to 100',
+      'confidence_score must be a number from 0 to 1',
+      'sentiment must be a number from -1 to 1',
+      'detected_terms[0] has no term',
+      'detected_terms[0] offsets must both be null or 0 <= start < end',
+      'detected_terms[1] offsets must both be null or 0 <= start < end'
+    ]);
+    expect(() => schema.create({ provider: 'test' })).toThrow('Invalid analysis result from test: bias_score must be a number from 0 to 100');
+  });
+
+  test('stored rows read back as canonical results', () => {
+    expect(schema.fromRow({ bias_score: null })).toBeNull();
+    expect(schema.fromRow({
+      bias_score: '70.00',
+      confidence_score: '0.90',
+      sentiment: 0.4,
+      analysis_sentiment: '-0.25',
+      fragility_indicators: '["thugs"]',
+      euphemisms_detected: 'not json',
+      detected_terms: [{ term: 'thugs', category: 'coded_language' }],
+      keisha_summary: 'Summary'
+    })).toMatchObject({
+      provider: 'keisha-microfrag',
+      bias_score: 70,
+      confidence_score: 0.9,
+      sentiment: -0.25,
+      fragility_indicators: ['thugs'],
+      euphemisms_detected: [],
+      detected_terms: [{ term: 'thugs', category: 'coded_language' }],
+      keisha_summary: 'Summary'
+    });
+    expect(schema.displayText({ keisha_summary: 'Summary', critical_analysis: 'Analysis' })).toBe('Summary');
+  });
+});
+
+describe('KeishaClient contracts', () => {
+  let server;
+  let client;
+  const requests = [];
+  const responses = {};
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ path: req.url, body: JSON.parse(body), authorization: req.headers.authorization, userAgent: req.headers['user-agent'] });
+        const { status = 200, data } = responses[req.url];
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new KeishaClient({ baseUrl: `http://127.0.0.1:${server.address().port}`, apiKey: 'secret', timeout: 5000 });
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+    responses['/api/microfrag/analyze'] = {
+      data: {
+        success: true,
+        data: {
+          biasScore: 72,
+          detectedTerms: [{ term: 'officer-involved shooting', category: 'euphemism', rationale: 'Hides who shot', start: 28, end: 53 }],
+          systemicPatterns: ['policing'],
+          translation: 'Police shot someone.',
+          confidence: 0.9,
+          sentiment: -0.4,
+          version: '2.1',
+          processingTime: 1200
+        }
+      }
+    };
+    responses['/api/bias-analysis/analyze'] = {
+      data: {
+        success: true,
+        data: {
+          analysis: {
+            score: 64,
+            detected_terms: [
+              { term: 'thugs', rationale: 'Coded racial language' },
+              { term: 'law and order', rationale: 'Systemic framing of policing' }
+            ]
+          }
+        }
+      }
+    };
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const content = { content: TEXT, title: 'Shooting', url: 'https://example.com/shooting', metadata: { source: 'test' } };
+
+  test('the microfrag contract posts text, title and metadata', async () => {
+    const result = await client.analyze(content);
+
+    expect(requests).toEqual([{
+      path: '/api/microfrag/analyze',
+      body: { text: TEXT, title: 'Shooting', metadata: { source: 'test' } },
+      authorization: 'Bearer secret',
+      userAgent: `FNS-KeishaClient/${KeishaClient.CLIENT_VERSION}`
+    }]);
+    expect(result).toMatchObject({
+      provider: 'keisha-microfrag',
+      analysis_version: '2.1',
+      bias_score: 72,
+      confidence_score: 0.9,
+      sentiment: -0.4,
+      fragility_indicators: ['officer-involved shooting'],
+      euphemisms_detected: ['officer-involved shooting'],
+      systemic_patterns: ['policing'],
+      keisha_translation: 'Police shot someone.',
+      processing_time_ms: 1200
+    });
+  });
+
+  test('the bias contract posts article fields and reads term categories from rationales', async () => {
+    const result = await client.analyze(content, { contract: 'bias' });
+
+    expect(requests[0]).toMatchObject({
+      path: '/api/bias-analysis/analyze',
+      body: { article_text: TEXT, article_title: 'Shooting', article_url: 'https://example.com/shooting' }
+    });
+    expect(result).toMatchObject({
+      provider: 'keisha-bias',
+      bias_score: 64,
+      fragility_indicators: ['thugs', 'law and order'],
+      euphemisms_detected: ['thugs'],
+      systemic_patterns: ['law and order'],
+      critical_analysis: 'Keisha AI Analysis (Score: 64/100)\n\nDetected Issues:\n• thugs: Coded racial language\n• law and order: Systemic framing of policing'
+    });
+    expect(result.detected_terms.map(term => term.category)).toEqual(['coded_language', 'systemic_pattern']);
+  });
+
+  test('both contracts produce the same result shape', async () => {
+    const microfrag = await client.analyze(content);
+    const bias = await client.analyze(content, { contract: 'bias' });
+
+    expect(Object.keys(bias).sort()).toEqual(Object.keys(microfrag).sort());
+    expect(new AnalysisResultSchema().validate(bias)).toEqual([]);
+  });
+
+  test('short content, failed responses and invalid results are errors', async () => {
+    await expect(client.analyze({ content: 'Too short' }, { contract: 'bias' })).rejects.toMatchObject({ code: 'CONTENT_TOO_SHORT' });
+    expect(requests).toEqual([]);
+    await expect(client.analyze(content, { contract: 'legacy' })).rejects.toThrow('Unknown Keisha contract: legacy (expected one of: microfrag, bias)');
+
+    responses['/api/microfrag/analyze'].data.data.biasScore = 140;
+    await expect(client.analyze(content)).rejects.toMatchObject({
+      code: 'INVALID_ANALYSIS',
+      validationErrors: ['bias_score must be a number from 0 to 100']
+    });
+
+    responses['/api/bias-analysis/analyze'] = { data: { success: false } };
+    await expect(client.analyze(content, { contract: 'bias' })).rejects.toThrow('Invalid response from Keisha bias API');
+
+    responses['/api/bias-analysis/analyze'] = { status: 500, data: { error: 'down' } };
+    await expect(client.analyze(content, { contract: 'bias' })).rejects.toThrow('Keisha API error: 500');
+  });
+});
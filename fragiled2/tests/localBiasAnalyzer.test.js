@@ -0,0 +1,94 @@
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+
+const { createStorage } = require('../services/storage');
+const SchemaMigrator = require('../services/schemaMigrator');
+const BiasLexicon = require('../services/biasLexicon');
+const LocalBiasAnalyzer = require('../services/localBiasAnalyzer');
+
+const TEXT = 'Thugs looted the urban core overnight. A teenager was shot in an officer involved shooting, ' +
+  'and a man died after an encounter with police. Another was beaten by deputies, and shots were fired at officers.';
+
+// The offsets a hit should have: where its text first appears
+const at = term => {
+  const start = TEXT.indexOf(term);
+  return { term, start, end: start + term.length };
+};
+
+describe('LocalBiasAnalyzer', () => {
+  let pool;
+  let lexicon;
+  let analyzer;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    pool = createStorage();
+    await new SchemaMigrator(pool).up();
+    lexicon = new BiasLexicon(pool);
+    await lexicon.importEntries([
+      { term: 'thug', category: 'coded_language', weight: 2, rationale: 'Racially coded' },
+      { term: 'urban', category: 'coded_language', weight: 1, rationale: 'Stands in for "Black"' },
+      { term: 'officer', category: 'systemic_pattern', weight: 0.5, rationale: 'Overlaps the euphemism' },
+      { term: 'officer-involved shooting', category: 'euphemism', weight: 1.5, rationale: 'Names no shooter' }
+    ], { note: 'test' });
+    analyzer = new LocalBiasAnalyzer({ lexicon });
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await pool.end();
+  });
+
+  test('every hit is reported in order with offsets into the analyzed text', async () => {
+    const result = await analyzer.analyze({ text: TEXT });
+
+    expect(result.detected_terms.map(({ term, category, start, end }) => ({ term, category, start, end }))).toEqual([
+      { ...at('Thugs'), category: 'coded_language' },
+      { ...at('urban'), category: 'coded_language' },
+      { ...at('was shot'), category: 'agency_erasure' },
+      { ...at('officer involved shooting'), category: 'euphemism' },
+      { ...at('died after an encounter with police'), category: 'agency_erasure' },
+      { ...at('shots were fired'), category: 'agency_erasure' },
+      { ...at('officers'), category: 'systemic_pattern' }
+    ]);
+    result.detected_terms.forEach(({ term, start, end }) => {
+      expect(TEXT.slice(start, end)).toBe(term);
+    });
+
+    // "was beaten by deputies" names who did it
+    expect(result.detected_terms.some(hit => /beaten/.test(hit.term))).toBe(false);
+  });
+
+  test('the title and content are analyzed when there is no text', async () => {
+    const { detected_terms: terms } = await analyzer.analyze({ title: 'Urban unrest', content: 'Thugs again' });
+
+    expect(terms.map(({ term, start, end }) => [term, start, end])).toEqual([['Urban', 0, 5], ['Thugs', 14, 19]]);
+  });
+
+  test('the same text and lexicon version always get the same result', async () => {
+    const strip = ({ processing_time_ms: _time, analyzed_at: _at, ...result }) => result;
+    const first = await analyzer.analyze({ text: TEXT });
+    const version = first.lexicon_version;
+
+    expect(strip(await new LocalBiasAnalyzer({ lexicon }).analyze({ text: TEXT }))).toEqual(strip(first));
+
+    // A newer lexicon changes the result, and the old version reproduces the old one
+    await lexicon.importEntries([{ term: 'looted', category: 'dehumanizing', weight: 1 }], { mode: 'merge' });
+    const newer = await analyzer.analyze({ text: TEXT });
+    expect(newer.lexicon_version).toBe(version + 1);
+    expect(newer.detected_terms).toHaveLength(first.detected_terms.length + 1);
+    expect(newer.bias_score).toBeGreaterThan(first.bias_score);
+    expect(strip(await analyzer.analyze({ text: TEXT }, { lexiconVersion: version }))).toEqual(strip(first));
+
+    await expect(analyzer.analyze({ text: TEXT }, { lexiconVersion: 99 })).rejects.toThrow('Bias lexicon version 99 does not exist');
+  });
+
+  test('repeats of a term add less to the score each time', () => {
+    const hit = { key: 'thug', weight: 2 };
+
+    expect(analyzer.score([])).toBe(0);
+    expect(analyzer.score([hit])).toBe(39);
+    expect(analyzer.score([hit, hit])).toBe(63);
+    expect(analyzer.score([hit, hit, hit, hit])).toBe(78);
+  });
+});
@@ -0,0 +1,121 @@
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+
+const FNSNewsService = require('../services/fnsNewsService');
+
+describe('FNSNewsService.getNewsFeed filters and facets', () => {
+  let newsService;
+
+  const insert = async (id, fields) => {
+    const { pool } = newsService;
+    await pool.execute(`
+      INSERT INTO fns_articles (
+        id, title, url, source_domain, keyword, severity_score, date,
+        is_cluster_primary, cluster_size, content_fetched, featured_image
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id, fields.title || `Story ${id}`, `https://${fields.domain}/${id}`, fields.domain, fields.keyword,
+      fields.severity, fields.date, fields.primary ?? true, fields.clusterSize || 1, !!fields.fetched, fields.image || null
+    ]);
+
+    for (const category of fields.categories || []) {
+      await pool.execute(
+        'INSERT INTO fns_article_categories (article_id, category_id) SELECT ?, id FROM fns_categories WHERE name = ?',
+        [id, category]
+      );
+    }
+    if (fields.bias !== undefined) {
+      await pool.execute('INSERT INTO fns_keisha_analysis (article_id, bias_score) VALUES (?, ?)', [id, fields.bias]);
+    }
+  };
+
+  const ids = async (options = {}) => (await newsService.getNewsFeed(options)).articles.map(article => article.id);
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    newsService = new FNSNewsService();
+    await newsService.initializeDatabase();
+
+    await insert('a', {
+      title: 'Rally at the state capitol', domain: 'apnews.com', keyword: 'racism', severity: 95, date: '2026-01-05',
+      categories: ['racism', 'white supremacy'], bias: 80, fetched: true, image: 'https://apnews.com/a.jpg', clusterSize: 3
+    });
+    await insert('b', { domain: 'nytimes.com', keyword: 'racism', severity: 70, date: '2026-01-06', categories: ['racism'], bias: 30 });
+    await insert('c', { domain: 'apnews.com', keyword: 'MAGA', severity: 85, date: '2026-01-07', categories: ['MAGA'] });
+    await insert('d', { domain: 'local.example.com', keyword: 'racism', severity: 60, date: '2026-01-04', primary: false });
+    await insert('e', {
+      domain: 'nytimes.com', keyword: 'white supremacy', severity: 50, date: '2026-01-03', categories: ['white supremacy'], bias: 55
+    });
+    await newsService.pool.execute("INSERT INTO fns_article_images (article_id, image_url) VALUES ('c', 'https://apnews.com/c.jpg')");
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await newsService.pool.end();
+  });
+
+  test('cluster copies are hidden unless clusters are expanded', async () => {
+    expect(await ids()).toEqual(['c', 'b', 'a', 'e']);
+    expect(await ids({ collapseClusters: false })).toEqual(['c', 'b', 'a', 'd', 'e']);
+  });
+
+  test('date, severity, source and bias ranges combine', async () => {
+    expect(await ids({ fromDate: '2026-01-05', toDate: '2026-01-06' })).toEqual(['b', 'a']);
+    expect(await ids({ minSeverity: 60, maxSeverity: 90 })).toEqual(['c', 'b']);
+    expect(await ids({ sourceDomains: ['www.APNews.com'] })).toEqual(['c', 'a']);
+    expect(await ids({ minBias: 50 })).toEqual(['a', 'e']);
+    expect(await ids({ maxBias: 50, sourceDomains: ['nytimes.com'] })).toEqual(['b']);
+  });
+
+  test('several categories match any or all of them', async () => {
+    expect(await ids({ categories: ['racism', 'white supremacy'] })).toEqual(['b', 'a', 'e']);
+    expect(await ids({ category: 'racism', categories: ['white supremacy'], categoryMode: 'all' })).toEqual(['a']);
+  });
+
+  test('full text, images and free text filter too', async () => {
+    expect(await ids({ contentFetched: true })).toEqual(['a']);
+    expect(await ids({ contentFetched: false })).toEqual(['c', 'b', 'e']);
+    expect(await ids({ hasImages: true })).toEqual(['c', 'a']);
+    expect(await ids({ hasImages: false })).toEqual(['b', 'e']);
+    expect(await ids({ query: 'capitol rally' })).toEqual(['a']);
+  });
+
+  test('sort orders rank by severity, bias and trending', async () => {
+    expect(await ids({ sort: 'severity' })).toEqual(['a', 'c', 'b', 'e']);
+    expect(await ids({ sort: 'bias', minBias: 0, includeAnalysis: false })).toEqual(['a', 'e', 'b']);
+    // Picked up by three sources, a trends above the newer c
+    expect(await ids({ sort: 'trending' })).toEqual(['a', 'c', 'b', 'e']);
+  });
+
+  test('facets count every matching article, not just the page', async () => {
+    const { articles, pagination, facets } = await newsService.getNewsFeed({ limit: 1, includeFacets: true });
+
+    expect(articles).toHaveLength(1);
+    expect(pagination).toMatchObject({ total: 4, hasMore: true });
+    expect(facets).toMatchObject({
+      keyword: [{ value: 'racism', count: 2 }, { value: 'MAGA', count: 1 }, { value: 'white supremacy', count: 1 }],
+      category: [{ value: 'racism', count: 2 }, { value: 'white supremacy', count: 2 }, { value: 'MAGA', count: 1 }],
+      source_domain: [{ value: 'apnews.com', count: 2 }, { value: 'nytimes.com', count: 2 }],
+      severity: [
+        { value: 'breaking', count: 1 },
+        { value: 'urgent', count: 1 },
+        { value: 'important', count: 1 },
+        { value: 'news', count: 1 }
+      ],
+      content_fetched: 1,
+      has_images: 2
+    });
+
+    const narrowed = await newsService.getNewsFeed({ categories: ['racism'], includeFacets: true });
+    expect(narrowed.facets.source_domain).toEqual([{ value: 'apnews.com', count: 1 }, { value: 'nytimes.com', count: 1 }]);
+  });
+
+  test('malformed filters and unknown sorts are validation errors', async () => {
+    await expect(newsService.getNewsFeed({ fromDate: 'Jan 5', categoryMode: 'some' })).rejects.toMatchObject({
+      validationErrors: ['fromDate must be YYYY-MM-DD', 'categoryMode must be any or all']
+    });
+    await expect(newsService.getNewsFeed({ sort: 'popular' })).rejects.toMatchObject({
+      validationErrors: [`Invalid sort: popular (expected ${FNSNewsService.FEED_SORT_ORDERS.join(', ')})`]
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+const ledgerDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fns-ledger-'));
+process.env.IMPORT_LEDGER_PATH = path.join(ledgerDir, 'ledger.json');
+
+const FNSNewsService = require('../services/fnsNewsService');
+const CriticalNewsletterParser = require('../services/criticalNewsletterParser');
+
+const STORY_COUNT = 12;
+const BATCH_SIZE = 5;
+const dayString = daysAgo => new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString().slice(0, 10).replace(/-/g, '');
+const today = dayString(0);
+
+// Files served by the test source, by file name
+const served = {};
+
+describe('the import ledger', () => {
+  let server;
+  let newsService;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    served[`full_articles_${today}.json`] = JSON.stringify({
+      articles: Array.from({ length: STORY_COUNT }, (_, i) => ({
+        title: `Story ${i}`,
+        url: `https://example.com/story-${i}`,
+        summary: `Summary ${i}`,
+        full_text: `Full text of story ${i}`,
+        keyword: 'racism',
+        severity_score: 60 + i
+      }))
+    });
+
+    server = http.createServer((req, res) => {
+      const file = served[req.url.slice(1)];
+      if (file) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(file);
+      }
+      res.writeHead(404);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    newsService = new FNSNewsService();
+    await newsService.initializeDatabase();
+
+    const importer = newsService.newsImporter;
+    importer.requestDelay = 0;
+    importer.sourceRegistry.getEnabledSources = async () => [{
+      id: 'test_full_articles',
+      name: 'Test full articles',
+      base_url: `http://127.0.0.1:${server.address().port}`,
+      file_pattern: 'full_articles_{date}.json',
+      parser_type: 'full_articles',
+      trust_weight: 1,
+      enabled: true
+    }];
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+    await newsService.pool.end();
+    fs.rmSync(ledgerDir, { recursive: true, force: true });
+  });
+
+  const storedCount = async () => {
+    const [rows] = await newsService.pool.execute('SELECT COUNT(*) AS count FROM fns_articles');
+    return rows[0].count;
+  };
+
+  test('a file with more stories than batchSize is stored whole, and not again once recorded', async () => {
+    // One row fails on the first import: the file must not be recorded as seen
+    jest.spyOn(newsService, 'storeArticle').mockImplementationOnce(() => Promise.reject(new Error('deadlock')));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const first = await newsService.importArticles({ batchSize: BATCH_SIZE });
+    expect(first.imported).toBe(STORY_COUNT - 1);
+    expect(first.files.held).toBe(1);
+    const fileUrl = `http://127.0.0.1:${server.address().port}/full_articles_${today}.json`;
+    expect(await newsService.newsImporter.ledger.getEntry(fileUrl)).toBeNull();
+
+    const second = await newsService.importArticles({ batchSize: BATCH_SIZE });
+    expect(second.imported).toBe(1);
+    expect(second.updated).toBe(STORY_COUNT - 1);
+    expect(second.files.held).toBe(0);
+    expect(await storedCount()).toBe(STORY_COUNT);
+
+    // Recorded now, so a third import skips the file
+    const third = await newsService.importArticles({ batchSize: BATCH_SIZE });
+    expect(third.total).toBe(0);
+    expect((await newsService.newsImporter.ledger.getEntry(fileUrl)).story_count).toBe(STORY_COUNT);
+    expect(await storedCount()).toBe(STORY_COUNT);
+  });
+
+  test('files whose stories were merged into another day\'s copy are recorded too', async () => {
+    const shared = { title: 'Shared story', url: 'https://example.com/shared', full_text: 'Reported twice', severity_score: 70 };
+    served[`full_articles_${dayString(1)}.json`] = JSON.stringify({ articles: [shared] });
+    served[`full_articles_${dayString(2)}.json`] = JSON.stringify({
+      articles: [{ ...shared, url: 'https://www.example.com/shared/?utm_source=feed' }, { ...shared, title: 'Other', url: 'https://example.com/other' }]
+    });
+
+    const result = await newsService.importArticles({ batchSize: BATCH_SIZE });
+    expect(result.total).toBe(2);
+    expect(result.files.held).toBe(0);
+
+    const base = `http://127.0.0.1:${server.address().port}`;
+    for (const daysAgo of [1, 2]) {
+      expect(await newsService.newsImporter.ledger.getEntry(`${base}/full_articles_${dayString(daysAgo)}.json`)).not.toBeNull();
+    }
+    expect((await newsService.importArticles({ batchSize: BATCH_SIZE })).total).toBe(0);
+  });
+
+  test('a critical newsletter is recorded only after its stories are stored', async () => {
+    served[`critical_newsletter_${today}.json`] = JSON.stringify({
+      stories: [
+        { title: 'Police budget grows', severity_score: 85, url: 'https://example.com/police-budget' },
+        { title: 'Police budget grows again', severity_score: 80, url: 'https://www.example.com/police-budget' }
+      ]
+    });
+
+    const parser = new CriticalNewsletterParser();
+    parser.sourceRegistry.getEnabledSources = async () => [{
+      id: 'test_critical',
+      name: 'Test critical newsletter',
+      base_url: `http://127.0.0.1:${server.address().port}`,
+      file_pattern: 'critical_newsletter_{date}.json',
+      parser_type: 'json',
+      trust_weight: 1,
+      enabled: true
+    }];
+    const fileUrl = `http://127.0.0.1:${server.address().port}/critical_newsletter_${today}.json`;
+
+    // Storing failed: the file stays unrecorded and is parsed again next time
+    const [article] = await parser.importCriticalNewsletters(1);
+    expect(article.merged_ids).toHaveLength(2);
+    expect(await parser.commitFiles([])).toEqual({ committed: 0, held: 1 });
+    expect(await parser.ledger.getEntry(fileUrl)).toBeNull();
+
+    const again = await parser.importCriticalNewsletters(1, { changedOnly: true });
+    expect(again).toHaveLength(1);
+    expect(await parser.commitFiles(again[0].merged_ids)).toEqual({ committed: 1, held: 0 });
+    expect((await parser.ledger.getEntry(fileUrl)).story_count).toBe(2);
+  });
+});
@@ -0,0 +1,155 @@
+const NewsletterFormatRegistry = require('../services/newsletterFormatRegistry');
+
+// The same two stories in each layout, plus one story missing its url
+const TEXT = `🚨 Critical Newsletter
+
+Current Level: 78.5%
+
+---
+1. Police budget grows again
+Severity Score: 85
+Summary:
+The city raised the police budget.
+Critical Analysis:
+Spending follows the old pattern.
+🔗 Read more: https://example.com/police-budget
+---
+2. School board bans books
+Severity Score: 72.5
+Summary:
+Twelve titles were removed.
+🔗 Read more: https://example.com/book-ban
+---
+3. Story without a link
+Severity Score: 60
+Summary:
+Nothing to follow.
+---
+`;
+
+const MARKDOWN = `# Critical Newsletter
+
+## Threat Meter
+**Current Level:** 78.5%
+
+## 1. Police budget grows again
+**Severity Score:** 85
+
+### Summary
+The city raised the police budget.
+
+### Critical Analysis
+Spending follows the old pattern.
+
+[Read more](https://example.com/police-budget)
+
+## 2. [School board bans books](https://example.com/book-ban)
+**Severity Score:** 72.5
+**Summary:** Twelve titles were removed.
+
+## 3. Story without a link
+**Severity Score:** 60
+**Summary:** Nothing to follow.
+`;
+
+const JSON_LAYOUT = JSON.stringify({
+  overall_severity: '78.5',
+  stories: [
+    { title: 'Police budget grows again', severity_score: 85, summary: 'The city raised the police budget.', critical_analysis: 'Spending follows the old pattern.', url: 'https://example.com/police-budget' },
+    { title: 'School board bans books', severity: '72.5', summary: 'Twelve titles were removed.', link: 'https://example.com/book-ban' },
+    { title: 'Story without a link', severity_score: 60, summary: 'Nothing to follow.' }
+  ]
+});
+
+describe('NewsletterFormatRegistry', () => {
+  const registry = new NewsletterFormatRegistry();
+
+  test.each([
+    ['text', TEXT, 'critical_newsletter_20260101.txt'],
+    ['markdown', MARKDOWN, 'critical_newsletter_20260101.md'],
+    ['json', JSON_LAYOUT, 'critical_newsletter_20260101.json']
+  ])('the %s layout is detected and parsed to the same stories', (format, content, fileName) => {
+    expect(registry.detectFormat(content, fileName)).toBe(format);
+
+    const result = registry.parse(content, { fileName });
+    expect(result.format).toBe(format);
+    expect(result.overallSeverity).toBe(78.5);
+    expect(result.stories.map(({ title, severityScore, url }) => ({ title, severityScore, url }))).toEqual([
+      { title: 'Police budget grows again', severityScore: 85, url: 'https://example.com/police-budget' },
+      { title: 'School board bans books', severityScore: 72.5, url: 'https://example.com/book-ban' }
+    ]);
+    expect(result.stories[0]).toMatchObject({
+      summary: 'The city raised the police budget.',
+      analysis: 'Spending follows the old pattern.'
+    });
+    expect(result.dropped).toEqual([{ index: 3, title: 'Story without a link', reason: 'missing url' }]);
+  });
+
+  test('content is detected without a telling file name', () => {
+    expect(registry.detectFormat(TEXT)).toBe('text');
+    expect(registry.detectFormat(MARKDOWN)).toBe('markdown');
+    expect(registry.detectFormat(JSON_LAYOUT)).toBe('json');
+    expect(registry.detectFormat('Nothing to see here')).toBeNull();
+  });
+
+  test('every unusable story is reported with its reason', () => {
+    const { stories, dropped } = registry.parse([
+      { title: '', url: 'https://example.com/a', severity_score: 80 },
+      { title: 'Bad link', url: 'ftp://example.com/b', severity_score: 80 },
+      { title: 'No score', url: 'https://example.com/c' },
+      { title: 'Too severe', url: 'https://example.com/d', severity_score: 140 }
+    ], { format: 'json' });
+
+    expect(stories).toEqual([]);
+    expect(dropped.map(drop => drop.reason)).toEqual([
+      'missing title',
+      'invalid url "ftp://example.com/b"',
+      'missing severity score',
+      'severity score out of range (140)'
+    ]);
+  });
+
+  test('unreadable files are dropped whole', () => {
+    expect(registry.parse('Nothing to see here').dropped).toEqual([{ index: null, title: null, reason: 'unrecognized newsletter format' }]);
+    expect(registry.parse(TEXT, { format: 'xml' }).dropped[0].reason).toBe('unknown format "xml"');
+    expect(registry.parse('{"stories": [', { format: 'json' }).dropped[0].reason).toMatch(/^invalid JSON/);
+    expect(registry.parse('null', { format: 'json' }).dropped[0].reason).toBe('JSON is not a newsletter object or story array');
+    expect(registry.parse({ stories: { title: 'One story' } }, { format: 'json' })).toMatchObject({
+      stories: [],
+      dropped: [{ index: null, title: null, reason: 'stories is not an array' }]
+    });
+  });
+
+  test('JSON entries that are not objects are dropped and the rest still parse', () => {
+    const { stories, dropped } = registry.parse({
+      stories: [null, 'Headline only', { title: 'Kept', url: 'https://example.com/kept', severity_score: 70 }, [1]]
+    }, { format: 'json' });
+
+    expect(stories.map(story => story.title)).toEqual(['Kept']);
+    expect(dropped).toEqual([
+      { index: 1, title: null, reason: 'story is not an object' },
+      { index: 2, title: null, reason: 'story is not an object' },
+      { index: 4, title: null, reason: 'story is not an object' }
+    ]);
+  });
+
+  test('a registered format is detected and parsed like the built-in ones', () => {
+    const custom = new NewsletterFormatRegistry();
+    custom.register('csv', {
+      detect: (content, fileName) => /\.csv$/.test(fileName),
+      parse: content => custom.collectStories(content.trim().split('\n').slice(1).map(line => {
+        const [title, severity, url] = line.split(',');
+        return { title, severityScore: parseFloat(severity), url };
+      }))
+    });
+
+    expect(custom.getFormats()).toEqual(['json', 'markdown', 'text', 'csv']);
+    expect(custom.parse('title,severity,url\nPolice budget,85,https://example.com/p\n', { fileName: 'n.csv' })).toMatchObject({
+      format: 'csv',
+      overallSeverity: null,
+      stories: [{ title: 'Police budget', severityScore: 85, url: 'https://example.com/p' }],
+      dropped: []
+    });
+    expect(() => custom.register('broken', { detect: () => true })).toThrow('needs detect and parse functions');
+  });
+});
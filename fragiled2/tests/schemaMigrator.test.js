@@ -0,0 +1,82 @@
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+
+const { createStorage } = require('../services/storage');
+const SchemaMigrator = require('../services/schemaMigrator');
+const migrate = require('../scripts/migrate');
+
+describe('migrate script arguments', () => {
+  test.each([
+    [[], []],
+    [['--to', '005'], []],
+    [['--steps', '2', 'down'], ['down']],
+    [['down', '--steps', '2'], ['down']],
+    [['up', '--to', '012'], ['up']],
+    [['create', 'add', 'article', 'language'], ['create', 'add', 'article', 'language']]
+  ])('%j has positionals %j', (args, positionals) => {
+    expect(migrate.getPositionals(args)).toEqual(positionals);
+  });
+});
+
+describe('SchemaMigrator', () => {
+  let pool;
+  let migrator;
+
+  const analysisIds = async () => {
+    const [rows] = await pool.execute('SELECT id, article_id FROM fns_keisha_analysis ORDER BY id');
+    return rows;
+  };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    pool = createStorage();
+    migrator = new SchemaMigrator(pool);
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await pool.end();
+  });
+
+  test('up stops at --to and --steps', async () => {
+    expect((await migrator.up({ to: '003' })).map(row => row.version)).toEqual(['001', '002', '003']);
+    expect((await migrator.up({ steps: 2 })).map(row => row.version)).toEqual(['004', '005']);
+
+    const status = await migrator.status();
+    expect(status.current).toBe('005');
+    expect(status.pending.length).toBeGreaterThan(0);
+  });
+
+  test('013 keeps the latest analysis per article on installs without the unique key', async () => {
+    await migrator.up({ to: '012' });
+    // As created from an older fns_schema.sql
+    const db = migrator.helpers();
+    await db.dropIndex('fns_keisha_analysis', 'uq_article_id');
+    await db.addIndex('fns_keisha_analysis', 'idx_article_id', 'article_id');
+    for (const id of ['a1', 'a2']) {
+      await pool.execute('INSERT INTO fns_articles (id, title, url) VALUES (?, ?, ?)', [id, `Story ${id}`, `https://example.com/${id}`]);
+    }
+    await pool.execute('INSERT INTO fns_keisha_analysis (article_id, bias_score) VALUES (?, ?)', ['a1', 10]);
+    await pool.execute('INSERT INTO fns_keisha_analysis (article_id, bias_score) VALUES (?, ?)', ['a1', 20]);
+    await pool.execute('INSERT INTO fns_keisha_analysis (article_id, bias_score) VALUES (?, ?)', ['a2', 30]);
+    const [, latest, other] = await analysisIds();
+
+    expect((await migrator.up({ to: '013' })).map(row => row.version)).toEqual(['013']);
+    expect(await analysisIds()).toEqual([latest, other]);
+    expect(await pool.indexExists('fns_keisha_analysis', 'idx_article_id')).toBe(false);
+    await expect(
+      pool.execute('INSERT INTO fns_keisha_analysis (article_id, bias_score) VALUES (?, ?)', ['a1', 40])
+    ).rejects.toMatchObject({ code: 'SQLITE_CONSTRAINT_UNIQUE' });
+  });
+
+  test('every migration reverts and applies again', async () => {
+    await migrator.up();
+    const { migrations } = await migrator.status();
+
+    expect((await migrator.down({ to: '0' })).length).toBe(migrations.length);
+    expect((await migrator.status()).current).toBeNull();
+
+    expect((await migrator.up()).length).toBe(migrations.length);
+    expect((await migrator.status()).pending).toEqual([]);
+  });
+});
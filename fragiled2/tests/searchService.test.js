@@ -0,0 +1,139 @@
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+
+const { createStorage } = require('../services/storage');
+const SchemaMigrator = require('../services/schemaMigrator');
+const SearchService = require('../services/searchService');
+
+describe('SearchService query syntax', () => {
+  const search = new SearchService(null);
+
+  test('words are required, OR joins neighbours, and a leading minus excludes', () => {
+    expect(search.parseQuery('OR Police "City Hall" OR tenants -budget -"school board" +rally OR')).toEqual({
+      groups: [[['police']], [['city', 'hall'], ['tenants']], [['rally']]],
+      excluded: [['budget'], ['school', 'board']]
+    });
+  });
+
+  test('punctuation inside a term makes it a phrase, and stray signs are plain text', () => {
+    expect(search.parseQuery('anti-racism - "unclosed phrase')).toEqual({
+      groups: [[['anti', 'racism']], [['unclosed', 'phrase']]],
+      excluded: []
+    });
+  });
+
+  test('a query of only exclusions is rejected', () => {
+    expect(() => search.matchQuery('-police')).toThrow(expect.objectContaining({
+      validationErrors: ['Search query needs at least one word or phrase to match']
+    }));
+  });
+
+  test('highlights escape HTML and mark whole words and phrases', () => {
+    const matcher = search.matcher(search.parseQuery('police "city hall"'));
+
+    expect(search.highlight('<b>Police</b> at City  Hall, not policeman', matcher))
+      .toBe('&lt;b&gt;<mark>Police</mark>&lt;/b&gt; at <mark>City  Hall</mark>, not policeman');
+  });
+
+  test('snippets are cut around the first match, from the first text that has one', () => {
+    const short = new SearchService(null, { snippetLength: 40 });
+    const matcher = short.matcher(short.parseQuery('budget'));
+    const text = 'The council met for hours on Tuesday night and finally passed the police budget after a long debate about overtime.';
+
+    expect(short.snippet([null, text, 'budget summary'], matcher)).toBe('…the police <mark>budget</mark> after a long debate…');
+    expect(short.snippet(['no match here', 'Summary & more'], short.matcher(short.parseQuery('absent'))))
+      .toBe('Summary &amp; more');
+  });
+});
+
+describe('SearchService.search', () => {
+  let pool;
+  let search;
+
+  const insert = (id, fields) => pool.execute(`
+    INSERT INTO fns_articles (id, title, url, summary, content, keyword, severity_score, date)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [id, fields.title, `https://example.com/${id}`, fields.summary || null, fields.content || null, fields.keyword, fields.severity, fields.date]);
+
+  const ids = result => result.articles.map(article => article.id);
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    pool = createStorage();
+    await new SchemaMigrator(pool).up();
+    search = new SearchService(pool);
+
+    await insert('shooting', {
+      title: 'Police shooting sparks protest',
+      summary: 'Residents marched downtown.',
+      keyword: 'policing',
+      severity: 92,
+      date: '2026-01-05'
+    });
+    await insert('budget', {
+      title: 'City budget vote',
+      content: 'The council discussed police overtime and the school budget.',
+      keyword: 'policing',
+      severity: 75,
+      date: '2026-01-06'
+    });
+    await insert('tenants', {
+      title: 'Housing protest at city hall',
+      summary: 'Tenants protest rent increases.',
+      keyword: 'housing',
+      severity: 60,
+      date: '2026-01-06'
+    });
+    await insert('training', {
+      title: 'Anti-racism training canceled',
+      content: 'The district canceled anti-racism training for teachers.',
+      keyword: 'education',
+      severity: 82,
+      date: '2026-01-07'
+    });
+    // Unrelated stories, so the searched words are rare enough to score
+    await insert('storm', { title: 'Storm closes schools', keyword: 'weather', severity: 20, date: '2026-01-04' });
+    await insert('library', { title: 'Library extends hours', keyword: 'community', severity: 10, date: '2026-01-04' });
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await pool.end();
+  });
+
+  test('title matches rank above body matches', async () => {
+    const result = await search.search('police');
+
+    expect(ids(result)).toEqual(['shooting', 'budget']);
+    expect(result.total).toBe(2);
+    expect(result.articles[0].relevance).toBeGreaterThan(result.articles[1].relevance);
+    expect(result.articles[0].highlights.title).toBe('<mark>Police</mark> shooting sparks protest');
+    expect(result.articles[1].highlights.snippet).toBe('The council discussed <mark>police</mark> overtime and the school budget.');
+  });
+
+  test('phrases, OR and negation narrow the matches', async () => {
+    expect(ids(await search.search('police -budget'))).toEqual(['shooting']);
+    expect(ids(await search.search('"city hall"'))).toEqual(['tenants']);
+    expect(ids(await search.search('"hall city"'))).toEqual([]);
+    expect(ids(await search.search('training OR tenants', { sort: 'date' }))).toEqual(['training', 'tenants']);
+    expect((await search.search('anti-racism')).articles[0].highlights).toEqual({
+      title: '<mark>Anti-racism</mark> training canceled',
+      snippet: 'The district canceled <mark>anti-racism</mark> training for teachers.'
+    });
+  });
+
+  test('facets count the matches by keyword, severity band and date, and filters apply to both', async () => {
+    const { facets } = await search.search('protest');
+
+    expect(facets).toMatchObject({
+      keyword: [{ value: 'housing', count: 1 }, { value: 'policing', count: 1 }],
+      severity: [{ value: 'breaking', min: 90, max: null, count: 1 }, { value: 'news', min: null, max: 70, count: 1 }],
+      date: [{ value: '2026-01-06', count: 1 }, { value: '2026-01-05', count: 1 }]
+    });
+
+    const breaking = await search.search('protest', { severity: 'breaking' });
+    expect(ids(breaking)).toEqual(['shooting']);
+    expect(breaking.facets.keyword).toEqual([{ value: 'policing', count: 1 }]);
+    expect(ids(await search.search('protest', { keyword: 'housing', date: '2026-01-06' }))).toEqual(['tenants']);
+  });
+});
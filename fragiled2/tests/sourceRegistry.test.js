@@ -0,0 +1,87 @@
+const SourceRegistry = require('../services/sourceRegistry');
+
+describe('SourceRegistry', () => {
+  const registry = new SourceRegistry();
+
+  test('sources are normalized and validated', () => {
+    expect(registry.normalizeSource({ id: 'extra', base_url: 'https://example.com/news///', file_pattern: 'n_{date}.md' })).toEqual({
+      id: 'extra',
+      name: 'extra',
+      base_url: 'https://example.com/news',
+      file_pattern: 'n_{date}.md',
+      parser_type: 'auto',
+      trust_weight: 1,
+      enabled: true
+    });
+
+    expect(registry.validateSource(registry.normalizeSource(SourceRegistry.DEFAULT_SOURCES[0]))).toEqual([]);
+    expect(registry.validateSource({ id: 'bad id', base_url: 'ftp://x', file_pattern: 'news.txt', parser_type: 'pdf', trust_weight: 12 })).toEqual([
+      'id must be a non-empty slug (letters, digits, _ or -)',
+      'base_url must be an http(s) URL',
+      'file_pattern must contain a {date}, {iso} or {yyyy} token',
+      `parser_type must be one of: ${SourceRegistry.PARSER_TYPES.join(', ')}`,
+      'trust_weight must be between 0 and 9.99'
+    ]);
+  });
+
+  test('file URLs fill in every date token in UTC', () => {
+    const source = { base_url: 'https://example.com/archive', file_pattern: '{yyyy}/{mm}/{dd}/critical_{date}_{iso}.txt' };
+
+    expect(registry.buildFileUrl(source, new Date('2026-03-04T23:30:00Z'))).toEqual({
+      fileName: '2026/03/04/critical_20260304_2026-03-04.txt',
+      url: 'https://example.com/archive/2026/03/04/critical_20260304_2026-03-04.txt'
+    });
+  });
+
+  test('URLs compare without www, tracking parameters, fragments or trailing slashes', () => {
+    expect(registry.normalizeUrl('https://WWW.Example.com/story/?utm_source=x&id=7#top'))
+      .toBe(registry.normalizeUrl('http://example.com/story?id=7&utm_campaign=y'));
+    expect(registry.normalizeUrl('https://example.com/story?id=8')).not.toBe(registry.normalizeUrl('https://example.com/story?id=7'));
+  });
+
+  describe('mergeArticles', () => {
+    const copy = (sourceId, fields = {}) => ({
+      id: `${sourceId}_story`,
+      url: 'https://example.com/story',
+      title: `${sourceId} title`,
+      source_id: sourceId,
+      source_name: sourceId,
+      trust_weight: 1,
+      severity_score: 70,
+      date: '2026-01-02',
+      ...fields
+    });
+
+    test('the most trusted copy wins and every reporting source is listed', () => {
+      const [article, ...rest] = registry.mergeArticles([
+        copy('first'),
+        copy('trusted', { url: 'https://www.example.com/story/', trust_weight: 1.5, severity_score: 60 }),
+        copy('severe', { severity_score: 95 })
+      ]);
+
+      expect(rest).toEqual([]);
+      expect(article.title).toBe('trusted title');
+      expect(article.sources.map(source => [source.source_id, source.trust_weight])).toEqual([
+        ['first', 1], ['trusted', 1.5], ['severe', 1]
+      ]);
+    });
+
+    test('between equally trusted copies the more severe wins, and ties keep the first', () => {
+      expect(registry.mergeArticles([copy('first'), copy('severe', { severity_score: 95 })])[0].title).toBe('severe title');
+      expect(registry.mergeArticles([copy('first'), copy('second')])[0].title).toBe('first title');
+    });
+
+    test('different stories stay apart, in their original order', () => {
+      const merged = registry.mergeArticles([
+        copy('a', { url: 'https://example.com/one' }),
+        copy('b', { url: 'https://example.com/two' }),
+        copy('c', { url: 'https://example.com/one?utm_medium=email' })
+      ]);
+
+      expect(merged.map(article => [article.url, article.sources.length])).toEqual([
+        ['https://example.com/one', 2],
+        ['https://example.com/two', 1]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const { createStorage } = require('../services/storage');
+const SQLiteStorage = require('../services/sqliteStorage');
+
+describe('createStorage', () => {
+  test('DB_CLIENT picks the adapter', () => {
+    expect(createStorage({ client: 'sqlite', file: ':memory:' })).toBeInstanceOf(SQLiteStorage);
+    expect(() => createStorage({ client: 'postgres' })).toThrow('Unknown DB_CLIENT "postgres" (expected mysql or sqlite)');
+  });
+});
+
+describe('SQLiteStorage schema translation', () => {
+  const storage = new SQLiteStorage({ file: ':memory:' });
+
+  test('CREATE TABLE moves indexes out and drops full-text keys', () => {
+    expect(storage.schemaStatements(`
+      CREATE TABLE IF NOT EXISTS fns_things (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(50) NOT NULL,
+        status ENUM('new', 'done') DEFAULT 'new',
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        price DECIMAL(5,2),
+        UNIQUE KEY uq_name (name),
+        INDEX idx_status (status),
+        FULLTEXT INDEX ft_name (name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `)).toEqual([
+      'CREATE TABLE IF NOT EXISTS fns_things (\n' +
+      '  id INTEGER PRIMARY KEY AUTOINCREMENT,\n' +
+      '  name VARCHAR(50) NOT NULL,\n' +
+      "  status TEXT DEFAULT 'new',\n" +
+      '  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,\n' +
+      '  price DECIMAL(5,2)\n' +
+      ')',
+      'CREATE UNIQUE INDEX IF NOT EXISTS fns_things_uq_name ON fns_things (name)',
+      'CREATE INDEX IF NOT EXISTS fns_things_idx_status ON fns_things (status)'
+    ]);
+  });
+
+  test.each([
+    ['ALTER TABLE t ADD COLUMN c VARCHAR(20) DEFAULT \'page\' AFTER height', ["ALTER TABLE t ADD COLUMN c VARCHAR(20) DEFAULT 'page'"]],
+    ['ALTER TABLE t ADD UNIQUE INDEX uq_a (a)', ['CREATE UNIQUE INDEX IF NOT EXISTS t_uq_a ON t (a)']],
+    ['ALTER TABLE t DROP INDEX idx_a', ['DROP INDEX IF EXISTS t_idx_a']],
+    ['CREATE OR REPLACE VIEW v AS SELECT 1', ['DROP VIEW IF EXISTS v', 'CREATE VIEW v AS SELECT 1']],
+    ['DROP TABLE IF EXISTS a, b', ['DROP TABLE IF EXISTS a', 'DROP TABLE IF EXISTS b']],
+    ['INSERT IGNORE INTO t (a) VALUES (1)', ['INSERT OR IGNORE INTO t (a) VALUES (1)']],
+    ['INSERT INTO t (a, b) VALUES (1, 2) ON DUPLICATE KEY UPDATE b = VALUES(b)', ['INSERT INTO t (a, b) VALUES (1, 2) ON CONFLICT DO UPDATE SET b = excluded.b']]
+  ])('%s', (sql, expected) => {
+    expect(storage.schemaStatements(sql)).toEqual(expected);
+  });
+});
+
+describe('SQLiteStorage', () => {
+  let dir;
+  let file;
+  let storage;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fns-sqlite-'));
+    file = path.join(dir, 'fns.sqlite');
+    storage = new SQLiteStorage({ file });
+
+    const [create] = storage.schemaStatements(
+      'CREATE TABLE things (id INT AUTO_INCREMENT PRIMARY KEY, name VARCHAR(50) UNIQUE, tags JSON, active BOOLEAN, seen_at DATETIME, count INT DEFAULT 0)'
+    );
+    await storage.query(create);
+  });
+
+  beforeEach(() => storage.execute('DELETE FROM things'));
+
+  afterAll(async () => {
+    await storage.end();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('results are shaped like mysql2 and JSON columns are parsed', async () => {
+    const [result] = await storage.execute(
+      'INSERT INTO things (name, tags, active, seen_at) VALUES (?, ?, ?, ?)',
+      ['a', ['x', 'y'], true, new Date('2026-01-02T03:04:05Z')]
+    );
+    expect(result).toEqual({ affectedRows: 1, insertId: expect.any(Number) });
+
+    const [rows] = await storage.execute('SELECT * FROM things WHERE id = ?', [result.insertId]);
+    expect(rows).toEqual([{ id: result.insertId, name: 'a', tags: ['x', 'y'], active: 1, seen_at: '2026-01-02 03:04:05', count: 0 }]);
+  });
+
+  test('upsert and insertIgnore helpers', async () => {
+    const insert = `INSERT INTO things (name, count) VALUES (?, ?) ${storage.upsert(['count'], ['active = 1'])}`;
+    await storage.execute(insert, ['a', 1]);
+    await storage.execute(insert, ['a', 5]);
+    await storage.execute(`${storage.insertIgnore()} INTO things (name, count) VALUES (?, ?)`, ['a', 9]);
+
+    const [rows] = await storage.execute('SELECT name, count, active FROM things');
+    expect(rows).toEqual([{ name: 'a', count: 5, active: 1 }]);
+  });
+
+  test('a transaction holds the database until released, and rolls back unless committed', async () => {
+    const other = new SQLiteStorage({ file });
+    const connection = await storage.getConnection();
+    await connection.beginTransaction();
+    await connection.execute('INSERT INTO things (name) VALUES (?)', ['in transaction']);
+
+    // Statements from any storage on the same file wait for the transaction
+    let read = null;
+    const reading = other.execute('SELECT COUNT(*) AS count FROM things').then(([rows]) => {
+      read = rows[0].count;
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(read).toBeNull();
+
+    connection.release();
+    await reading;
+    expect(read).toBe(0);
+
+    const committed = await other.getConnection();
+    await committed.beginTransaction();
+    await committed.execute('INSERT INTO things (name) VALUES (?)', ['committed']);
+    await committed.commit();
+    committed.release();
+
+    const [rows] = await storage.execute('SELECT name FROM things');
+    expect(rows).toEqual([{ name: 'committed' }]);
+    await other.end();
+  });
+
+  test('ending one storage leaves the file open for the others', async () => {
+    const other = new SQLiteStorage({ file });
+    await other.execute('SELECT 1');
+    await other.end();
+
+    await expect(other.execute('SELECT 1')).rejects.toThrow('SQLite storage has been closed');
+    expect(await storage.columnExists('things', 'tags')).toBe(true);
+    expect(await storage.columnExists('things', 'missing')).toBe(false);
+  });
+});
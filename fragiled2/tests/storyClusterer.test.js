@@ -0,0 +1,110 @@
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+
+const StoryClusterer = require('../services/storyClusterer');
+const FNSNewsService = require('../services/fnsNewsService');
+
+const BODY = 'The city council voted on Tuesday to expand the police department budget by forty million dollars ' +
+  'while cutting funding for community violence prevention programs that residents had defended for years.';
+
+const story = (id, fields = {}) => ({
+  id,
+  url: `https://${id}.example.com/story`,
+  severity_score: 80,
+  date: '2026-01-02',
+  ...fields
+});
+
+describe('StoryClusterer', () => {
+  const clusterer = new StoryClusterer();
+
+  const articles = [
+    story('wire', { title: 'Council expands police budget, cuts violence prevention', content: BODY, date: '2026-01-01' }),
+    story('copy', { title: 'Police get $40M more as prevention programs are cut', content: `${BODY} Reporting by staff.`, content_fetched: true }),
+    story('repeat', { title: 'Council expands police budget, cuts violence prevention', date: '2026-01-03' }),
+    story('other', { title: 'School board removes twelve books from library shelves', content: 'Parents packed the meeting as the board voted to pull twelve titles from school libraries across the district.' })
+  ];
+
+  test('syndicated copies and next-day repeats join one cluster, other stories stay apart', () => {
+    const clusters = clusterer.cluster(articles);
+
+    expect(clusters.map(cluster => cluster.members.map(member => member.id))).toEqual([
+      ['wire', 'copy', 'repeat'],
+      ['other']
+    ]);
+    expect(clusters[0].similarities.wire).toBeGreaterThanOrEqual(clusterer.bodyThreshold);
+  });
+
+  test('the primary is the fetched copy, then the most trusted, most severe and earliest', () => {
+    expect(clusterer.cluster(articles)[0].primary.id).toBe('copy');
+
+    const unfetched = articles.slice(0, 3).map(article => ({ ...article, content_fetched: false }));
+    expect(clusterer.cluster(unfetched)[0].primary.id).toBe('wire');
+
+    unfetched[2] = { ...unfetched[2], trust_weight: 1.5 };
+    expect(clusterer.cluster(unfetched)[0].primary.id).toBe('repeat');
+  });
+
+  test('the cluster id comes from the earliest report and does not change as copies join', () => {
+    const [first] = clusterer.cluster(articles.slice(0, 2));
+    const later = clusterer.cluster([...articles].reverse()).find(cluster => cluster.members.length === 3);
+
+    expect(first.cluster_id).toMatch(/^cluster_[0-9a-f]{12}$/);
+    expect(later.cluster_id).toBe(first.cluster_id);
+  });
+
+  test('collapse returns one card per cluster with its related articles and sources', () => {
+    const withSources = articles.map(article => ({ ...article, sources: [{ source_id: article.id, date: article.date }] }));
+    const cards = clusterer.collapse(withSources);
+
+    expect(cards.map(card => [card.id, card.cluster_size])).toEqual([['copy', 3], ['other', 1]]);
+    expect(cards[0].related_articles.map(related => related.id)).toEqual(['wire', 'repeat']);
+    expect(cards[0].sources.map(source => source.source_id)).toEqual(['wire', 'copy', 'repeat']);
+
+    // Collapsing cards again, with a new copy, keeps the related articles found before
+    const newCopy = story('late', { title: 'Budget vote', content: `${BODY} Updated with the final tally.`, date: '2026-01-04' });
+    const again = clusterer.collapse([...cards, newCopy]);
+    expect(again[0]).toMatchObject({ id: 'copy', cluster_id: cards[0].cluster_id, cluster_size: 4 });
+    expect(again[0].related_articles.map(related => related.id).sort()).toEqual(['late', 'repeat', 'wire']);
+  });
+
+  test('short and empty texts do not cluster on chance matches', () => {
+    const clusters = clusterer.cluster([
+      story('a', { title: '', summary: 'Police' }),
+      story('b', { title: '', summary: 'Police' }),
+      story('c', { title: 'Police', content: 'Too short' })
+    ]);
+
+    expect(clusters).toHaveLength(3);
+  });
+});
+
+describe('FNSNewsService.updateClusters', () => {
+  let newsService;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    newsService = new FNSNewsService();
+    await newsService.initializeDatabase();
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await newsService.pool.end();
+  });
+
+  test('the stored copy with fetched full text is the primary, analysed or not', async () => {
+    const date = new Date().toISOString().split('T')[0];
+    await newsService.storeArticle(story('seed', {
+      title: 'Council expands police budget, cuts violence prevention', content: BODY, date, analysis_status: 'completed', content_fetched: false
+    }));
+    await newsService.storeArticle(story('fetched', {
+      title: 'Police get $40M more as prevention programs are cut', content: `${BODY} Reporting by staff.`, date, analysis_status: 'pending', content_fetched: true
+    }));
+
+    expect(await newsService.updateClusters()).toMatchObject({ articles: 2, clusters: 1 });
+
+    const [rows] = await newsService.pool.execute('SELECT id, is_cluster_primary, cluster_size FROM fns_articles ORDER BY id');
+    expect(rows.map(row => [row.id, !!row.is_cluster_primary, row.cluster_size])).toEqual([['fetched', true, 2], ['seed', false, 2]]);
+  });
+});
@@ -0,0 +1,101 @@
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_FILE = ':memory:';
+
+const { createStorage } = require('../services/storage');
+const SchemaMigrator = require('../services/schemaMigrator');
+const ThreatHistory = require('../services/threatHistory');
+
+describe('ThreatHistory', () => {
+  let pool;
+  let history;
+
+  const insert = (id, date, severity, fields = {}) => pool.execute(`
+    INSERT INTO fns_articles (id, title, url, date, severity_score, keyword, is_cluster_primary, newsletter_severity)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [id, id, `https://example.com/${id}`, date, severity, 'keyword' in fields ? fields.keyword : 'policing', fields.primary ?? true, fields.meter ?? null]);
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    pool = createStorage();
+    await new SchemaMigrator(pool).up();
+    history = new ThreatHistory(pool);
+
+    await insert('a', '2026-01-05', 90, { meter: 78.5 });
+    await insert('b', '2026-01-05', 70, { keyword: 'housing', meter: 78.5 });
+    await insert('b-copy', '2026-01-05', 10, { primary: false });
+    await insert('c', '2026-01-06', 50, { keyword: null });
+    await insert('d', '2026-01-12', 65);
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await pool.end();
+  });
+
+  test('threat levels follow the dashboard bands', () => {
+    expect([85, 80, 75, 60, 59.99, 0].map(severity => history.threatLevel(severity)))
+      .toEqual(['CRITICAL', 'CRITICAL', 'HIGH', 'MODERATE', 'LOW', 'LOW']);
+  });
+
+  test('a snapshot per date counts cluster primaries and keeps the newsletter meter', async () => {
+    expect(await history.record({ fromDate: '2026-01-01', toDate: '2026-01-31' })).toBe(3);
+
+    expect(await history.getSnapshot('2026-01-05')).toMatchObject({
+      date: '2026-01-05',
+      threat_level: 'CRITICAL',
+      total_articles: 2,
+      average_severity: 80,
+      max_severity: 90,
+      min_severity: 70,
+      newsletter_severity: 78.5,
+      keywords: { policing: 1, housing: 1 }
+    });
+    expect(await history.getSnapshot('2026-01-06')).toMatchObject({ threat_level: 'LOW', newsletter_severity: null, keywords: {} });
+    expect(await history.getSnapshot('2026-01-07')).toBeNull();
+  });
+
+  test('series merge days into weeks and months weighted by article count', async () => {
+    const days = await history.getSeries({ fromDate: '2026-01-05', toDate: '2026-01-12' });
+    expect(days.points.map(point => [point.date, point.total_articles])).toEqual([
+      ['2026-01-05', 2], ['2026-01-06', 1], ['2026-01-12', 1]
+    ]);
+
+    const weeks = await history.getSeries({ fromDate: '2026-01-01', toDate: '2026-01-31', interval: 'week' });
+    expect(weeks.points).toEqual([
+      expect.objectContaining({
+        date: '2026-01-05',
+        days: 2,
+        total_articles: 3,
+        average_severity: 70,
+        threat_level: 'HIGH',
+        max_severity: 90,
+        min_severity: 50,
+        newsletter_severity: 78.5,
+        keywords: { policing: 1, housing: 1 }
+      }),
+      expect.objectContaining({ date: '2026-01-12', days: 1, average_severity: 65, threat_level: 'MODERATE' })
+    ]);
+
+    const months = await history.getSeries({ fromDate: '2026-01-01', toDate: '2026-01-31', interval: 'month' });
+    expect(months.points).toEqual([expect.objectContaining({ date: '2026-01-01', days: 3, total_articles: 4 })]);
+  });
+
+  test('malformed ranges are rejected with every problem listed', async () => {
+    await expect(history.getSeries({ fromDate: '2026-1-5', interval: 'year' })).rejects.toMatchObject({
+      validationErrors: ['from must be YYYY-MM-DD', 'interval must be one of day, week, month']
+    });
+    await expect(history.getSeries({ fromDate: '2026-02-01', toDate: '2026-01-01' })).rejects.toMatchObject({
+      validationErrors: ['from must not be after to']
+    });
+  });
+
+  test('re-recording drops snapshots of days left without cluster primaries', async () => {
+    await pool.execute("UPDATE fns_articles SET is_cluster_primary = FALSE WHERE id = 'd'");
+    await pool.execute("UPDATE fns_articles SET severity_score = 30 WHERE id = 'c'");
+
+    expect(await history.record({ fromDate: '2026-01-06', toDate: '2026-01-31' })).toBe(1);
+    expect(await history.getSnapshot('2026-01-12')).toBeNull();
+    expect(await history.getSnapshot('2026-01-06')).toMatchObject({ average_severity: 30 });
+    expect(await history.getSnapshot('2026-01-05')).toMatchObject({ total_articles: 2 });
+  });
+});
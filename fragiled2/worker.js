@@ -0,0 +1,74 @@
+require('dotenv').config();
+
+// Import services
+const FNSNewsService = require('./services/fnsNewsService');
+const KeishaAnalysisIntegration = require('./services/keishaAnalysisIntegration');
+const ArticlePipeline = require('./services/articlePipeline');
+const JobWorker = require('./services/jobWorker');
+
+/**
+ * FNS Job Worker
+ * Runs the import schedules and the enhancement and analysis job queues outside the API server,
+ * so workers and API servers scale separately. SIGTERM drains the jobs in flight before exiting.
+ */
+async function startWorker() {
+  console.log('👷 Starting FNS job worker...');
+
+  const newsService = new FNSNewsService();
+  const keishaIntegration = new KeishaAnalysisIntegration();
+  const pipeline = new ArticlePipeline({ newsService, keishaIntegration });
+
+  // Jobs are stored in the database, so a worker cannot run against a schema that is behind
+  try {
+    await newsService.migrator.assertCurrent();
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+
+  const worker = new JobWorker({ keishaIntegration, pipeline });
+  await worker.start();
+
+  // Graceful shutdown: finish in-flight jobs, then exit; a second signal exits at once
+  const drainSeconds = parseInt(process.env.WORKER_DRAIN_SECONDS || '120', 10);
+  let shuttingDown = false;
+
+  const shutdown = async signal => {
+    if (shuttingDown) {
+      console.log(`${signal} received again, exiting without draining`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    console.log(`${signal} received, draining in-flight jobs (up to ${drainSeconds}s)...`);
+
+    // Jobs still running at the deadline keep their lease; the sweeper requeues them once it expires
+    const deadline = new Promise(resolve => setTimeout(() => resolve('timeout'), drainSeconds * 1000).unref());
+    const result = await Promise.race([worker.stop(), deadline]);
+    if (result === 'timeout') {
+      console.warn('⚠ Drain timed out; unfinished jobs will be retried after their lease expires');
+    }
+
+    try {
+      await keishaIntegration.pool.end();
+      await newsService.pool.end();
+    } catch (error) {
+      console.error('Error closing database connections:', error.message);
+    }
+    process.exit(result === 'timeout' ? 1 : 0);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  return worker;
+}
+
+// Run if called directly
+if (require.main === module) {
+  startWorker().catch(error => {
+    console.error('Job worker failed to start:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = startWorker;